@@ -0,0 +1,101 @@
+#!/usr/bin/env node
+
+/**
+ * Mock Raptoreum Node
+ *
+ * Serves a fixture chain over JSON-RPC so the API server, sync daemon and test
+ * scripts can run without raptoreumd. Point RAPTOREUMD_HOST/PORT/USER/PASSWORD
+ * at it (the values are printed on start).
+ *
+ * The chain can be extended while it runs with the regtest RPCs
+ * generatetoaddress <n> <address> and invalidateblock <hash> (a reorg).
+ * With --zmq, new blocks and transactions are also announced over ZMQ like
+ * raptoreumd's -zmqpubhashblock / -zmqpubrawtx.
+ *
+ * OPTIONS:
+ *   --fixture <name>   - Fixture in test-support/fixtures, or a path to a .json file (default: asset-lifecycle)
+ *   --phase <name>     - Fixture phase to play; repeat for several (default: the first phase)
+ *   --host <host>      - Interface to listen on (default: 127.0.0.1)
+ *   --port <port>      - Port to listen on (default: 10225, raptoreumd's RPC port)
+ *   --user <user>      - Require this RPC user (default: no authentication)
+ *   --password <pass>  - RPC password for --user
+ *   --zmq <endpoint>   - Publish hashblock/rawtx notifications on this endpoint (e.g. tcp://127.0.0.1:28332)
+ *
+ * EXAMPLES:
+ *   node scripts/mock-raptoreumd.js
+ *   node scripts/mock-raptoreumd.js --fixture asset-lifecycle --phase initial --phase reorg --port 18225
+ *   node scripts/mock-raptoreumd.js --zmq tcp://127.0.0.1:28332
+ */
+
+import { MockRaptoreumd, loadFixture } from '../test-support/mockRaptoreumd.js';
+import { MockZmqPublisher } from '../test-support/mockZmqPublisher.js';
+
+const parseArgs = (args) => {
+  const options = { fixture: 'asset-lifecycle', phases: [], port: 10225 };
+
+  for (let i = 0; i < args.length; i++) {
+    switch (args[i]) {
+      case '--fixture': options.fixture = args[++i]; break;
+      case '--phase': options.phases.push(args[++i]); break;
+      case '--host': options.host = args[++i]; break;
+      case '--port': options.port = parseInt(args[++i]); break;
+      case '--user': options.user = args[++i]; break;
+      case '--password': options.password = args[++i]; break;
+      case '--zmq': options.zmq = args[++i]; break;
+      default:
+        throw new Error(`Unknown option: ${args[i]}`);
+    }
+  }
+
+  return options;
+};
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const fixture = await loadFixture(options.fixture);
+  const phases = options.phases.length > 0 ? options.phases : Object.keys(fixture.phases || {}).slice(0, 1);
+
+  const node = new MockRaptoreumd({
+    ...fixture.options,
+    host: options.host,
+    port: options.port,
+    user: options.user,
+    password: options.password
+  });
+
+  for (const phase of phases) {
+    if (!fixture.phases?.[phase]) {
+      throw new Error(`Fixture ${options.fixture} has no phase "${phase}"`);
+    }
+    node.run(fixture.phases[phase]);
+    console.log(`Played phase "${phase}": tip ${node.tip.height} (${node.tip.hash})`);
+  }
+
+  await node.start();
+  console.log(`Mock raptoreumd listening on ${node.host}:${node.port}`);
+
+  let publisher = null;
+  if (options.zmq) {
+    publisher = new MockZmqPublisher({ endpoint: options.zmq });
+    await publisher.start();
+    publisher.follow(node);
+    console.log(`Publishing ZMQ notifications on ${publisher.endpoint}`);
+  }
+
+  for (const [name, value] of Object.entries({ ...node.env(), ...publisher?.env() })) {
+    console.log(`  ${name}=${value}`);
+  }
+
+  const shutdown = async () => {
+    await publisher?.stop();
+    await node.stop();
+    process.exit(0);
+  };
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+}
+
+main().catch(error => {
+  console.error(`Error: ${error.message}`);
+  process.exit(1);
+});
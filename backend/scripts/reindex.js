@@ -0,0 +1,126 @@
+#!/usr/bin/env node
+
+/**
+ * Reindex
+ *
+ * Queues a reindex job for the sync daemon, or shows/cancels the current one.
+ * Same jobs as POST /api/v1/admin/reindex; replaces force-resync.js,
+ * resync-transfers.js and scripts/fix-subassets.js.
+ *
+ * Jobs are dry runs unless --apply is given: they only report differences.
+ *
+ * OPTIONS:
+ *   --target <name>    - blocks | transfers | futures | metadata | subassets | senders | smartnodes | supply
+ *   --from <height>    - First block height (required for blocks, transfers, futures, smartnodes, supply)
+ *   --to <height>      - Last block height (default: last synced block; not with --apply for blocks)
+ *   --source <source>  - stored (blocks we indexed, default) | node (node's best chain)
+ *   --apply            - Write the changes instead of only reporting them
+ *   --now              - Run the job in this process (only while the sync daemon is stopped)
+ *   --status           - Show the current or last job
+ *   --cancel           - Cancel the queued or running job
+ *
+ * EXAMPLES:
+ *   node scripts/reindex.js --target transfers --from 850000
+ *   node scripts/reindex.js --target subassets --apply
+ *   node scripts/reindex.js --target senders --apply
+ *   node scripts/reindex.js --target smartnodes --from 0 --source node --apply
+ *   node scripts/reindex.js --target supply --from 0 --apply
+ *   node scripts/reindex.js --target blocks --from 1000000 --apply
+ *   node scripts/reindex.js --status
+ */
+
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+// Get directory name for ES modules
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Load environment variables before the services read them
+dotenv.config({ path: path.resolve(__dirname, '../.env') });
+
+const parseArgs = (args) => {
+  const options = { apply: false, now: false, status: false, cancel: false };
+
+  for (let i = 0; i < args.length; i++) {
+    switch (args[i]) {
+      case '--target': options.target = args[++i]; break;
+      case '--from': options.fromHeight = parseInt(args[++i]); break;
+      case '--to': options.toHeight = parseInt(args[++i]); break;
+      case '--source': options.source = args[++i]; break;
+      case '--apply': options.apply = true; break;
+      case '--now': options.now = true; break;
+      case '--status': options.status = true; break;
+      case '--cancel': options.cancel = true; break;
+      default:
+        throw new Error(`Unknown option: ${args[i]}`);
+    }
+  }
+
+  return options;
+};
+
+const printJob = (job) => {
+  if (!job) {
+    console.log('No reindex job has been requested');
+    return;
+  }
+  console.log(JSON.stringify(job, null, 2));
+};
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+
+  const mongoUri = process.env.MONGODB_URI;
+  if (!mongoUri) {
+    throw new Error('MONGODB_URI not found in environment variables');
+  }
+  await mongoose.connect(mongoUri);
+
+  // Dynamic imports - loaded after dotenv.config() has run
+  const { default: reindexer } = await import('../src/services/reindexer.js');
+  const { transformReindexJob } = await import('../src/utils/transforms.js');
+
+  try {
+    if (options.status) {
+      printJob(transformReindexJob(await reindexer.getJob()));
+      return;
+    }
+
+    if (options.cancel) {
+      printJob(transformReindexJob(await reindexer.cancelJob()));
+      return;
+    }
+
+    if (!options.target) {
+      throw new Error('--target is required (blocks, transfers, futures, metadata, subassets, senders, smartnodes or supply)');
+    }
+
+    const state = await reindexer.requestJob({
+      target: options.target,
+      fromHeight: Number.isNaN(options.fromHeight) ? undefined : options.fromHeight,
+      toHeight: Number.isNaN(options.toHeight) ? undefined : options.toHeight,
+      source: options.source,
+      dryRun: !options.apply,
+      requestedBy: `cli:${process.env.USER || 'unknown'}`
+    });
+
+    if (!options.now) {
+      console.log('Queued; the sync daemon runs it before its next batch. Follow it with --status.');
+      printJob(transformReindexJob(state));
+      return;
+    }
+
+    await reindexer.runPending();
+    printJob(transformReindexJob(await reindexer.getJob()));
+  } finally {
+    await mongoose.disconnect();
+  }
+}
+
+main().catch(error => {
+  console.error(`Error: ${error.message}`);
+  process.exit(1);
+});
@@ -73,3 +73,24 @@ export const requireApiKey = (req, res, next) => {
   }
   next();
 };
+
+// Admin endpoints need an API key whose endpoints list grants 'admin'
+export const requireAdmin = (req, res, next) => {
+  if (!req.apiKey) {
+    return requireApiKey(req, res, next);
+  }
+
+  if (!req.apiKey.endpoints?.includes('admin')) {
+    return res.status(403).json({
+      success: false,
+      error: {
+        message: 'API key is not authorized for admin endpoints'
+      },
+      meta: {
+        timestamp: new Date().toISOString(),
+        requestId: req.id || 'unknown'
+      }
+    });
+  }
+  next();
+};
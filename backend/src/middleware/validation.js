@@ -19,6 +19,30 @@ export const schemas = {
   offset: z.coerce.number().int().min(0).default(0)
 };
 
+// Point-in-time queries take exactly one of ?height= or ?timestamp=
+export const asOfQuery = (shape) => z.object({
+  ...shape,
+  height: schemas.blockHeight.optional(),
+  timestamp: z.coerce.date().optional()
+}).refine(
+  (query) => (query.height === undefined) !== (query.timestamp === undefined),
+  { message: 'Provide either height or timestamp', path: ['height'] }
+);
+
+// Transaction lists filter by type, asset (ID or name) and an inclusive height range
+export const transactionListQuery = (shape) => z.object({
+  ...shape,
+  type: z.enum(['standard', 'asset_create', 'asset_transfer', 'asset_mint', 'asset_update', 'future']).optional(),
+  asset: z.string().min(1).optional(),
+  fromHeight: schemas.blockHeight.optional(),
+  toHeight: schemas.blockHeight.optional(),
+  limit: schemas.limit,
+  offset: schemas.offset
+}).refine(
+  (query) => query.fromHeight === undefined || query.toHeight === undefined || query.fromHeight <= query.toHeight,
+  { message: 'fromHeight must not be above toHeight', path: ['fromHeight'] }
+);
+
 export const validate = (schema) => {
   return (req, res, next) => {
     try {
@@ -33,6 +33,7 @@ const addressSchema = new mongoose.Schema({
   },
   assetBalances: [{
     assetId: String,
+    assetName: String,
     balance: Number,
     assets: [String],
     lastUpdated: Date
@@ -0,0 +1,49 @@
+import mongoose from 'mongoose';
+
+// One document per (address, transaction) with the RTM that moved in and out.
+// Backs address activity history and lets reorg rollbacks reverse balances.
+const addressActivitySchema = new mongoose.Schema({
+  address: {
+    type: String,
+    required: true,
+    index: true
+  },
+  txid: {
+    type: String,
+    required: true,
+    index: true
+  },
+  blockHeight: {
+    type: Number,
+    required: true,
+    index: true
+  },
+  timestamp: {
+    type: Date,
+    required: true
+  },
+  received: {
+    type: Number,
+    default: 0
+  },
+  sent: {
+    type: Number,
+    default: 0
+  },
+  balanceChange: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+// Unique index on address + txid
+addressActivitySchema.index({ address: 1, txid: 1 }, { unique: true });
+
+// Compound indexes for queries
+addressActivitySchema.index({ address: 1, blockHeight: -1 });
+
+const AddressActivity = mongoose.model('AddressActivity', addressActivitySchema);
+
+export default AddressActivity;
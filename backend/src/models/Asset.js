@@ -65,7 +65,26 @@ const assetSchema = new mongoose.Schema({
       display_type: String
     }],
     properties: mongoose.Schema.Types.Mixed,
-    rawMetadata: mongoose.Schema.Types.Mixed
+    rawMetadata: mongoose.Schema.Types.Mixed,
+    // What normalizing rawMetadata to the metadata schema changed or rejected
+    quality: {
+      schemaVersion: Number,
+      status: {
+        type: String,
+        enum: ['valid', 'normalized', 'invalid', 'empty']
+      },
+      warnings: {
+        type: [{
+          _id: false,
+          field: String,
+          code: String,
+          message: String,
+          fixed: Boolean
+        }],
+        // Assets without a report get none, rather than an empty list
+        default: undefined
+      }
+    }
   },
   ipfsHash: {
     type: String,
@@ -152,6 +171,26 @@ const assetSchema = new mongoose.Schema({
   },
   referenceHash: {
     type: String
+  },
+  // Asset management owner and distribution terms (set by NewAssetTx, changed by UpdateAssetTx)
+  ownerAddress: {
+    type: String,
+    index: true
+  },
+  distribution: {
+    type: { type: Number },
+    targetAddress: String,
+    issueFrequency: Number,
+    amount: Number
+  },
+  updateCount: {
+    type: Number,
+    default: 0
+  },
+  lastUpdate: {
+    txid: String,
+    blockHeight: Number,
+    timestamp: Date
   }
 }, {
   timestamps: true
@@ -165,6 +204,9 @@ assetSchema.index({ views: -1 });
 assetSchema.index({ featured: 1, createdAt: -1 });
 assetSchema.index({ parentAssetName: 1, createdAt: -1 });
 assetSchema.index({ isSubAsset: 1, parentAssetName: 1 });
+// Media the /media endpoint may serve
+assetSchema.index({ 'metadata.image': 1 }, { sparse: true });
+assetSchema.index({ 'metadata.animationUrl': 1 }, { sparse: true });
 
 // Text index for search
 assetSchema.index({
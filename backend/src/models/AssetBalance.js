@@ -0,0 +1,47 @@
+import mongoose from 'mongoose';
+
+// Current balance of one asset held by one address
+const assetBalanceSchema = new mongoose.Schema({
+  address: {
+    type: String,
+    required: true,
+    index: true
+  },
+  assetId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  assetName: {
+    type: String,
+    index: true
+  },
+  balance: {
+    type: Number,
+    default: 0
+  },
+  totalReceived: {
+    type: Number,
+    default: 0
+  },
+  totalSent: {
+    type: Number,
+    default: 0
+  },
+  firstReceivedHeight: Number,
+  lastActivityHeight: Number,
+  lastActivityAt: Date
+}, {
+  timestamps: true
+});
+
+// Unique index on address + assetId
+assetBalanceSchema.index({ address: 1, assetId: 1 }, { unique: true });
+
+// Compound indexes for holder queries
+assetBalanceSchema.index({ assetId: 1, balance: -1 });
+assetBalanceSchema.index({ address: 1, balance: -1 });
+
+const AssetBalance = mongoose.model('AssetBalance', assetBalanceSchema);
+
+export default AssetBalance;
@@ -0,0 +1,56 @@
+import mongoose from 'mongoose';
+
+// Net change of one asset for one address in one transaction.
+// Credits come from asset-carrying outputs, debits from inputs spending them.
+const assetLedgerEntrySchema = new mongoose.Schema({
+  txid: {
+    type: String,
+    required: true,
+    index: true
+  },
+  address: {
+    type: String,
+    required: true,
+    index: true
+  },
+  assetId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  assetName: String,
+  change: {
+    type: Number,
+    required: true
+  },
+  received: {
+    type: Number,
+    default: 0
+  },
+  sent: {
+    type: Number,
+    default: 0
+  },
+  blockHeight: {
+    type: Number,
+    required: true,
+    index: true
+  },
+  timestamp: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Unique index on txid + address + assetId
+assetLedgerEntrySchema.index({ txid: 1, address: 1, assetId: 1 }, { unique: true });
+
+// Compound indexes for history queries
+assetLedgerEntrySchema.index({ assetId: 1, blockHeight: -1 });
+assetLedgerEntrySchema.index({ address: 1, blockHeight: -1 });
+
+const AssetLedgerEntry = mongoose.model('AssetLedgerEntry', assetLedgerEntrySchema);
+
+export default AssetLedgerEntry;
@@ -0,0 +1,65 @@
+import mongoose from 'mongoose';
+
+// One document per UpdateAssetTx (type 9) applied to an asset.
+// `previous` is the asset's state before the update, so the full version
+// history can be rebuilt and orphaned updates reverted on a reorg.
+const assetMetadataHistorySchema = new mongoose.Schema({
+  assetId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  assetName: {
+    type: String,
+    index: true
+  },
+  txid: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  version: {
+    type: Number,
+    required: true
+  },
+  blockHeight: {
+    type: Number,
+    required: true,
+    index: true
+  },
+  timestamp: {
+    type: Date,
+    required: true
+  },
+  changes: [{
+    _id: false,
+    field: String,
+    from: mongoose.Schema.Types.Mixed,
+    to: mongoose.Schema.Types.Mixed
+  }],
+  previous: {
+    ownerAddress: String,
+    referenceHash: String,
+    updatable: Boolean,
+    maxMintCount: Number,
+    distribution: {
+      type: { type: Number },
+      targetAddress: String,
+      issueFrequency: Number,
+      amount: Number
+    },
+    metadata: mongoose.Schema.Types.Mixed,
+    ipfsHash: String,
+    ipfsVerified: Boolean,
+    ipfsLastChecked: Date
+  }
+}, {
+  timestamps: true
+});
+
+// Compound indexes for queries
+assetMetadataHistorySchema.index({ assetId: 1, version: 1 });
+
+const AssetMetadataHistory = mongoose.model('AssetMetadataHistory', assetMetadataHistorySchema);
+
+export default AssetMetadataHistory;
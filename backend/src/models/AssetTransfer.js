@@ -20,6 +20,14 @@ const assetTransferSchema = new mongoose.Schema({
     type: String,
     index: true
   },
+  // One entry per input that carried this asset (transfers only)
+  senders: [{
+    _id: false,
+    txid: String,
+    vout: Number,
+    address: String,
+    amount: Number
+  }],
   to: {
     type: String,
     required: true,
@@ -29,6 +37,9 @@ const assetTransferSchema = new mongoose.Schema({
     type: Number,
     required: true
   },
+  // Serial range moved, for unique assets sent as asset_id[n] or asset_id[n...m]
+  serialStart: Number,
+  serialEnd: Number,
   type: {
     type: String,
     enum: ['mint', 'transfer'],
@@ -59,6 +70,8 @@ assetTransferSchema.index({ from: 1, timestamp: -1 });
 assetTransferSchema.index({ to: 1, timestamp: -1 });
 assetTransferSchema.index({ assetName: 1, timestamp: -1 });
 assetTransferSchema.index({ type: 1, timestamp: -1 });
+assetTransferSchema.index({ assetId: 1, blockHeight: -1 });
+assetTransferSchema.index({ assetId: 1, serialStart: 1, serialEnd: 1 });
 
 const AssetTransfer = mongoose.model('AssetTransfer', assetTransferSchema);
 
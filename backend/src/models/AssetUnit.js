@@ -0,0 +1,41 @@
+import mongoose from 'mongoose';
+
+// One serial of a unique asset minted more than once (asset_id[n])
+const assetUnitSchema = new mongoose.Schema({
+  assetId: {
+    type: String,
+    required: true
+  },
+  assetName: {
+    type: String,
+    index: true
+  },
+  serial: {
+    type: Number,
+    required: true
+  },
+  owner: {
+    type: String,
+    index: true
+  },
+  mintTxid: String,
+  mintedHeight: Number,
+  mintedAt: Date,
+  lastTxid: String,
+  lastHeight: Number,
+  lastMovedAt: Date
+}, {
+  timestamps: true
+});
+
+// Unique index on assetId + serial
+assetUnitSchema.index({ assetId: 1, serial: 1 }, { unique: true });
+
+// Compound indexes for owner queries and reorg rollback
+assetUnitSchema.index({ assetId: 1, owner: 1, serial: 1 });
+assetUnitSchema.index({ owner: 1, assetId: 1 });
+assetUnitSchema.index({ lastHeight: 1 });
+
+const AssetUnit = mongoose.model('AssetUnit', assetUnitSchema);
+
+export default AssetUnit;
@@ -51,7 +51,13 @@ const auditLogSchema = new mongoose.Schema({
     index: true
   },
   success: Boolean,
-  errorMessage: String
+  errorMessage: String,
+  // Internal (non-HTTP) events such as chain reorganization rollbacks
+  action: {
+    type: String,
+    index: true
+  },
+  details: mongoose.Schema.Types.Mixed
 }, {
   timestamps: { createdAt: true, updatedAt: false }
 });
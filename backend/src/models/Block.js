@@ -56,6 +56,11 @@ const blockSchema = new mongoose.Schema({
   confirmations: {
     type: Number,
     default: 0
+  },
+  // Set once every step of processing the block has succeeded. Blocks stored
+  // before this field existed have none and count as processed.
+  processed: {
+    type: Boolean
   }
 }, {
   timestamps: true
@@ -0,0 +1,47 @@
+import mongoose from 'mongoose';
+
+// RTM a block's coinbase pays out, split by recipient, in satoshis.
+// minted = coinbase outputs - fees; payouts (miner + smartnode + devFund) = minted + fees.
+const blockEmissionSchema = new mongoose.Schema({
+  height: {
+    type: Number,
+    required: true,
+    unique: true
+  },
+  timestamp: {
+    type: Date,
+    required: true,
+    index: true
+  },
+  mintedSat: {
+    type: Number,
+    required: true
+  },
+  feesSat: {
+    type: Number,
+    default: 0
+  },
+  minerSat: {
+    type: Number,
+    default: 0
+  },
+  smartnodeSat: {
+    type: Number,
+    default: 0
+  },
+  devFundSat: {
+    type: Number,
+    default: 0
+  },
+  // Inputs whose value could not be resolved; fees (and so minted) are then estimates
+  unresolvedInputs: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+const BlockEmission = mongoose.model('BlockEmission', blockEmissionSchema);
+
+export default BlockEmission;
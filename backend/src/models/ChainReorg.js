@@ -0,0 +1,39 @@
+import mongoose from 'mongoose';
+
+// One chain reorganization rolled back by the sync daemon. Kept for good,
+// unlike audit log entries, which expire after 90 days.
+const chainReorgSchema = new mongoose.Schema({
+  detectedAt: {
+    type: Date,
+    required: true,
+    index: true
+  },
+  detectedAtHeight: {
+    type: Number,
+    required: true
+  },
+  commonAncestor: {
+    type: Number,
+    required: true
+  },
+  depth: {
+    type: Number,
+    required: true
+  },
+  orphanedBlocks: [{
+    _id: false,
+    height: Number,
+    hash: String
+  }],
+  // Assets whose creation was orphaned
+  assetIds: [String],
+  // Records undone per kind (blocksRemoved, transfersRemoved, ...)
+  removed: mongoose.Schema.Types.Mixed,
+  durationMs: Number
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+const ChainReorg = mongoose.model('ChainReorg', chainReorgSchema);
+
+export default ChainReorg;
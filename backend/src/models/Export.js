@@ -69,7 +69,9 @@ const exportSchema = new mongoose.Schema({
       court: String,
       purpose: String,
       requestingParty: String
-    }
+    },
+    asOfHeight: Number, // Provenance cutoff (inclusive)
+    asOfTimestamp: Date
   },
   
   // Results
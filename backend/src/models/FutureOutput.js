@@ -94,6 +94,9 @@ const futureOutputSchema = new mongoose.Schema({
   spentTxid: {
     type: String
   },
+  spentHeight: {
+    type: Number
+  },
   spentAt: {
     type: Date
   }
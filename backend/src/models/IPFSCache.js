@@ -0,0 +1,58 @@
+import mongoose from 'mongoose';
+
+// IPFS metadata fetched per CID, or the last failure to fetch it.
+// Failed CIDs are retried by the IPFS retry scheduler until marked unreachable.
+const ipfsCacheSchema = new mongoose.Schema({
+  hash: {
+    type: String,
+    required: true,
+    unique: true,
+    index: true
+  },
+  metadata: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  // Time of the last fetch, successful or not
+  fetchedAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastAccessedAt: {
+    type: Date,
+    default: Date.now
+  },
+  accessCount: {
+    type: Number,
+    default: 1
+  },
+  size: {
+    type: Number
+  },
+  status: {
+    type: String,
+    enum: ['success', 'error', 'timeout', 'unreachable'],
+    default: 'success',
+    index: true
+  },
+  errorMessage: String,
+  // Content checked against the CID: mismatched content is rejected, and
+  // unsupported means the CID's codec or hash function cannot be recomputed
+  verification: {
+    type: String,
+    enum: ['verified', 'mismatch', 'unsupported'],
+    default: null
+  },
+  // Failed fetches since the last success
+  attempts: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+// Index for cleanup of old cache entries
+ipfsCacheSchema.index({ lastAccessedAt: 1 });
+
+export default mongoose.model('IPFSCache', ipfsCacheSchema);
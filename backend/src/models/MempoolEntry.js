@@ -0,0 +1,55 @@
+import mongoose from 'mongoose';
+
+// An unconfirmed transaction carrying asset operations, decoded from the node's mempool.
+// Removed by the mempool watcher once the transaction confirms or is evicted.
+const mempoolEntrySchema = new mongoose.Schema({
+  txid: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  txType: {
+    type: Number,
+    default: 0
+  },
+  firstSeen: {
+    type: Date,
+    required: true,
+    index: true
+  },
+  size: {
+    type: Number,
+    default: 0
+  },
+  fee: {
+    type: Number,
+    default: 0
+  },
+  operations: [{
+    _id: false,
+    operation: {
+      type: String,
+      enum: ['create', 'mint', 'transfer', 'update']
+    },
+    assetId: String,
+    assetName: String,
+    amount: Number,
+    from: String,
+    to: String
+  }],
+  // Asset IDs and names, and addresses, the operations touch (for filtering)
+  assets: {
+    type: [String],
+    index: true
+  },
+  addresses: {
+    type: [String],
+    index: true
+  }
+}, {
+  timestamps: true
+});
+
+const MempoolEntry = mongoose.model('MempoolEntry', mempoolEntrySchema);
+
+export default MempoolEntry;
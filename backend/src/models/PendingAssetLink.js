@@ -0,0 +1,37 @@
+import mongoose from 'mongoose';
+
+// A sub-asset saved as UNKNOWN|child because its parent (rootId) was not indexed yet.
+// Removed by the sub-asset linker once the parent is known and the names are rewritten.
+const pendingAssetLinkSchema = new mongoose.Schema({
+  assetId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  rootId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  subAssetName: {
+    type: String,
+    required: true
+  },
+  createdBlockHeight: Number,
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now,
+    index: true
+  },
+  lastError: String
+}, {
+  timestamps: true
+});
+
+const PendingAssetLink = mongoose.model('PendingAssetLink', pendingAssetLinkSchema);
+
+export default PendingAssetLink;
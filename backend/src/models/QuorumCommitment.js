@@ -0,0 +1,44 @@
+import mongoose from 'mongoose';
+
+// A final LLMQ commitment mined in a quorum commitment transaction (type 6).
+// Null commitments (no signers) are not stored.
+const quorumCommitmentSchema = new mongoose.Schema({
+  txid: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  blockHeight: {
+    type: Number,
+    required: true,
+    index: true
+  },
+  timestamp: {
+    type: Date,
+    required: true
+  },
+  // Height the commitment was made for (qcTx.height)
+  quorumHeight: Number,
+  llmqType: {
+    type: Number,
+    required: true
+  },
+  quorumHash: {
+    type: String,
+    required: true
+  },
+  quorumIndex: Number,
+  signersCount: Number,
+  validMembersCount: Number,
+  quorumPublicKey: String
+}, {
+  timestamps: true
+});
+
+// Compound indexes for queries
+quorumCommitmentSchema.index({ llmqType: 1, blockHeight: -1 });
+quorumCommitmentSchema.index({ quorumHash: 1 });
+
+const QuorumCommitment = mongoose.model('QuorumCommitment', quorumCommitmentSchema);
+
+export default QuorumCommitment;
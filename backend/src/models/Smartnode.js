@@ -0,0 +1,73 @@
+import mongoose from 'mongoose';
+
+// Current state of one smartnode, keyed by its ProRegTx hash.
+// Derived from SmartnodeEvent: every field can be rebuilt by replaying the events.
+const smartnodeSchema = new mongoose.Schema({
+  proTxHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  status: {
+    type: String,
+    enum: ['active', 'revoked', 'removed'],
+    default: 'active',
+    index: true
+  },
+  collateralHash: {
+    type: String,
+    required: true
+  },
+  collateralIndex: {
+    type: Number,
+    required: true
+  },
+  // txid:vout of the collateral, for spotting when it is spent or reused
+  collateralOutpoint: {
+    type: String,
+    required: true,
+    index: true
+  },
+  collateralAddress: {
+    type: String,
+    index: true
+  },
+  collateralAmount: Number,
+  ownerAddress: {
+    type: String,
+    index: true
+  },
+  votingAddress: {
+    type: String,
+    index: true
+  },
+  payoutAddress: {
+    type: String,
+    index: true
+  },
+  operatorPayoutAddress: String,
+  pubKeyOperator: String,
+  operatorReward: Number,
+  service: String,
+  registeredHeight: {
+    type: Number,
+    required: true,
+    index: true
+  },
+  registeredAt: Date,
+  lastUpdatedHeight: {
+    type: Number,
+    index: true
+  },
+  lastUpdatedAt: Date,
+  revocationReason: Number,
+  revokedHeight: Number,
+  removedHeight: Number,
+  removedTxid: String
+}, {
+  timestamps: true
+});
+
+const Smartnode = mongoose.model('Smartnode', smartnodeSchema);
+
+export default Smartnode;
@@ -0,0 +1,47 @@
+import mongoose from 'mongoose';
+
+// One state change of a smartnode: a ProTx (types 1-4), the spend of its collateral,
+// or a newer ProRegTx that reuses the collateral (replaced).
+// `changes` holds the fields the event sets on the Smartnode document.
+const smartnodeEventSchema = new mongoose.Schema({
+  proTxHash: {
+    type: String,
+    required: true
+  },
+  txid: {
+    type: String,
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['register', 'update_service', 'update_registrar', 'revoke', 'collateral_spent', 'replaced'],
+    required: true
+  },
+  blockHeight: {
+    type: Number,
+    required: true,
+    index: true
+  },
+  // Position in the block, so events of one block replay in order
+  txIndex: {
+    type: Number,
+    default: 0
+  },
+  timestamp: {
+    type: Date,
+    required: true
+  },
+  changes: mongoose.Schema.Types.Mixed
+}, {
+  timestamps: true
+});
+
+// Unique index on proTxHash + txid
+smartnodeEventSchema.index({ proTxHash: 1, txid: 1 }, { unique: true });
+
+// Compound index for replaying a smartnode's history
+smartnodeEventSchema.index({ proTxHash: 1, blockHeight: 1, txIndex: 1 });
+
+const SmartnodeEvent = mongoose.model('SmartnodeEvent', smartnodeEventSchema);
+
+export default SmartnodeEvent;
@@ -5,7 +5,7 @@ const syncStateSchema = new mongoose.Schema({
     type: String,
     required: true,
     unique: true,
-    enum: ['blocks', 'assets', 'futures'],
+    enum: ['blocks', 'assets', 'futures', 'reindex'],
     index: true
   },
   currentBlock: {
@@ -36,6 +36,15 @@ const syncStateSchema = new mongoose.Schema({
   estimatedCompletion: {
     type: Date
   },
+  // Block fetch pipeline throughput, for tuning SYNC_CONCURRENT_BLOCKS / SYNC_PREFETCH_DEPTH
+  pipeline: {
+    concurrency: Number,
+    prefetchDepth: Number,
+    queueDepth: Number,
+    blocksPerSecond: Number,
+    averageFetchTime: Number,
+    averageProcessTime: Number
+  },
   status: {
     type: String,
     enum: ['syncing', 'synced', 'error', 'paused', 'not_started'],
@@ -48,6 +57,46 @@ const syncStateSchema = new mongoose.Schema({
   lastSyncedAt: {
     type: Date
   },
+  reorgCount: {
+    type: Number,
+    default: 0
+  },
+  lastReorg: {
+    detectedAt: Date,
+    detectedAtHeight: Number,
+    commonAncestor: Number,
+    depth: Number,
+    orphanedHashes: [String]
+  },
+  // Current or last reindex job (service: 'reindex'); progress uses the fields above
+  reindex: {
+    jobId: String,
+    target: {
+      type: String,
+      enum: ['blocks', 'transfers', 'metadata', 'subassets', 'futures', 'senders', 'smartnodes', 'supply']
+    },
+    source: {
+      type: String,
+      enum: ['stored', 'node']
+    },
+    fromHeight: Number,
+    toHeight: Number,
+    dryRun: Boolean,
+    status: {
+      type: String,
+      enum: ['queued', 'running', 'completed', 'failed', 'cancelled']
+    },
+    cancelRequested: Boolean,
+    requestedBy: String,
+    requestedAt: Date,
+    startedAt: Date,
+    finishedAt: Date,
+    // Assets to check, for targets that walk the Asset collection instead of blocks
+    total: Number,
+    summary: mongoose.Schema.Types.Mixed,
+    // First differences found (the summary has the full counts)
+    diffs: [mongoose.Schema.Types.Mixed]
+  },
   updatedAt: {
     type: Date,
     default: Date.now
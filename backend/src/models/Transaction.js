@@ -45,8 +45,15 @@ const transactionSchema = new mongoose.Schema({
     address: String,
     amount: Number,
     scriptPubKey: String,
+    asset: {
+      assetId: String,
+      assetName: String,
+      amount: Number
+    },
     spent: { type: Boolean, default: false },
     spentTxid: String,
+    spentVin: Number,
+    spentHeight: Number,
     spentAt: Date
   }],
   type: {
@@ -84,6 +91,14 @@ transactionSchema.index({ 'inputs.address': 1, timestamp: -1 });
 transactionSchema.index({ type: 1, timestamp: -1 });
 transactionSchema.index({ 'assetData.assetId': 1 });
 
+// Transaction lists sort newest block first (_id orders a block's transactions)
+transactionSchema.index({ blockHeight: -1, _id: -1 });
+transactionSchema.index({ 'outputs.address': 1, blockHeight: -1, _id: -1 });
+transactionSchema.index({ 'inputs.address': 1, blockHeight: -1, _id: -1 });
+transactionSchema.index({ type: 1, blockHeight: -1, _id: -1 });
+transactionSchema.index({ 'outputs.spentHeight': 1 }, { sparse: true });
+transactionSchema.index({ 'outputs.asset.assetName': 1 }, { sparse: true });
+
 const Transaction = mongoose.model('Transaction', transactionSchema);
 
 export default Transaction;
@@ -2,9 +2,13 @@ import express from 'express';
 import { z } from 'zod';
 import Address from '../models/Address.js';
 import Asset from '../models/Asset.js';
-import { validate, schemas } from '../middleware/validation.js';
+import AssetBalance from '../models/AssetBalance.js';
+import AddressActivity from '../models/AddressActivity.js';
+import ownershipHistory from '../services/ownershipHistory.js';
+import transactionHistory from '../services/transactionHistory.js';
+import { validate, schemas, asOfQuery, transactionListQuery } from '../middleware/validation.js';
 import { cacheMiddleware } from '../middleware/cache.js';
-import { transformAsset } from '../utils/transforms.js';
+import { transformAsset, transformAddress } from '../utils/transforms.js';
 
 const router = express.Router();
 
@@ -18,42 +22,24 @@ router.get('/:address',
     try {
       const { address } = req.validated;
 
-      let addressDoc = await Address.findOne({ address });
+      const addressDoc = await Address.findOne({ address });
 
-      // If no Address document exists, check if the address owns any assets
       if (!addressDoc) {
-        const ownedAssets = await Asset.countDocuments({ currentOwner: address });
-        const createdAssets = await Asset.countDocuments({ creator: address });
-
-        // If the address owns or created assets, create a basic address document
-        if (ownedAssets > 0 || createdAssets > 0) {
-          addressDoc = {
-            address,
-            balance: 0,
-            totalReceived: 0,
-            totalSent: 0,
-            transactionCount: 0,
-            assetBalances: [],
-            assetsOwned: ownedAssets,
-            assetsCreated: createdAssets
-          };
-        } else {
-          return res.status(404).json({
-            success: false,
-            error: {
-              message: 'Address not found or has no activity'
-            },
-            meta: {
-              timestamp: new Date().toISOString(),
-              requestId: req.id || 'req_' + Date.now()
-            }
-          });
-        }
+        return res.status(404).json({
+          success: false,
+          error: {
+            message: 'Address not found or has no activity'
+          },
+          meta: {
+            timestamp: new Date().toISOString(),
+            requestId: req.id || 'req_' + Date.now()
+          }
+        });
       }
 
       res.json({
         success: true,
-        data: addressDoc.toObject ? addressDoc.toObject() : addressDoc,
+        data: transformAddress(addressDoc),
         meta: {
           timestamp: new Date().toISOString(),
           requestId: req.id || 'req_' + Date.now(),
@@ -79,7 +65,16 @@ router.get('/:address/assets',
     try {
       const { address, limit, offset, type } = req.validated;
 
-      const filter = { $or: [{ currentOwner: address }, { creator: address }] };
+      // Include every asset the address holds a ledger balance of, not only the latest owner
+      const heldAssetIds = await AssetBalance.distinct('assetId', { address, balance: { $gt: 0 } });
+
+      const filter = {
+        $or: [
+          { currentOwner: address },
+          { creator: address },
+          { assetId: { $in: heldAssetIds } }
+        ]
+      };
       if (type) filter.type = type;
 
       const assets = await Asset.find(filter)
@@ -115,4 +110,97 @@ router.get('/:address/assets',
   }
 );
 
+// GET /api/addresses/:address/transactions - Transactions involving an address, newest first, with its RTM change
+router.get('/:address/transactions',
+  cacheMiddleware(30),
+  validate(transactionListQuery({
+    address: schemas.raptoreumAddress
+  })),
+  async (req, res, next) => {
+    try {
+      const { address, limit, offset } = req.validated;
+
+      const { transactions, total } = await transactionHistory.list(req.validated);
+      const activity = await AddressActivity.find({ address, txid: { $in: transactions.map(tx => tx.txid) } })
+        .select('txid received sent balanceChange')
+        .lean();
+      const activityByTxid = new Map(activity.map(entry => [entry.txid, entry]));
+
+      const page = Math.floor(offset / limit) + 1;
+      const pages = Math.ceil(total / limit);
+
+      res.json({
+        success: true,
+        data: transactions.map(tx => ({
+          ...tx,
+          received: activityByTxid.get(tx.txid)?.received ?? 0,
+          sent: activityByTxid.get(tx.txid)?.sent ?? 0,
+          balanceChange: activityByTxid.get(tx.txid)?.balanceChange ?? 0
+        })),
+        pagination: {
+          page,
+          limit,
+          offset,
+          total,
+          pages,
+          hasNext: offset + limit < total,
+          hasPrev: offset > 0
+        },
+        meta: {
+          timestamp: new Date().toISOString(),
+          requestId: req.id || 'req_' + Date.now(),
+          dataSource: 'database'
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// GET /api/addresses/:address/holdings - Asset balances of an address as of a block height or timestamp
+router.get('/:address/holdings',
+  cacheMiddleware(60),
+  validate(asOfQuery({
+    address: schemas.raptoreumAddress,
+    limit: schemas.limit,
+    offset: schemas.offset
+  })),
+  async (req, res, next) => {
+    try {
+      const { address, height, timestamp, limit, offset } = req.validated;
+
+      const asOf = await ownershipHistory.resolveCutoff({ height, timestamp });
+      const { holdings, total } = await ownershipHistory.getHoldingsAt(address, asOf, { limit, offset });
+      const page = Math.floor(offset / limit) + 1;
+      const pages = Math.ceil(total / limit);
+
+      res.json({
+        success: true,
+        data: {
+          address,
+          asOf,
+          holdings
+        },
+        pagination: {
+          page,
+          limit,
+          offset,
+          total,
+          pages,
+          hasNext: offset + limit < total,
+          hasPrev: offset > 0
+        },
+        meta: {
+          timestamp: new Date().toISOString(),
+          requestId: req.id || 'req_' + Date.now(),
+          dataSource: 'database'
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
 export default router;
@@ -0,0 +1,110 @@
+import express from 'express';
+import { z } from 'zod';
+import reindexer, { REINDEX_TARGETS } from '../services/reindexer.js';
+import ipfsRetryScheduler from '../services/ipfsRetryScheduler.js';
+import { requireAdmin } from '../middleware/auth.js';
+import { validate, schemas } from '../middleware/validation.js';
+import { logger } from '../utils/logger.js';
+import { transformReindexJob } from '../utils/transforms.js';
+
+const router = express.Router();
+
+// Every admin endpoint needs an API key granted 'admin'
+router.use(requireAdmin);
+
+const respond = (req, res, state, status = 200) => {
+  res.status(status).json({
+    success: true,
+    data: transformReindexJob(state),
+    meta: {
+      timestamp: new Date().toISOString(),
+      requestId: req.id || 'req_' + Date.now(),
+      dataSource: 'database'
+    }
+  });
+};
+
+// GET /api/admin/reindex - Current or last reindex job with progress and differences found
+router.get('/reindex', async (req, res, next) => {
+  try {
+    respond(req, res, await reindexer.getJob());
+  } catch (error) {
+    logger.error('Error fetching reindex job:', error);
+    next(error);
+  }
+});
+
+// POST /api/admin/reindex - Queue a reindex job (dry run unless dryRun is false)
+router.post('/reindex',
+  validate(z.object({
+    target: z.enum(REINDEX_TARGETS),
+    fromHeight: schemas.blockHeight.optional(),
+    toHeight: schemas.blockHeight.optional(),
+    source: z.enum(['stored', 'node']).default('stored'),
+    dryRun: z.boolean().default(true)
+  }).refine(
+    (body) => body.target !== 'blocks' || body.dryRun || body.toHeight === undefined,
+    { message: 'Applying a blocks job rebuilds everything from fromHeight up; toHeight only limits dry runs', path: ['toHeight'] }
+  )),
+  async (req, res, next) => {
+    try {
+      const state = await reindexer.requestJob({
+        ...req.validated,
+        requestedBy: req.apiKey.name || req.apiKey.keyPrefix
+      });
+      logger.warn(`[ADMIN] Reindex requested by ${req.apiKey.keyPrefix}: ${JSON.stringify(req.validated)}`);
+      respond(req, res, state, 202);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// DELETE /api/admin/reindex - Cancel the queued or running reindex job
+router.delete('/reindex', async (req, res, next) => {
+  try {
+    const state = await reindexer.cancelJob();
+    logger.warn(`[ADMIN] Reindex ${state.reindex.jobId} cancelled by ${req.apiKey.keyPrefix}`);
+    respond(req, res, state);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/admin/ipfs/retries - Metadata retry queue depth and CIDs given up on as unreachable
+router.get('/ipfs/retries',
+  validate(z.object({
+    limit: schemas.limit,
+    offset: schemas.offset
+  })),
+  async (req, res, next) => {
+    try {
+      const { limit, offset } = req.validated;
+      const { unreachableTotal: total, ...status } = await ipfsRetryScheduler.getStatus({ limit, offset });
+
+      res.json({
+        success: true,
+        data: status,
+        pagination: {
+          page: Math.floor(offset / limit) + 1,
+          limit,
+          offset,
+          total,
+          pages: Math.ceil(total / limit),
+          hasNext: offset + limit < total,
+          hasPrev: offset > 0
+        },
+        meta: {
+          timestamp: new Date().toISOString(),
+          requestId: req.id || 'req_' + Date.now(),
+          dataSource: 'database'
+        }
+      });
+    } catch (error) {
+      logger.error('Error fetching IPFS retry status:', error);
+      next(error);
+    }
+  }
+);
+
+export default router;
@@ -2,11 +2,16 @@ import express from 'express';
 import { z } from 'zod';
 import Asset from '../models/Asset.js';
 import AssetTransfer from '../models/AssetTransfer.js';
+import AssetMetadataHistory from '../models/AssetMetadataHistory.js';
 import blockchainService from '../services/blockchain.js';
-import { validate, schemas } from '../middleware/validation.js';
+import assetLedger from '../services/assetLedger.js';
+import ownershipHistory from '../services/ownershipHistory.js';
+import assetUnits from '../services/assetUnits.js';
+import assetTree from '../services/assetTree.js';
+import { validate, schemas, asOfQuery } from '../middleware/validation.js';
 import { cacheMiddleware } from '../middleware/cache.js';
 import { logger } from '../utils/logger.js';
-import { transformAsset, transformAssetTransfer } from '../utils/transforms.js';
+import { transformAsset, transformAssetTransfer, transformAssetUnit, transformAssetVersion } from '../utils/transforms.js';
 
 const router = express.Router();
 
@@ -63,6 +68,40 @@ router.get('/',
   }
 );
 
+// GET /api/assets/by-parent/:parentName - Get assets by parent name
+// Registered before the /:assetId routes: routing ignores case, so /:assetId/tree
+// would otherwise answer /by-parent/TREE (and likewise holders, owner, units, history)
+router.get('/by-parent/:parentName',
+  cacheMiddleware(60),
+  async (req, res, next) => {
+    try {
+      // Note: Asset names in Raptoreum are case-insensitive and stored in uppercase
+      const parentName = req.params.parentName.toUpperCase();
+      
+      const parent = await Asset.findOne({ name: parentName, isSubAsset: false });
+      const subAssets = await Asset.find({
+        parentAssetName: parentName,
+        isSubAsset: true
+      }).sort({ createdAt: -1 });
+      
+      res.json({
+        success: true,
+        data: {
+          parent: parent ? transformAsset(parent) : null,
+          subAssets: subAssets.map(transformAsset),
+          total: subAssets.length
+        },
+        meta: {
+          timestamp: new Date().toISOString(),
+          requestId: req.id || 'req_' + Date.now()
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
 // GET /api/assets/:assetId - Get asset by ID
 router.get('/:assetId',
   cacheMiddleware(300),
@@ -180,30 +219,362 @@ router.get('/:assetId/subassets',
   }
 );
 
-// GET /api/assets/by-parent/:parentName - Get assets by parent name
-router.get('/by-parent/:parentName',
+// GET /api/assets/:assetId/tree - Descendant hierarchy of an asset
+// Nodes with hasMoreChildren can be expanded by requesting their own tree,
+// with an offset for children past the first childLimit
+router.get('/:assetId/tree',
   cacheMiddleware(60),
+  validate(z.object({
+    assetId: z.string().min(1),
+    depth: z.coerce.number().int().min(1).max(5).default(2),
+    childLimit: z.coerce.number().int().min(1).max(200).default(50),
+    offset: schemas.offset
+  })),
   async (req, res, next) => {
     try {
-      // Note: Asset names in Raptoreum are case-insensitive and stored in uppercase
-      const parentName = req.params.parentName.toUpperCase();
-      
-      const parent = await Asset.findOne({ name: parentName, isSubAsset: false });
-      const subAssets = await Asset.find({
-        parentAssetName: parentName,
-        isSubAsset: true
-      }).sort({ createdAt: -1 });
-      
+      const { assetId, depth, childLimit, offset } = req.validated;
+
+      // Accept either the asset ID hash or the asset name
+      const asset = await Asset.findOne({
+        $or: [{ assetId }, { name: assetId }]
+      }).lean();
+
+      if (!asset) {
+        return res.status(404).json({
+          success: false,
+          error: { message: 'Asset not found' },
+          meta: {
+            timestamp: new Date().toISOString(),
+            requestId: req.id || 'req_' + Date.now()
+          }
+        });
+      }
+
+      const { tree, nodeCount, truncated } = await assetTree.getTree(asset, { depth, childLimit, offset });
+
+      res.json({
+        success: true,
+        data: tree,
+        meta: {
+          timestamp: new Date().toISOString(),
+          requestId: req.id || 'req_' + Date.now(),
+          dataSource: 'database',
+          depth,
+          childLimit,
+          offset,
+          nodeCount,
+          truncated
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// GET /api/assets/:assetId/holders - Get addresses holding an asset with their share
+router.get('/:assetId/holders',
+  cacheMiddleware(60),
+  validate(z.object({
+    assetId: z.string().min(1),
+    limit: schemas.limit,
+    offset: schemas.offset
+  })),
+  async (req, res, next) => {
+    try {
+      const { assetId, limit, offset } = req.validated;
+
+      // Accept either the asset ID hash or the asset name
+      const asset = await Asset.findOne({
+        $or: [{ assetId }, { name: assetId }]
+      }).select('assetId name type circulatingSupply');
+
+      if (!asset) {
+        return res.status(404).json({
+          success: false,
+          error: { message: 'Asset not found' },
+          meta: {
+            timestamp: new Date().toISOString(),
+            requestId: req.id || 'req_' + Date.now()
+          }
+        });
+      }
+
+      const { holders, total, heldSupply } = await assetLedger.getHolders(asset.assetId, { limit, offset });
+      const page = Math.floor(offset / limit) + 1;
+      const pages = Math.ceil(total / limit);
+
       res.json({
         success: true,
         data: {
-          parent: parent ? transformAsset(parent) : null,
-          subAssets: subAssets.map(transformAsset),
-          total: subAssets.length
+          assetId: asset.assetId,
+          assetName: asset.name,
+          type: asset.type === 'non-fungible' ? 'nft' : 'fungible',
+          heldSupply,
+          circulatingSupply: asset.circulatingSupply ?? 0,
+          holders
+        },
+        pagination: {
+          page,
+          limit,
+          offset,
+          total,
+          pages,
+          hasNext: offset + limit < total,
+          hasPrev: offset > 0
         },
         meta: {
           timestamp: new Date().toISOString(),
-          requestId: req.id || 'req_' + Date.now()
+          requestId: req.id || 'req_' + Date.now(),
+          dataSource: 'database'
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// GET /api/assets/:assetId/owner - Owner and holders of an asset as of a block height or timestamp
+router.get('/:assetId/owner',
+  cacheMiddleware(60),
+  validate(asOfQuery({
+    assetId: z.string().min(1),
+    limit: schemas.limit,
+    offset: schemas.offset
+  })),
+  async (req, res, next) => {
+    try {
+      const { assetId, height, timestamp, limit, offset } = req.validated;
+
+      // Accept either the asset ID hash or the asset name
+      const asset = await Asset.findOne({
+        $or: [{ assetId }, { name: assetId }]
+      }).select('assetId name type creator createdBlockHeight');
+
+      if (!asset) {
+        return res.status(404).json({
+          success: false,
+          error: { message: 'Asset not found' },
+          meta: {
+            timestamp: new Date().toISOString(),
+            requestId: req.id || 'req_' + Date.now()
+          }
+        });
+      }
+
+      const asOf = await ownershipHistory.resolveCutoff({ height, timestamp });
+      const { total, ...ownership } = await ownershipHistory.getOwnershipAt(asset, asOf, { limit, offset });
+      const page = Math.floor(offset / limit) + 1;
+      const pages = Math.ceil(total / limit);
+
+      res.json({
+        success: true,
+        data: {
+          assetId: asset.assetId,
+          assetName: asset.name,
+          type: asset.type === 'non-fungible' ? 'nft' : 'fungible',
+          asOf,
+          ...ownership
+        },
+        pagination: {
+          page,
+          limit,
+          offset,
+          total,
+          pages,
+          hasNext: offset + limit < total,
+          hasPrev: offset > 0
+        },
+        meta: {
+          timestamp: new Date().toISOString(),
+          requestId: req.id || 'req_' + Date.now(),
+          dataSource: 'database'
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// GET /api/assets/:assetId/units - Serials of a unique asset and their owners
+router.get('/:assetId/units',
+  cacheMiddleware(60),
+  validate(z.object({
+    assetId: z.string().min(1),
+    owner: schemas.raptoreumAddress.optional(),
+    limit: schemas.limit,
+    offset: schemas.offset
+  })),
+  async (req, res, next) => {
+    try {
+      const { assetId, owner, limit, offset } = req.validated;
+
+      // Accept either the asset ID hash or the asset name
+      const asset = await Asset.findOne({
+        $or: [{ assetId }, { name: assetId }]
+      }).select('assetId name isUnique maxMintCount');
+
+      if (!asset) {
+        return res.status(404).json({
+          success: false,
+          error: { message: 'Asset not found' },
+          meta: {
+            timestamp: new Date().toISOString(),
+            requestId: req.id || 'req_' + Date.now()
+          }
+        });
+      }
+
+      const { units, total } = await assetUnits.listUnits(asset.assetId, { owner, limit, offset });
+      const page = Math.floor(offset / limit) + 1;
+      const pages = Math.ceil(total / limit);
+
+      res.json({
+        success: true,
+        data: units.map(transformAssetUnit),
+        pagination: {
+          page,
+          limit,
+          offset,
+          total,
+          pages,
+          hasNext: offset + limit < total,
+          hasPrev: offset > 0
+        },
+        meta: {
+          timestamp: new Date().toISOString(),
+          requestId: req.id || 'req_' + Date.now(),
+          dataSource: 'database'
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// GET /api/assets/:assetId/units/:serial - One serial with its owner and transfer history
+router.get('/:assetId/units/:serial',
+  cacheMiddleware(60),
+  validate(z.object({
+    assetId: z.string().min(1),
+    serial: z.coerce.number().int().min(0)
+  })),
+  async (req, res, next) => {
+    try {
+      const { assetId, serial } = req.validated;
+
+      const asset = await Asset.findOne({
+        $or: [{ assetId }, { name: assetId }]
+      }).select('assetId');
+      const result = asset && await assetUnits.getUnit(asset.assetId, serial);
+
+      if (!result) {
+        return res.status(404).json({
+          success: false,
+          error: { message: asset ? `Serial ${serial} not found` : 'Asset not found' },
+          meta: {
+            timestamp: new Date().toISOString(),
+            requestId: req.id || 'req_' + Date.now()
+          }
+        });
+      }
+
+      res.json({
+        success: true,
+        data: {
+          ...transformAssetUnit(result.unit),
+          history: result.history.map(transformAssetTransfer)
+        },
+        meta: {
+          timestamp: new Date().toISOString(),
+          requestId: req.id || 'req_' + Date.now(),
+          dataSource: 'database'
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// GET /api/assets/:assetId/history - Get metadata versions of an asset, newest first
+router.get('/:assetId/history',
+  cacheMiddleware(60),
+  validate(z.object({
+    assetId: z.string().min(1),
+    limit: schemas.limit,
+    offset: schemas.offset
+  })),
+  async (req, res, next) => {
+    try {
+      const { assetId, limit, offset } = req.validated;
+
+      // Accept either the asset ID hash or the asset name
+      const asset = await Asset.findOne({
+        $or: [{ assetId }, { name: assetId }]
+      }).lean();
+
+      if (!asset) {
+        return res.status(404).json({
+          success: false,
+          error: { message: 'Asset not found' },
+          meta: {
+            timestamp: new Date().toISOString(),
+            requestId: req.id || 'req_' + Date.now()
+          }
+        });
+      }
+
+      const updates = await AssetMetadataHistory.find({ assetId: asset.assetId })
+        .sort({ version: 1 })
+        .lean();
+
+      // Version 0 is the creation; each update's `previous` is the state of the version before it
+      const versions = [
+        {
+          version: 0,
+          txid: asset.createdTxid,
+          blockHeight: asset.createdBlockHeight,
+          timestamp: asset.createdAt,
+          changes: []
+        },
+        ...updates
+      ].map((update, index) => {
+        const next = updates[index];
+        return next
+          ? transformAssetVersion(update, next.previous)
+          : transformAssetVersion(update, asset, true);
+      }).reverse();
+
+      const total = versions.length;
+      const page = Math.floor(offset / limit) + 1;
+      const pages = Math.ceil(total / limit);
+
+      res.json({
+        success: true,
+        data: {
+          assetId: asset.assetId,
+          assetName: asset.name,
+          updatable: asset.updatable ?? false,
+          updateCount: updates.length,
+          versions: versions.slice(offset, offset + limit)
+        },
+        pagination: {
+          page,
+          limit,
+          offset,
+          total,
+          pages,
+          hasNext: offset + limit < total,
+          hasPrev: offset > 0
+        },
+        meta: {
+          timestamp: new Date().toISOString(),
+          requestId: req.id || 'req_' + Date.now(),
+          dataSource: 'database'
         }
       });
     } catch (error) {
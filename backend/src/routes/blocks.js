@@ -1,12 +1,30 @@
 import express from 'express';
 import { z } from 'zod';
 import Block from '../models/Block.js';
+import Transaction from '../models/Transaction.js';
 import blockchainService from '../services/blockchain.js';
+import supplyTracker from '../services/supplyTracker.js';
+import transactionHistory from '../services/transactionHistory.js';
 import { validate, schemas } from '../middleware/validation.js';
 import { cacheMiddleware } from '../middleware/cache.js';
 
 const router = express.Router();
 
+// Blocks are addressed by hash or by height
+const blockId = z.union([schemas.blockHash, schemas.blockHeight]);
+const blockFilter = (id) => (typeof id === 'number' ? { height: id } : { hash: id.toLowerCase() });
+
+const blockNotFound = (req, res) => res.status(404).json({
+  success: false,
+  error: {
+    message: 'Block not found'
+  },
+  meta: {
+    timestamp: new Date().toISOString(),
+    requestId: req.id || 'req_' + Date.now()
+  }
+});
+
 // GET /api/blocks - List recent blocks
 router.get('/', 
   cacheMiddleware(60),
@@ -48,23 +66,23 @@ router.get('/',
   }
 );
 
-// GET /api/blocks/:height - Get block by height
-router.get('/:height',
-  cacheMiddleware(300),
+// GET /api/blocks/:id - Get block by height or hash, with navigation and coinbase breakdown
+router.get('/:id',
+  cacheMiddleware(60),
   validate(z.object({
-    height: schemas.blockHeight
+    id: blockId
   })),
   async (req, res, next) => {
     try {
-      const { height } = req.validated;
+      const { id } = req.validated;
 
       // Try to get from database first
-      let block = await Block.findOne({ height });
+      const block = await Block.findOne(blockFilter(id)).lean();
 
       // If not in database, try blockchain
       if (!block) {
         try {
-          const blockHash = await blockchainService.getBlockHash(height);
+          const blockHash = typeof id === 'number' ? await blockchainService.getBlockHash(id) : id;
           const blockData = await blockchainService.getBlock(blockHash);
           
           // Return blockchain data (we could also store it here)
@@ -78,22 +96,26 @@ router.get('/:height',
             }
           });
         } catch (error) {
-          return res.status(404).json({
-            success: false,
-            error: {
-              message: 'Block not found'
-            },
-            meta: {
-              timestamp: new Date().toISOString(),
-              requestId: req.id || 'req_' + Date.now()
-            }
-          });
+          return blockNotFound(req, res);
         }
       }
 
+      const [nextBlock, tip, coinbaseTx] = await Promise.all([
+        Block.findOne({ height: block.height + 1 }).select('hash').lean(),
+        Block.findOne().sort({ height: -1 }).select('height').lean(),
+        block.transactions?.length > 0
+          ? Transaction.findOne({ txid: block.transactions[0] }).select('txid outputs').lean()
+          : null
+      ]);
+
       res.json({
         success: true,
-        data: block,
+        data: {
+          ...block,
+          nextHash: nextBlock?.hash || null,
+          confirmations: tip ? tip.height - block.height + 1 : block.confirmations,
+          coinbase: coinbaseTx ? await supplyTracker.describeCoinbase(block.height, coinbaseTx) : null
+        },
         meta: {
           timestamp: new Date().toISOString(),
           requestId: req.id || 'req_' + Date.now(),
@@ -106,4 +128,63 @@ router.get('/:height',
   }
 );
 
+// GET /api/blocks/:id/transactions - Block transactions in block order, with asset operations
+router.get('/:id/transactions',
+  cacheMiddleware(60),
+  validate(z.object({
+    id: blockId,
+    limit: schemas.limit,
+    offset: schemas.offset
+  })),
+  async (req, res, next) => {
+    try {
+      const { id, limit, offset } = req.validated;
+
+      const block = await Block.findOne(blockFilter(id))
+        .select('height hash transactionCount transactions')
+        .slice('transactions', [offset, limit])
+        .lean();
+      if (!block) {
+        return blockNotFound(req, res);
+      }
+
+      const txids = block.transactions || [];
+      const transactions = await Transaction.find({ txid: { $in: txids } })
+        .select('txid type size fee inputs outputs assetData')
+        .lean();
+
+      // Summaries in block order; transactions not stored yet show as bare txids
+      const transactionsByTxid = new Map(transactions.map(tx => [tx.txid, tx]));
+      const summaries = await transactionHistory.summarize(txids.map(txid => transactionsByTxid.get(txid) || { txid }));
+
+      const total = block.transactionCount;
+      const page = Math.floor(offset / limit) + 1;
+      const pages = Math.ceil(total / limit);
+
+      res.json({
+        success: true,
+        data: summaries.map((summary, i) => ({ index: offset + i, ...summary })),
+        pagination: {
+          page,
+          limit,
+          offset,
+          total,
+          pages,
+          hasNext: offset + limit < total,
+          hasPrev: offset > 0
+        },
+        meta: {
+          timestamp: new Date().toISOString(),
+          requestId: req.id || 'req_' + Date.now(),
+          dataSource: 'database',
+          height: block.height,
+          hash: block.hash
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
 export default router;
@@ -0,0 +1,101 @@
+import express from 'express';
+import { z } from 'zod';
+import eventBus from '../services/eventBus.js';
+import { validate } from '../middleware/validation.js';
+import { logger } from '../utils/logger.js';
+
+const router = express.Router();
+
+const EVENT_TYPES = [
+  'block',
+  'asset_created',
+  'asset_minted',
+  'asset_transferred',
+  'asset_updated',
+  'future_unlocked',
+  'reorg'
+];
+
+// Comment line sent periodically so proxies keep the connection open
+const HEARTBEAT_INTERVAL_MS = 25000;
+
+const commaList = (item = z.string()) => z.string()
+  .transform(value => value.split(',').map(entry => entry.trim()).filter(Boolean))
+  .pipe(z.array(item))
+  .optional();
+
+/**
+ * Check whether an event matches a subscriber's filters
+ * Reorgs are delivered to everyone since they can invalidate any data already shown
+ */
+const matchesFilter = (event, { types, assets, addresses }) => {
+  if (event.type === 'reorg') return true;
+  if (types && !types.includes(event.type)) return false;
+
+  if (!assets && !addresses) return true;
+
+  // Asset names are stored uppercase, IDs are lowercase hex
+  const assetMatch = assets?.some(asset =>
+    event.assets?.some(eventAsset => eventAsset.toUpperCase() === asset.toUpperCase())
+  );
+  const addressMatch = addresses?.some(address => event.addresses?.includes(address));
+  return !!(assetMatch || addressMatch);
+};
+
+// GET /api/events - Server-Sent Events stream of new blocks and asset activity
+router.get('/',
+  validate(z.object({
+    types: commaList(z.enum(EVENT_TYPES)),
+    asset: commaList(),
+    address: commaList()
+  })),
+  (req, res) => {
+    const filter = {
+      types: req.validated.types?.length ? req.validated.types : null,
+      assets: req.validated.asset?.length ? req.validated.asset : null,
+      addresses: req.validated.address?.length ? req.validated.address : null
+    };
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    const send = (event) => {
+      if (!matchesFilter(event, filter)) return;
+
+      res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+      // Push through the compression middleware immediately
+      res.flush?.();
+    };
+
+    res.write('retry: 5000\n\n');
+
+    // Replay what a reconnecting client missed
+    const lastEventId = req.get('Last-Event-ID');
+    if (lastEventId) {
+      eventBus.getEventsSince(lastEventId).forEach(send);
+    }
+
+    const unsubscribe = eventBus.subscribe(send);
+    const removeCloseListener = eventBus.onClose(() => res.end());
+    const heartbeat = setInterval(() => {
+      res.write(': heartbeat\n\n');
+      res.flush?.();
+    }, HEARTBEAT_INTERVAL_MS);
+
+    logger.debug(`[EVENTS] Client subscribed (${req.id}): ${JSON.stringify(filter)}`);
+
+    req.on('close', () => {
+      clearInterval(heartbeat);
+      unsubscribe();
+      removeCloseListener();
+      logger.debug(`[EVENTS] Client disconnected (${req.id})`);
+    });
+  }
+);
+
+export default router;
@@ -31,7 +31,10 @@ const requestExportSchema = z.object({
     court: z.string().optional(),
     purpose: z.string().optional(),
     requestingParty: z.string().optional()
-  }).optional()
+  }).optional(),
+  // Provenance only: stop the ownership chain at a block height or timestamp
+  asOfHeight: z.number().int().min(0).optional(),
+  asOfTimestamp: z.coerce.date().optional()
 }).refine(data => {
   // Validate that required fields for each type are present
   if (data.type === 'asset' || data.type === 'provenance') {
@@ -49,6 +52,11 @@ const requestExportSchema = z.object({
   return true;
 }, {
   message: 'Missing required fields for export type'
+}).refine(data => {
+  if (data.asOfHeight === undefined && data.asOfTimestamp === undefined) return true;
+  return data.type === 'provenance' && (data.asOfHeight === undefined || data.asOfTimestamp === undefined);
+}, {
+  message: 'asOfHeight or asOfTimestamp (not both) is only supported for provenance exports'
 });
 
 // POST /api/export/request - Initiate new export
@@ -96,7 +104,9 @@ router.post('/request', exportRateLimit, async (req, res) => {
         includeAddresses: validatedData.includeAddresses,
         includeMedia: validatedData.includeMedia,
         retention: validatedData.retention,
-        legalInfo: validatedData.legalInfo
+        legalInfo: validatedData.legalInfo,
+        asOfHeight: validatedData.asOfHeight,
+        asOfTimestamp: validatedData.asOfTimestamp
       },
       requestIp: req.ip,
       userAgent: req.headers['user-agent']
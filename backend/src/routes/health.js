@@ -3,6 +3,7 @@ import { checkDatabaseHealth } from '../services/database.js';
 import { checkCacheHealth } from '../services/cache.js';
 import blockchainService from '../services/blockchain.js';
 import exportSigner from '../services/exportSigner.js';
+import ipfsService from '../services/ipfsService.js';
 import { rateLimit } from '../middleware/rateLimit.js';
 
 const router = express.Router();
@@ -23,6 +24,9 @@ router.get('/', async (req, res) => {
       cache.status === 'connected' && 
       blockchain.status === 'connected';
 
+    // IPFS only feeds metadata and exports, so its state is reported without failing the check
+    const ipfs = ipfsService.getStatus();
+
     res.status(allHealthy ? 200 : 503).json({
       success: allHealthy,
       data: {
@@ -30,7 +34,8 @@ router.get('/', async (req, res) => {
         services: {
           database,
           cache,
-          blockchain
+          blockchain,
+          ipfs
         }
       },
       meta: {
@@ -0,0 +1,60 @@
+import express from 'express';
+import { z } from 'zod';
+import mediaService, { PREVIEW_WIDTHS } from '../services/mediaService.js';
+import { validate } from '../middleware/validation.js';
+
+const router = express.Router();
+
+// Content behind a CID never changes
+const CACHE_CONTROL = 'public, max-age=31536000, immutable';
+
+// GET /api/v1/media/:cid - IPFS content typed by its magic bytes, or a WebP preview with ?w=
+router.get('/:cid',
+  validate(z.object({
+    cid: z.string().transform((cid, ctx) => {
+      const normalized = mediaService.normalizeCid(cid);
+      if (!normalized) ctx.addIssue({ code: z.ZodIssueCode.custom, message: 'Invalid CID' });
+      return normalized;
+    }),
+    w: z.coerce.number().int().min(1).max(PREVIEW_WIDTHS[PREVIEW_WIDTHS.length - 1] * 4).optional()
+  })),
+  async (req, res, next) => {
+    try {
+      const { cid, w } = req.validated;
+      const file = w ? await mediaService.getPreview(cid, w) : await mediaService.getOriginal(cid);
+
+      res.type(file.contentType);
+      res.set({
+        'Cache-Control': CACHE_CONTROL,
+        'X-Content-Type-Options': 'nosniff',
+        // Loaded by the frontend as images and video from another origin in development
+        'Cross-Origin-Resource-Policy': 'cross-origin'
+      });
+      // Scripts in SVG must not run when it is opened directly
+      if (file.contentType === 'image/svg+xml') {
+        res.set('Content-Security-Policy', "default-src 'none'; style-src 'unsafe-inline'; sandbox");
+      }
+
+      // Range requests (video seeking) and conditional requests are handled by sendFile
+      res.sendFile(file.path, { cacheControl: false }, (error) => {
+        if (error && !res.headersSent) next(error);
+      });
+    } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({
+          success: false,
+          error: {
+            message: error.message
+          },
+          meta: {
+            timestamp: new Date().toISOString(),
+            requestId: req.id || 'req_' + Date.now()
+          }
+        });
+      }
+      next(error);
+    }
+  }
+);
+
+export default router;
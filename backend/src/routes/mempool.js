@@ -0,0 +1,64 @@
+import express from 'express';
+import { z } from 'zod';
+import MempoolEntry from '../models/MempoolEntry.js';
+import { validate, schemas } from '../middleware/validation.js';
+import { cacheMiddleware } from '../middleware/cache.js';
+import { transformMempoolEntry } from '../utils/transforms.js';
+
+const router = express.Router();
+
+// GET /api/mempool - Unconfirmed asset transactions, newest first
+router.get('/',
+  cacheMiddleware(5),
+  validate(z.object({
+    asset: z.string().min(1).optional(),
+    address: z.string().min(1).optional(),
+    limit: schemas.limit,
+    offset: schemas.offset
+  })),
+  async (req, res, next) => {
+    try {
+      const { asset, address, limit, offset } = req.validated;
+
+      // Asset filter accepts the asset ID or name
+      const filter = {};
+      if (asset) filter.assets = { $in: [asset, asset.toUpperCase()] };
+      if (address) filter.addresses = address;
+
+      const [entries, total] = await Promise.all([
+        MempoolEntry.find(filter)
+          .sort({ firstSeen: -1 })
+          .skip(offset)
+          .limit(limit)
+          .lean(),
+        MempoolEntry.countDocuments(filter)
+      ]);
+
+      const page = Math.floor(offset / limit) + 1;
+      const pages = Math.ceil(total / limit);
+
+      res.json({
+        success: true,
+        data: entries.map(transformMempoolEntry),
+        pagination: {
+          page,
+          limit,
+          offset,
+          total,
+          pages,
+          hasNext: offset + limit < total,
+          hasPrev: offset > 0
+        },
+        meta: {
+          timestamp: new Date().toISOString(),
+          requestId: req.id || 'req_' + Date.now(),
+          dataSource: 'database'
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+export default router;
@@ -0,0 +1,153 @@
+import express from 'express';
+import { z } from 'zod';
+import smartnodeRegistry from '../services/smartnodeRegistry.js';
+import { validate, schemas } from '../middleware/validation.js';
+import { cacheMiddleware } from '../middleware/cache.js';
+import { transformSmartnode, transformSmartnodeEvent, transformQuorumCommitment } from '../utils/transforms.js';
+
+const router = express.Router();
+
+// GET /api/smartnodes - Registered smartnodes, newest registration first
+router.get('/',
+  cacheMiddleware(30),
+  validate(z.object({
+    status: z.enum(['active', 'revoked', 'removed']).optional(),
+    address: schemas.raptoreumAddress.optional(),
+    limit: schemas.limit,
+    offset: schemas.offset
+  })),
+  async (req, res, next) => {
+    try {
+      const { status, address, limit, offset } = req.validated;
+
+      const { smartnodes, total } = await smartnodeRegistry.list({ status, address, limit, offset });
+      const page = Math.floor(offset / limit) + 1;
+      const pages = Math.ceil(total / limit);
+
+      res.json({
+        success: true,
+        data: smartnodes.map(transformSmartnode),
+        pagination: {
+          page,
+          limit,
+          offset,
+          total,
+          pages,
+          hasNext: offset + limit < total,
+          hasPrev: offset > 0
+        },
+        meta: {
+          timestamp: new Date().toISOString(),
+          requestId: req.id || 'req_' + Date.now(),
+          dataSource: 'database'
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// GET /api/smartnodes/stats - Smartnode counts by status and quorum commitment totals
+router.get('/stats',
+  cacheMiddleware(60),
+  async (req, res, next) => {
+    try {
+      const stats = await smartnodeRegistry.getStats();
+
+      res.json({
+        success: true,
+        data: stats,
+        meta: {
+          timestamp: new Date().toISOString(),
+          requestId: req.id || 'req_' + Date.now(),
+          dataSource: 'database'
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// GET /api/smartnodes/quorums - Final LLMQ commitments, newest first
+router.get('/quorums',
+  cacheMiddleware(30),
+  validate(z.object({
+    llmqType: z.coerce.number().int().min(0).optional(),
+    limit: schemas.limit,
+    offset: schemas.offset
+  })),
+  async (req, res, next) => {
+    try {
+      const { llmqType, limit, offset } = req.validated;
+
+      const { commitments, total } = await smartnodeRegistry.listCommitments({ llmqType, limit, offset });
+      const page = Math.floor(offset / limit) + 1;
+      const pages = Math.ceil(total / limit);
+
+      res.json({
+        success: true,
+        data: commitments.map(transformQuorumCommitment),
+        pagination: {
+          page,
+          limit,
+          offset,
+          total,
+          pages,
+          hasNext: offset + limit < total,
+          hasPrev: offset > 0
+        },
+        meta: {
+          timestamp: new Date().toISOString(),
+          requestId: req.id || 'req_' + Date.now(),
+          dataSource: 'database'
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// GET /api/smartnodes/:proTxHash - One smartnode with its state history
+router.get('/:proTxHash',
+  cacheMiddleware(30),
+  validate(z.object({
+    proTxHash: schemas.transactionId
+  })),
+  async (req, res, next) => {
+    try {
+      const { proTxHash } = req.validated;
+
+      const result = await smartnodeRegistry.get(proTxHash.toLowerCase());
+      if (!result) {
+        return res.status(404).json({
+          success: false,
+          error: { message: 'Smartnode not found' },
+          meta: {
+            timestamp: new Date().toISOString(),
+            requestId: req.id || 'req_' + Date.now()
+          }
+        });
+      }
+
+      res.json({
+        success: true,
+        data: {
+          ...transformSmartnode(result.smartnode),
+          history: result.history.map(transformSmartnodeEvent)
+        },
+        meta: {
+          timestamp: new Date().toISOString(),
+          requestId: req.id || 'req_' + Date.now(),
+          dataSource: 'database'
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+export default router;
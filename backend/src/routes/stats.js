@@ -4,7 +4,10 @@ import Transaction from '../models/Transaction.js';
 import Asset from '../models/Asset.js';
 import Address from '../models/Address.js';
 import AssetTransfer from '../models/AssetTransfer.js';
+import { z } from 'zod';
 import blockchainService from '../services/blockchain.js';
+import supplyTracker from '../services/supplyTracker.js';
+import { validate } from '../middleware/validation.js';
 import { cacheMiddleware } from '../middleware/cache.js';
 
 const router = express.Router();
@@ -231,6 +234,64 @@ router.get('/assets',
   }
 );
 
+// GET /api/v1/stats/supply - RTM emission totals and historical series
+router.get('/supply',
+  cacheMiddleware(60),
+  validate(z.object({
+    interval: z.enum(['day', 'week', 'month']).default('month'),
+    from: z.coerce.date().optional(),
+    to: z.coerce.date().optional()
+  })),
+  async (req, res, next) => {
+    try {
+      const { interval, from, to } = req.validated;
+
+      const [totals, series] = await Promise.all([
+        supplyTracker.getTotals(),
+        supplyTracker.getSeries({ interval, from, to })
+      ]);
+
+      res.json({
+        success: true,
+        data: {
+          ...totals,
+          series
+        },
+        meta: {
+          timestamp: new Date().toISOString(),
+          requestId: req.id || 'req_' + Date.now(),
+          dataSource: 'database',
+          interval
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * Plain-text supply value for aggregators; 503 until every block since genesis
+ * is recorded, so a partial sum is never published as the supply
+ */
+const sendSupplyValue = (field) => async (req, res, next) => {
+  try {
+    const totals = await supplyTracker.getTotals();
+    if (!totals.complete) {
+      return res.status(503).type('text/plain').send('Supply is not available until the emission history is complete');
+    }
+    res.type('text/plain').send(String(totals[field]));
+  } catch (error) {
+    next(error);
+  }
+};
+
+// GET /api/v1/stats/supply/total - Total minted RTM as plain text (for supply aggregators)
+router.get('/supply/total', sendSupplyValue('totalMinted'));
+
+// GET /api/v1/stats/supply/circulating - Circulating RTM as plain text (for supply aggregators)
+router.get('/supply/circulating', sendSupplyValue('circulating'));
+
 // GET /api/v1/stats/creators - Get top creators
 router.get('/creators',
   cacheMiddleware(60),
@@ -1,6 +1,7 @@
 import express from 'express';
 import SyncState from '../models/SyncState.js';
 import FutureOutput from '../models/FutureOutput.js';
+import ChainReorg from '../models/ChainReorg.js';
 import blockchainService from '../services/blockchain.js';
 import assetProcessor from '../services/assetProcessor.js';
 import { cacheMiddleware } from '../middleware/cache.js';
@@ -17,6 +18,11 @@ router.get('/status',
     try {
       const syncState = await SyncState.findOne({ service: 'blocks' });
       const blockchainInfo = await blockchainService.getBlockchainInfo();
+      const recentReorgs = await ChainReorg.find()
+        .sort({ detectedAt: -1 })
+        .limit(5)
+        .select('detectedAt detectedAtHeight commonAncestor depth orphanedBlocks')
+        .lean();
       
       const currentBlock = syncState?.currentBlock || 0;
       const targetBlock = blockchainInfo.blocks;
@@ -37,7 +43,14 @@ router.get('/status',
           averageBlockTime: syncState?.averageBlockTime,
           estimatedCompletion: syncState?.estimatedCompletion,
           blocksProcessed: syncState?.blocksProcessed || 0,
-          itemsProcessed: syncState?.itemsProcessed || 0
+          itemsProcessed: syncState?.itemsProcessed || 0,
+          pipeline: syncState?.pipeline?.concurrency ? syncState.pipeline : null,
+          reorgCount: syncState?.reorgCount || 0,
+          lastReorg: syncState?.lastReorg?.detectedAt ? syncState.lastReorg : null,
+          recentReorgs: recentReorgs.map(({ _id, detectedAt, ...reorg }) => ({
+            timestamp: detectedAt,
+            ...reorg
+          }))
         },
         meta: {
           timestamp: new Date().toISOString(),
@@ -209,11 +222,16 @@ router.post('/test-transaction',
         });
       }
       
-      // Check if transaction is confirmed (has blockhash)
+      // Unconfirmed (mempool) transactions are only decoded, nothing is written
       if (!tx.blockhash) {
-        return res.status(400).json({
-          success: false,
-          error: { message: 'Transaction is not yet confirmed (in mempool)' }
+        const operations = await assetProcessor.decodeAssetOperations(tx);
+        return res.json({
+          success: true,
+          data: {
+            txid,
+            pending: true,
+            operations
+          }
         });
       }
       
@@ -1,15 +1,53 @@
 import express from 'express';
 import { z } from 'zod';
 import Transaction from '../models/Transaction.js';
-import blockchainService from '../services/blockchain.js';
-import { validate, schemas } from '../middleware/validation.js';
+import transactionHistory from '../services/transactionHistory.js';
+import { validate, schemas, transactionListQuery } from '../middleware/validation.js';
 import { cacheMiddleware } from '../middleware/cache.js';
 
 const router = express.Router();
 
-// GET /api/transactions/:txid - Get transaction by ID
+// GET /api/transactions - Transactions, newest first, filtered by type, asset, address and height range
+router.get('/',
+  cacheMiddleware(30),
+  validate(transactionListQuery({
+    address: schemas.raptoreumAddress.optional()
+  })),
+  async (req, res, next) => {
+    try {
+      const { limit, offset } = req.validated;
+
+      const { transactions, total } = await transactionHistory.list(req.validated);
+      const page = Math.floor(offset / limit) + 1;
+      const pages = Math.ceil(total / limit);
+
+      res.json({
+        success: true,
+        data: transactions,
+        pagination: {
+          page,
+          limit,
+          offset,
+          total,
+          pages,
+          hasNext: offset + limit < total,
+          hasPrev: offset > 0
+        },
+        meta: {
+          timestamp: new Date().toISOString(),
+          requestId: req.id || 'req_' + Date.now(),
+          dataSource: 'database'
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// GET /api/transactions/:txid - Transaction with decoded inputs, outputs, asset operations and payloads
 router.get('/:txid',
-  cacheMiddleware(300),
+  cacheMiddleware(30),
   validate(z.object({
     txid: schemas.transactionId
   })),
@@ -17,40 +55,90 @@ router.get('/:txid',
     try {
       const { txid } = req.validated;
 
-      // Try to get from database first
-      let transaction = await Transaction.findOne({ txid });
-
-      // If not in database, try blockchain
+      const transaction = await transactionHistory.getDetail(txid.toLowerCase());
       if (!transaction) {
-        try {
-          const txData = await blockchainService.getRawTransaction(txid);
-          
-          return res.json({
-            success: true,
-            data: txData,
-            meta: {
-              timestamp: new Date().toISOString(),
-              requestId: req.id || 'req_' + Date.now(),
-              dataSource: 'blockchain'
-            }
-          });
-        } catch (error) {
-          return res.status(404).json({
-            success: false,
-            error: {
-              message: 'Transaction not found'
-            },
-            meta: {
-              timestamp: new Date().toISOString(),
-              requestId: req.id || 'req_' + Date.now()
-            }
-          });
-        }
+        return res.status(404).json({
+          success: false,
+          error: {
+            message: 'Transaction not found'
+          },
+          meta: {
+            timestamp: new Date().toISOString(),
+            requestId: req.id || 'req_' + Date.now()
+          }
+        });
       }
 
       res.json({
         success: true,
         data: transaction,
+        meta: {
+          timestamp: new Date().toISOString(),
+          requestId: req.id || 'req_' + Date.now(),
+          dataSource: transaction.indexed ? 'database' : 'blockchain'
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// GET /api/transactions/:txid/outputs/:n/spender - Get the transaction that spent an output
+router.get('/:txid/outputs/:n/spender',
+  cacheMiddleware(60),
+  validate(z.object({
+    txid: schemas.transactionId,
+    n: z.coerce.number().int().min(0)
+  })),
+  async (req, res, next) => {
+    try {
+      const { txid, n } = req.validated;
+
+      const transaction = await Transaction.findOne({ txid }).select('txid outputs').lean();
+      const output = transaction?.outputs?.find(o => o.n === n);
+
+      if (!output) {
+        return res.status(404).json({
+          success: false,
+          error: {
+            message: transaction ? 'Output not found' : 'Transaction not found'
+          },
+          meta: {
+            timestamp: new Date().toISOString(),
+            requestId: req.id || 'req_' + Date.now()
+          }
+        });
+      }
+
+      let spender = null;
+      if (output.spent && output.spentTxid) {
+        const spendingTx = await Transaction.findOne({ txid: output.spentTxid })
+          .select('txid blockHeight blockHash timestamp type assetData inputs')
+          .lean();
+
+        spender = {
+          txid: output.spentTxid,
+          vin: output.spentVin ?? spendingTx?.inputs?.findIndex(i => i.txid === txid && i.vout === n),
+          blockHeight: output.spentHeight ?? spendingTx?.blockHeight,
+          blockHash: spendingTx?.blockHash,
+          timestamp: output.spentAt ?? spendingTx?.timestamp,
+          type: spendingTx?.type,
+          assetData: spendingTx?.assetData
+        };
+      }
+
+      res.json({
+        success: true,
+        data: {
+          txid,
+          n,
+          address: output.address,
+          amount: output.amount,
+          asset: output.asset?.assetId || output.asset?.assetName ? output.asset : null,
+          spent: !!output.spent,
+          spender
+        },
         meta: {
           timestamp: new Date().toISOString(),
           requestId: req.id || 'req_' + Date.now(),
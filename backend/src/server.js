@@ -9,6 +9,7 @@ import { fileURLToPath } from 'url';
 import { logger } from './utils/logger.js';
 import { connectDatabase } from './services/database.js';
 import { connectCache } from './services/cache.js';
+import eventBus from './services/eventBus.js';
 import { errorHandler, notFoundHandler } from './middleware/errorHandler.js';
 import { authenticateApiKey } from './middleware/auth.js';
 import { rateLimit } from './middleware/rateLimit.js';
@@ -24,6 +25,11 @@ import exportRoutes from './routes/export.js';
 import syncRoutes from './routes/sync.js';
 import blockchainRoutes from './routes/blockchain.js';
 import searchRoutes from './routes/search.js';
+import eventRoutes from './routes/events.js';
+import mempoolRoutes from './routes/mempool.js';
+import adminRoutes from './routes/admin.js';
+import smartnodeRoutes from './routes/smartnodes.js';
+import mediaRoutes from './routes/media.js';
 
 const app = express();
 const PORT = process.env.PORT || 4004;
@@ -83,6 +89,11 @@ app.use('/api/v1/blockchain', blockchainRoutes);
 app.use('/api/v1/export', exportRoutes);
 app.use('/api/v1/sync', syncRoutes);
 app.use('/api/v1/search', searchRoutes);
+app.use('/api/v1/events', eventRoutes);
+app.use('/api/v1/mempool', mempoolRoutes);
+app.use('/api/v1/admin', adminRoutes);
+app.use('/api/v1/smartnodes', smartnodeRoutes);
+app.use('/api/v1/media', mediaRoutes);
 
 // Root endpoint
 app.get('/', (req, res) => {
@@ -101,6 +112,10 @@ app.get('/', (req, res) => {
         blockchain: '/api/v1/blockchain/info',
         sync: '/api/v1/sync/status',
         search: '/api/v1/search?q=<query>',
+        events: '/api/v1/events',
+        mempool: '/api/v1/mempool',
+        smartnodes: '/api/v1/smartnodes',
+        media: '/api/v1/media/:cid',
         futures: '/api/v1/sync/futures/locked'
       }
     },
@@ -137,6 +152,9 @@ const gracefulShutdown = async (signal) => {
     process.exit(0);
   }
   
+  // End open event streams so the server can close
+  eventBus.closeStreams();
+
   server.close(async () => {
     logger.info('HTTP server closed');
     
@@ -152,7 +170,8 @@ const gracefulShutdown = async (signal) => {
       
       await Promise.all([
         disconnectDatabase(),
-        disconnectCache()
+        disconnectCache(),
+        eventBus.disconnect()
       ]);
       
       logger.info('All connections closed');
@@ -224,7 +243,8 @@ const startServer = async () => {
     // Connect to databases
     await Promise.all([
       connectDatabase(),
-      connectCache()
+      connectCache(),
+      eventBus.connect()
     ]);
 
     // Initialize export services
@@ -0,0 +1,292 @@
+import Address from '../models/Address.js';
+import AddressActivity from '../models/AddressActivity.js';
+import Asset from '../models/Asset.js';
+import prevoutResolver from './prevoutResolver.js';
+import { logger } from '../utils/logger.js';
+
+const SATOSHIS_PER_RTM = 1e8;
+
+class AddressProcessor {
+  /**
+   * Apply a block's transaction inputs and outputs to the Address collection
+   */
+  async processTransactions(txs, blockHeight, blockTime) {
+    const activities = [];
+
+    for (const tx of txs) {
+      try {
+        for (const [address, delta] of await this.collectDeltas(tx)) {
+          activities.push({ address, txid: tx.txid, ...delta });
+        }
+      } catch (error) {
+        logger.error(`[ADDRESS] Error processing addresses for tx ${tx.txid}:`, error);
+        throw error;
+      }
+    }
+
+    await this.applyActivities(activities, blockHeight, blockTime);
+    return activities.length;
+  }
+
+  /**
+   * Net satoshis received and sent per address in one transaction
+   */
+  async collectDeltas(tx) {
+    const deltas = new Map();
+    const getDelta = (address) => {
+      if (!deltas.has(address)) {
+        deltas.set(address, { receivedSat: 0, sentSat: 0 });
+      }
+      return deltas.get(address);
+    };
+
+    // Outputs credit the receiving address
+    for (const vout of tx.vout || []) {
+      const address = vout.scriptPubKey?.addresses?.[0];
+      if (!address) continue;
+      getDelta(address).receivedSat += this.toSatoshis(vout);
+    }
+
+    // Inputs debit the address that owned the spent output. An input that
+    // cannot be resolved fails the block: skipping it would overstate a balance.
+    const vins = (tx.vin || []).filter(vin => !vin.coinbase);
+    const prevouts = await this.resolveInputs(vins);
+    vins.forEach((vin, index) => {
+      const prevout = prevouts[index];
+      if (!prevout) {
+        throw new Error(`Could not resolve input ${vin.txid}:${vin.vout} of tx ${tx.txid}`);
+      }
+      // Outputs without an address (bare multisig, nonstandard scripts) debit no one
+      if (prevout.address) {
+        getDelta(prevout.address).sentSat += prevout.valueSat;
+      }
+    });
+
+    return deltas;
+  }
+
+  /**
+   * Record address activity and update totals with one bulk write per collection
+   * If some activity was already recorded (block re-processed), it is unknown
+   * whether the totals include it, so they are rebuilt from the activity instead
+   */
+  async applyActivities(activities, blockHeight, blockTime) {
+    if (activities.length === 0) return;
+
+    const entries = activities.map(({ address, txid, receivedSat, sentSat }) => ({
+      address,
+      txid,
+      received: receivedSat / SATOSHIS_PER_RTM,
+      sent: sentSat / SATOSHIS_PER_RTM,
+      balanceChange: (receivedSat - sentSat) / SATOSHIS_PER_RTM
+    }));
+
+    const result = await AddressActivity.bulkWrite(entries.map(({ address, txid, received, sent, balanceChange }) => ({
+      updateOne: {
+        filter: { address, txid },
+        update: {
+          $setOnInsert: {
+            blockHeight,
+            timestamp: blockTime,
+            received,
+            sent,
+            balanceChange
+          }
+        },
+        upsert: true
+      }
+    })));
+
+    const inserted = Object.keys(result.upsertedIds || {}).map(index => entries[index]);
+    if (inserted.length < entries.length) {
+      logger.debug(`[ADDRESS] ${entries.length - inserted.length} activity record(s) already present at block ${blockHeight}, rebuilding totals`);
+      await this.rebuildTotals([...new Set(entries.map(entry => entry.address))]);
+      return;
+    }
+
+    await Address.bulkWrite(inserted.map(({ address, received, sent, balanceChange }) => ({
+      updateOne: {
+        filter: { address },
+        update: {
+          $inc: {
+            balance: balanceChange,
+            totalReceived: received,
+            totalSent: sent,
+            transactionCount: 1
+          },
+          $min: { firstSeenBlock: blockHeight, firstSeenAt: blockTime },
+          $max: { lastSeenBlock: blockHeight, lastSeenAt: blockTime }
+        },
+        upsert: true
+      }
+    })));
+  }
+
+  /**
+   * Set addresses' balance, totals and first/last seen from all their activity
+   */
+  async rebuildTotals(addresses) {
+    const totals = await AddressActivity.aggregate([
+      { $match: { address: { $in: addresses } } },
+      {
+        $group: {
+          _id: '$address',
+          balance: { $sum: '$balanceChange' },
+          totalReceived: { $sum: '$received' },
+          totalSent: { $sum: '$sent' },
+          transactionCount: { $sum: 1 },
+          firstSeenBlock: { $min: '$blockHeight' },
+          firstSeenAt: { $min: '$timestamp' },
+          lastSeenBlock: { $max: '$blockHeight' },
+          lastSeenAt: { $max: '$timestamp' }
+        }
+      }
+    ]);
+
+    if (totals.length === 0) return;
+
+    await Address.bulkWrite(totals.map(({ _id: address, ...fields }) => ({
+      updateOne: {
+        filter: { address },
+        update: { $set: fields },
+        upsert: true
+      }
+    })));
+  }
+
+  /**
+   * Record an asset created by an address
+   */
+  async recordAssetCreated(address) {
+    if (!address) return;
+
+    await Address.updateOne(
+      { address },
+      { $inc: { assetsCreated: 1 }, $set: { isCreator: true } },
+      { upsert: true }
+    );
+  }
+
+  /**
+   * Set an address's assetsCreated from the assets it created
+   */
+  async recountAssetsCreated(address) {
+    if (!address) return;
+
+    const assetsCreated = await Asset.countDocuments({ creator: address });
+    await Address.updateOne(
+      { address },
+      { $set: { assetsCreated, isCreator: assetsCreated > 0 } },
+      { upsert: true }
+    );
+  }
+
+  /**
+   * Resolve the address and value of the outputs inputs spend, in vin order
+   * Uses the fields verbose getblock adds when spentindex is enabled, otherwise
+   * the prevout resolver (its cache, stored transactions, then the node)
+   *
+   * @returns {Array<{address: string|null, valueSat: number}|null>} null for
+   *   inputs that could not be resolved
+   */
+  async resolveInputs(vins) {
+    const hasPrevout = (vin) => vin.address && (vin.valueSat !== undefined || vin.value !== undefined);
+    const resolved = await prevoutResolver.resolveInputs(vins.filter(vin => !hasPrevout(vin)));
+
+    let next = 0;
+    return vins.map(vin => {
+      if (hasPrevout(vin)) {
+        return { address: vin.address, valueSat: this.toSatoshis(vin) };
+      }
+      const prevout = resolved[next++];
+      return prevout ? { address: prevout.address, valueSat: Math.round(prevout.amount * SATOSHIS_PER_RTM) } : null;
+    });
+  }
+
+  /**
+   * Read an RTM amount in satoshis from a vin/vout
+   */
+  toSatoshis(entry) {
+    if (entry.valueSat !== undefined) {
+      return Number(entry.valueSat);
+    }
+    return Math.round((entry.value || 0) * SATOSHIS_PER_RTM);
+  }
+
+  /**
+   * Reverse all address activity above a height (chain reorganization)
+   */
+  async rollbackAbove(commonAncestor) {
+    const heightFilter = { blockHeight: { $gt: commonAncestor } };
+
+    const orphaned = await AddressActivity.aggregate([
+      { $match: heightFilter },
+      {
+        $group: {
+          _id: '$address',
+          received: { $sum: '$received' },
+          sent: { $sum: '$sent' },
+          balanceChange: { $sum: '$balanceChange' },
+          count: { $sum: 1 }
+        }
+      }
+    ]);
+
+    await AddressActivity.deleteMany(heightFilter);
+
+    for (const entry of orphaned) {
+      const address = entry._id;
+      const [first, last] = await Promise.all([
+        AddressActivity.findOne({ address }).sort({ blockHeight: 1 }).lean(),
+        AddressActivity.findOne({ address }).sort({ blockHeight: -1 }).lean()
+      ]);
+
+      const update = {
+        $inc: {
+          balance: -entry.balanceChange,
+          totalReceived: -entry.received,
+          totalSent: -entry.sent,
+          transactionCount: -entry.count
+        }
+      };
+
+      if (first && last) {
+        update.$set = {
+          firstSeenBlock: first.blockHeight,
+          firstSeenAt: first.timestamp,
+          lastSeenBlock: last.blockHeight,
+          lastSeenAt: last.timestamp
+        };
+      } else {
+        update.$unset = { firstSeenBlock: '', firstSeenAt: '', lastSeenBlock: '', lastSeenAt: '' };
+      }
+
+      await Address.updateOne({ address }, update);
+    }
+
+    return orphaned.length;
+  }
+
+  /**
+   * Reverse assetsCreated for assets removed by a rollback
+   */
+  async rollbackAssetsCreated(creators) {
+    for (const creator of creators) {
+      if (!creator) continue;
+
+      const address = await Address.findOneAndUpdate(
+        { address: creator },
+        { $inc: { assetsCreated: -1 } },
+        { new: true }
+      );
+
+      if (address && address.assetsCreated <= 0) {
+        address.assetsCreated = 0;
+        address.isCreator = false;
+        await address.save();
+      }
+    }
+  }
+}
+
+export default new AddressProcessor();
@@ -0,0 +1,316 @@
+import Address from '../models/Address.js';
+import Asset from '../models/Asset.js';
+import AssetBalance from '../models/AssetBalance.js';
+import AssetLedgerEntry from '../models/AssetLedgerEntry.js';
+import Transaction from '../models/Transaction.js';
+import { logger } from '../utils/logger.js';
+
+class AssetLedger {
+  /**
+   * Credit asset-carrying outputs and debit inputs that spend them
+   * Change outputs back to the sender net out within the same transaction
+   */
+  async processTransaction(tx, blockHeight, blockTime) {
+    try {
+      const changes = new Map();
+      const addChange = (address, assetId, assetName, amount) => {
+        const key = `${address}|${assetId}`;
+        if (!changes.has(key)) {
+          changes.set(key, { address, assetId, assetName, received: 0, sent: 0 });
+        }
+        const change = changes.get(key);
+        if (amount >= 0) {
+          change.received += amount;
+        } else {
+          change.sent -= amount;
+        }
+        if (!change.assetName && assetName) change.assetName = assetName;
+      };
+
+      // Credits: outputs carrying an asset
+      for (const vout of tx.vout || []) {
+        const asset = vout.scriptPubKey?.asset;
+        const address = vout.scriptPubKey?.addresses?.[0];
+        if (!asset || !address) continue;
+
+        const assetId = await this.resolveAssetId(asset.asset_id, asset.name);
+        if (!assetId) {
+          logger.warn(`[LEDGER] Unknown asset in ${tx.txid}:${vout.n} (${asset.asset_id || asset.name})`);
+          continue;
+        }
+        addChange(address, assetId, asset.name, asset.amount || 0);
+      }
+
+      // Debits: inputs spending asset-carrying outputs we indexed earlier
+      const spends = (tx.vin || []).filter(vin => !vin.coinbase && vin.txid && vin.vout !== undefined);
+      if (spends.length > 0) {
+        const prevTxs = await Transaction.find({
+          txid: { $in: [...new Set(spends.map(vin => vin.txid))] },
+          'outputs.asset': { $exists: true }
+        })
+          .select('txid outputs.n outputs.address outputs.asset')
+          .lean();
+        const prevById = new Map(prevTxs.map(prev => [prev.txid, prev]));
+
+        for (const vin of spends) {
+          const prevout = prevById.get(vin.txid)?.outputs?.find(o => o.n === vin.vout);
+          const asset = prevout?.asset;
+          if (!asset || !prevout.address) continue;
+
+          const assetId = await this.resolveAssetId(asset.assetId, asset.assetName);
+          if (!assetId) continue;
+          addChange(prevout.address, assetId, asset.assetName, -(asset.amount || 0));
+        }
+      }
+
+      for (const change of changes.values()) {
+        await this.applyChange(tx.txid, change, blockHeight, blockTime);
+      }
+
+      return changes.size;
+    } catch (error) {
+      logger.error(`[LEDGER] Error processing asset balances for tx ${tx.txid}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Normalize an asset reference to the asset's creation txid
+   * Strips serial suffixes ([0], [1...50]) and falls back to a name lookup
+   */
+  async resolveAssetId(rawAssetId, assetName) {
+    if (rawAssetId) {
+      return rawAssetId.replace(/\[(?:\d+|\d+\.\.\.\d+)\]$/, '');
+    }
+    if (!assetName) return null;
+
+    const asset = await Asset.findOne({ name: assetName }).select('assetId').lean();
+    return asset?.assetId || null;
+  }
+
+  /**
+   * Record a ledger entry and apply it to the balance and the address summary
+   * If the entry was already recorded (block re-processed), it is unknown
+   * whether the balance includes it, so the balance is rebuilt from the entries
+   */
+  async applyChange(txid, { address, assetId, assetName, received, sent }, blockHeight, blockTime) {
+    const change = received - sent;
+
+    const result = await AssetLedgerEntry.updateOne(
+      { txid, address, assetId },
+      {
+        $setOnInsert: {
+          assetName,
+          change,
+          received,
+          sent,
+          blockHeight,
+          timestamp: blockTime
+        }
+      },
+      { upsert: true }
+    );
+
+    if (!result.upsertedCount) {
+      logger.debug(`[LEDGER] Entry already recorded for ${address} ${assetId} in ${txid}, rebuilding balance`);
+      await this.rebuildBalance(address, assetId);
+      return;
+    }
+
+    const balance = await AssetBalance.findOneAndUpdate(
+      { address, assetId },
+      {
+        $inc: { balance: change, totalReceived: received, totalSent: sent },
+        $set: { lastActivityHeight: blockHeight, lastActivityAt: blockTime },
+        $min: { firstReceivedHeight: blockHeight },
+        ...(assetName && { $setOnInsert: { assetName } })
+      },
+      { upsert: true, new: true }
+    );
+
+    await this.syncAddressBalance(address, assetId, balance.assetName || assetName, balance.balance, blockTime);
+  }
+
+  /**
+   * Set an address's balance of an asset from all its ledger entries
+   */
+  async rebuildBalance(address, assetId) {
+    const [totals] = await AssetLedgerEntry.aggregate([
+      { $match: { address, assetId } },
+      { $sort: { blockHeight: 1 } },
+      {
+        $group: {
+          _id: null,
+          balance: { $sum: '$change' },
+          totalReceived: { $sum: '$received' },
+          totalSent: { $sum: '$sent' },
+          firstReceivedHeight: { $min: '$blockHeight' },
+          lastActivityHeight: { $last: '$blockHeight' },
+          lastActivityAt: { $last: '$timestamp' },
+          assetName: { $last: '$assetName' }
+        }
+      }
+    ]);
+
+    if (!totals) {
+      await AssetBalance.deleteOne({ address, assetId });
+      await this.syncAddressBalance(address, assetId, null, 0);
+      return;
+    }
+
+    const { _id, assetName, ...fields } = totals;
+    const balance = await AssetBalance.findOneAndUpdate(
+      { address, assetId },
+      { $set: fields, ...(assetName && { $setOnInsert: { assetName } }) },
+      { upsert: true, new: true }
+    );
+
+    await this.syncAddressBalance(address, assetId, balance.assetName || assetName, balance.balance, fields.lastActivityAt);
+  }
+
+  /**
+   * Replace the ledger entries of one block by processing its transactions
+   * again, then rebuild every balance the old or new entries touch
+   */
+  async rebuildBlock(txs, blockHeight, blockTime) {
+    const pairKey = ({ address, assetId }) => `${address}|${assetId}`;
+    const pairs = new Map();
+    const addPairs = async () => {
+      const entries = await AssetLedgerEntry.find({ blockHeight }).select('address assetId').lean();
+      for (const entry of entries) pairs.set(pairKey(entry), entry);
+    };
+
+    await addPairs();
+    await AssetLedgerEntry.deleteMany({ blockHeight });
+
+    for (const tx of txs) {
+      await this.processTransaction(tx, blockHeight, blockTime);
+    }
+    await addPairs();
+
+    for (const { address, assetId } of pairs.values()) {
+      await this.rebuildBalance(address, assetId);
+    }
+
+    return pairs.size;
+  }
+
+  /**
+   * Mirror one ledger balance into Address.assetBalances and assetsOwned
+   */
+  async syncAddressBalance(address, assetId, assetName, balance, updatedAt = new Date()) {
+    await Address.updateOne(
+      { address },
+      { $pull: { assetBalances: { assetId } } },
+      { upsert: true }
+    );
+
+    if (balance > 0) {
+      await Address.updateOne(
+        { address },
+        {
+          $push: {
+            assetBalances: {
+              assetId,
+              assetName,
+              balance,
+              lastUpdated: updatedAt
+            }
+          }
+        }
+      );
+    }
+
+    const assetsOwned = await AssetBalance.countDocuments({ address, balance: { $gt: 0 } });
+    await Address.updateOne({ address }, { $set: { assetsOwned } });
+  }
+
+  /**
+   * Get the holders of an asset, largest first, with their share of the held supply
+   */
+  async getHolders(assetId, { limit = 20, offset = 0 } = {}) {
+    const filter = { assetId, balance: { $gt: 0 } };
+
+    const [holders, total, supplyResult] = await Promise.all([
+      AssetBalance.find(filter)
+        .sort({ balance: -1, address: 1 })
+        .skip(offset)
+        .limit(limit)
+        .lean(),
+      AssetBalance.countDocuments(filter),
+      AssetBalance.aggregate([
+        { $match: filter },
+        { $group: { _id: null, supply: { $sum: '$balance' } } }
+      ])
+    ]);
+
+    const heldSupply = supplyResult[0]?.supply || 0;
+
+    return {
+      holders: holders.map((holder, index) => ({
+        rank: offset + index + 1,
+        address: holder.address,
+        balance: holder.balance,
+        percentage: heldSupply > 0 ? (holder.balance / heldSupply) * 100 : 0,
+        totalReceived: holder.totalReceived,
+        totalSent: holder.totalSent,
+        lastActivityHeight: holder.lastActivityHeight,
+        lastActivityAt: holder.lastActivityAt
+      })),
+      total,
+      heldSupply
+    };
+  }
+
+  /**
+   * Reverse all ledger entries above a height (chain reorganization)
+   */
+  async rollbackAbove(commonAncestor) {
+    const heightFilter = { blockHeight: { $gt: commonAncestor } };
+
+    const orphaned = await AssetLedgerEntry.aggregate([
+      { $match: heightFilter },
+      {
+        $group: {
+          _id: { address: '$address', assetId: '$assetId' },
+          change: { $sum: '$change' },
+          received: { $sum: '$received' },
+          sent: { $sum: '$sent' }
+        }
+      }
+    ]);
+
+    await AssetLedgerEntry.deleteMany(heightFilter);
+
+    for (const entry of orphaned) {
+      const { address, assetId } = entry._id;
+      const last = await AssetLedgerEntry.findOne({ address, assetId })
+        .sort({ blockHeight: -1 })
+        .lean();
+
+      if (!last) {
+        // Nothing left for this pair, the balance only existed on the orphaned chain
+        await AssetBalance.deleteOne({ address, assetId });
+        await this.syncAddressBalance(address, assetId, null, 0);
+        continue;
+      }
+
+      const balance = await AssetBalance.findOneAndUpdate(
+        { address, assetId },
+        {
+          $inc: { balance: -entry.change, totalReceived: -entry.received, totalSent: -entry.sent },
+          $set: { lastActivityHeight: last.blockHeight, lastActivityAt: last.timestamp }
+        },
+        { new: true }
+      );
+
+      if (balance) {
+        await this.syncAddressBalance(address, assetId, balance.assetName, balance.balance, last.timestamp);
+      }
+    }
+
+    return orphaned.length;
+  }
+}
+
+export default new AssetLedger();
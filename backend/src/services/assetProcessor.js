@@ -1,7 +1,15 @@
 import Asset from '../models/Asset.js';
 import AssetTransfer from '../models/AssetTransfer.js';
+import AssetMetadataHistory from '../models/AssetMetadataHistory.js';
 import Transaction from '../models/Transaction.js';
+import Block from '../models/Block.js';
 import ipfsService from './ipfs.js';
+import addressProcessor from './addressProcessor.js';
+import transactionIndexer from './transactionIndexer.js';
+import prevoutResolver from './prevoutResolver.js';
+import assetUnits from './assetUnits.js';
+import subAssetLinker from './subAssetLinker.js';
+import { normalizeMetadata } from '../utils/assetMetadata.js';
 import { logger } from '../utils/logger.js';
 
 class AssetProcessor {
@@ -15,60 +23,25 @@ class AssetProcessor {
         return null;
       }
 
-      const { name, isUnique, maxMintCount, updatable, referenceHash, ownerAddress, isRoot, rootId } = tx.newAssetTx;
+      const {
+        name, isUnique, maxMintCount, updatable, referenceHash, ownerAddress, isRoot, rootId,
+        type, targetAddress, issueFrequency, amount
+      } = tx.newAssetTx;
       
-      // Detect sub-asset using isRoot field
-      const isSubAsset = isRoot === false;
-      let parentAssetName = null;
-      let subAssetName = null;
-      let parentAssetId = null;
-      let fullAssetName = name;  // Default to the provided name
-      
-      if (isSubAsset) {
-        // Sub-assets have isRoot=false and provide rootId
-        subAssetName = name.trim();
-        
-        // Find parent asset by rootId (the parent's creation txid)
-        const parentAsset = await Asset.findOne({ assetId: rootId });
-        
-        if (parentAsset) {
-          parentAssetName = parentAsset.name.toUpperCase();
-          parentAssetId = parentAsset.assetId;
-          fullAssetName = `${parentAssetName}|${subAssetName}`;
-          
-          logger.info(`Creating sub-asset: ${fullAssetName} (parent: ${parentAssetName}, child: ${subAssetName})`);
-        } else {
-          logger.warn(`Parent asset not found for sub-asset ${name} (rootId: ${rootId})`);
-          // Still save with pipe notation even if parent not found yet
-          fullAssetName = `UNKNOWN|${subAssetName}`;
-        }
+      // Saved by an earlier attempt at this block: finish the steps after the save
+      const existing = await Asset.findOne({ assetId: tx.txid });
+      if (existing) {
+        logger.warn(`Asset ${existing.name} (${tx.txid}) already created, block processed again`);
+        await this.finishAssetCreation(existing, tx, blockHeight, blockTime, blockHash, rootId);
+        await addressProcessor.recountAssetsCreated(ownerAddress);
+        return existing;
       }
 
+      const { isSubAsset, parentAssetName, subAssetName, parentAssetId, fullAssetName } =
+        await this.resolveNewAssetName({ name, isRoot, rootId });
+
       // Fetch IPFS metadata if referenceHash exists
-      let metadata = {};
-      let ipfsVerified = false;
-      
-      if (referenceHash) {
-        try {
-          const ipfsMetadata = await ipfsService.fetchMetadata(referenceHash);
-          if (ipfsMetadata) {
-            metadata = {
-              name: ipfsMetadata.name || name,
-              description: ipfsMetadata.description || '',
-              image: ipfsMetadata.image || '',
-              imageUrl: ipfsService.resolveImageUrl(ipfsMetadata, 'image'),
-              animationUrl: ipfsMetadata.animation_url || '',
-              externalUrl: ipfsMetadata.external_url || '',
-              attributes: ipfsMetadata.attributes || [],
-              properties: ipfsMetadata.properties || {},
-              rawMetadata: ipfsMetadata
-            };
-            ipfsVerified = true;
-          }
-        } catch (error) {
-          logger.error(`Error fetching IPFS metadata for asset ${name}:`, error);
-        }
-      }
+      const { metadata, ipfsVerified } = await this.fetchAssetMetadata(referenceHash, name);
 
       // Create asset record
       const asset = new Asset({
@@ -85,6 +58,8 @@ class AssetProcessor {
         mintCount: 0,
         updatable,
         referenceHash: referenceHash || null,
+        ownerAddress,
+        distribution: { type, targetAddress, issueFrequency, amount },
         metadata,
         ipfsHash: referenceHash,
         ipfsVerified,
@@ -101,14 +76,8 @@ class AssetProcessor {
       await asset.save();
       logger.info(`Created asset: ${fullAssetName} (${tx.txid})`);
 
-      // Record transaction
-      await this.recordAssetTransaction(tx, blockHeight, blockTime, 'create', {
-        assetId: tx.txid,
-        assetName: fullAssetName,
-        from: null,
-        to: ownerAddress,
-        amount: 0
-      }, blockHash);
+      await addressProcessor.recordAssetCreated(ownerAddress);
+      await this.finishAssetCreation(asset, tx, blockHeight, blockTime, blockHash, rootId);
 
       return asset;
     } catch (error) {
@@ -117,6 +86,28 @@ class AssetProcessor {
     }
   }
 
+  /**
+   * Link a created asset into the hierarchy and record its transaction
+   * Safe to repeat
+   */
+  async finishAssetCreation(asset, tx, blockHeight, blockTime, blockHash, rootId) {
+    // Sub-assets whose parent is not indexed yet are linked later
+    if (asset.isSubAsset && !asset.parentAssetId) {
+      await subAssetLinker.enqueue(asset, rootId);
+    } else {
+      await subAssetLinker.linkChildren(asset);
+    }
+
+    // Record transaction
+    await this.recordAssetTransaction(tx, blockHeight, blockTime, 'create', {
+      assetId: asset.assetId,
+      assetName: asset.name,
+      from: null,
+      to: asset.ownerAddress,
+      amount: 0
+    }, blockHash);
+  }
+
   /**
    * Handle asset mint (Type 10 - MintAssetTx)
    */
@@ -132,10 +123,7 @@ class AssetProcessor {
       const { assetId } = mintData;
       
       // Find the asset vout (type: "transferasset")
-      const assetVout = tx.vout?.find(vout => 
-        vout.scriptPubKey?.type === 'transferasset' && 
-        vout.scriptPubKey?.asset
-      );
+      const assetVout = this.findMintVout(tx);
 
       if (!assetVout) {
         logger.warn(`No asset vout found in mint transaction ${tx.txid}`);
@@ -152,29 +140,49 @@ class AssetProcessor {
         return null;
       }
 
+      // Unique assets minted more than once: the serials this mint creates
+      const { serialStart, serialEnd } = await this.resolveMintSerials(assetId, asset, blockHeight, tx.txid);
+
+      // Record transfer before the counters, which follow from it
+      const recorded = await this.recordAssetTransfer({
+        txid: tx.txid,
+        assetId,
+        assetName,
+        from: null, // Mint has no sender
+        to: recipient,
+        amount,
+        serialStart,
+        serialEnd,
+        type: 'mint',
+        blockHeight,
+        timestamp: blockTime
+      });
+
       // Update asset record
       const assetRecord = await Asset.findOne({ assetId });
-      if (assetRecord) {
+      if (!assetRecord) {
+        logger.warn(`Asset not found for mint: ${assetId}`);
+      } else if (recorded) {
         assetRecord.mintCount += 1;
         assetRecord.circulatingSupply += amount;
         assetRecord.currentOwner = recipient;
         await assetRecord.save();
         logger.info(`Minted asset: ${assetName} amount: ${amount} to ${recipient}`);
       } else {
-        logger.warn(`Asset not found for mint: ${assetId}`);
+        // Block re-processed: the counters may or may not include this mint yet
+        await this.restoreTransferState(assetRecord);
       }
 
-      // Record transfer
-      await this.recordAssetTransfer({
-        txid: tx.txid,
+      await assetUnits.recordMovement({
         assetId,
         assetName,
-        from: null, // Mint has no sender
-        to: recipient,
-        amount,
-        type: 'mint',
+        serialStart,
+        serialEnd,
+        owner: recipient,
+        txid: tx.txid,
         blockHeight,
-        timestamp: blockTime
+        timestamp: blockTime,
+        type: 'mint'
       });
 
       // Record transaction
@@ -201,15 +209,7 @@ class AssetProcessor {
       logger.info(`[ASSET] handleAssetTransfer called for tx ${tx.txid} at block ${blockHeight}`);
       
       // Find asset vouts - check multiple possible structures
-      const assetVouts = tx.vout?.filter(vout => {
-        const scriptPubKey = vout.scriptPubKey;
-        if (!scriptPubKey) return false;
-        
-        // Check for asset data in multiple locations
-        return scriptPubKey.type === 'transferasset' || 
-               scriptPubKey.asset ||
-               (scriptPubKey.type === 'pubkeyhash' && scriptPubKey.asset);
-      }) || [];
+      const assetVouts = this.findAssetVouts(tx);
 
       logger.info(`[ASSET] Found ${assetVouts.length} asset vout(s) in tx ${tx.txid}`);
 
@@ -221,6 +221,9 @@ class AssetProcessor {
       logger.info(`[ASSET] Processing ${assetVouts.length} asset transfer(s) in tx ${tx.txid}`);
       const transfers = [];
 
+      // Owners of the spent outputs (vin.address is often missing from getblock)
+      const prevouts = await prevoutResolver.resolveInputs(tx.vin);
+
       for (const vout of assetVouts) {
         const { asset } = vout.scriptPubKey;
         
@@ -238,55 +241,43 @@ class AssetProcessor {
         }
         
         // Get asset name - try direct name first, then lookup by asset_id
-        let assetName = asset.name;
-        let assetId = null;  // Will be set from asset_id lookup or from assetRecord below
-
-        if (!assetName && asset.asset_id) {
-          // Parse asset_id to remove suffix if present
-          // Handles both simple ([0], [1], etc.) and range ([1...50], [51...9999], etc.) formats
-          // Examples:
-          //   "05ec6f38...2514a[0]" -> "05ec6f38...2514a"
-          //   "05ec6f38...2514a[1...50]" -> "05ec6f38...2514a"
-          assetId = asset.asset_id.replace(/\[(?:\d+|\d+\.\.\.\d+)\]$/, '');
-          
-          logger.info(`[ASSET] No name in vout, looking up asset by ID: ${assetId}`);
-          
-          // Look up asset in database by assetId (creation txid)
-          const assetRecord = await Asset.findOne({ assetId });
-          
-          if (assetRecord) {
-            assetName = assetRecord.name;
-            logger.info(`[ASSET] ✓ Resolved asset name from ID: ${assetId} -> ${assetName}`);
-          } else {
-            logger.warn(`[ASSET] ✗ Asset not found in database for ID: ${assetId}`);
-          }
-        }
+        const { assetId, assetName, serialStart, serialEnd } = await this.resolveTransferAsset(asset);
 
         if (!assetName) {
           logger.warn(`[ASSET] ✗ No asset name available for tx ${tx.txid}, vout ${vout.n} (asset_id: ${asset.asset_id || 'missing'})`);
           continue;
         }
 
-        // Find sender from inputs (trace back to previous transaction)
-        let sender = null;
-        if (tx.vin && tx.vin.length > 0) {
-          // Try to get address from first input
-          sender = tx.vin[0].address || null;
-          
-          // If not available, try other inputs
-          if (!sender) {
-            for (const vin of tx.vin) {
-              if (vin.address) {
-                sender = vin.address;
-                break;
-              }
-            }
-          }
-        }
+        // Sender is the owner of the inputs carrying this asset
+        const { from: sender, senders } = prevoutResolver.sendersFor(prevouts, {
+          assetId: assetId || null,
+          assetName
+        });
 
         // Find asset record
         const assetRecord = await Asset.findOne({ name: assetName });
-        if (assetRecord) {
+        if (!assetRecord) {
+          logger.warn(`[ASSET] Asset record not found for ${assetName} in transfer tx ${tx.txid}`);
+        }
+
+        // Record transfer before the counters, which follow from it
+        // Priority for assetId: parsed asset_id from vout (if available) > assetRecord.assetId > assetName fallback
+        const recorded = await this.recordAssetTransfer({
+          txid: tx.txid,
+          assetId: assetId || assetRecord?.assetId || assetName,
+          assetName,
+          from: sender,
+          senders,
+          to: recipient,
+          amount,
+          serialStart,
+          serialEnd,
+          type: 'transfer',
+          blockHeight,
+          timestamp: blockTime
+        });
+
+        if (assetRecord && recorded) {
           // Update current owner
           assetRecord.currentOwner = recipient;
           assetRecord.transferCount += 1;
@@ -298,25 +289,25 @@ class AssetProcessor {
           };
           await assetRecord.save();
           logger.info(`[ASSET] ✓ Updated asset ${assetName} transferCount to ${assetRecord.transferCount}`);
-        } else {
-          logger.warn(`[ASSET] Asset record not found for ${assetName} in transfer tx ${tx.txid}`);
+        } else if (assetRecord) {
+          // Block re-processed: the counters may or may not include this transfer yet
+          await this.restoreTransferState(assetRecord);
         }
 
-        // Record transfer
-        // Priority for assetId: parsed asset_id from vout (if available) > assetRecord.assetId > assetName fallback
-        await this.recordAssetTransfer({
-          txid: tx.txid,
+        // Unique assets minted more than once: track which serials moved
+        await assetUnits.recordMovement({
           assetId: assetId || assetRecord?.assetId || assetName,
           assetName,
-          from: sender,
-          to: recipient,
-          amount,
-          type: 'transfer',
+          serialStart,
+          serialEnd,
+          owner: recipient,
+          txid: tx.txid,
           blockHeight,
-          timestamp: blockTime
+          timestamp: blockTime,
+          type: 'transfer'
         });
 
-        transfers.push({ assetName, amount, from: sender, to: recipient });
+        transfers.push({ assetId: assetId || assetRecord?.assetId || assetName, assetName, amount, serialStart, serialEnd, from: sender, to: recipient });
         logger.info(`[ASSET] ✓ Recorded transfer: ${assetName} from ${sender || 'unknown'} to ${recipient}, amount: ${amount}`);
       }
 
@@ -343,41 +334,544 @@ class AssetProcessor {
 
   /**
    * Handle asset update (Type 9 - UpdateAssetTx)
+   * Applies owner, referenceHash, updatable and supply changes to the asset
+   * and keeps the prior version in AssetMetadataHistory
    */
   async handleAssetUpdate(tx, blockHeight, blockTime, blockHash) {
     try {
-      // Parse extraPayload for updated IPFS hash
-      // This is simplified - actual implementation would need to decode extraPayload
-      logger.info(`Asset update transaction detected: ${tx.txid}`);
-      
+      if (!tx.updateAssetTx && !tx.UpdateAssetTx) {
+        logger.warn(`No updateAssetTx data in transaction ${tx.txid}`);
+        return null;
+      }
+
+      // Handle both naming conventions for compatibility
+      const updateData = tx.updateAssetTx || tx.UpdateAssetTx;
+      const { assetId } = updateData;
+
+      const asset = await Asset.findOne({ assetId });
+      if (!asset) {
+        logger.warn(`Asset not found for update: ${assetId} (tx ${tx.txid})`);
+        await this.recordAssetTransaction(tx, blockHeight, blockTime, 'update', {
+          assetId,
+          assetName: null,
+          from: null,
+          to: updateData.ownerAddress || null,
+          amount: 0
+        }, blockHash);
+        return null;
+      }
+
+      const previous = this.snapshotAsset(asset);
+      const next = {
+        ownerAddress: updateData.ownerAddress ?? previous.ownerAddress,
+        referenceHash: (updateData.referenceHash ?? previous.referenceHash) || null,
+        updatable: updateData.updatable ?? previous.updatable,
+        maxMintCount: updateData.maxMintCount ?? previous.maxMintCount,
+        distribution: {
+          type: updateData.type ?? previous.distribution?.type,
+          targetAddress: updateData.targetAddress ?? previous.distribution?.targetAddress,
+          issueFrequency: updateData.issueFrequency ?? previous.distribution?.issueFrequency,
+          amount: updateData.amount ?? previous.distribution?.amount
+        }
+      };
+      const changes = this.diffAssetState(previous, next);
+
+      // Applied already when the asset's update count reached this update's
+      // version (block re-processed after a later step failed)
+      const recorded = await AssetMetadataHistory.findOne({ txid: tx.txid }).select('version').lean();
+      if (recorded && (asset.updateCount || 0) >= recorded.version) {
+        logger.debug(`Asset update already applied: ${asset.name} in ${tx.txid}`);
+        return { assetId, assetName: asset.name, changes };
+      }
+
+      // Record the prior version before the asset changes. A failure in between
+      // leaves the entry; the retry applies the update to the unchanged asset.
+      await AssetMetadataHistory.updateOne(
+        { txid: tx.txid },
+        {
+          $setOnInsert: {
+            assetId,
+            assetName: asset.name,
+            version: (asset.updateCount || 0) + 1,
+            blockHeight,
+            timestamp: blockTime,
+            changes,
+            previous
+          }
+        },
+        { upsert: true }
+      );
+
+      asset.ownerAddress = next.ownerAddress;
+      asset.updatable = next.updatable;
+      asset.maxMintCount = next.maxMintCount || 0;
+      asset.distribution = next.distribution;
+      asset.updateCount = (asset.updateCount || 0) + 1;
+      asset.lastUpdate = { txid: tx.txid, blockHeight, timestamp: blockTime };
+
+      // A new reference hash points at new metadata
+      if (next.referenceHash !== previous.referenceHash) {
+        const { metadata, ipfsVerified } = await this.fetchAssetMetadata(next.referenceHash, asset.name);
+        asset.referenceHash = next.referenceHash || null;
+        asset.ipfsHash = next.referenceHash || undefined;
+        asset.metadata = metadata;
+        asset.ipfsVerified = ipfsVerified;
+        asset.ipfsLastChecked = next.referenceHash ? new Date() : null;
+      }
+
+      await asset.save();
+      logger.info(`Updated asset: ${asset.name} (${changes.map(c => c.field).join(', ') || 'no changes'}) in ${tx.txid}`);
+
       // Record transaction
       await this.recordAssetTransaction(tx, blockHeight, blockTime, 'update', {
-        assetId: null, // Would need to parse from extraPayload
-        assetName: null,
-        from: null,
-        to: null,
+        assetId,
+        assetName: asset.name,
+        from: previous.ownerAddress || null,
+        to: next.ownerAddress || null,
         amount: 0
       }, blockHash);
 
-      return { updated: true };
+      return { assetId, assetName: asset.name, changes };
     } catch (error) {
       logger.error(`Error handling asset update for ${tx.txid}:`, error);
       throw error;
     }
   }
 
+  /**
+   * Decode the asset operations a transaction carries without writing anything
+   * Used for unconfirmed (mempool) transactions and reindex comparisons
+   * Mint serials are only numbered when the block height is known
+   */
+  async decodeAssetOperations(tx, blockHeight) {
+    switch (tx.type || 0) {
+      case 8: {
+        if (!tx.newAssetTx) return [];
+        const { fullAssetName } = await this.resolveNewAssetName(tx.newAssetTx);
+        return [{
+          operation: 'create',
+          assetId: tx.txid,
+          assetName: fullAssetName,
+          amount: 0,
+          from: null,
+          to: tx.newAssetTx.ownerAddress || null
+        }];
+      }
+
+      case 10: {
+        const mintData = tx.mintAssetTx || tx.MintAssetTx;
+        const assetVout = this.findMintVout(tx);
+        if (!mintData || !assetVout) return [];
+        const { asset } = assetVout.scriptPubKey;
+        return [{
+          operation: 'mint',
+          assetId: mintData.assetId,
+          assetName: asset.name,
+          amount: asset.amount || 0,
+          ...await this.resolveMintSerials(mintData.assetId, asset, blockHeight, tx.txid),
+          from: null,
+          to: assetVout.scriptPubKey.addresses?.[0] || null
+        }];
+      }
+
+      case 9: {
+        const updateData = tx.updateAssetTx || tx.UpdateAssetTx;
+        if (!updateData) return [];
+        const asset = await Asset.findOne({ assetId: updateData.assetId }).select('name').lean();
+        return [{
+          operation: 'update',
+          assetId: updateData.assetId,
+          assetName: asset?.name || null,
+          amount: 0,
+          from: null,
+          to: updateData.ownerAddress || null
+        }];
+      }
+
+      case 7:
+        return [];
+
+      default: {
+        const assetVouts = this.findAssetVouts(tx);
+        if (assetVouts.length === 0) return [];
+
+        const prevouts = await prevoutResolver.resolveInputs(tx.vin);
+        const operations = [];
+
+        for (const vout of assetVouts) {
+          const { asset } = vout.scriptPubKey;
+          const recipient = vout.scriptPubKey.addresses?.[0];
+          if (!asset || !recipient) continue;
+
+          const { assetId, assetName, serialStart, serialEnd } = await this.resolveTransferAsset(asset);
+          if (!assetName) continue;
+
+          const { from: sender } = prevoutResolver.sendersFor(prevouts, { assetId: assetId || null, assetName });
+
+          const assetRecord = assetId ? null : await Asset.findOne({ name: assetName }).select('assetId').lean();
+          operations.push({
+            operation: 'transfer',
+            assetId: assetId || assetRecord?.assetId || assetName,
+            assetName,
+            amount: asset.amount || 0,
+            ...(serialStart !== undefined && { serialStart, serialEnd }),
+            from: sender,
+            to: recipient
+          });
+        }
+
+        return operations;
+      }
+    }
+  }
+
+  /**
+   * Build the full name of a new asset, linking sub-assets to their parent
+   */
+  async resolveNewAssetName({ name, isRoot, rootId }) {
+    // Detect sub-asset using isRoot field
+    const isSubAsset = isRoot === false;
+    let parentAssetName = null;
+    let subAssetName = null;
+    let parentAssetId = null;
+    let fullAssetName = name;  // Default to the provided name
+
+    if (isSubAsset) {
+      // Sub-assets have isRoot=false and provide rootId
+      subAssetName = name.trim();
+
+      // Find parent asset by rootId (the parent's creation txid)
+      const parentAsset = await Asset.findOne({ assetId: rootId });
+
+      if (parentAsset) {
+        parentAssetName = parentAsset.name.toUpperCase();
+        parentAssetId = parentAsset.assetId;
+        fullAssetName = `${parentAssetName}|${subAssetName}`;
+
+        logger.info(`Creating sub-asset: ${fullAssetName} (parent: ${parentAssetName}, child: ${subAssetName})`);
+      } else {
+        logger.warn(`Parent asset not found for sub-asset ${name} (rootId: ${rootId})`);
+        // Still save with pipe notation even if parent not found yet
+        fullAssetName = `UNKNOWN|${subAssetName}`;
+      }
+    }
+
+    return { isSubAsset, parentAssetName, subAssetName, parentAssetId, fullAssetName };
+  }
+
+  /**
+   * Find the vout a MintAssetTx credits
+   */
+  findMintVout(tx) {
+    return tx.vout?.find(vout =>
+      vout.scriptPubKey?.type === 'transferasset' &&
+      vout.scriptPubKey?.asset
+    );
+  }
+
+  /**
+   * Serials a mint creates, for unique assets minted more than once
+   * Read from the vout's asset_id suffix; when the node leaves it out, serials are
+   * numbered from 1 on from the units of the mints before this one in chain
+   * order: lower blocks, then earlier in this block
+   */
+  async resolveMintSerials(assetId, asset, blockHeight, txid) {
+    const parsed = assetUnits.parseAssetId(asset.asset_id);
+    if (parsed.serialStart !== undefined) {
+      return { serialStart: parsed.serialStart, serialEnd: parsed.serialEnd };
+    }
+    if (blockHeight === undefined || !(asset.amount >= 1)) return {};
+
+    const record = await Asset.findOne({ assetId }).select('isUnique maxMintCount').lean();
+    if (!record?.isUnique || !(record.maxMintCount > 1)) return {};
+
+    const [[minted], sameBlock] = await Promise.all([
+      AssetTransfer.aggregate([
+        { $match: { assetId, type: 'mint', blockHeight: { $lt: blockHeight } } },
+        { $group: { _id: null, amount: { $sum: '$amount' } } }
+      ]),
+      // Mints in this block already recorded, whatever recorded them; only those ahead of this one count
+      AssetTransfer.find({ assetId, type: 'mint', blockHeight, txid: { $ne: txid } }).select('txid amount').lean()
+    ]);
+
+    let earlier = minted?.amount || 0;
+    if (sameBlock.length > 0) {
+      const block = await Block.findOne({ height: blockHeight }).select('transactions').lean();
+      const position = (id) => block?.transactions?.indexOf(id) ?? -1;
+      const own = position(txid);
+      earlier += sameBlock
+        .filter(mint => position(mint.txid) !== -1 && position(mint.txid) < own)
+        .reduce((sum, mint) => sum + mint.amount, 0);
+    }
+
+    const serialStart = earlier + 1;
+    return { serialStart, serialEnd: serialStart + Math.floor(asset.amount) - 1 };
+  }
+
+  /**
+   * Find the vouts carrying an asset - check multiple possible structures
+   */
+  findAssetVouts(tx) {
+    return tx.vout?.filter(vout => {
+      const scriptPubKey = vout.scriptPubKey;
+      if (!scriptPubKey) return false;
+
+      // Check for asset data in multiple locations
+      return scriptPubKey.type === 'transferasset' ||
+             scriptPubKey.asset ||
+             (scriptPubKey.type === 'pubkeyhash' && scriptPubKey.asset);
+    }) || [];
+  }
+
+  /**
+   * Resolve the name (and parsed ID, when the vout only has one) of a vout's asset,
+   * plus the serial range it carries for unique assets minted more than once
+   */
+  async resolveTransferAsset(asset) {
+    let assetName = asset.name;
+    let assetId = null;  // Set from asset_id when the vout has no name
+
+    // Handles both simple ([0], [1], etc.) and range ([1...50], [51...9999], etc.) suffixes
+    // Examples:
+    //   "05ec6f38...2514a[0]" -> "05ec6f38...2514a", serial 0
+    //   "05ec6f38...2514a[1...50]" -> "05ec6f38...2514a", serials 1 to 50
+    const { assetId: parsedId, serialStart, serialEnd } = assetUnits.parseAssetId(asset.asset_id);
+
+    if (!assetName && parsedId) {
+      assetId = parsedId;
+
+      logger.info(`[ASSET] No name in vout, looking up asset by ID: ${assetId}`);
+
+      // Look up asset in database by assetId (creation txid)
+      const assetRecord = await Asset.findOne({ assetId });
+
+      if (assetRecord) {
+        assetName = assetRecord.name;
+        logger.info(`[ASSET] ✓ Resolved asset name from ID: ${assetId} -> ${assetName}`);
+      } else {
+        logger.warn(`[ASSET] ✗ Asset not found in database for ID: ${assetId}`);
+      }
+    }
+
+    return { assetId, assetName, serialStart, serialEnd };
+  }
+
+  /**
+   * Fetch and map IPFS metadata for a reference hash
+   * ipfsVerified is only set when the content was checked against the CID;
+   * fetched is false when no gateway returned matching content
+   */
+  async fetchAssetMetadata(referenceHash, name) {
+    if (!referenceHash) {
+      return { metadata: {}, ipfsVerified: false, fetched: false };
+    }
+
+    try {
+      const result = await ipfsService.fetchMetadata(referenceHash);
+      if (result) {
+        return {
+          metadata: this.buildAssetMetadata(result.metadata, name),
+          ipfsVerified: result.verification === 'verified',
+          fetched: true
+        };
+      }
+    } catch (error) {
+      logger.error(`Error fetching IPFS metadata for asset ${name}:`, error);
+    }
+
+    return { metadata: {}, ipfsVerified: false, fetched: false };
+  }
+
+  /**
+   * Map fetched IPFS metadata to the Asset.metadata fields
+   * The metadata is normalized to the Raptoreum metadata schema first; the
+   * report of what had to change is stored as metadata.quality and
+   * rawMetadata keeps the metadata as published
+   */
+  buildAssetMetadata(ipfsMetadata, name) {
+    const { metadata, quality } = normalizeMetadata(ipfsMetadata, name);
+
+    return {
+      name: metadata.name,
+      description: metadata.description || '',
+      image: metadata.image || '',
+      imageUrl: ipfsService.resolveImageUrl(metadata, 'image'),
+      animationUrl: metadata.animation_url || '',
+      externalUrl: metadata.external_url || '',
+      attributes: metadata.attributes || [],
+      properties: metadata.properties || {},
+      rawMetadata: ipfsMetadata,
+      quality
+    };
+  }
+
+  /**
+   * Capture the fields an UpdateAssetTx can change
+   */
+  snapshotAsset(asset) {
+    const obj = asset.toObject ? asset.toObject() : asset;
+
+    return {
+      ownerAddress: obj.ownerAddress ?? obj.creator,
+      referenceHash: obj.referenceHash || null,
+      updatable: obj.updatable ?? false,
+      maxMintCount: obj.maxMintCount ?? 0,
+      distribution: obj.distribution || {},
+      metadata: obj.metadata || {},
+      ipfsHash: obj.ipfsHash,
+      ipfsVerified: obj.ipfsVerified ?? false,
+      ipfsLastChecked: obj.ipfsLastChecked
+    };
+  }
+
+  /**
+   * List the fields that differ between two asset states
+   */
+  diffAssetState(previous, next) {
+    const changes = [];
+    const compare = (field, from, to) => {
+      if ((from ?? null) !== (to ?? null)) {
+        changes.push({ field, from: from ?? null, to: to ?? null });
+      }
+    };
+
+    compare('ownerAddress', previous.ownerAddress, next.ownerAddress);
+    compare('referenceHash', previous.referenceHash, next.referenceHash);
+    compare('updatable', previous.updatable, next.updatable);
+    compare('maxMintCount', previous.maxMintCount, next.maxMintCount);
+    for (const key of ['type', 'targetAddress', 'issueFrequency', 'amount']) {
+      compare(`distribution.${key}`, previous.distribution?.[key], next.distribution?.[key]);
+    }
+
+    return changes;
+  }
+
+  /**
+   * Restore assets changed by updates above a height (chain reorganization)
+   */
+  async rollbackUpdates(commonAncestor) {
+    const orphanedUpdates = await AssetMetadataHistory.find({ blockHeight: { $gt: commonAncestor } })
+      .sort({ version: 1 })
+      .lean();
+
+    // The earliest orphaned update per asset holds the state to restore
+    const earliest = new Map();
+    for (const update of orphanedUpdates) {
+      if (!earliest.has(update.assetId)) {
+        earliest.set(update.assetId, update);
+      }
+    }
+
+    await AssetMetadataHistory.deleteMany({ blockHeight: { $gt: commonAncestor } });
+
+    let assetsReverted = 0;
+    for (const update of earliest.values()) {
+      const lastSurviving = await AssetMetadataHistory.findOne({ assetId: update.assetId })
+        .sort({ version: -1 })
+        .lean();
+
+      const { modifiedCount } = await Asset.updateOne(
+        { assetId: update.assetId },
+        {
+          $set: {
+            ownerAddress: update.previous.ownerAddress,
+            referenceHash: update.previous.referenceHash || null,
+            updatable: update.previous.updatable ?? false,
+            maxMintCount: update.previous.maxMintCount ?? 0,
+            distribution: update.previous.distribution || {},
+            metadata: update.previous.metadata || {},
+            ipfsHash: update.previous.ipfsHash || null,
+            ipfsVerified: update.previous.ipfsVerified ?? false,
+            ipfsLastChecked: update.previous.ipfsLastChecked || null,
+            updateCount: update.version - 1,
+            ...(lastSurviving && {
+              lastUpdate: {
+                txid: lastSurviving.txid,
+                blockHeight: lastSurviving.blockHeight,
+                timestamp: lastSurviving.timestamp
+              }
+            })
+          },
+          ...(!lastSurviving && { $unset: { lastUpdate: '' } })
+        }
+      );
+      assetsReverted += modifiedCount;
+    }
+
+    return { updatesRemoved: orphanedUpdates.length, assetsReverted };
+  }
+
+  /**
+   * Set currentOwner and lastTransfer from the latest mint or transfer an asset has left
+   * Does not save the asset
+   */
+  async restoreLatestTransfer(asset) {
+    const assetFilter = { $or: [{ assetId: asset.assetId }, { assetName: asset.name }] };
+    const latest = await AssetTransfer.findOne(assetFilter)
+      .sort({ blockHeight: -1, timestamp: -1 })
+      .lean();
+    asset.currentOwner = latest?.to || asset.creator;
+
+    const latestTransfer = latest?.type === 'transfer'
+      ? latest
+      : await AssetTransfer.findOne({ ...assetFilter, type: 'transfer' })
+        .sort({ blockHeight: -1, timestamp: -1 })
+        .lean();
+    asset.lastTransfer = latestTransfer
+      ? {
+        txid: latestTransfer.txid,
+        from: latestTransfer.from,
+        to: latestTransfer.to,
+        timestamp: latestTransfer.timestamp
+      }
+      : undefined;
+
+    return asset;
+  }
+
+  /**
+   * Recompute an asset's mint and transfer counters from its AssetTransfer history
+   * (reindex, or a block processed again)
+   */
+  async restoreTransferState(asset) {
+    const [totals] = await AssetTransfer.aggregate([
+      { $match: { $or: [{ assetId: asset.assetId }, { assetName: asset.name }] } },
+      {
+        $group: {
+          _id: null,
+          mints: { $sum: { $cond: [{ $eq: ['$type', 'mint'] }, 1, 0] } },
+          mintedAmount: { $sum: { $cond: [{ $eq: ['$type', 'mint'] }, '$amount', 0] } },
+          transfers: { $sum: { $cond: [{ $eq: ['$type', 'mint'] }, 0, 1] } }
+        }
+      }
+    ]);
+
+    asset.mintCount = totals?.mints || 0;
+    asset.circulatingSupply = totals?.mintedAmount || 0;
+    asset.transferCount = totals?.transfers || 0;
+    await this.restoreLatestTransfer(asset);
+    await asset.save();
+
+    return asset;
+  }
+
   /**
    * Record asset transfer in AssetTransfer collection
+   * Returns true if it was recorded now, false if it already was
    */
   async recordAssetTransfer(transferData) {
     try {
       // Use upsert to avoid duplicate check query
+      const filter = {
+        txid: transferData.txid,
+        assetName: transferData.assetName,
+        to: transferData.to
+      };
+      // Several serial ranges can go to the same address in one transaction
+      if (transferData.serialStart !== undefined) filter.serialStart = transferData.serialStart;
+
       const result = await AssetTransfer.findOneAndUpdate(
-        {
-          txid: transferData.txid,
-          assetName: transferData.assetName,
-          to: transferData.to
-        },
+        filter,
         transferData,
         {
           upsert: true,
@@ -396,7 +890,7 @@ class AssetProcessor {
         logger.debug(`Transfer already recorded: ${transferData.assetName} in ${transferData.txid}`);
       }
       
-      return result.value;
+      return Boolean(wasNew);
     } catch (error) {
       logger.error(`Failed to record asset transfer for ${transferData.assetName} in ${transferData.txid}:`, error);
       throw error;
@@ -428,19 +922,8 @@ class AssetProcessor {
         confirmations: tx.confirmations || 0,
         size: tx.size || 0,
         fee: tx.fee || 0,
-        inputs: (tx.vin || []).map(vin => ({
-          txid: vin.txid,
-          vout: vin.vout,
-          address: vin.address,
-          amount: vin.value || 0,
-          scriptSig: vin.scriptSig?.hex
-        })),
-        outputs: (tx.vout || []).map(vout => ({
-          n: vout.n,
-          address: vout.scriptPubKey?.addresses?.[0],
-          amount: vout.value || 0,
-          scriptPubKey: vout.scriptPubKey?.hex
-        })),
+        inputs: transactionIndexer.mapInputs(tx),
+        outputs: transactionIndexer.mapOutputs(tx),
         type: txType,
         assetData: {
           assetId: assetData.assetId,
@@ -0,0 +1,193 @@
+import Asset from '../models/Asset.js';
+import AssetBalance from '../models/AssetBalance.js';
+
+const NODE_FIELDS = ['assetId', 'name', 'subAssetName', 'parentAssetId', 'parentAssetName', 'type', 'isUnique', 'createdBlockHeight', 'createdAt', 'transferCount'];
+
+// Nodes one tree request loads at most; branches past it are loaded on demand
+const MAX_NODES = 1000;
+
+/**
+ * Descendant hierarchy of an asset, built one level at a time
+ *
+ * Children are found by parentAssetId, or by parentAssetName for sub-assets
+ * indexed before parent IDs were stored. Branches below the depth limit,
+ * beyond a node's child limit or past the node limit are left for the client
+ * to load on demand.
+ */
+class AssetTree {
+  /**
+   * @param {Object} root - Asset document the tree starts at (depth 0)
+   * @param {Object} options
+   * @param {number} options.depth - Levels of descendants to load below the root
+   * @param {number} options.childLimit - Children loaded per node
+   * @param {number} options.offset - Root children to skip, to page through them
+   * @returns {{tree, depth, nodeCount, truncated}} truncated when the node
+   *   limit cut the tree short
+   */
+  async getTree(root, { depth = 2, childLimit = 50, offset = 0 } = {}) {
+    const rootNode = this.toNode(root, 0);
+    const seen = new Set([root.assetId]);
+    let level = [rootNode];
+    let nodeCount = 1;
+    let truncated = false;
+
+    for (let current = 1; current <= depth && level.length > 0; current++) {
+      const skip = current === 1 ? offset : 0;
+      const budget = MAX_NODES - nodeCount;
+      const [counts, children] = await Promise.all([
+        this.countChildren(level),
+        budget > 0 ? this.findChildren(level, { limit: childLimit, skip, max: budget }) : []
+      ]);
+      // Children are in node order, so only nodes after the last one served can be cut off
+      const cut = children.length >= budget;
+      if (cut) truncated = true;
+
+      const byParent = new Map();
+      for (const child of children) {
+        if (!byParent.has(child.parentKey)) byParent.set(child.parentKey, []);
+        byParent.get(child.parentKey).push(child);
+      }
+      const next = [];
+
+      for (const parent of level) {
+        const page = byParent.get(parent.assetId);
+        parent.childCount = counts.get(parent.assetId) || 0;
+
+        // Past the node limit: loaded on demand, like a branch below the depth limit
+        if (!page && cut && parent.childCount > skip) {
+          parent.hasMoreChildren = true;
+          continue;
+        }
+
+        parent.children = [];
+        for (const child of page || []) {
+          if (seen.has(child.assetId)) continue;
+          seen.add(child.assetId);
+
+          const node = this.toNode(child, current);
+          parent.children.push(node);
+          next.push(node);
+        }
+        parent.hasMoreChildren = parent.childCount > skip + (page?.length || 0);
+      }
+
+      nodeCount += next.length;
+      level = next;
+    }
+
+    // The deepest loaded level only needs to know whether it can be expanded
+    if (level.length > 0) {
+      const counts = await this.countChildren(level);
+      for (const node of level) {
+        node.childCount = counts.get(node.assetId) || 0;
+        node.hasMoreChildren = node.childCount > 0;
+      }
+    }
+
+    await this.attachHolderCounts(rootNode);
+
+    return { tree: rootNode, depth, nodeCount, truncated };
+  }
+
+  toNode(asset, depth) {
+    return {
+      assetId: asset.assetId,
+      name: asset.name,
+      subAssetName: asset.subAssetName || null,
+      parentAssetId: asset.parentAssetId || null,
+      type: asset.type === 'non-fungible' ? 'nft' : 'fungible',
+      isUnique: asset.isUnique ?? false,
+      height: asset.createdBlockHeight ?? null,
+      createdAt: asset.createdAt || null,
+      depth,
+      holders: 0,
+      transfers: asset.transferCount ?? 0,
+      childCount: 0,
+      hasMoreChildren: false,
+      children: null
+    };
+  }
+
+  // Sub-asset names store the parent's name upper-cased
+  parentFilter(nodes) {
+    const ids = nodes.map(node => node.assetId);
+    const names = [...new Set(nodes.flatMap(node => [node.name, node.name.toUpperCase()]))];
+    return {
+      isSubAsset: true,
+      $or: [
+        { parentAssetId: { $in: ids } },
+        { parentAssetId: null, parentAssetName: { $in: names } }
+      ]
+    };
+  }
+
+  // ID of the node a child belongs to, by parentAssetId or by legacy parent name
+  parentKey(nodes) {
+    const ids = nodes.map(node => node.assetId);
+    const names = nodes.map(node => node.name.toUpperCase());
+    return {
+      $ifNull: ['$parentAssetId', {
+        $let: {
+          vars: { index: { $indexOfArray: [names, { $toUpper: '$parentAssetName' }] } },
+          in: { $cond: [{ $gte: ['$$index', 0] }, { $arrayElemAt: [ids, '$$index'] }, null] }
+        }
+      }]
+    };
+  }
+
+  /**
+   * One page of children per node, with one query for the whole level
+   * Pages are in node order, children in name order, and `max` children at most
+   */
+  async findChildren(nodes, { limit, skip, max }) {
+    const ids = nodes.map(node => node.assetId);
+
+    return await Asset.aggregate([
+      { $match: this.parentFilter(nodes) },
+      { $set: { parentKey: this.parentKey(nodes) } },
+      {
+        $setWindowFields: {
+          partitionBy: '$parentKey',
+          sortBy: { name: 1 },
+          output: { position: { $documentNumber: {} } }
+        }
+      },
+      { $match: { position: { $gt: skip, $lte: skip + limit } } },
+      { $set: { parentIndex: { $indexOfArray: [ids, '$parentKey'] } } },
+      { $sort: { parentIndex: 1, position: 1 } },
+      { $limit: max },
+      { $project: Object.fromEntries([...NODE_FIELDS, 'parentKey'].map(field => [field, 1])) }
+    ]);
+  }
+
+  async countChildren(nodes) {
+    const counts = await Asset.aggregate([
+      { $match: this.parentFilter(nodes) },
+      { $group: { _id: this.parentKey(nodes), count: { $sum: 1 } } }
+    ]);
+
+    return new Map(counts.map(({ _id, count }) => [_id, count]));
+  }
+
+  async attachHolderCounts(rootNode) {
+    const nodes = [];
+    const stack = [rootNode];
+    while (stack.length > 0) {
+      const node = stack.pop();
+      nodes.push(node);
+      if (node.children) stack.push(...node.children);
+    }
+
+    const counts = await AssetBalance.aggregate([
+      { $match: { assetId: { $in: nodes.map(node => node.assetId) }, balance: { $gt: 0 } } },
+      { $group: { _id: '$assetId', holders: { $sum: 1 } } }
+    ]);
+    const holders = new Map(counts.map(count => [count._id, count.holders]));
+
+    for (const node of nodes) {
+      node.holders = holders.get(node.assetId) || 0;
+    }
+  }
+}
+
+export default new AssetTree();
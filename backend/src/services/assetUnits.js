@@ -0,0 +1,186 @@
+import AssetUnit from '../models/AssetUnit.js';
+import AssetTransfer from '../models/AssetTransfer.js';
+import { logger } from '../utils/logger.js';
+
+// asset_id[n] or asset_id[n...m]
+const SERIAL_SUFFIX = /\[(\d+)(?:\.\.\.(\d+))?\]$/;
+
+// Larger ranges are assumed to be malformed and are not expanded
+const MAX_RANGE = 100000;
+
+// Serials written per bulkWrite
+const WRITE_CHUNK = 1000;
+
+/**
+ * Per-serial ownership of unique assets with maxMintCount > 1
+ *
+ * Each serial is one AssetUnit. Movements are idempotent and ordered by block
+ * height, so replaying a block (reindex) never moves a serial back in time.
+ */
+class AssetUnits {
+  /**
+   * Split a vout asset_id into the asset ID and the serial range it carries
+   * "abc[7]" -> { assetId: "abc", serialStart: 7, serialEnd: 7 }
+   * "abc[1...50]" -> { assetId: "abc", serialStart: 1, serialEnd: 50 }
+   */
+  parseAssetId(rawAssetId) {
+    if (!rawAssetId) return { assetId: null, serialStart: undefined, serialEnd: undefined };
+
+    const match = rawAssetId.match(SERIAL_SUFFIX);
+    if (!match) return { assetId: rawAssetId, serialStart: undefined, serialEnd: undefined };
+
+    const serialStart = parseInt(match[1]);
+    const serialEnd = match[2] !== undefined ? parseInt(match[2]) : serialStart;
+    return {
+      assetId: rawAssetId.slice(0, match.index),
+      serialStart: Math.min(serialStart, serialEnd),
+      serialEnd: Math.max(serialStart, serialEnd)
+    };
+  }
+
+  /**
+   * Move a serial range to a new owner (mint or transfer)
+   */
+  async recordMovement({ assetId, assetName, serialStart, serialEnd, owner, txid, blockHeight, timestamp, type }) {
+    if (serialStart === undefined || serialEnd === undefined) return 0;
+
+    if (serialEnd - serialStart + 1 > MAX_RANGE) {
+      logger.warn(`[UNITS] Skipping ${assetName} serials ${serialStart}...${serialEnd} in ${txid}: range too large`);
+      return 0;
+    }
+
+    // Keep the newer state when a serial already moved at a later height
+    const isNewer = { $lte: [{ $ifNull: ['$lastHeight', -1] }, blockHeight] };
+    const latest = (value, field) => ({ $cond: [isNewer, value, `$${field}`] });
+
+    const stage = {
+      assetName,
+      owner: latest(owner, 'owner'),
+      lastTxid: latest(txid, 'lastTxid'),
+      lastMovedAt: latest(timestamp, 'lastMovedAt'),
+      lastHeight: { $max: [{ $ifNull: ['$lastHeight', -1] }, blockHeight] }
+    };
+    if (type === 'mint') {
+      stage.mintTxid = txid;
+      stage.mintedHeight = blockHeight;
+      stage.mintedAt = timestamp;
+    }
+
+    let written = 0;
+    for (let start = serialStart; start <= serialEnd; start += WRITE_CHUNK) {
+      const end = Math.min(start + WRITE_CHUNK - 1, serialEnd);
+      const operations = [];
+      for (let serial = start; serial <= end; serial++) {
+        operations.push({
+          updateOne: {
+            filter: { assetId, serial },
+            update: [{ $set: stage }],
+            upsert: true
+          }
+        });
+      }
+      const result = await AssetUnit.bulkWrite(operations, { ordered: false });
+      written += result.upsertedCount + result.modifiedCount;
+    }
+
+    logger.debug(`[UNITS] ${type} ${assetName} [${serialStart}...${serialEnd}] -> ${owner} (${txid})`);
+    return written;
+  }
+
+  /**
+   * One serial with every mint and transfer that moved it, oldest first
+   */
+  async getUnit(assetId, serial) {
+    const unit = await AssetUnit.findOne({ assetId, serial }).lean();
+    if (!unit) return null;
+
+    const history = await AssetTransfer.find({
+      assetId,
+      serialStart: { $lte: serial },
+      serialEnd: { $gte: serial }
+    })
+      .sort({ blockHeight: 1, timestamp: 1, _id: 1 })
+      .lean();
+
+    return { unit, history };
+  }
+
+  /**
+   * Serials of an asset in order, optionally only those an address holds
+   */
+  async listUnits(assetId, { owner, limit = 20, offset = 0 } = {}) {
+    const filter = { assetId };
+    if (owner) filter.owner = owner;
+
+    const [units, total] = await Promise.all([
+      AssetUnit.find(filter).sort({ serial: 1 }).skip(offset).limit(limit).lean(),
+      AssetUnit.countDocuments(filter)
+    ]);
+
+    return { units, total };
+  }
+
+  /**
+   * Replay an asset's serial movements from its AssetTransfer history (reindex)
+   */
+  async rebuildAsset(assetId) {
+    await AssetUnit.deleteMany({ assetId });
+
+    const cursor = AssetTransfer.find({ assetId, serialStart: { $ne: null } })
+      .sort({ blockHeight: 1, timestamp: 1, _id: 1 })
+      .lean()
+      .cursor();
+
+    let movements = 0;
+    for await (const transfer of cursor) {
+      await this.recordMovement({ ...transfer, owner: transfer.to });
+      movements++;
+    }
+    await cursor.close();
+
+    return movements;
+  }
+
+  /**
+   * Restore serials moved in orphaned blocks from the transfers that remain
+   * Must run after the orphaned AssetTransfer rows are removed
+   */
+  async rollbackAbove(commonAncestor) {
+    const orphaned = await AssetUnit.find({ lastHeight: { $gt: commonAncestor } })
+      .select('assetId serial')
+      .lean();
+
+    let reverted = 0;
+    for (const { _id, assetId, serial } of orphaned) {
+      const previous = await AssetTransfer.findOne({
+        assetId,
+        serialStart: { $lte: serial },
+        serialEnd: { $gte: serial },
+        blockHeight: { $lte: commonAncestor }
+      })
+        .sort({ blockHeight: -1, timestamp: -1, _id: -1 })
+        .lean();
+
+      if (!previous) {
+        await AssetUnit.deleteOne({ _id });
+      } else {
+        await AssetUnit.updateOne({ _id }, {
+          $set: {
+            owner: previous.to,
+            lastTxid: previous.txid,
+            lastHeight: previous.blockHeight,
+            lastMovedAt: previous.timestamp
+          }
+        });
+      }
+      reverted++;
+    }
+
+    if (reverted > 0) {
+      logger.info(`[REORG] Reverted ${reverted} asset serial(s)`);
+    }
+    return reverted;
+  }
+}
+
+export default new AssetUnits();
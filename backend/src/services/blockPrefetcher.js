@@ -0,0 +1,101 @@
+import { logger } from '../utils/logger.js';
+
+/**
+ * Fetches a height range of blocks ahead of the sync loop with bounded concurrency
+ * Blocks are handed out strictly in height order; at most `concurrency` RPC fetches
+ * run at once and at most `depth` blocks are held ahead of the consumer
+ */
+class BlockPrefetcher {
+  constructor(startHeight, endHeight, { fetchBlock, concurrency = 5, depth = 20 }) {
+    this.endHeight = endHeight;
+    this.fetchBlock = fetchBlock;
+    this.concurrency = Math.max(1, concurrency);
+    this.depth = Math.max(this.concurrency, depth);
+
+    this.nextFetch = startHeight;
+    this.nextRead = startHeight;
+    this.inFlight = 0;
+    this.pending = new Map(); // height -> { promise, ready, fetchTime }
+    this.stopped = false;
+
+    this.fill();
+  }
+
+  /**
+   * Start fetches until the concurrency or look-ahead limit is reached
+   */
+  fill() {
+    while (
+      !this.stopped &&
+      this.inFlight < this.concurrency &&
+      this.nextFetch <= this.endHeight &&
+      this.nextFetch - this.nextRead < this.depth
+    ) {
+      this.schedule(this.nextFetch++);
+    }
+  }
+
+  schedule(height) {
+    const startedAt = Date.now();
+    const entry = { ready: false, fetchTime: 0 };
+
+    this.inFlight++;
+    entry.promise = this.fetchBlock(height).finally(() => {
+      entry.ready = true;
+      entry.fetchTime = Date.now() - startedAt;
+      this.inFlight--;
+      this.fill();
+    });
+    // Failures surface when the consumer reaches this height
+    entry.promise.catch(error => {
+      logger.debug(`[PREFETCH] Fetch of block ${height} failed: ${error.message}`);
+    });
+
+    this.pending.set(height, entry);
+  }
+
+  /**
+   * Resolve the next block in height order
+   * Returns { block, fetchTime }; rejects with the fetch error for that height
+   */
+  async next() {
+    const height = this.nextRead;
+    if (height > this.endHeight) {
+      throw new Error(`Prefetch range ends at block ${this.endHeight}`);
+    }
+
+    if (!this.pending.has(height)) {
+      this.nextFetch = Math.max(this.nextFetch, height + 1);
+      this.schedule(height);
+    }
+
+    const entry = this.pending.get(height);
+    this.pending.delete(height);
+    this.nextRead++;
+    this.fill();
+
+    const block = await entry.promise;
+    return { block, fetchTime: entry.fetchTime };
+  }
+
+  /**
+   * Blocks already fetched and waiting to be processed
+   */
+  get queueDepth() {
+    let ready = 0;
+    for (const entry of this.pending.values()) {
+      if (entry.ready) ready++;
+    }
+    return ready;
+  }
+
+  /**
+   * Stop fetching and drop anything not yet consumed (batch finished or reorg)
+   */
+  stop() {
+    this.stopped = true;
+    this.pending.clear();
+  }
+}
+
+export default BlockPrefetcher;
@@ -66,6 +66,10 @@ class BlockchainService {
     return await this.rpcCall('getrawtransaction', [txid, verbose]);
   }
 
+  async getRawMempool(verbose = false) {
+    return await this.rpcCall('getrawmempool', [verbose]);
+  }
+
   async getAssetDetailsByName(assetName) {
     try {
       return await this.rpcCall('getassetdetailsbyname', [assetName]);
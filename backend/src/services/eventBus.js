@@ -0,0 +1,184 @@
+import { EventEmitter } from 'events';
+import crypto from 'crypto';
+import { createClient } from 'redis';
+import { logger } from '../utils/logger.js';
+
+const CHANNEL = process.env.EVENTS_REDIS_CHANNEL || 'rtm:events';
+
+/**
+ * Live chain events (new blocks, asset creations, mints, transfers, updates,
+ * future unlocks, reorgs) published by the sync daemon.
+ *
+ * Events are delivered to listeners in the same process and relayed through
+ * Redis pub/sub, so API instances see events from a sync daemon running as a
+ * separate process. Without Redis only in-process listeners receive them.
+ */
+class EventBus {
+  constructor() {
+    this.emitter = new EventEmitter();
+    this.emitter.setMaxListeners(0);
+    this.instanceId = crypto.randomBytes(8).toString('hex');
+    this.sequence = 0;
+    this.publisher = null;
+    this.subscriber = null;
+    this.connecting = null;
+
+    // Recent events kept for clients reconnecting with Last-Event-ID
+    this.historySize = parseInt(process.env.EVENTS_HISTORY_SIZE || '200');
+    this.history = [];
+  }
+
+  /**
+   * Connect the Redis publisher and subscriber (safe to call more than once)
+   */
+  async connect() {
+    if (!this.connecting) {
+      this.connecting = this.connectRedis();
+    }
+    return this.connecting;
+  }
+
+  async connectRedis() {
+    const redisDb = parseInt(process.env.REDIS_DB || '0');
+
+    try {
+      const publisher = createClient({
+        socket: {
+          host: process.env.REDIS_HOST || '127.0.0.1',
+          port: process.env.REDIS_PORT || 6379,
+          connectTimeout: 3000,
+          // Give up after a few attempts so startup is not blocked when Redis is down
+          reconnectStrategy: (retries) => (retries > 5 ? new Error('Redis unreachable') : Math.min(retries * 500, 3000))
+        },
+        password: process.env.REDIS_PASSWORD || undefined,
+        database: isNaN(redisDb) ? 0 : redisDb
+      });
+      publisher.on('error', (err) => this.logRedisError('publisher', err));
+      await publisher.connect();
+
+      const subscriber = publisher.duplicate();
+      subscriber.on('error', (err) => this.logRedisError('subscriber', err));
+      await subscriber.connect();
+      await subscriber.subscribe(CHANNEL, (message) => this.receive(message));
+
+      this.publisher = publisher;
+      this.subscriber = subscriber;
+      logger.info(`[EVENTS] Relaying live events through Redis channel ${CHANNEL}`);
+      return true;
+    } catch (error) {
+      logger.warn(`[EVENTS] Redis unavailable, live events limited to this process: ${error.message}`);
+      this.publisher = null;
+      this.subscriber = null;
+      return false;
+    }
+  }
+
+  logRedisError(client, err) {
+    // Connection refusals are reported once by connectRedis
+    if (!err.message.includes('ECONNREFUSED')) {
+      logger.error(`[EVENTS] Redis ${client} error: ${err.message}`);
+    }
+  }
+
+  async disconnect() {
+    const clients = [this.subscriber, this.publisher].filter(Boolean);
+    this.publisher = null;
+    this.subscriber = null;
+    this.connecting = null;
+
+    for (const client of clients) {
+      try {
+        await client.quit();
+      } catch (error) {
+        logger.error(`[EVENTS] Error disconnecting from Redis: ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * Publish an event
+   * `assets` and `addresses` are the asset IDs/names and addresses it concerns,
+   * used to route it to per-asset and per-address subscribers
+   * Never throws: a failed publish must not interrupt the sync
+   */
+  async publish(type, data, { assets = [], addresses = [] } = {}) {
+    const event = {
+      id: `${Date.now()}-${this.instanceId}-${++this.sequence}`,
+      type,
+      timestamp: new Date().toISOString(),
+      assets: [...new Set(assets.filter(Boolean))],
+      addresses: [...new Set(addresses.filter(Boolean))],
+      data
+    };
+
+    this.deliver(event);
+
+    if (this.publisher) {
+      try {
+        await this.publisher.publish(CHANNEL, JSON.stringify({ origin: this.instanceId, event }));
+      } catch (error) {
+        logger.error(`[EVENTS] Failed to relay ${type} event: ${error.message}`);
+      }
+    }
+
+    return event;
+  }
+
+  /**
+   * Handle an event relayed by another process
+   */
+  receive(message) {
+    try {
+      const { origin, event } = JSON.parse(message);
+      if (origin === this.instanceId) return;
+      this.deliver(event);
+    } catch (error) {
+      logger.warn(`[EVENTS] Ignoring malformed event message: ${error.message}`);
+    }
+  }
+
+  deliver(event) {
+    this.history.push(event);
+    if (this.history.length > this.historySize) {
+      this.history.shift();
+    }
+    this.emitter.emit('event', event);
+  }
+
+  /**
+   * Listen for events, returns a function that removes the listener
+   */
+  subscribe(listener) {
+    this.emitter.on('event', listener);
+    return () => this.emitter.off('event', listener);
+  }
+
+  /**
+   * Listen for the bus closing (server shutdown), returns a function that removes the listener
+   */
+  onClose(listener) {
+    this.emitter.once('close', listener);
+    return () => this.emitter.off('close', listener);
+  }
+
+  /**
+   * Ask open streams to end so the HTTP server can close
+   */
+  closeStreams() {
+    this.emitter.emit('close');
+  }
+
+  /**
+   * Events received after the given event ID (empty if it is no longer in history)
+   */
+  getEventsSince(lastEventId) {
+    const index = this.history.findIndex(event => event.id === lastEventId);
+    return index === -1 ? [] : this.history.slice(index + 1);
+  }
+
+  getListenerCount() {
+    return this.emitter.listenerCount('event');
+  }
+}
+
+export default new EventBus();
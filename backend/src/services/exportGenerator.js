@@ -9,8 +9,10 @@ import { logger } from '../utils/logger.js';
 import Asset from '../models/Asset.js';
 import Transaction from '../models/Transaction.js';
 import Address from '../models/Address.js';
+import AddressActivity from '../models/AddressActivity.js';
 import AssetTransfer from '../models/AssetTransfer.js';
 import ipfsService from './ipfsService.js';
+import ownershipHistory from './ownershipHistory.js';
 
 const SIGNATURE_DISPLAY_LENGTH = 32;
 
@@ -134,6 +136,7 @@ class ExportGenerator {
     }
     
     let transactions = [];
+    let activity = [];
     if (includeTransactions) {
       transactions = await Transaction.find({
         $or: [
@@ -141,14 +144,25 @@ class ExportGenerator {
           { 'inputs.address': address }
         ]
       }).sort({ timestamp: -1 }).lean();
+
+      // RTM received/sent per transaction, recorded by the sync daemon
+      activity = await AddressActivity.find({ address })
+        .sort({ blockHeight: -1 })
+        .select('-_id -__v -createdAt -updatedAt')
+        .lean();
     }
     
     return {
       address: addressDoc,
       transactions,
+      activity,
       summary: {
-        totalTransactions: transactions.length,
-        balance: addressDoc.balance
+        totalTransactions: addressDoc.transactionCount || transactions.length,
+        balance: addressDoc.balance,
+        totalReceived: addressDoc.totalReceived,
+        totalSent: addressDoc.totalSent,
+        firstSeenBlock: addressDoc.firstSeenBlock ?? 'N/A',
+        lastSeenBlock: addressDoc.lastSeenBlock ?? 'N/A'
       }
     };
   }
@@ -191,30 +205,49 @@ class ExportGenerator {
   }
 
   async fetchProvenanceData(requestData) {
-    const { assetId } = requestData;
+    const { assetId, asOfHeight, asOfTimestamp } = requestData;
     
     const asset = await Asset.findOne({ assetId }).lean();
     if (!asset) {
       throw new Error(`Asset not found: ${assetId}`);
     }
+
+    // Optional cutoff: only the history up to that block
+    const hasCutoff = Number.isInteger(asOfHeight) || !!asOfTimestamp;
+    const asOf = hasCutoff
+      ? await ownershipHistory.resolveCutoff(
+        asOfTimestamp ? { timestamp: asOfTimestamp } : { height: asOfHeight }
+      )
+      : null;
+
+    // Same transfers ownershipHistory counts: older ones carry the name as assetId
+    const filter = { assetId: { $in: [asset.assetId, asset.name] } };
+    if (asOf) filter.blockHeight = { $lte: asOf.height };
     
     // Get all transactions for provenance chain
-    const transactions = await AssetTransfer.find({ assetId })
+    const transactions = await AssetTransfer.find(filter)
       .sort({ timestamp: 1 })
       .lean(); // Chronological order
     
     // Build ownership chain
     const ownershipChain = this.buildOwnershipChain(transactions);
+
+    const summary = {
+      totalTransfers: ownershipChain.length,
+      createdAt: asset.createdAt,
+      currentOwner: asset.currentOwner
+    };
+    if (asOf) {
+      const { owner } = await ownershipHistory.getOwnershipAt(asset, asOf, { limit: 1 });
+      summary.ownerAsOf = owner;
+    }
     
     return {
       asset,
+      asOf,
       transactions,
       ownershipChain,
-      summary: {
-        totalTransfers: ownershipChain.length,
-        createdAt: asset.createdAt,
-        currentOwner: asset.currentOwner
-      }
+      summary
     };
   }
 
@@ -351,14 +384,20 @@ class ExportGenerator {
         const headers = [
           { id: 'txid', title: 'Transaction ID' },
           { id: 'timestamp', title: 'Timestamp' },
+          { id: 'blockHeight', title: 'Block Height' },
           { id: 'type', title: 'Type' },
-          { id: 'amount', title: 'Amount' }
+          { id: 'received', title: 'Received (RTM)' },
+          { id: 'sent', title: 'Sent (RTM)' },
+          { id: 'amount', title: 'Balance Change (RTM)' }
         ];
-        const records = (data.transactions || []).map(tx => ({
-          txid: tx.txid,
-          timestamp: tx.timestamp,
-          type: 'transfer',
-          amount: tx.outputs?.[0]?.amount || 0
+        const records = (data.activity || []).map(entry => ({
+          txid: entry.txid,
+          timestamp: entry.timestamp,
+          blockHeight: entry.blockHeight,
+          type: entry.balanceChange < 0 ? 'send' : 'receive',
+          received: entry.received || 0,
+          sent: entry.sent || 0,
+          amount: entry.balanceChange || 0
         }));
         const csvWriter = createObjectCsvWriter({ path: csvPath, header: headers });
         await csvWriter.writeRecords(records);
@@ -505,8 +544,12 @@ class ExportGenerator {
         doc.fontSize(14).text('Address Information', { underline: true });
         doc.fontSize(10).moveDown(0.5);
         doc.text(`Address: ${data.address.address}`);
-        doc.text(`Balance: ${data.address.balance || 0}`);
+        doc.text(`Balance: ${data.address.balance || 0} RTM`);
+        doc.text(`Total Received: ${data.address.totalReceived || 0} RTM`);
+        doc.text(`Total Sent: ${data.address.totalSent || 0} RTM`);
         doc.text(`Transaction Count: ${data.address.transactionCount || 0}`);
+        if (data.address.firstSeenAt) doc.text(`First Seen: ${data.address.firstSeenAt} (block ${data.address.firstSeenBlock})`);
+        if (data.address.lastSeenAt) doc.text(`Last Seen: ${data.address.lastSeenAt} (block ${data.address.lastSeenBlock})`);
         doc.moveDown();
       }
 
@@ -527,6 +570,11 @@ class ExportGenerator {
       if (data.ownershipChain && data.ownershipChain.length > 0) {
         doc.fontSize(14).text('Ownership Chain', { underline: true });
         doc.fontSize(10).moveDown(0.5);
+        if (data.asOf) {
+          doc.text(`As of block ${data.asOf.height} (${data.asOf.timestamp || 'before first block'})`);
+          doc.text(`Owner at that block: ${data.summary.ownerAsOf || 'None'}`);
+          doc.moveDown(0.5);
+        }
         data.ownershipChain.forEach((transfer, i) => {
           doc.fontSize(9);
           doc.text(`#${transfer.sequence || i + 1} — ${transfer.timestamp}`);
@@ -696,47 +744,30 @@ class ExportGenerator {
     await fs.mkdir(mediaDir, { recursive: true });
 
     try {
-      // Step 1: Try local IPFS API (primary source)
-      const exists = await ipfsService.checkExists(ipfsHash);
+      // Healthiest private gateway or cluster API endpoint (NOT public internet); media size is not limited
+      const result = await ipfsService.fetchContent(ipfsHash, { maxSize: Infinity });
 
-      if (exists) {
-        const contentBuffer = await ipfsService.getContent(ipfsHash);
-        const mediaFilePath = path.join(mediaDir, `${ipfsHash}`);
-        await fs.writeFile(mediaFilePath, Buffer.from(contentBuffer));
+      if (result?.content) {
+        const ext = getExtensionFromContentType(result.contentType || '');
+        const mediaFilePath = path.join(mediaDir, `${ipfsHash}${ext}`);
+        await fs.writeFile(mediaFilePath, result.content);
+        archive.directory(mediaDir, 'media');
+        logger.info(`IPFS media downloaded from ${result.endpoint}: ${ipfsHash}`);
+      } else if (result?.verification === 'mismatch') {
+        await fs.writeFile(
+          path.join(mediaDir, 'download_failed.txt'),
+          `IPFS content does not match its hash and was left out.\nHash: ${ipfsHash}\nSource: ${result.endpoint}\n`
+        );
         archive.directory(mediaDir, 'media');
-        logger.info(`IPFS media downloaded from local cluster: ${ipfsHash}`);
+        logger.warn(`IPFS media from ${result.endpoint} does not match ${ipfsHash}, left out of export`);
       } else {
-        // Step 2: Try local gateway as HTTP fallback (still private, NOT public internet)
-        const gatewayUrl = ipfsService.getGatewayUrl(ipfsHash);
-        let response;
-        try {
-          response = await fetch(gatewayUrl, { signal: AbortSignal.timeout(15000) });
-        } catch (fetchErr) {
-          const isTimeout = fetchErr.name === 'TimeoutError' || fetchErr.name === 'AbortError';
-          const errMsg = isTimeout
-            ? `IPFS gateway request timed out after 15 seconds.\nHash: ${ipfsHash}\nAttempted: ${gatewayUrl}\n`
-            : `IPFS gateway request failed.\nHash: ${ipfsHash}\nAttempted: ${gatewayUrl}\nError: ${fetchErr.message}\n`;
-          await fs.writeFile(path.join(mediaDir, 'download_failed.txt'), errMsg);
-          archive.directory(mediaDir, 'media');
-          logger.warn(`IPFS gateway fetch failed for ${ipfsHash}: ${fetchErr.message}`);
-          return;
-        }
-        if (response.ok) {
-          const contentBuffer = await response.arrayBuffer();
-          const contentType = response.headers.get('content-type') || '';
-          const ext = getExtensionFromContentType(contentType);
-          const mediaFilePath = path.join(mediaDir, `${ipfsHash}${ext}`);
-          await fs.writeFile(mediaFilePath, Buffer.from(contentBuffer));
-          archive.directory(mediaDir, 'media');
-          logger.info(`IPFS media downloaded from local gateway: ${ipfsHash}`);
-        } else {
-          await fs.writeFile(
-            path.join(mediaDir, 'download_failed.txt'),
-            `IPFS content not found on local cluster.\nHash: ${ipfsHash}\nAttempted: ${gatewayUrl}\n`
-          );
-          archive.directory(mediaDir, 'media');
-          logger.warn(`IPFS media not found on local cluster: ${ipfsHash}`);
-        }
+        const attempted = ipfsService.endpoints.map(endpoint => endpoint.url).join(', ');
+        await fs.writeFile(
+          path.join(mediaDir, 'download_failed.txt'),
+          `IPFS content not found on local cluster.\nHash: ${ipfsHash}\nAttempted: ${attempted}\n`
+        );
+        archive.directory(mediaDir, 'media');
+        logger.warn(`IPFS media not found on local cluster: ${ipfsHash}`);
       }
     } catch (err) {
       await fs.writeFile(
@@ -1,5 +1,7 @@
 import FutureOutput from '../models/FutureOutput.js';
 import Transaction from '../models/Transaction.js';
+import transactionIndexer from './transactionIndexer.js';
+import eventBus from './eventBus.js';
 import { logger } from '../utils/logger.js';
 
 class FutureChecker {
@@ -8,78 +10,27 @@ class FutureChecker {
    */
   async handleFutureTransaction(tx, blockHeight, blockTime) {
     try {
-      if (!tx.futureTx) {
-        logger.warn(`No futureTx data in transaction ${tx.txid}`);
+      const future = this.decodeFuture(tx, blockHeight, blockTime);
+      if (!future) {
         return null;
       }
 
-      const { maturity, lockTime, lockOutputIndex, updatableByDestination } = tx.futureTx;
-      
-      if (lockOutputIndex === undefined || !tx.vout || !tx.vout[lockOutputIndex]) {
-        logger.warn(`Invalid lockOutputIndex in future transaction ${tx.txid}`);
-        return null;
-      }
-
-      const lockedVout = tx.vout[lockOutputIndex];
-      const recipient = lockedVout.scriptPubKey?.addresses?.[0];
-      
-      if (!recipient) {
-        logger.warn(`No recipient address in future transaction ${tx.txid}`);
-        return null;
-      }
-
-      // Determine if it's RTM or asset future
-      const isAsset = lockedVout.scriptPubKey?.type === 'transferasset';
-      const type = isAsset ? 'asset' : 'rtm';
-      
-      let assetId = null;
-      let assetName = null;
-      let amount = 0;
-
-      if (isAsset && lockedVout.scriptPubKey?.asset) {
-        assetName = lockedVout.scriptPubKey.asset.name;
-        amount = lockedVout.scriptPubKey.asset.amount || 0;
-        // AssetId would need to be looked up from asset name
-      } else {
-        amount = lockedVout.value || 0;
-      }
-
-      // Calculate unlock conditions
-      const unlockHeight = blockHeight + (maturity || 0);
-      const unlockTime = new Date(blockTime.getTime() + (lockTime || 0) * 1000);
-
-      // Create future output record
-      const futureOutput = new FutureOutput({
-        txid: tx.txid,
-        vout: lockOutputIndex,
-        type,
-        amount,
-        amountSat: type === 'rtm' ? Math.round(amount * 1e8) : null,
-        assetId,
-        assetName,
-        recipient,
-        maturity: maturity || 0,
-        lockTime: lockTime || 0,
-        updatableByDestination: updatableByDestination || false,
-        createdHeight: blockHeight,
-        createdTime: blockTime,
-        unlockHeight,
-        unlockTime,
-        isUnlocked: false,
-        status: 'locked'
-      });
-
-      await futureOutput.save();
-      logger.info(`Created future output: ${tx.txid}:${lockOutputIndex} type: ${type} unlock at height ${unlockHeight} or time ${unlockTime}`);
+      // Create future output record (kept if the block is processed again)
+      const futureOutput = await FutureOutput.findOneAndUpdate(
+        { txid: future.txid, vout: future.vout },
+        { $setOnInsert: { ...future, isUnlocked: false, status: 'locked' } },
+        { upsert: true, new: true, setDefaultsOnInsert: true }
+      );
+      logger.info(`Created future output: ${tx.txid}:${future.vout} type: ${future.type} unlock at height ${future.unlockHeight} or time ${future.unlockTime}`);
 
       // Record transaction with future data
       await this.recordFutureTransaction(tx, blockHeight, blockTime, {
-        maturity: maturity || 0,
-        lockTime: lockTime || 0,
-        unlockHeight,
-        unlockTime,
-        lockedAmount: amount,
-        assetId
+        maturity: future.maturity,
+        lockTime: future.lockTime,
+        unlockHeight: future.unlockHeight,
+        unlockTime: future.unlockTime,
+        lockedAmount: future.amount,
+        assetId: future.assetId
       });
 
       return futureOutput;
@@ -89,6 +40,70 @@ class FutureChecker {
     }
   }
 
+  /**
+   * Read the lock a FutureTx creates (FutureOutput fields, without status)
+   * Returns null if the transaction carries no valid future
+   */
+  decodeFuture(tx, blockHeight, blockTime) {
+    if (!tx.futureTx) {
+      logger.warn(`No futureTx data in transaction ${tx.txid}`);
+      return null;
+    }
+
+    const { maturity, lockTime, lockOutputIndex, updatableByDestination } = tx.futureTx;
+    
+    if (lockOutputIndex === undefined || !tx.vout || !tx.vout[lockOutputIndex]) {
+      logger.warn(`Invalid lockOutputIndex in future transaction ${tx.txid}`);
+      return null;
+    }
+
+    const lockedVout = tx.vout[lockOutputIndex];
+    const recipient = lockedVout.scriptPubKey?.addresses?.[0];
+    
+    if (!recipient) {
+      logger.warn(`No recipient address in future transaction ${tx.txid}`);
+      return null;
+    }
+
+    // Determine if it's RTM or asset future
+    const isAsset = lockedVout.scriptPubKey?.type === 'transferasset';
+    const type = isAsset ? 'asset' : 'rtm';
+    
+    let assetId = null;
+    let assetName = null;
+    let amount = 0;
+
+    if (isAsset && lockedVout.scriptPubKey?.asset) {
+      assetName = lockedVout.scriptPubKey.asset.name;
+      amount = lockedVout.scriptPubKey.asset.amount || 0;
+      // AssetId would need to be looked up from asset name
+    } else {
+      amount = lockedVout.value || 0;
+    }
+
+    // Calculate unlock conditions
+    const unlockHeight = blockHeight + (maturity || 0);
+    const unlockTime = new Date(blockTime.getTime() + (lockTime || 0) * 1000);
+
+    return {
+      txid: tx.txid,
+      vout: lockOutputIndex,
+      type,
+      amount,
+      amountSat: type === 'rtm' ? Math.round(amount * 1e8) : null,
+      assetId,
+      assetName,
+      recipient,
+      maturity: maturity || 0,
+      lockTime: lockTime || 0,
+      updatableByDestination: updatableByDestination || false,
+      createdHeight: blockHeight,
+      createdTime: blockTime,
+      unlockHeight,
+      unlockTime
+    };
+  }
+
   /**
    * Check and unlock mature futures
    * Run periodically (e.g., every 5 minutes or after each block sync)
@@ -118,6 +133,22 @@ class FutureChecker {
         
         logger.info(`Future unlocked: ${future.txid}:${future.vout} by ${unlockedBy}`);
         unlockedCount++;
+
+        await eventBus.publish('future_unlocked', {
+          txid: future.txid,
+          vout: future.vout,
+          type: future.type,
+          amount: future.amount,
+          assetId: future.assetId,
+          assetName: future.assetName,
+          recipient: future.recipient,
+          unlockHeight: future.unlockHeight,
+          unlockedBy,
+          blockHeight: currentHeight
+        }, {
+          assets: [future.assetId, future.assetName],
+          addresses: [future.recipient]
+        });
       }
 
       if (unlockedCount > 0) {
@@ -181,19 +212,8 @@ class FutureChecker {
         confirmations: tx.confirmations || 0,
         size: tx.size || 0,
         fee: tx.fee || 0,
-        inputs: (tx.vin || []).map(vin => ({
-          txid: vin.txid,
-          vout: vin.vout,
-          address: vin.address,
-          amount: vin.value || 0,
-          scriptSig: vin.scriptSig?.hex
-        })),
-        outputs: (tx.vout || []).map(vout => ({
-          n: vout.n,
-          address: vout.scriptPubKey?.addresses?.[0],
-          amount: vout.value || 0,
-          scriptPubKey: vout.scriptPubKey?.hex
-        })),
+        inputs: transactionIndexer.mapInputs(tx),
+        outputs: transactionIndexer.mapOutputs(tx),
         type: 'future',
         futureData
       });
@@ -1,66 +1,25 @@
-import mongoose from 'mongoose';
+import IPFSCache from '../models/IPFSCache.js';
+import ipfsService from './ipfsService.js';
 import { logger } from '../utils/logger.js';
 
-// IPFS Cache Schema for storing fetched metadata
-const ipfsCacheSchema = new mongoose.Schema({
-  hash: {
-    type: String,
-    required: true,
-    unique: true,
-    index: true
-  },
-  metadata: {
-    type: mongoose.Schema.Types.Mixed,
-    required: true
-  },
-  fetchedAt: {
-    type: Date,
-    default: Date.now
-  },
-  lastAccessedAt: {
-    type: Date,
-    default: Date.now
-  },
-  accessCount: {
-    type: Number,
-    default: 1
-  },
-  size: {
-    type: Number
-  },
-  status: {
-    type: String,
-    enum: ['success', 'error', 'timeout'],
-    default: 'success'
-  },
-  errorMessage: String
-}, {
-  timestamps: true
-});
-
-// Index for cleanup of old cache entries
-ipfsCacheSchema.index({ lastAccessedAt: 1 });
-
-const IPFSCache = mongoose.model('IPFSCache', ipfsCacheSchema);
-
 class IPFSMetadataService {
   constructor() {
-    this.localGateway = process.env.IPFS_LOCAL_GATEWAY || 'http://127.0.0.1:8080';
-    this.timeout = parseInt(process.env.IPFS_TIMEOUT || '10000');
-    this.retryAttempts = parseInt(process.env.IPFS_RETRY_ATTEMPTS || '3');
-    
-    // Use only the local/private IPFS cluster gateway
-    this.gateways = [
-      this.localGateway,
-    ];
+    // Failed fetches before a CID is reported as permanently unreachable
+    this.retryAttempts = parseInt(process.env.IPFS_RETRY_ATTEMPTS || '8');
   }
 
   /**
    * Get cached metadata from MongoDB
+   * Cached failures, and content cached before it was verified, are not
+   * returned, so the next fetch tries the IPFS endpoints again
    */
   async getCachedMetadata(ipfsHash) {
     try {
-      const cached = await IPFSCache.findOne({ hash: ipfsHash });
+      const cached = await IPFSCache.findOne({
+        hash: ipfsHash,
+        status: 'success',
+        verification: { $in: ['verified', 'unsupported'] }
+      });
       
       if (cached) {
         // Update access tracking
@@ -69,7 +28,7 @@ class IPFSMetadataService {
         await cached.save();
         
         logger.debug(`IPFS cache hit: ${ipfsHash}`);
-        return cached.metadata;
+        return { metadata: cached.metadata, verification: cached.verification };
       }
       
       return null;
@@ -80,7 +39,15 @@ class IPFSMetadataService {
   }
 
   /**
-   * Fetch metadata from IPFS with fallback gateways
+   * Fetch metadata from the healthiest IPFS endpoint that has it
+   * Content that does not match the CID is rejected. Content that is not a
+   * JSON object (a reference hash pointing straight at media) gives empty
+   * metadata.
+   *
+   * @returns {{metadata: Object, verification: string}|null} null when no endpoint
+   *   returned matching content; verification is 'verified' or 'unsupported'.
+   *   While no endpoint is available nothing is cached, so the CID's failed
+   *   attempts are not counted.
    */
   async fetchMetadata(ipfsHash) {
     // Check cache first
@@ -89,72 +56,71 @@ class IPFSMetadataService {
       return cached;
     }
 
-    // Try each gateway
-    for (const gateway of this.gateways) {
-      try {
-        logger.debug(`Fetching IPFS metadata from ${gateway}: ${ipfsHash}`);
-        
-        const url = `${gateway}/ipfs/${ipfsHash}`;
-        const controller = new AbortController();
-        const timeoutId = setTimeout(() => controller.abort(), this.timeout);
-        
-        const response = await fetch(url, {
-          signal: controller.signal,
-          headers: {
-            'Accept': 'application/json'
-          }
-        });
-        
-        clearTimeout(timeoutId);
-        
-        if (!response.ok) {
-          logger.warn(`IPFS fetch failed from ${gateway}: ${response.statusText}`);
-          continue;
-        }
-        
-        const metadata = await response.json();
-        
-        // Cache the successful fetch
-        await this.cacheMetadata(ipfsHash, metadata, 'success');
-        
-        logger.info(`Successfully fetched IPFS metadata from ${gateway}: ${ipfsHash}`);
-        return metadata;
-        
-      } catch (error) {
-        if (error.name === 'AbortError') {
-          logger.warn(`IPFS fetch timeout from ${gateway}: ${ipfsHash}`);
-        } else {
-          logger.warn(`IPFS fetch error from ${gateway}:`, error.message);
-        }
-        // Continue to next gateway
-      }
+    logger.debug(`Fetching IPFS metadata: ${ipfsHash}`);
+    let result;
+    try {
+      result = await ipfsService.fetchContent(ipfsHash);
+    } catch (error) {
+      if (!error.unavailable) throw error;
+      logger.warn(`IPFS unavailable, metadata ${ipfsHash} not fetched: ${error.message}`);
+      return null;
     }
-    
-    // All gateways failed
-    const errorMsg = `Failed to fetch IPFS metadata from all gateways (${this.gateways.join(', ')})`;
+
+    if (result && result.verification !== 'mismatch') {
+      const metadata = this.parseMetadata(result.content);
+
+      // Cache the successful fetch
+      await this.cacheMetadata(ipfsHash, metadata, 'success', result.verification);
+
+      logger.info(`Successfully fetched IPFS metadata from ${result.endpoint}: ${ipfsHash} (${result.verification})`);
+      return { metadata, verification: result.verification };
+    }
+
+    const errorMsg = result
+      ? `IPFS content returned for ${ipfsHash} does not match the CID`
+      : 'Failed to fetch IPFS metadata from all IPFS endpoints';
     logger.error(`${errorMsg}: ${ipfsHash}`);
-    await this.cacheMetadata(ipfsHash, { error: errorMsg }, 'error');
+    await this.cacheMetadata(ipfsHash, { error: errorMsg }, 'error', result ? 'mismatch' : null);
     return null;
   }
 
+  /**
+   * Metadata object from fetched content, or {} for anything but a JSON object
+   */
+  parseMetadata(content) {
+    if (!content) return {};
+    try {
+      const metadata = JSON.parse(content.toString('utf8'));
+      return metadata && typeof metadata === 'object' && !Array.isArray(metadata) ? metadata : {};
+    } catch {
+      return {};
+    }
+  }
+
   /**
    * Cache metadata in MongoDB
+   * Failures count the attempts since the last success
    */
-  async cacheMetadata(ipfsHash, metadata, status = 'success') {
+  async cacheMetadata(ipfsHash, metadata, status = 'success', verification = null) {
     try {
       const size = JSON.stringify(metadata).length;
       
       await IPFSCache.findOneAndUpdate(
         { hash: ipfsHash },
         {
-          hash: ipfsHash,
-          metadata,
-          status,
-          size,
-          fetchedAt: new Date(),
-          lastAccessedAt: new Date(),
-          accessCount: 1,
-          errorMessage: status === 'error' ? metadata.error : null
+          $set: {
+            hash: ipfsHash,
+            metadata,
+            status,
+            verification,
+            size,
+            fetchedAt: new Date(),
+            lastAccessedAt: new Date(),
+            accessCount: 1,
+            errorMessage: status === 'error' ? metadata.error : null,
+            ...(status === 'success' && { attempts: 0 })
+          },
+          ...(status === 'error' && { $inc: { attempts: 1 } })
         },
         { upsert: true, new: true }
       );
@@ -182,12 +148,12 @@ class IPFSMetadataService {
     // If IPFS hash or ipfs:// URL
     if (imageValue.startsWith('ipfs://')) {
       const hash = imageValue.replace('ipfs://', '');
-      return `${this.localGateway}/ipfs/${hash}`;
+      return ipfsService.getGatewayUrl(hash);
     }
     
     // Assume it's an IPFS hash
     if (imageValue.startsWith('Qm') || imageValue.startsWith('bafy')) {
-      return `${this.localGateway}/ipfs/${imageValue}`;
+      return ipfsService.getGatewayUrl(imageValue);
     }
     
     return imageValue;
@@ -221,11 +187,15 @@ class IPFSMetadataService {
       const total = await IPFSCache.countDocuments();
       const successful = await IPFSCache.countDocuments({ status: 'success' });
       const errors = await IPFSCache.countDocuments({ status: 'error' });
+      const unreachable = await IPFSCache.countDocuments({ status: 'unreachable' });
+      const mismatched = await IPFSCache.countDocuments({ verification: 'mismatch' });
       
       return {
         total,
         successful,
         errors,
+        unreachable,
+        mismatched,
         hitRate: total > 0 ? (successful / total * 100).toFixed(2) + '%' : '0%'
       };
     } catch (error) {
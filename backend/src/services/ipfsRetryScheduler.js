@@ -0,0 +1,204 @@
+import Asset from '../models/Asset.js';
+import IPFSCache from '../models/IPFSCache.js';
+import ipfsService from './ipfs.js';
+import assetProcessor from './assetProcessor.js';
+import { logger } from '../utils/logger.js';
+
+// CIDs retried per pass, and the longest wait between attempts
+const BATCH_SIZE = 10;
+const MAX_RETRY_DELAY = 6 * 60 * 60 * 1000;
+
+// Assets whose metadata is missing: a reference hash that was never fetched successfully
+const MISSING_METADATA = { ipfsVerified: false, ipfsHash: { $nin: [null, ''] }, 'metadata.rawMetadata': { $exists: false } };
+
+/**
+ * Retries IPFS metadata that could not be fetched when an asset was indexed
+ *
+ * The queue is every CID of an asset without metadata. Each failed fetch,
+ * including content that does not match the CID, doubles the wait before the
+ * next one, and after IPFS_RETRY_ATTEMPTS failures the CID is marked
+ * unreachable and no longer retried.
+ */
+class IPFSRetryScheduler {
+  constructor() {
+    this.enabled = process.env.IPFS_RETRY_ENABLED !== 'false';
+    this.interval = parseInt(process.env.IPFS_RETRY_INTERVAL || '60000');
+    this.maxAttempts = ipfsService.retryAttempts;
+    this.timer = null;
+    this.running = false;
+  }
+
+  start() {
+    if (!this.enabled || this.timer) return;
+
+    logger.info(`[IPFS] Retrying missing metadata every ${this.interval / 1000}s (up to ${this.maxAttempts} attempts per CID)`);
+    this.timer = setInterval(() => this.processPending(), this.interval);
+    this.processPending();
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+      logger.info('[IPFS] Metadata retry scheduler stopped');
+    }
+  }
+
+  /**
+   * Wait before the next fetch of a CID that failed `attempts` times in a row
+   */
+  retryDelay(attempts) {
+    return Math.min(60 * 1000 * 2 ** attempts, MAX_RETRY_DELAY);
+  }
+
+  /**
+   * Queued CIDs with their attempts and when each is due, soonest first
+   * Unreachable CIDs are left out
+   */
+  async getQueue() {
+    const hashes = await Asset.distinct('ipfsHash', MISSING_METADATA);
+    const entries = await IPFSCache.find({ hash: { $in: hashes } })
+      .select('hash status verification attempts fetchedAt')
+      .lean();
+    const entriesByHash = new Map(entries.map(entry => [entry.hash, entry]));
+
+    return hashes
+      .map(hash => {
+        const entry = entriesByHash.get(hash);
+        // CIDs never fetched, or fetched since by another asset, are due right away
+        const dueAt = entry?.status === 'error'
+          ? new Date(entry.fetchedAt.getTime() + this.retryDelay(entry.attempts))
+          : new Date(0);
+        return {
+          hash,
+          status: entry?.status || null,
+          verification: entry?.verification || null,
+          attempts: entry?.attempts || 0,
+          dueAt
+        };
+      })
+      // Content that cannot be verified is fetched already, so refetching gains nothing
+      .filter(item => item.status !== 'unreachable' && !(item.status === 'success' && item.verification === 'unsupported'))
+      .sort((a, b) => a.dueAt - b.dueAt);
+  }
+
+  /**
+   * Retry the CIDs that are due
+   * Skips a run while the previous one is still in progress
+   */
+  async processPending() {
+    if (this.running) return 0;
+    this.running = true;
+
+    try {
+      const now = new Date();
+      const due = (await this.getQueue()).filter(item => item.dueAt <= now).slice(0, BATCH_SIZE);
+
+      let recovered = 0;
+      for (const item of due) {
+        if (await this.retry(item)) recovered++;
+      }
+
+      if (recovered > 0) {
+        logger.info(`[IPFS] Recovered metadata for ${recovered} of ${due.length} CID(s)`);
+      }
+      return recovered;
+    } catch (error) {
+      logger.error('[IPFS] Error retrying metadata:', error);
+      return 0;
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * Fetch one CID and fill in the metadata of the assets referring to it
+   */
+  async retry({ hash, attempts }) {
+    if (attempts >= this.maxAttempts) {
+      await this.markUnreachable(hash, attempts);
+      return false;
+    }
+
+    const result = await ipfsService.fetchMetadata(hash);
+    const now = new Date();
+    const assets = await Asset.find({ ...MISSING_METADATA, ipfsHash: hash }).select('_id name').lean();
+
+    if (!result) {
+      await Asset.updateMany({ ...MISSING_METADATA, ipfsHash: hash }, { $set: { ipfsLastChecked: now } });
+
+      const entry = await IPFSCache.findOne({ hash }).select('attempts').lean();
+      if (entry && entry.attempts >= this.maxAttempts) {
+        await this.markUnreachable(hash, entry.attempts);
+      }
+      return false;
+    }
+
+    // The filter skips assets whose reference hash changed since they were queued
+    for (const asset of assets) {
+      await Asset.updateOne(
+        { ...MISSING_METADATA, _id: asset._id, ipfsHash: hash },
+        {
+          $set: {
+            metadata: assetProcessor.buildAssetMetadata(result.metadata, asset.name),
+            ipfsVerified: result.verification === 'verified',
+            ipfsLastChecked: now
+          }
+        }
+      );
+    }
+
+    logger.info(`[IPFS] Fetched metadata ${hash} on retry, updated ${assets.length} asset(s)`);
+    return true;
+  }
+
+  async markUnreachable(hash, attempts) {
+    await IPFSCache.updateOne({ hash }, { $set: { status: 'unreachable' } });
+    logger.warn(`[IPFS] Giving up on metadata ${hash} after ${attempts} failed attempt(s)`);
+  }
+
+  /**
+   * Queue depth and the CIDs given up on, for the admin endpoint
+   */
+  async getStatus({ limit = 20, offset = 0 } = {}) {
+    const queue = await this.getQueue();
+    const now = new Date();
+
+    const [unreachable, unreachableTotal] = await Promise.all([
+      IPFSCache.find({ status: 'unreachable' })
+        .sort({ fetchedAt: -1 })
+        .skip(offset)
+        .limit(limit)
+        .select('hash attempts fetchedAt errorMessage verification')
+        .lean(),
+      IPFSCache.countDocuments({ status: 'unreachable' })
+    ]);
+
+    const assetCounts = await Asset.aggregate([
+      { $match: { ...MISSING_METADATA, ipfsHash: { $in: unreachable.map(entry => entry.hash) } } },
+      { $group: { _id: '$ipfsHash', count: { $sum: 1 } } }
+    ]);
+    const assetsByHash = new Map(assetCounts.map(group => [group._id, group.count]));
+
+    return {
+      enabled: this.enabled,
+      maxAttempts: this.maxAttempts,
+      queue: {
+        depth: queue.length,
+        due: queue.filter(item => item.dueAt <= now).length,
+        nextRetryAt: queue.find(item => item.dueAt > now)?.dueAt || null
+      },
+      unreachable: unreachable.map(entry => ({
+        cid: entry.hash,
+        attempts: entry.attempts,
+        lastAttemptAt: entry.fetchedAt,
+        error: entry.errorMessage || null,
+        mismatch: entry.verification === 'mismatch',
+        assets: assetsByHash.get(entry.hash) || 0
+      })),
+      unreachableTotal
+    };
+  }
+}
+
+export default new IPFSRetryScheduler();
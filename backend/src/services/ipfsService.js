@@ -1,183 +1,431 @@
 import FormData from 'form-data';
 import fs from 'fs';
+import { verifyContent } from '../utils/cid.js';
 import { logger } from '../utils/logger.js';
 
+// Weight of the latest request in the latency and error rate moving averages
+const HEALTH_WEIGHT = 0.2;
+
+// Responses that mean the endpoint itself is down. Other errors, such as 500 or
+// 504 for content the node could not find, are answers and leave its health alone.
+const UNAVAILABLE_STATUSES = [502, 503];
+
+// Identity CID of empty content, which a gateway answers without touching the network
+const PROBE_CID = 'bafkqaaa';
+
+// Largest block IPFS nodes exchange; bigger answers are no single block
+const MAX_BLOCK_SIZE = 4 * 1024 * 1024;
+
+const parseUrls = (value) => value.split(',').map(url => url.trim().replace(/\/+$/, '')).filter(Boolean);
+
+/**
+ * The one IPFS access layer
+ *
+ * Reads go to the gateways (IPFS_GATEWAYS) and cluster API endpoints
+ * (IPFS_API_URLS), uploads and pins to the API endpoints only. Endpoints are
+ * tried healthiest first, by their latency and error rate; ones never used yet
+ * follow in the configured order. After IPFS_CIRCUIT_THRESHOLD failures in a
+ * row an endpoint's circuit opens and it gets no requests for
+ * IPFS_CIRCUIT_COOLDOWN ms, after which one probe decides whether it closes.
+ */
 class IPFSService {
   constructor() {
-    this.host = process.env.IPFS_HOST || '127.0.0.1';
-    this.port = process.env.IPFS_PORT || 5001;
+    const host = process.env.IPFS_HOST || '127.0.0.1';
+    const port = process.env.IPFS_PORT || 5001;
+
     this.gatewayUrl = process.env.IPFS_GATEWAY_URL || 'http://127.0.0.1:8080/ipfs/';
     this.enabled = process.env.IPFS_ENABLED === 'true';
+    this.timeout = parseInt(process.env.IPFS_TIMEOUT || '10000');
+    // Larger content is not read, so neither parsed nor verified
+    this.maxContentSize = parseInt(process.env.IPFS_MAX_CONTENT_SIZE || String(50 * 1024 * 1024));
+    this.circuitThreshold = parseInt(process.env.IPFS_CIRCUIT_THRESHOLD || '3');
+    this.circuitCooldown = parseInt(process.env.IPFS_CIRCUIT_COOLDOWN || '30000');
+
+    const gateways = parseUrls(process.env.IPFS_GATEWAYS || process.env.IPFS_LOCAL_GATEWAY || 'http://127.0.0.1:8080');
+    const apis = parseUrls(process.env.IPFS_API_URLS || process.env.IPFS_API_URL || `http://${host}:${port}`);
+    this.endpoints = [
+      ...gateways.map(url => this.createEndpoint(url, 'gateway')),
+      ...apis.map(url => this.createEndpoint(url, 'api'))
+    ];
   }
 
-  async uploadFile(filePath, options = {}) {
-    if (!this.enabled) {
-      logger.warn('IPFS is disabled. Enable with IPFS_ENABLED=true');
-      throw new Error('IPFS is disabled');
-    }
+  createEndpoint(url, kind) {
+    return {
+      url,
+      kind,
+      requests: 0,
+      failures: 0,
+      mismatches: 0,
+      consecutiveFailures: 0,
+      latency: null,
+      errorRate: 0,
+      lastError: null,
+      lastSuccessAt: null,
+      lastFailureAt: null,
+      openedAt: null,
+      probing: false
+    };
+  }
 
-    try {
-      const formData = new FormData();
-      formData.append('file', fs.createReadStream(filePath));
+  // ============================================
+  // Health and routing
+  // ============================================
 
-      const response = await fetch(`http://${this.host}:${this.port}/api/v0/add`, {
-        method: 'POST',
-        body: formData,
-        headers: formData.getHeaders()
-      });
+  circuitState(endpoint, now = Date.now()) {
+    if (endpoint.openedAt === null) return 'closed';
+    return now - endpoint.openedAt < this.circuitCooldown ? 'open' : 'half-open';
+  }
 
-      if (!response.ok) {
-        throw new Error(`IPFS upload failed: ${response.statusText}`);
-      }
+  /**
+   * Lower is healthier: latency, with each failed request counted as a timeout
+   */
+  score(endpoint) {
+    if (endpoint.latency === null) return Infinity;
+    return endpoint.latency * (1 - endpoint.errorRate) + this.timeout * endpoint.errorRate;
+  }
 
-      const data = await response.json();
-      const hash = data.Hash;
+  /**
+   * Endpoints of the given kinds with a closed circuit, healthiest first
+   * Endpoints whose cooldown is over are probed in the background meanwhile
+   */
+  rank(kinds) {
+    const now = Date.now();
+    return this.endpoints
+      .map((endpoint, index) => ({ endpoint, index }))
+      .filter(({ endpoint }) => {
+        if (!kinds.includes(endpoint.kind)) return false;
+        const state = this.circuitState(endpoint, now);
+        if (state === 'half-open') this.probe(endpoint);
+        return state === 'closed';
+      })
+      // Never-used endpoints score Infinity, and NaN falls back to the configured order
+      .sort((a, b) => (this.score(a.endpoint) - this.score(b.endpoint)) || a.index - b.index)
+      .map(({ endpoint }) => endpoint);
+  }
 
-      logger.info(`File uploaded to IPFS: ${hash}`);
+  recordSuccess(endpoint, latency) {
+    endpoint.requests++;
+    endpoint.latency = endpoint.latency === null ? latency : endpoint.latency + HEALTH_WEIGHT * (latency - endpoint.latency);
+    endpoint.errorRate -= HEALTH_WEIGHT * endpoint.errorRate;
+    endpoint.consecutiveFailures = 0;
+    endpoint.lastSuccessAt = new Date();
 
-      // Pin the file if requested
-      if (options.pin !== false) {
-        await this.pinHash(hash);
-      }
-
-      return {
-        hash,
-        size: data.Size,
-        url: this.getGatewayUrl(hash)
-      };
-    } catch (error) {
-      logger.error('Error uploading to IPFS:', error);
-      throw error;
+    if (endpoint.openedAt !== null) {
+      endpoint.openedAt = null;
+      logger.info(`[IPFS] ${endpoint.url} is answering again, circuit closed`);
     }
   }
 
-  async uploadData(data, options = {}) {
-    if (!this.enabled) {
-      logger.warn('IPFS is disabled. Enable with IPFS_ENABLED=true');
-      throw new Error('IPFS is disabled');
+  recordFailure(endpoint, message) {
+    endpoint.requests++;
+    endpoint.failures++;
+    endpoint.errorRate += HEALTH_WEIGHT * (1 - endpoint.errorRate);
+    endpoint.consecutiveFailures++;
+    endpoint.lastError = message;
+    endpoint.lastFailureAt = new Date();
+
+    if (endpoint.consecutiveFailures >= this.circuitThreshold) {
+      if (endpoint.openedAt === null) {
+        logger.warn(`[IPFS] ${endpoint.url} failed ${endpoint.consecutiveFailures} times in a row, circuit open for ${this.circuitCooldown / 1000}s`);
+      }
+      endpoint.openedAt = Date.now();
     }
+  }
 
-    try {
-      const formData = new FormData();
-      formData.append('file', Buffer.from(data), { filename: options.filename || 'data.bin' });
+  /**
+   * Try an endpoint whose cooldown is over; success closes its circuit, failure reopens it
+   */
+  probe(endpoint) {
+    if (endpoint.probing) return;
+    endpoint.probing = true;
+
+    const path = endpoint.kind === 'gateway' ? `/ipfs/${PROBE_CID}` : '/api/v0/version';
+    this.request(endpoint, path, { method: endpoint.kind === 'gateway' ? 'GET' : 'POST' })
+      .catch(() => {})
+      .finally(() => { endpoint.probing = false; });
+  }
 
-      const response = await fetch(`http://${this.host}:${this.port}/api/v0/add`, {
-        method: 'POST',
-        body: formData,
-        headers: formData.getHeaders()
+  /**
+   * One request to an endpoint, recorded in its health
+   * `read` consumes the response; its errors count against the endpoint too.
+   * A timeout of 0 leaves the request unlimited.
+   */
+  async request(endpoint, path, { method = 'GET', body, headers, timeout = this.timeout } = {}, read = response => response) {
+    const started = Date.now();
+    try {
+      const response = await fetch(`${endpoint.url}${path}`, {
+        method,
+        body,
+        headers,
+        ...(timeout > 0 && { signal: AbortSignal.timeout(timeout) })
       });
+      const latency = Date.now() - started;
 
-      if (!response.ok) {
-        throw new Error(`IPFS upload failed: ${response.statusText}`);
+      if (UNAVAILABLE_STATUSES.includes(response.status)) {
+        throw new Error(`HTTP ${response.status} ${response.statusText}`);
       }
 
-      const result = await response.json();
-      const hash = result.Hash;
-
-      logger.info(`Data uploaded to IPFS: ${hash}`);
-
-      // Pin the data if requested
-      if (options.pin !== false) {
-        await this.pinHash(hash);
-      }
-
-      return {
-        hash,
-        size: result.Size,
-        url: this.getGatewayUrl(hash)
-      };
+      const result = await read(response);
+      this.recordSuccess(endpoint, latency);
+      return result;
     } catch (error) {
-      logger.error('Error uploading data to IPFS:', error);
+      this.recordFailure(endpoint, error.name === 'TimeoutError' ? `Timed out after ${timeout}ms` : error.message);
       throw error;
     }
   }
 
-  async pinHash(hash) {
-    if (!this.enabled) {
-      return false;
+  /**
+   * Call the cluster API, failing over to the next healthiest endpoint
+   * `options` may be a function, for request bodies that can only be sent once
+   */
+  async callApi(path, options = {}, read = undefined) {
+    const endpoints = this.rank(['api']);
+    if (endpoints.length === 0) {
+      throw new Error('No IPFS API endpoint available');
     }
 
-    try {
-      const response = await fetch(
-        `http://${this.host}:${this.port}/api/v0/pin/add?arg=${hash}`,
-        { method: 'POST' }
-      );
+    let lastError;
+    for (const endpoint of endpoints) {
+      try {
+        const requestOptions = typeof options === 'function' ? options() : options;
+        return await this.request(endpoint, path, { method: 'POST', ...requestOptions }, read);
+      } catch (error) {
+        lastError = error;
+        logger.warn(`[IPFS] ${path} on ${endpoint.url} failed: ${error.message}`);
+      }
+    }
+    throw lastError;
+  }
 
-      if (!response.ok) {
-        throw new Error(`IPFS pin failed: ${response.statusText}`);
+  // ============================================
+  // Reads
+  // ============================================
+
+  /**
+   * Fetch content by CID from the healthiest endpoint that has it
+   * Content that does not match the CID is rejected and the next endpoint is
+   * tried. The endpoint did answer, so this leaves its health alone and is
+   * counted in its mismatches instead.
+   *
+   * @param {string} cid
+   * @param {Object} options
+   * @param {number} options.maxSize - Larger content is not read (default IPFS_MAX_CONTENT_SIZE)
+   * @returns {{content: Buffer|null, contentType: string|null, verification: string, endpoint: string}|null}
+   *   null when no endpoint has the content. content is null when it is larger
+   *   than maxSize (verification 'unsupported'), or when every endpoint that
+   *   had it returned other content (verification 'mismatch'). contentType is
+   *   only known from gateways.
+   * @throws 503 error with `unavailable` set when no endpoint answered at all,
+   *   because every circuit is open or every request failed
+   */
+  async fetchContent(cid, { maxSize = this.maxContentSize } = {}) {
+    let mismatch = null;
+    let answered = false;
+
+    for (const endpoint of this.rank(['gateway', 'api'])) {
+      const isGateway = endpoint.kind === 'gateway';
+      const path = isGateway ? `/ipfs/${cid}` : `/api/v0/cat?arg=${encodeURIComponent(cid)}`;
+
+      try {
+        const result = await this.request(endpoint, path, { method: isGateway ? 'GET' : 'POST' }, async (response) => {
+          if (!response.ok) return null;
+
+          const contentType = isGateway ? response.headers.get('content-type') : null;
+          if (parseInt(response.headers.get('content-length') || '0') > maxSize) {
+            await response.body?.cancel();
+            return { content: null, contentType, verification: 'unsupported', endpoint: endpoint.url };
+          }
+
+          const content = Buffer.from(await response.arrayBuffer());
+          if (content.length > maxSize) {
+            return { content: null, contentType, verification: 'unsupported', endpoint: endpoint.url };
+          }
+
+          const verification = await verifyContent(cid, content, { getBlock: block => this.fetchBlock(block) });
+          return {
+            content: verification === 'mismatch' ? null : content,
+            contentType,
+            verification,
+            endpoint: endpoint.url
+          };
+        });
+        answered = true;
+
+        if (result?.verification === 'mismatch') {
+          endpoint.mismatches++;
+          mismatch = result;
+          logger.warn(`[IPFS] Content returned for ${cid} by ${endpoint.url} does not match the CID`);
+        } else if (result) {
+          return result;
+        } else {
+          logger.debug(`[IPFS] ${cid} not found on ${endpoint.url}`);
+        }
+      } catch (error) {
+        logger.warn(`[IPFS] Fetching ${cid} from ${endpoint.url} failed: ${error.message}`);
       }
+    }
 
-      logger.info(`IPFS hash pinned: ${hash}`);
-      return true;
-    } catch (error) {
-      logger.error(`Error pinning IPFS hash ${hash}:`, error);
-      return false;
+    if (!answered) {
+      throw Object.assign(new Error('No IPFS endpoint available'), { statusCode: 503, unavailable: true });
     }
+    return mismatch;
   }
 
-  async unpinHash(hash) {
+  /**
+   * Fetch one block by CID as raw bytes, for verifying content whose DAG layout
+   * cannot be rebuilt
+   *
+   * @param {string} cid
+   * @returns {Promise<Buffer|null>} null when no endpoint returns the block
+   */
+  async fetchBlock(cid) {
+    for (const endpoint of this.rank(['gateway', 'api'])) {
+      const isGateway = endpoint.kind === 'gateway';
+      const path = isGateway ? `/ipfs/${cid}?format=raw` : `/api/v0/block/get?arg=${encodeURIComponent(cid)}`;
+      const options = isGateway
+        ? { method: 'GET', headers: { Accept: 'application/vnd.ipld.raw' } }
+        : { method: 'POST' };
+
+      try {
+        const block = await this.request(endpoint, path, options, async (response) => {
+          // Gateways that do not know ?format=raw answer the file instead
+          const isRaw = !isGateway || response.headers.get('content-type')?.startsWith('application/vnd.ipld.raw');
+          if (!response.ok || !isRaw || parseInt(response.headers.get('content-length') || '0') > MAX_BLOCK_SIZE) {
+            await response.body?.cancel();
+            return null;
+          }
+          const bytes = Buffer.from(await response.arrayBuffer());
+          return bytes.length > MAX_BLOCK_SIZE ? null : bytes;
+        });
+
+        if (block) return block;
+      } catch (error) {
+        logger.debug(`[IPFS] Fetching block ${cid} from ${endpoint.url} failed: ${error.message}`);
+      }
+    }
+    return null;
+  }
+
+  async checkExists(hash) {
     if (!this.enabled) {
       return false;
     }
 
     try {
-      const response = await fetch(
-        `http://${this.host}:${this.port}/api/v0/pin/rm?arg=${hash}`,
-        { method: 'POST' }
+      return await this.callApi(
+        `/api/v0/block/stat?arg=${encodeURIComponent(hash)}`,
+        {},
+        response => response.ok
       );
-
-      if (!response.ok) {
-        throw new Error(`IPFS unpin failed: ${response.statusText}`);
-      }
-
-      logger.info(`IPFS hash unpinned: ${hash}`);
-      return true;
     } catch (error) {
-      logger.error(`Error unpinning IPFS hash ${hash}:`, error);
+      logger.debug(`IPFS hash ${hash} check failed:`, error);
       return false;
     }
   }
 
-  async getContent(hash) {
+  // ============================================
+  // Uploads and pins
+  // ============================================
+
+  async uploadFile(filePath, options = {}) {
+    return this.upload(
+      () => {
+        const formData = new FormData();
+        formData.append('file', fs.createReadStream(filePath));
+        return formData;
+      },
+      'File',
+      options
+    );
+  }
+
+  async uploadData(data, options = {}) {
+    return this.upload(
+      () => {
+        const formData = new FormData();
+        formData.append('file', Buffer.from(data), { filename: options.filename || 'data.bin' });
+        return formData;
+      },
+      'Data',
+      options
+    );
+  }
+
+  /**
+   * Add content through the cluster API and pin it unless options.pin is false
+   */
+  async upload(createForm, label, options) {
     if (!this.enabled) {
-      logger.warn('IPFS is disabled');
+      logger.warn('IPFS is disabled. Enable with IPFS_ENABLED=true');
       throw new Error('IPFS is disabled');
     }
 
     try {
-      const response = await fetch(`http://${this.host}:${this.port}/api/v0/cat?arg=${hash}`, {
-        method: 'POST'
-      });
+      const data = await this.callApi(
+        '/api/v0/add',
+        () => {
+          const formData = createForm();
+          return { body: formData, headers: formData.getHeaders(), timeout: 0 };
+        },
+        async (response) => {
+          if (!response.ok) {
+            throw new Error(`IPFS upload failed: ${response.statusText}`);
+          }
+          return response.json();
+        }
+      );
+      const hash = data.Hash;
 
-      if (!response.ok) {
-        throw new Error(`IPFS cat failed: ${response.statusText}`);
+      logger.info(`${label} uploaded to IPFS: ${hash}`);
+
+      if (options.pin !== false) {
+        await this.pinHash(hash);
       }
 
-      return await response.arrayBuffer();
+      return {
+        hash,
+        size: data.Size,
+        url: this.getGatewayUrl(hash)
+      };
     } catch (error) {
-      logger.error(`Error getting IPFS content ${hash}:`, error);
+      logger.error(`Error uploading ${label.toLowerCase()} to IPFS:`, error);
       throw error;
     }
   }
 
-  async checkExists(hash) {
+  async pinHash(hash) {
+    return this.changePin('add', hash);
+  }
+
+  async unpinHash(hash) {
+    return this.changePin('rm', hash);
+  }
+
+  async changePin(action, hash) {
     if (!this.enabled) {
       return false;
     }
 
+    const verb = action === 'add' ? 'pin' : 'unpin';
     try {
-      const response = await fetch(
-        `http://${this.host}:${this.port}/api/v0/block/stat?arg=${hash}`,
-        { method: 'POST' }
-      );
+      await this.callApi(`/api/v0/pin/${action}?arg=${encodeURIComponent(hash)}`, { timeout: 0 }, (response) => {
+        if (!response.ok) {
+          throw new Error(`IPFS ${verb} failed: ${response.statusText}`);
+        }
+      });
 
-      return response.ok;
+      logger.info(`IPFS hash ${verb}ned: ${hash}`);
+      return true;
     } catch (error) {
-      logger.debug(`IPFS hash ${hash} check failed:`, error);
+      logger.error(`Error ${verb}ning IPFS hash ${hash}:`, error);
       return false;
     }
   }
 
+  // ============================================
+  // Links and status
+  // ============================================
+
   getGatewayUrl(hash, gateway = null) {
     const baseUrl = gateway || this.gatewayUrl;
     return `${baseUrl}${hash}`;
@@ -187,6 +435,9 @@ class IPFSService {
     return [this.getGatewayUrl(hash)];
   }
 
+  /**
+   * Cluster API reachability, for the export health check
+   */
   async checkHealth() {
     if (!this.enabled) {
       return {
@@ -196,15 +447,12 @@ class IPFSService {
     }
 
     try {
-      const response = await fetch(`http://${this.host}:${this.port}/api/v0/version`, {
-        method: 'POST'
+      const version = await this.callApi('/api/v0/version', {}, async (response) => {
+        if (!response.ok) {
+          throw new Error(`IPFS health check failed: ${response.statusText}`);
+        }
+        return response.json();
       });
-
-      if (!response.ok) {
-        throw new Error(`IPFS health check failed: ${response.statusText}`);
-      }
-
-      const version = await response.json();
       return {
         status: 'connected',
         message: 'IPFS connection healthy',
@@ -217,6 +465,34 @@ class IPFSService {
       };
     }
   }
+
+  /**
+   * Health of every endpoint as tracked by this process, for /api/v1/health
+   * Degraded while any circuit is not closed, error when no endpoint is usable
+   */
+  getStatus() {
+    const now = Date.now();
+    const endpoints = this.endpoints.map(endpoint => ({
+      url: endpoint.url,
+      kind: endpoint.kind,
+      circuit: this.circuitState(endpoint, now),
+      latencyMs: endpoint.latency === null ? null : Math.round(endpoint.latency),
+      errorRate: Number(endpoint.errorRate.toFixed(3)),
+      requests: endpoint.requests,
+      failures: endpoint.failures,
+      mismatches: endpoint.mismatches,
+      lastError: endpoint.lastError,
+      lastSuccessAt: endpoint.lastSuccessAt,
+      lastFailureAt: endpoint.lastFailureAt,
+      retryAt: endpoint.openedAt === null ? null : new Date(endpoint.openedAt + this.circuitCooldown)
+    }));
+
+    const closed = endpoints.filter(endpoint => endpoint.circuit === 'closed').length;
+    return {
+      status: closed === endpoints.length ? 'connected' : closed > 0 ? 'degraded' : 'error',
+      endpoints
+    };
+  }
 }
 
 export default new IPFSService();
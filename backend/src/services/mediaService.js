@@ -0,0 +1,227 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { spawn } from 'child_process';
+import sharp from 'sharp';
+import Asset from '../models/Asset.js';
+import ipfsService from './ipfsService.js';
+import { parseCid, formatCid } from '../utils/cid.js';
+import { sniffContentType, mediaKind } from '../utils/mediaType.js';
+import { logger } from '../utils/logger.js';
+
+// Preview widths; requested widths round up to one of these so the cache stays bounded
+export const PREVIEW_WIDTHS = [128, 256, 512, 1024];
+
+const PREVIEW_TYPE = 'image/webp';
+
+const httpError = (statusCode, message) => Object.assign(new Error(message), { statusCode });
+
+/**
+ * IPFS media for the frontend: originals typed by their magic bytes, and
+ * resized image thumbnails and video poster frames
+ *
+ * Only CIDs an indexed asset refers to are served, so this is no open IPFS
+ * proxy and the cache cannot be filled with arbitrary content.
+ *
+ * Everything is cached on disk under MEDIA_CACHE_PATH, one directory per CID.
+ * CIDs never change content, so the cache needs no invalidation and any part
+ * of it can be deleted at any time to free space.
+ */
+class MediaService {
+  constructor() {
+    this.cacheDir = process.env.MEDIA_CACHE_PATH || path.join(process.cwd(), 'media-cache');
+    this.maxSize = parseInt(process.env.MEDIA_MAX_SIZE || String(100 * 1024 * 1024));
+    this.ffmpegPath = process.env.FFMPEG_PATH || 'ffmpeg';
+    this.ffmpegTimeout = parseInt(process.env.MEDIA_FFMPEG_TIMEOUT || '20000');
+    // Work in progress per file, so concurrent requests for it share one fetch
+    this.pending = new Map();
+  }
+
+  /**
+   * Canonical form of a CID string, or null when it is no CID
+   */
+  normalizeCid(text) {
+    const cid = parseCid(text);
+    return cid ? formatCid(cid) : null;
+  }
+
+  /**
+   * Whether an indexed asset refers to the CID, as its reference hash or as
+   * the image or animation of its metadata
+   */
+  async isReferenced(cid) {
+    const uris = [cid, `ipfs://${cid}`];
+    return !!await Asset.exists({
+      $or: [
+        { ipfsHash: cid },
+        { 'metadata.image': { $in: uris } },
+        { 'metadata.animationUrl': { $in: uris } }
+      ]
+    });
+  }
+
+  previewWidth(width) {
+    return PREVIEW_WIDTHS.find(size => size >= width) || PREVIEW_WIDTHS[PREVIEW_WIDTHS.length - 1];
+  }
+
+  /**
+   * Run `create` once per key at a time
+   */
+  async once(key, create) {
+    if (!this.pending.has(key)) {
+      this.pending.set(key, create().finally(() => this.pending.delete(key)));
+    }
+    return this.pending.get(key);
+  }
+
+  async readInfo(dir) {
+    try {
+      return JSON.parse(await fs.readFile(path.join(dir, 'info.json'), 'utf8'));
+    } catch {
+      return null;
+    }
+  }
+
+  // Written through a temporary file, so readers never see a partial file
+  async writeAtomic(file, data) {
+    const tempFile = `${file}.${process.pid}.tmp`;
+    await fs.writeFile(tempFile, data);
+    await fs.rename(tempFile, file);
+  }
+
+  /**
+   * The original content of a CID, fetched from IPFS on first use
+   *
+   * @param {string} cid - Canonical CID
+   * @returns {{path: string, contentType: string, kind: string, size: number}}
+   * @throws 404 when no indexed asset refers to the CID or no IPFS endpoint
+   *   has the content, 413 when it is larger
+   *   than MEDIA_MAX_SIZE, 502 when IPFS returned content that does not match it,
+   *   503 when no IPFS endpoint is available
+   */
+  async getOriginal(cid) {
+    const dir = path.join(this.cacheDir, cid);
+    const file = path.join(dir, 'original');
+
+    const info = await this.readInfo(dir);
+    if (info) return { path: file, ...info };
+
+    return this.once(file, async () => {
+      if (!await this.isReferenced(cid)) {
+        throw httpError(404, 'No indexed asset refers to this CID');
+      }
+
+      const result = await ipfsService.fetchContent(cid, { maxSize: this.maxSize });
+      if (!result) {
+        throw httpError(404, 'Media not found on IPFS');
+      }
+      if (result.verification === 'mismatch') {
+        throw httpError(502, 'Content returned by IPFS does not match the CID');
+      }
+      if (!result.content) {
+        throw httpError(413, `Media is larger than ${this.maxSize} bytes`);
+      }
+
+      const contentType = sniffContentType(result.content);
+      const stored = { contentType, kind: mediaKind(contentType), size: result.content.length };
+
+      await fs.mkdir(dir, { recursive: true });
+      await this.writeAtomic(file, result.content);
+      await this.writeAtomic(path.join(dir, 'info.json'), JSON.stringify(stored));
+
+      logger.debug(`[MEDIA] Cached ${cid} (${contentType}, ${stored.size} bytes)`);
+      return { path: file, ...stored };
+    });
+  }
+
+  /**
+   * A WebP preview at most `width` pixels wide and high: a thumbnail for
+   * images, a poster frame for videos
+   *
+   * @returns {{path: string, contentType: string, width: number}}
+   * @throws 415 when the content has no preview, besides the errors of getOriginal
+   */
+  async getPreview(cid, requestedWidth) {
+    const width = this.previewWidth(requestedWidth);
+    const file = path.join(this.cacheDir, cid, `preview-${width}.webp`);
+
+    try {
+      await fs.access(file);
+      return { path: file, contentType: PREVIEW_TYPE, width };
+    } catch {
+      // Not generated yet
+    }
+
+    const original = await this.getOriginal(cid);
+    if (original.kind !== 'image' && original.kind !== 'video') {
+      throw httpError(415, `No preview for ${original.contentType} content`);
+    }
+
+    return this.once(file, async () => {
+      const source = original.kind === 'video'
+        ? await this.extractPosterFrame(original.path)
+        : original.path;
+
+      try {
+        const preview = await sharp(source)
+          .rotate()
+          .resize({ width, height: width, fit: 'inside', withoutEnlargement: true })
+          .webp({ quality: 80 })
+          .toBuffer();
+        await this.writeAtomic(file, preview);
+      } catch (error) {
+        logger.warn(`[MEDIA] Preview of ${cid} failed: ${error.message}`);
+        throw httpError(415, `${original.contentType} content could not be decoded for a preview`);
+      }
+
+      return { path: file, contentType: PREVIEW_TYPE, width };
+    });
+  }
+
+  /**
+   * A representative frame of a video as PNG, using ffmpeg
+   * ffmpeg is killed when it takes longer than MEDIA_FFMPEG_TIMEOUT ms
+   */
+  extractPosterFrame(videoPath) {
+    return new Promise((resolve, reject) => {
+      const ffmpeg = spawn(this.ffmpegPath, [
+        '-hide_banner', '-loglevel', 'error',
+        '-i', videoPath,
+        '-vf', 'thumbnail',
+        '-frames:v', '1',
+        '-f', 'image2pipe', '-vcodec', 'png',
+        'pipe:1'
+      ]);
+
+      const chunks = [];
+      let stderr = '';
+      let timedOut = false;
+      ffmpeg.stdout.on('data', chunk => chunks.push(chunk));
+      ffmpeg.stderr.on('data', chunk => { stderr += chunk; });
+
+      const deadline = setTimeout(() => {
+        timedOut = true;
+        ffmpeg.kill('SIGKILL');
+      }, this.ffmpegTimeout);
+
+      ffmpeg.on('error', (error) => {
+        clearTimeout(deadline);
+        logger.warn(`[MEDIA] Cannot run ffmpeg (${this.ffmpegPath}) for video posters: ${error.message}`);
+        reject(httpError(415, 'Video posters are not available on this server'));
+      });
+      ffmpeg.on('close', (code) => {
+        clearTimeout(deadline);
+        if (timedOut) {
+          logger.warn(`[MEDIA] ffmpeg killed after ${this.ffmpegTimeout}ms extracting a poster frame from ${videoPath}`);
+          return reject(httpError(415, 'Extracting a poster frame from the video took too long'));
+        }
+
+        const frame = Buffer.concat(chunks);
+        if (code === 0 && frame.length > 0) return resolve(frame);
+        logger.warn(`[MEDIA] ffmpeg found no poster frame (exit ${code}): ${stderr.trim()}`);
+        reject(httpError(415, 'No poster frame could be extracted from the video'));
+      });
+    });
+  }
+}
+
+export default new MediaService();
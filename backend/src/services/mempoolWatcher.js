@@ -0,0 +1,186 @@
+import MempoolEntry from '../models/MempoolEntry.js';
+import Transaction from '../models/Transaction.js';
+import blockchainService from './blockchain.js';
+import assetProcessor from './assetProcessor.js';
+import { logger } from '../utils/logger.js';
+
+class MempoolWatcher {
+  constructor() {
+    this.enabled = process.env.MEMPOOL_ENABLED !== 'false';
+    this.pollInterval = parseInt(process.env.MEMPOOL_POLL_INTERVAL || '15000');
+    this.timer = null;
+    this.wakeTimer = null;
+    this.polling = false;
+
+    // Mempool txids already decoded that carry no asset operation
+    this.ignored = new Set();
+  }
+
+  /**
+   * Start polling the node's mempool
+   */
+  start() {
+    if (!this.enabled || this.timer) return;
+
+    logger.info(`[MEMPOOL] Watching mempool every ${this.pollInterval / 1000}s`);
+    this.timer = setInterval(() => this.poll(), this.pollInterval);
+    this.poll();
+  }
+
+  stop() {
+    clearTimeout(this.wakeTimer);
+    this.wakeTimer = null;
+
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+      logger.info('[MEMPOOL] Mempool watcher stopped');
+    }
+  }
+
+  /**
+   * Poll shortly after a new-transaction notification
+   * A burst of notifications is coalesced into one poll
+   */
+  pollSoon(delay = 1000) {
+    if (!this.timer || this.wakeTimer) return;
+
+    this.wakeTimer = setTimeout(() => {
+      this.wakeTimer = null;
+      this.poll();
+    }, delay);
+  }
+
+  /**
+   * Index new asset transactions and remove those that left the mempool
+   * Skips a run while the previous one is still in progress
+   */
+  async poll() {
+    if (this.polling) return;
+    this.polling = true;
+
+    try {
+      const mempool = await blockchainService.getRawMempool(true);
+      const mempoolTxids = new Set(Object.keys(mempool || {}));
+
+      const indexed = await MempoolEntry.find().select('txid').lean();
+      const indexedTxids = new Set(indexed.map(entry => entry.txid));
+
+      let added = 0;
+      for (const txid of mempoolTxids) {
+        if (indexedTxids.has(txid) || this.ignored.has(txid)) continue;
+        if (await this.indexTransaction(txid, mempool[txid])) {
+          added++;
+        }
+      }
+
+      const departed = [...indexedTxids].filter(txid => !mempoolTxids.has(txid));
+      const { confirmed, dropped } = await this.reconcile(departed);
+
+      // Forget ignored txids once they leave the mempool
+      for (const txid of this.ignored) {
+        if (!mempoolTxids.has(txid)) this.ignored.delete(txid);
+      }
+
+      if (added || confirmed || dropped) {
+        logger.info(`[MEMPOOL] ${mempoolTxids.size} tx in mempool: ${added} asset tx added, ${confirmed} confirmed, ${dropped} dropped`);
+      }
+
+      return { size: mempoolTxids.size, added, confirmed, dropped };
+    } catch (error) {
+      logger.error(`[MEMPOOL] Poll failed: ${error.message}`);
+      return null;
+    } finally {
+      this.polling = false;
+    }
+  }
+
+  /**
+   * Decode one mempool transaction and store it if it carries asset operations
+   */
+  async indexTransaction(txid, mempoolInfo = {}) {
+    try {
+      const tx = await blockchainService.getRawTransaction(txid, true);
+
+      // Confirmed between getrawmempool and now, the block sync will pick it up
+      if (!tx || tx.blockhash) return false;
+
+      const operations = await assetProcessor.decodeAssetOperations(tx);
+      if (operations.length === 0) {
+        this.ignored.add(txid);
+        return false;
+      }
+
+      const result = await MempoolEntry.updateOne(
+        { txid },
+        {
+          $setOnInsert: {
+            txid,
+            txType: tx.type || 0,
+            firstSeen: mempoolInfo.time ? new Date(mempoolInfo.time * 1000) : new Date(),
+            size: mempoolInfo.size || tx.size || 0,
+            fee: mempoolInfo.fee || 0,
+            operations,
+            assets: [...new Set(operations.flatMap(op => [op.assetId, op.assetName]).filter(Boolean))],
+            addresses: [...new Set(operations.flatMap(op => [op.from, op.to]).filter(Boolean))]
+          }
+        },
+        { upsert: true }
+      );
+
+      if (result.upsertedCount) {
+        logger.info(`[MEMPOOL] Pending ${operations.map(op => `${op.operation} ${op.assetName || op.assetId}`).join(', ')} in ${txid}`);
+      }
+      return result.upsertedCount > 0;
+    } catch (error) {
+      // Evicted before we could fetch it
+      logger.warn(`[MEMPOOL] Could not decode ${txid}: ${error.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * Remove entries that left the mempool, counting those that confirmed
+   * and those that were evicted (expired, replaced or conflicted)
+   */
+  async reconcile(txids) {
+    if (txids.length === 0) {
+      return { confirmed: 0, dropped: 0 };
+    }
+
+    const confirmedTxs = await Transaction.find({ txid: { $in: txids } }).select('txid').lean();
+    const confirmedTxids = new Set(confirmedTxs.map(tx => tx.txid));
+
+    let confirmed = 0;
+    for (const txid of txids) {
+      if (confirmedTxids.has(txid)) {
+        confirmed++;
+        continue;
+      }
+
+      // Not indexed yet: ask the node whether it made it into a block
+      const tx = await blockchainService.getRawTransaction(txid, true).catch(() => null);
+      if (tx?.blockhash) {
+        confirmed++;
+      } else {
+        logger.info(`[MEMPOOL] Dropped ${txid} (evicted from mempool)`);
+      }
+    }
+
+    await MempoolEntry.deleteMany({ txid: { $in: txids } });
+
+    return { confirmed, dropped: txids.length - confirmed };
+  }
+
+  /**
+   * Remove entries for transactions a synced block just confirmed
+   */
+  async removeConfirmed(txids) {
+    if (txids.length === 0) return 0;
+
+    const { deletedCount } = await MempoolEntry.deleteMany({ txid: { $in: txids } });
+    return deletedCount;
+  }
+}
+
+export default new MempoolWatcher();
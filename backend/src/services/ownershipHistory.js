@@ -0,0 +1,194 @@
+import AssetTransfer from '../models/AssetTransfer.js';
+import Asset from '../models/Asset.js';
+import Block from '../models/Block.js';
+
+const httpError = (message, statusCode) => Object.assign(new Error(message), { statusCode });
+
+// Balances below this are rounding residue from summing decimal amounts
+const DUST = 1e-9;
+
+const round = (value) => Math.round(value * 1e8) / 1e8;
+
+/**
+ * Point-in-time ownership computed from the AssetTransfer history
+ *
+ * A cutoff is a block: everything mined at or below its height counts,
+ * everything above it is ignored.
+ */
+class OwnershipHistory {
+  /**
+   * Resolve `{ height }` or `{ timestamp }` to the block that ends the history
+   * A timestamp maps to the last block mined at or before it (height -1 if none)
+   */
+  async resolveCutoff({ height, timestamp } = {}) {
+    if (height !== undefined) {
+      const block = await Block.findOne({ height }).select('height hash timestamp').lean();
+      if (!block) {
+        throw httpError(`Block ${height} has not been synced yet`, 400);
+      }
+      return { height: block.height, hash: block.hash, timestamp: block.timestamp, requested: { height } };
+    }
+
+    const at = new Date(timestamp);
+    const block = await Block.findOne({ timestamp: { $lte: at } })
+      .sort({ height: -1 })
+      .select('height hash timestamp')
+      .lean();
+
+    return {
+      height: block ? block.height : -1,
+      hash: block?.hash || null,
+      timestamp: block?.timestamp || null,
+      requested: { timestamp: at.toISOString() }
+    };
+  }
+
+  /**
+   * Owner and holder balances of an asset as of a cutoff
+   */
+  async getOwnershipAt(asset, cutoff, { limit = 20, offset = 0 } = {}) {
+    // Transfers indexed before asset IDs were resolved carry the asset name as assetId
+    const filter = { assetId: { $in: [asset.assetId, asset.name] }, blockHeight: { $lte: cutoff.height } };
+
+    // The latest transfer to someone else names the owner; self-sends only move change
+    const lastTransfer =
+      await AssetTransfer.findOne({ ...filter, $expr: { $ne: ['$from', '$to'] } })
+        .sort({ blockHeight: -1, timestamp: -1, _id: -1 })
+        .lean() ||
+      await AssetTransfer.findOne(filter)
+        .sort({ blockHeight: -1, timestamp: -1, _id: -1 })
+        .lean();
+
+    const existed = asset.createdBlockHeight !== undefined && asset.createdBlockHeight !== null
+      ? asset.createdBlockHeight <= cutoff.height
+      : Boolean(lastTransfer);
+
+    const { holders, total, heldSupply } = await this.aggregateBalances(
+      [{ $match: filter }],
+      '$to',
+      '$from',
+      { limit, offset }
+    );
+
+    return {
+      existed,
+      owner: lastTransfer?.to || (existed ? asset.creator || null : null),
+      acquired: lastTransfer ? {
+        txid: lastTransfer.txid,
+        type: lastTransfer.type,
+        from: lastTransfer.from || null,
+        blockHeight: lastTransfer.blockHeight,
+        timestamp: lastTransfer.timestamp
+      } : null,
+      heldSupply,
+      holders: holders.map((holder, index) => ({
+        rank: offset + index + 1,
+        address: holder._id,
+        balance: round(holder.balance),
+        percentage: heldSupply > 0 ? (holder.balance / heldSupply) * 100 : 0
+      })),
+      total
+    };
+  }
+
+  /**
+   * Assets held by an address as of a cutoff, largest balance first
+   */
+  async getHoldingsAt(address, cutoff, { limit = 20, offset = 0 } = {}) {
+    const match = {
+      $or: [{ to: address }, { from: address }],
+      blockHeight: { $lte: cutoff.height }
+    };
+
+    // Older transfers carry the asset name as assetId; key them by the asset's
+    // ID before grouping, so each asset is summed once
+    const keys = await AssetTransfer.distinct('assetId', match);
+    const named = await Asset.find({ name: { $in: keys } }).select('assetId name').lean();
+    const names = named.map(asset => asset.name);
+    const ids = named.map(asset => asset.assetId);
+    const assetKey = {
+      $let: {
+        vars: { index: { $indexOfArray: [names, '$assetId'] } },
+        in: { $cond: [{ $gte: ['$$index', 0] }, { $arrayElemAt: [ids, '$$index'] }, '$assetId'] }
+      }
+    };
+
+    const { holders, total } = await this.aggregateBalances(
+      [{ $match: match }, { $addFields: { assetId: assetKey } }],
+      { $cond: [{ $eq: ['$to', address] }, '$assetId', null] },
+      { $cond: [{ $eq: ['$from', address] }, '$assetId', null] },
+      { limit, offset }
+    );
+
+    const assets = await Asset.find({ assetId: { $in: holders.map(holding => holding._id) } })
+      .select('assetId name type creator currentOwner')
+      .lean();
+    const assetsById = new Map(assets.map(asset => [asset.assetId, asset]));
+
+    return {
+      holdings: holders.map(holding => {
+        const asset = assetsById.get(holding._id);
+        return {
+          assetId: holding._id,
+          assetName: asset?.name || null,
+          type: asset?.type === 'non-fungible' ? 'nft' : 'fungible',
+          balance: round(holding.balance),
+          lastActivityHeight: holding.lastActivityHeight,
+          lastActivityAt: holding.lastActivityAt
+        };
+      }),
+      total
+    };
+  }
+
+  /**
+   * Net transfer amounts per key: credit `creditKey`, debit `debitKey`
+   * A key expression that evaluates to null is skipped (mints have no sender)
+   */
+  async aggregateBalances(match, creditKey, debitKey, { limit, offset }) {
+    const [result] = await AssetTransfer.aggregate([
+      ...match,
+      {
+        $project: {
+          blockHeight: 1,
+          timestamp: 1,
+          entries: [
+            { key: creditKey, change: '$amount' },
+            { key: debitKey, change: { $multiply: ['$amount', -1] } }
+          ]
+        }
+      },
+      { $unwind: '$entries' },
+      { $match: { 'entries.key': { $nin: [null, ''] } } },
+      {
+        $group: {
+          _id: '$entries.key',
+          balance: { $sum: '$entries.change' },
+          lastActivityHeight: { $max: '$blockHeight' },
+          lastActivityAt: { $max: '$timestamp' }
+        }
+      },
+      { $match: { balance: { $gt: DUST } } },
+      {
+        $facet: {
+          page: [
+            { $sort: { balance: -1, _id: 1 } },
+            { $skip: offset },
+            { $limit: limit }
+          ],
+          totals: [
+            { $group: { _id: null, total: { $sum: 1 }, supply: { $sum: '$balance' } } }
+          ]
+        }
+      }
+    ]);
+
+    return {
+      holders: result?.page || [],
+      total: result?.totals[0]?.total || 0,
+      heldSupply: round(result?.totals[0]?.supply || 0)
+    };
+  }
+}
+
+export default new OwnershipHistory();
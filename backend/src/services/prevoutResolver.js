@@ -0,0 +1,127 @@
+import Transaction from '../models/Transaction.js';
+import blockchainService from './blockchain.js';
+import transactionIndexer from './transactionIndexer.js';
+import { logger } from '../utils/logger.js';
+
+const outpointKey = (txid, n) => `${txid}:${n}`;
+
+/**
+ * Resolves the outputs a transaction's inputs spend
+ *
+ * Verbose getblock output often leaves vin.address out, so the owner of an input
+ * is read from the spent output: first our own Transaction.outputs, then the node
+ * (getrawtransaction). Resolved outputs are kept in a bounded in-memory cache.
+ */
+class PrevoutResolver {
+  constructor() {
+    this.cache = new Map();
+    this.cacheSize = parseInt(process.env.PREVOUT_CACHE_SIZE || '50000');
+  }
+
+  remember(txid, outputs) {
+    for (const output of outputs) {
+      const key = outpointKey(txid, output.n);
+      // Re-insert so the oldest entries are evicted first
+      this.cache.delete(key);
+      this.cache.set(key, {
+        address: output.address || null,
+        amount: output.amount || 0,
+        asset: output.asset?.assetId || output.asset?.assetName ? {
+          assetId: output.asset.assetId || null,
+          assetName: output.asset.assetName || null,
+          amount: output.asset.amount || 0
+        } : null
+      });
+    }
+
+    while (this.cache.size > this.cacheSize) {
+      this.cache.delete(this.cache.keys().next().value);
+    }
+  }
+
+  /**
+   * Cache the outputs of a block's transactions so spends within the same
+   * block resolve before the block is stored
+   */
+  prime(txs) {
+    for (const tx of txs || []) {
+      if (tx?.txid) this.remember(tx.txid, transactionIndexer.mapOutputs(tx));
+    }
+  }
+
+  /**
+   * Spent output for each input, in vin order (null for coinbase or unresolvable inputs)
+   * Accepts verbose vin entries or stored Transaction.inputs
+   */
+  async resolveInputs(vins) {
+    const spends = (vins || []).filter(vin => !vin.coinbase && vin.txid && vin.vout !== undefined && vin.vout !== null);
+    const missing = [...new Set(
+      spends
+        .filter(vin => !this.cache.has(outpointKey(vin.txid, vin.vout)))
+        .map(vin => vin.txid)
+    )];
+
+    if (missing.length > 0) {
+      const stored = await Transaction.find({ txid: { $in: missing } })
+        .select('txid outputs.n outputs.address outputs.amount outputs.asset')
+        .lean();
+      for (const prev of stored) {
+        this.remember(prev.txid, prev.outputs || []);
+      }
+
+      const storedIds = new Set(stored.map(prev => prev.txid));
+      for (const txid of missing.filter(id => !storedIds.has(id))) {
+        try {
+          const prev = await blockchainService.getRawTransaction(txid, true);
+          if (prev) this.remember(txid, transactionIndexer.mapOutputs(prev));
+        } catch (error) {
+          logger.warn(`[PREVOUT] Could not fetch ${txid}: ${error.message}`);
+        }
+      }
+    }
+
+    return (vins || []).map(vin => {
+      if (vin.coinbase || !vin.txid) return null;
+      const prevout = this.cache.get(outpointKey(vin.txid, vin.vout));
+      if (prevout) return { txid: vin.txid, vout: vin.vout, ...prevout };
+      // Fall back to what the node reported on the input itself
+      return vin.address
+        ? { txid: vin.txid, vout: vin.vout, address: vin.address, amount: vin.value ?? vin.amount ?? 0, asset: null }
+        : null;
+    });
+  }
+
+  /**
+   * Senders of one asset: every input carrying it, one entry per input
+   * `from` is the address that put in the largest amount; transactions whose
+   * asset inputs cannot be resolved fall back to the first known input address
+   */
+  sendersFor(prevouts, { assetId, assetName }) {
+    const matches = (asset) => asset && (
+      assetId && asset.assetId ? asset.assetId === assetId : asset.assetName === assetName
+    );
+
+    const senders = prevouts
+      .filter(prevout => prevout?.address && matches(prevout.asset))
+      .map(prevout => ({
+        txid: prevout.txid,
+        vout: prevout.vout,
+        address: prevout.address,
+        amount: prevout.asset.amount
+      }));
+
+    if (senders.length === 0) {
+      return { from: prevouts.find(prevout => prevout?.address)?.address || null, senders };
+    }
+
+    const totals = new Map();
+    for (const sender of senders) {
+      totals.set(sender.address, (totals.get(sender.address) || 0) + sender.amount);
+    }
+    const [from] = [...totals.entries()].reduce((best, entry) => (entry[1] > best[1] ? entry : best));
+
+    return { from, senders };
+  }
+}
+
+export default new PrevoutResolver();
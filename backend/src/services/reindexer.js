@@ -0,0 +1,903 @@
+import crypto from 'crypto';
+import Asset from '../models/Asset.js';
+import AssetTransfer from '../models/AssetTransfer.js';
+import Block from '../models/Block.js';
+import FutureOutput from '../models/FutureOutput.js';
+import SmartnodeEvent from '../models/SmartnodeEvent.js';
+import QuorumCommitment from '../models/QuorumCommitment.js';
+import BlockEmission from '../models/BlockEmission.js';
+import SyncState from '../models/SyncState.js';
+import Transaction from '../models/Transaction.js';
+import AuditLog from '../models/AuditLog.js';
+import blockchainService from './blockchain.js';
+import assetProcessor from './assetProcessor.js';
+import futureChecker from './futureChecker.js';
+import prevoutResolver from './prevoutResolver.js';
+import assetUnits from './assetUnits.js';
+import assetLedger from './assetLedger.js';
+import subAssetLinker from './subAssetLinker.js';
+import smartnodeRegistry, { QUORUM_COMMITMENT_TX_TYPE } from './smartnodeRegistry.js';
+import supplyTracker from './supplyTracker.js';
+import reorgHandler from './reorgHandler.js';
+import { logger } from '../utils/logger.js';
+
+export const REINDEX_TARGETS = ['blocks', 'transfers', 'metadata', 'subassets', 'futures', 'senders', 'smartnodes', 'supply'];
+
+// Targets rebuilt from block data; the others walk stored assets or transfers
+const BLOCK_TARGETS = ['blocks', 'transfers', 'futures', 'smartnodes', 'supply'];
+
+// Differences kept on the job document (the summary counts all of them)
+const MAX_DIFFS = 100;
+
+// Write progress to SyncState every N blocks or assets
+const PROGRESS_INTERVAL = 10;
+
+const ACTIVE_STATUSES = ['queued', 'running'];
+
+const httpError = (message, statusCode) => Object.assign(new Error(message), { statusCode });
+
+// Optional { $gte, $lte } filter for targets where the height range is optional
+const heightRange = (job) => {
+  const range = {};
+  if (job.fromHeight !== undefined && job.fromHeight !== null) range.$gte = job.fromHeight;
+  if (job.toHeight !== undefined && job.toHeight !== null) range.$lte = job.toHeight;
+  return Object.keys(range).length > 0 ? range : null;
+};
+
+/**
+ * Rebuilds a height range or one derived collection from stored blocks or the node
+ * Jobs are queued in SyncState (service: 'reindex') and run by the sync daemon
+ * between batches, so reindexing never races block sync
+ */
+class Reindexer {
+  /**
+   * Current or last reindex job with its progress
+   */
+  async getJob() {
+    return await SyncState.findOne({ service: 'reindex' }).lean();
+  }
+
+  /**
+   * Queue a reindex job; only one job can be queued or running at a time
+   */
+  async requestJob({ target, fromHeight, toHeight, source = 'stored', dryRun = true, requestedBy = 'unknown' }) {
+    if (!REINDEX_TARGETS.includes(target)) {
+      throw httpError(`Unknown reindex target: ${target}`, 400);
+    }
+
+    const blocksState = await SyncState.findOne({ service: 'blocks' }).select('currentBlock').lean();
+    const syncedHeight = blocksState?.currentBlock || 0;
+
+    // Balances are cumulative: blocks above a rebuilt range are rebuilt with it
+    if (target === 'blocks' && !dryRun && toHeight !== undefined) {
+      throw httpError('Applying a blocks job rebuilds everything from fromHeight up; toHeight only limits dry runs', 400);
+    }
+
+    if (BLOCK_TARGETS.includes(target)) {
+      if (fromHeight === undefined) {
+        throw httpError(`fromHeight is required for the ${target} target`, 400);
+      }
+      toHeight = toHeight ?? syncedHeight;
+    }
+    if (fromHeight !== undefined && toHeight !== undefined && toHeight < fromHeight) {
+      throw httpError('toHeight must not be below fromHeight', 400);
+    }
+
+    const job = {
+      jobId: `reindex_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`,
+      target,
+      source,
+      fromHeight,
+      toHeight,
+      dryRun,
+      status: 'queued',
+      cancelRequested: false,
+      requestedBy,
+      requestedAt: new Date()
+    };
+
+    try {
+      // The status filter makes the upsert collide with an active job instead of replacing it
+      const state = await SyncState.findOneAndUpdate(
+        { service: 'reindex', 'reindex.status': { $nin: ACTIVE_STATUSES } },
+        {
+          $set: {
+            reindex: job,
+            status: 'not_started',
+            startBlock: fromHeight ?? 0,
+            targetBlock: toHeight ?? 0,
+            currentBlock: fromHeight ?? 0,
+            blocksProcessed: 0,
+            itemsProcessed: 0
+          },
+          $unset: { lastError: '' }
+        },
+        { upsert: true, new: true }
+      );
+
+      logger.info(`[REINDEX] Queued ${job.jobId}: ${target} ${fromHeight ?? '-'}..${toHeight ?? '-'} (${dryRun ? 'dry run' : 'apply'})`);
+      return state.toObject();
+    } catch (error) {
+      if (error.code === 11000) {
+        throw httpError('A reindex job is already queued or running', 409);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Cancel the queued job, or ask the running one to stop after its current block
+   */
+  async cancelJob() {
+    const queued = await SyncState.findOneAndUpdate(
+      { service: 'reindex', 'reindex.status': 'queued' },
+      { $set: { 'reindex.status': 'cancelled', 'reindex.finishedAt': new Date() } },
+      { new: true }
+    ).lean();
+    if (queued) return queued;
+
+    const running = await SyncState.findOneAndUpdate(
+      { service: 'reindex', 'reindex.status': 'running' },
+      { $set: { 'reindex.cancelRequested': true } },
+      { new: true }
+    ).lean();
+    if (running) return running;
+
+    throw httpError('No reindex job is queued or running', 404);
+  }
+
+  /**
+   * Run the queued job, if any (called by the sync daemon between batches)
+   * Returns true if a job ran
+   */
+  async runPending() {
+    const state = await SyncState.findOneAndUpdate(
+      { service: 'reindex', 'reindex.status': 'queued' },
+      { $set: { 'reindex.status': 'running', 'reindex.startedAt': new Date(), status: 'syncing' } },
+      { new: true }
+    ).lean();
+    if (!state) return false;
+
+    const job = state.reindex;
+    const context = {
+      job,
+      summary: { checked: 0, missing: 0, extra: 0, changed: 0 },
+      diffs: [],
+      cancelled: false
+    };
+
+    logger.info(`[REINDEX] Starting ${job.jobId} (${job.target}, ${job.dryRun ? 'dry run' : 'apply'})`);
+
+    try {
+      switch (job.target) {
+        case 'blocks':
+          await this.reindexBlocks(context);
+          break;
+        case 'transfers':
+          await this.reindexTransfers(context);
+          break;
+        case 'futures':
+          await this.reindexFutures(context);
+          break;
+        case 'metadata':
+          await this.reindexMetadata(context);
+          break;
+        case 'subassets':
+          await this.reindexSubAssets(context);
+          break;
+        case 'senders':
+          await this.reindexSenders(context);
+          break;
+        case 'smartnodes':
+          await this.reindexSmartnodes(context);
+          break;
+        case 'supply':
+          await this.reindexSupply(context);
+          break;
+      }
+
+      await this.finishJob(context, context.cancelled ? 'cancelled' : 'completed');
+    } catch (error) {
+      logger.error(`[REINDEX] ${job.jobId} failed:`, error);
+      await this.finishJob(context, 'failed', error.message);
+    }
+
+    return true;
+  }
+
+  /**
+   * Fail a job left 'running' by a daemon that stopped mid-job
+   */
+  async recoverInterrupted() {
+    const { modifiedCount } = await SyncState.updateOne(
+      { service: 'reindex', 'reindex.status': 'running' },
+      {
+        $set: {
+          status: 'error',
+          lastError: 'Interrupted by sync daemon restart',
+          'reindex.status': 'failed',
+          'reindex.finishedAt': new Date()
+        }
+      }
+    );
+
+    if (modifiedCount > 0) {
+      logger.warn('[REINDEX] Marked interrupted reindex job as failed; request it again to resume');
+    }
+  }
+
+  /**
+   * Count a difference and keep the first few for the job report
+   */
+  recordDiff(context, kind, diff) {
+    context.summary[kind] = (context.summary[kind] || 0) + 1;
+    if (context.diffs.length < MAX_DIFFS) {
+      context.diffs.push({ kind, ...diff });
+    }
+  }
+
+  /**
+   * Save progress and pick up cancellation requests
+   */
+  async saveProgress(context, progress) {
+    const state = await SyncState.findOneAndUpdate(
+      { service: 'reindex' },
+      {
+        $set: {
+          ...progress,
+          'reindex.summary': context.summary,
+          'reindex.diffs': context.diffs
+        }
+      },
+      { new: true }
+    ).select('reindex.cancelRequested').lean();
+
+    if (state?.reindex?.cancelRequested) {
+      logger.warn(`[REINDEX] ${context.job.jobId} cancelled`);
+      context.cancelled = true;
+    }
+    return context.cancelled;
+  }
+
+  /**
+   * Mark the job, summary and diffs as finished and write the audit log entry
+   */
+  async finishJob(context, status, errorMessage = null) {
+    const { job, summary, diffs } = context;
+    const finishedAt = new Date();
+
+    await SyncState.updateOne(
+      { service: 'reindex' },
+      {
+        $set: {
+          status: status === 'failed' ? 'error' : 'synced',
+          lastSyncedAt: finishedAt,
+          'reindex.status': status,
+          'reindex.finishedAt': finishedAt,
+          'reindex.summary': summary,
+          'reindex.diffs': diffs,
+          ...(errorMessage && { lastError: errorMessage })
+        }
+      }
+    );
+
+    try {
+      await AuditLog.create({
+        requestId: job.jobId,
+        method: 'SYNC',
+        endpoint: 'sync-daemon/reindex',
+        ip: 'internal',
+        action: 'reindex',
+        dataSource: 'blockchain',
+        success: status !== 'failed',
+        errorMessage,
+        details: { ...job, status, summary, finishedAt }
+      });
+    } catch (error) {
+      logger.error('[REINDEX] Failed to write audit log:', error);
+    }
+
+    logger.info(`[REINDEX] ${job.jobId} ${status}: ${JSON.stringify(summary)}`);
+  }
+
+  /**
+   * Call fn(block) for each block in the job's range, in height order
+   * 'stored' reads the blocks we indexed (by stored hash), 'node' follows the node's best chain
+   */
+  async forEachBlock(context, fn) {
+    const { job } = context;
+    let processed = 0;
+
+    const visit = async (height, hash) => {
+      const block = await blockchainService.getBlock(hash, 2);
+      if (!block) {
+        throw new Error(`Failed to fetch block ${height}`);
+      }
+
+      await fn(block);
+      processed++;
+
+      if (processed % PROGRESS_INTERVAL === 0) {
+        return await this.saveProgress(context, { currentBlock: height, blocksProcessed: processed });
+      }
+      return false;
+    };
+
+    if (job.source === 'node') {
+      for (let height = job.fromHeight; height <= job.toHeight; height++) {
+        if (await visit(height, await blockchainService.getBlockHash(height))) break;
+      }
+    } else {
+      const cursor = Block.find({ height: { $gte: job.fromHeight, $lte: job.toHeight } })
+        .sort({ height: 1 })
+        .select('height hash')
+        .lean()
+        .cursor();
+
+      for await (const stored of cursor) {
+        if (await visit(stored.height, stored.hash)) break;
+      }
+      await cursor.close();
+    }
+
+    if (!context.cancelled) {
+      await this.saveProgress(context, { currentBlock: job.toHeight, blocksProcessed: processed });
+    }
+  }
+
+  /**
+   * Call fn(asset) for each asset matching a filter (created within the range, if given)
+   */
+  async forEachAsset(context, filter, fn) {
+    const range = heightRange(context.job);
+    const query = range ? { ...filter, createdBlockHeight: range } : filter;
+
+    const total = await Asset.countDocuments(query);
+    await SyncState.updateOne({ service: 'reindex' }, { $set: { 'reindex.total': total } });
+
+    let processed = 0;
+    const cursor = Asset.find(query).sort({ createdBlockHeight: 1 }).cursor();
+    for await (const asset of cursor) {
+      await fn(asset);
+      processed++;
+
+      if (processed % PROGRESS_INTERVAL === 0 &&
+          await this.saveProgress(context, { itemsProcessed: processed, currentBlock: asset.createdBlockHeight || 0 })) {
+        break;
+      }
+    }
+    await cursor.close();
+
+    if (!context.cancelled) {
+      await this.saveProgress(context, { itemsProcessed: processed });
+    }
+  }
+
+  /**
+   * Call fn(txid, transfers) for each transaction with 'transfer' rows (within the range, if given)
+   */
+  async forEachTransferTx(context, fn) {
+    const range = heightRange(context.job);
+    const query = range ? { type: 'transfer', blockHeight: range } : { type: 'transfer' };
+
+    const total = await AssetTransfer.countDocuments(query);
+    await SyncState.updateOne({ service: 'reindex' }, { $set: { 'reindex.total': total } });
+
+    let processed = 0;
+    let group = [];
+    const flush = async () => {
+      if (group.length === 0) return false;
+      const transfers = group;
+      group = [];
+
+      await fn(transfers[0].txid, transfers);
+      const before = processed;
+      processed += transfers.length;
+
+      if (Math.floor(processed / PROGRESS_INTERVAL) > Math.floor(before / PROGRESS_INTERVAL)) {
+        return await this.saveProgress(context, { itemsProcessed: processed, currentBlock: transfers[0].blockHeight });
+      }
+      return false;
+    };
+
+    const cursor = AssetTransfer.find(query).sort({ blockHeight: 1, txid: 1 }).lean().cursor();
+    for await (const transfer of cursor) {
+      if (group.length > 0 && group[0].txid !== transfer.txid && await flush()) break;
+      group.push(transfer);
+    }
+    await cursor.close();
+
+    if (!context.cancelled && !await flush()) {
+      await this.saveProgress(context, { itemsProcessed: processed });
+    }
+  }
+
+  /**
+   * Compare stored blocks with the node; applying removes everything from fromHeight
+   * up and lets the sync daemon rebuild it (balances and ledgers are cumulative,
+   * so a range cannot be rebuilt without the blocks above it)
+   */
+  async reindexBlocks(context) {
+    const { job } = context;
+
+    if (!job.dryRun) {
+      const commonAncestor = job.fromHeight - 1;
+      const { assetsRemoved, orphanedBlocks, ...removed } = await reorgHandler.removeAbove(commonAncestor);
+
+      await SyncState.updateOne(
+        { service: 'blocks' },
+        { $set: { currentBlock: Math.max(commonAncestor, 0) } }
+      );
+
+      Object.assign(context.summary, removed, {
+        assetsRemoved: assetsRemoved.length,
+        resumeFrom: Math.max(job.fromHeight, 1)
+      });
+      await this.saveProgress(context, { currentBlock: job.fromHeight, blocksProcessed: orphanedBlocks.length });
+      return;
+    }
+
+    let processed = 0;
+    for (let height = job.fromHeight; height <= job.toHeight; height++) {
+      const nodeHash = await blockchainService.getBlockHash(height);
+      const stored = await Block.findOne({ height }).select('hash transactionCount processed').lean();
+      context.summary.checked++;
+
+      if (!stored) {
+        this.recordDiff(context, 'missing', { height, hash: nodeHash });
+      } else if (stored.hash !== nodeHash) {
+        this.recordDiff(context, 'changed', { height, field: 'hash', stored: stored.hash, expected: nodeHash });
+      } else if (stored.processed === false) {
+        // A step of processing the block failed
+        this.recordDiff(context, 'changed', { height, field: 'processed', stored: false, expected: true });
+      } else {
+        const nodeBlock = await blockchainService.getBlock(nodeHash, 1);
+        if (nodeBlock?.tx?.length !== stored.transactionCount) {
+          this.recordDiff(context, 'changed', {
+            height,
+            field: 'transactionCount',
+            stored: stored.transactionCount,
+            expected: nodeBlock?.tx?.length ?? null
+          });
+        }
+      }
+
+      processed++;
+      if (processed % PROGRESS_INTERVAL === 0 &&
+          await this.saveProgress(context, { currentBlock: height, blocksProcessed: processed })) {
+        return;
+      }
+    }
+
+    await this.saveProgress(context, { currentBlock: job.toHeight, blocksProcessed: processed });
+  }
+
+  /**
+   * Rebuild AssetTransfer rows (mints and transfers) block by block
+   */
+  async reindexTransfers(context) {
+    const { job } = context;
+    const transferKey = ({ txid, assetName, to, serialStart }) => `${txid}|${assetName}|${to}|${serialStart ?? ''}`;
+    const affectedAssets = new Set();
+
+    await this.forEachBlock(context, async (block) => {
+      const expected = new Map();
+      const assetTxs = [];
+      prevoutResolver.prime(block.tx);
+
+      for (const tx of block.tx || []) {
+        // Creations, updates and futures never produce AssetTransfer rows
+        if ([7, 8, 9].includes(tx.type || 0)) continue;
+
+        const operations = (await assetProcessor.decodeAssetOperations(tx, block.height))
+          .filter(op => op.operation === 'mint' || op.operation === 'transfer');
+        if (operations.length === 0) continue;
+
+        assetTxs.push(tx);
+        for (const op of operations) {
+          expected.set(transferKey({ txid: tx.txid, ...op }), { txid: tx.txid, ...op });
+        }
+      }
+
+      const stored = await AssetTransfer.find({ blockHeight: block.height }).lean();
+      const storedByKey = new Map(stored.map(transfer => [transferKey(transfer), transfer]));
+      let blockDiffers = false;
+
+      for (const [key, op] of expected) {
+        context.summary.checked++;
+        const transfer = storedByKey.get(key);
+        storedByKey.delete(key);
+
+        if (!transfer) {
+          this.recordDiff(context, 'missing', { height: block.height, txid: op.txid, assetName: op.assetName, to: op.to, amount: op.amount });
+          blockDiffers = true;
+          continue;
+        }
+
+        const fields = [];
+        if (transfer.type !== op.operation) fields.push({ field: 'type', stored: transfer.type, expected: op.operation });
+        if (transfer.amount !== op.amount) fields.push({ field: 'amount', stored: transfer.amount, expected: op.amount });
+        if ((transfer.from ?? null) !== (op.from ?? null)) fields.push({ field: 'from', stored: transfer.from, expected: op.from });
+        if (transfer.assetId !== op.assetId) fields.push({ field: 'assetId', stored: transfer.assetId, expected: op.assetId });
+        if ((transfer.serialEnd ?? null) !== (op.serialEnd ?? null)) fields.push({ field: 'serialEnd', stored: transfer.serialEnd, expected: op.serialEnd });
+        if (fields.length > 0) {
+          this.recordDiff(context, 'changed', { height: block.height, txid: op.txid, assetName: op.assetName, to: op.to, fields });
+          blockDiffers = true;
+        }
+      }
+
+      for (const transfer of storedByKey.values()) {
+        this.recordDiff(context, 'extra', { height: block.height, txid: transfer.txid, assetName: transfer.assetName, to: transfer.to });
+        blockDiffers = true;
+      }
+
+      if (job.dryRun || !blockDiffers) return;
+
+      // Replace the block's rows by running the handlers again
+      for (const transfer of stored) affectedAssets.add(transfer.assetName);
+      await AssetTransfer.deleteMany({ blockHeight: block.height });
+
+      const blockTime = new Date(block.time * 1000);
+      for (const tx of assetTxs) {
+        const result = (tx.type || 0) === 10
+          ? await assetProcessor.handleAssetMint(tx, block.height, blockTime, block.hash)
+          : await assetProcessor.handleAssetTransfer(tx, block.height, blockTime, block.hash);
+        const results = Array.isArray(result) ? result : [result];
+        results.filter(Boolean).forEach(({ assetName }) => affectedAssets.add(assetName));
+      }
+
+      // Ledger entries were built alongside the old rows, so rebuild them and their balances too
+      context.summary.balancesRebuilt = (context.summary.balancesRebuilt || 0) +
+        await assetLedger.rebuildBlock(block.tx || [], block.height, blockTime);
+    });
+
+    // Handlers only increment counters, so recompute them from the rebuilt history
+    if (!job.dryRun && affectedAssets.size > 0) {
+      const assets = await Asset.find({ name: { $in: [...affectedAssets] } });
+      for (const asset of assets) {
+        await assetProcessor.restoreTransferState(asset);
+        if (asset.isUnique && asset.maxMintCount > 1) {
+          await assetUnits.rebuildAsset(asset.assetId);
+        }
+      }
+      context.summary.assetsRecounted = assets.length;
+    }
+  }
+
+  /**
+   * Rebuild FutureOutput locks from FutureTx transactions
+   * Corrected locks keep their status (unlocked/spent)
+   */
+  async reindexFutures(context) {
+    const { job } = context;
+    const LOCK_FIELDS = ['type', 'amount', 'assetName', 'recipient', 'maturity', 'lockTime', 'unlockHeight'];
+
+    await this.forEachBlock(context, async (block) => {
+      const blockTime = new Date(block.time * 1000);
+      const stored = await FutureOutput.find({ createdHeight: block.height }).lean();
+      const storedByKey = new Map(stored.map(future => [`${future.txid}:${future.vout}`, future]));
+
+      for (const tx of block.tx || []) {
+        if (tx.type !== 7) continue;
+
+        const expected = futureChecker.decodeFuture(tx, block.height, blockTime);
+        if (!expected) continue;
+        context.summary.checked++;
+
+        const key = `${expected.txid}:${expected.vout}`;
+        const future = storedByKey.get(key);
+        storedByKey.delete(key);
+
+        if (!future) {
+          this.recordDiff(context, 'missing', { height: block.height, txid: tx.txid, vout: expected.vout, recipient: expected.recipient });
+          if (!job.dryRun) {
+            await futureChecker.handleFutureTransaction(tx, block.height, blockTime);
+          }
+          continue;
+        }
+
+        const fields = LOCK_FIELDS
+          .filter(field => (future[field] ?? null) !== (expected[field] ?? null))
+          .map(field => ({ field, stored: future[field], expected: expected[field] }));
+        if (future.unlockTime?.getTime() !== expected.unlockTime.getTime()) {
+          fields.push({ field: 'unlockTime', stored: future.unlockTime, expected: expected.unlockTime });
+        }
+
+        if (fields.length > 0) {
+          this.recordDiff(context, 'changed', { height: block.height, txid: tx.txid, vout: expected.vout, fields });
+          if (!job.dryRun) {
+            const { txid, vout, createdHeight, createdTime, ...lockTerms } = expected;
+            await FutureOutput.updateOne({ _id: future._id }, { $set: lockTerms });
+          }
+        }
+      }
+
+      for (const future of storedByKey.values()) {
+        this.recordDiff(context, 'extra', { height: block.height, txid: future.txid, vout: future.vout });
+        if (!job.dryRun) {
+          await FutureOutput.deleteOne({ _id: future._id });
+        }
+      }
+    });
+  }
+
+  /**
+   * Re-fetch IPFS metadata for assets with a reference hash
+   * Unreachable or mismatched metadata never replaces what is stored
+   */
+  async reindexMetadata(context) {
+    const { job } = context;
+    const METADATA_FIELDS = ['name', 'description', 'image', 'imageUrl', 'animationUrl', 'externalUrl'];
+
+    await this.forEachAsset(context, { referenceHash: { $nin: [null, ''] } }, async (asset) => {
+      context.summary.checked++;
+
+      const { metadata, ipfsVerified, fetched } = await assetProcessor.fetchAssetMetadata(asset.referenceHash, asset.name);
+      if (!fetched) {
+        this.recordDiff(context, 'unreachable', { assetId: asset.assetId, assetName: asset.name, referenceHash: asset.referenceHash });
+        return;
+      }
+
+      const current = asset.metadata || {};
+      const fields = METADATA_FIELDS
+        .filter(field => (current[field] ?? '') !== (metadata[field] ?? ''))
+        .map(field => ({ field, stored: current[field] ?? null, expected: metadata[field] ?? null }));
+      if (JSON.stringify(current.rawMetadata ?? null) !== JSON.stringify(metadata.rawMetadata) && fields.length === 0) {
+        fields.push({ field: 'rawMetadata' });
+      }
+      // Backfills the quality report of assets indexed before metadata was normalized
+      if (current.quality?.status !== metadata.quality.status) {
+        fields.push({ field: 'quality', stored: current.quality?.status ?? null, expected: metadata.quality.status });
+      }
+      if ((asset.ipfsVerified ?? false) !== ipfsVerified) {
+        fields.push({ field: 'ipfsVerified', stored: asset.ipfsVerified ?? false, expected: ipfsVerified });
+      }
+      if (asset.ipfsHash !== asset.referenceHash) fields.push({ field: 'ipfsHash', stored: asset.ipfsHash, expected: asset.referenceHash });
+
+      if (fields.length === 0) return;
+
+      this.recordDiff(context, 'changed', { assetId: asset.assetId, assetName: asset.name, fields });
+      if (!job.dryRun) {
+        await Asset.updateOne(
+          { _id: asset._id },
+          { $set: { metadata, ipfsHash: asset.referenceHash, ipfsVerified, ipfsLastChecked: new Date() } }
+        );
+      }
+    });
+  }
+
+  /**
+   * Re-decode ProTxs, collateral spends and quorum commitments block by block
+   * Backfills the smartnode registry on databases synced before it existed
+   */
+  async reindexSmartnodes(context) {
+    const { job } = context;
+
+    await this.forEachBlock(context, async (block) => {
+      const blockTime = new Date(block.time * 1000);
+      const txs = block.tx || [];
+      const [events, commitments] = await Promise.all([
+        SmartnodeEvent.find({ blockHeight: block.height }).lean(),
+        QuorumCommitment.find({ blockHeight: block.height }).select('txid').lean()
+      ]);
+      const storedEvents = new Map(events.map(event => [`${event.proTxHash}:${event.txid}`, event]));
+      const storedCommitments = new Set(commitments.map(commitment => commitment.txid));
+
+      for (const [txIndex, tx] of txs.entries()) {
+        if (!smartnodeRegistry.isSmartnodeTransaction(tx)) continue;
+        context.summary.checked++;
+
+        if (tx.type === QUORUM_COMMITMENT_TX_TYPE) {
+          const expected = smartnodeRegistry.decodeCommitment(tx, block.height, blockTime);
+          if (!expected) continue;
+          if (storedCommitments.has(tx.txid)) {
+            storedCommitments.delete(tx.txid);
+            continue;
+          }
+          this.recordDiff(context, 'missing', { height: block.height, txid: tx.txid, type: 'quorum_commitment' });
+          if (!job.dryRun) await smartnodeRegistry.recordCommitment(tx, block.height, blockTime);
+          continue;
+        }
+
+        const expected = await smartnodeRegistry.decodeEvent(tx, block.height, blockTime, txIndex);
+        if (!expected) continue;
+
+        const key = `${expected.proTxHash}:${tx.txid}`;
+        const stored = storedEvents.get(key);
+        storedEvents.delete(key);
+
+        if (!stored) {
+          this.recordDiff(context, 'missing', { height: block.height, txid: tx.txid, type: expected.type, proTxHash: expected.proTxHash });
+        } else if (JSON.stringify(stored.changes) !== JSON.stringify(JSON.parse(JSON.stringify(expected.changes)))) {
+          this.recordDiff(context, 'changed', { height: block.height, txid: tx.txid, type: expected.type, proTxHash: expected.proTxHash });
+        } else {
+          continue;
+        }
+
+        if (!job.dryRun) {
+          await smartnodeRegistry.handleSpecialTransaction(tx, block.height, blockTime, txIndex);
+        }
+      }
+
+      // Collateral spends (and replacements) are keyed by the spending transaction
+      const spends = await smartnodeRegistry.findCollateralSpends(txs);
+      for (const spend of spends) {
+        const key = `${spend.proTxHash}:${spend.txid}`;
+        if (storedEvents.delete(key)) continue;
+        this.recordDiff(context, 'missing', { height: block.height, txid: spend.txid, type: 'collateral_spent', proTxHash: spend.proTxHash });
+      }
+      if (!job.dryRun && spends.length > 0) {
+        await smartnodeRegistry.processCollateralSpends(txs, block.height, blockTime);
+      }
+
+      for (const event of storedEvents.values()) {
+        if (event.type === 'collateral_spent' || event.type === 'replaced') continue;
+        this.recordDiff(context, 'extra', { height: block.height, txid: event.txid, type: event.type, proTxHash: event.proTxHash });
+        if (!job.dryRun) {
+          await SmartnodeEvent.deleteOne({ _id: event._id });
+          await smartnodeRegistry.rebuild(event.proTxHash);
+        }
+      }
+      for (const txid of storedCommitments) {
+        this.recordDiff(context, 'extra', { height: block.height, txid, type: 'quorum_commitment' });
+        if (!job.dryRun) await QuorumCommitment.deleteOne({ txid });
+      }
+    });
+  }
+
+  /**
+   * Recompute each block's emission entry from its coinbase and fees
+   * Backfills the supply ledger on databases synced before it existed; run after
+   * 'smartnodes' so smartnode payouts are told apart from the miner's
+   */
+  async reindexSupply(context) {
+    const { job } = context;
+    const EMISSION_FIELDS = ['mintedSat', 'feesSat', 'minerSat', 'smartnodeSat', 'devFundSat'];
+
+    await this.forEachBlock(context, async (block) => {
+      const txs = block.tx || [];
+      prevoutResolver.prime(txs);
+
+      const expected = await supplyTracker.decodeBlock(block, txs, new Date(block.time * 1000));
+      if (!expected) return;
+      context.summary.checked++;
+
+      const stored = await BlockEmission.findOne({ height: block.height }).lean();
+      if (!stored) {
+        this.recordDiff(context, 'missing', { height: block.height, mintedSat: expected.mintedSat });
+      } else {
+        const fields = EMISSION_FIELDS
+          .filter(field => stored[field] !== expected[field])
+          .map(field => ({ field, stored: stored[field], expected: expected[field] }));
+        if (fields.length === 0) return;
+        this.recordDiff(context, 'changed', { height: block.height, fields });
+      }
+
+      if (!job.dryRun) {
+        await BlockEmission.updateOne({ height: expected.height }, { $set: expected }, { upsert: true });
+      }
+    });
+  }
+
+  /**
+   * Re-derive sub-asset names and parent links from each creation transaction
+   * Replaces scripts/fix-subassets.js
+   */
+  async reindexSubAssets(context) {
+    const { job } = context;
+    const LINK_FIELDS = ['isSubAsset', 'parentAssetName', 'subAssetName', 'parentAssetId'];
+
+    const filter = { $or: [{ isSubAsset: true }, { name: /\|/ }] };
+    await this.forEachAsset(context, filter, async (asset) => {
+      context.summary.checked++;
+
+      const tx = await blockchainService.getRawTransaction(asset.createdTxid || asset.assetId, true)
+        .catch(() => null);
+      if (!tx?.newAssetTx) {
+        this.recordDiff(context, 'unreachable', { assetId: asset.assetId, assetName: asset.name });
+        return;
+      }
+
+      const expected = await assetProcessor.resolveNewAssetName(tx.newAssetTx);
+      if (expected.fullAssetName.startsWith('UNKNOWN|')) {
+        this.recordDiff(context, 'unresolved', { assetId: asset.assetId, assetName: asset.name, rootId: tx.newAssetTx.rootId });
+        if (!job.dryRun) {
+          await subAssetLinker.enqueue(asset, tx.newAssetTx.rootId, expected.subAssetName);
+        }
+        return;
+      }
+
+      const fields = LINK_FIELDS
+        .filter(field => (asset[field] ?? null) !== (expected[field] ?? null))
+        .map(field => ({ field, stored: asset[field] ?? null, expected: expected[field] ?? null }));
+      if (asset.name !== expected.fullAssetName) {
+        fields.push({ field: 'name', stored: asset.name, expected: expected.fullAssetName });
+      }
+
+      if (fields.length === 0) return;
+
+      this.recordDiff(context, 'changed', { assetId: asset.assetId, assetName: asset.name, fields });
+      if (job.dryRun) return;
+
+      try {
+        if (expected.isSubAsset) {
+          // Also renames the transfers, transactions and balances that carry the old name
+          await subAssetLinker.relink(asset, expected);
+        } else {
+          await Asset.updateOne(
+            { _id: asset._id },
+            {
+              $set: {
+                name: expected.fullAssetName,
+                isSubAsset: expected.isSubAsset,
+                parentAssetName: expected.parentAssetName,
+                subAssetName: expected.subAssetName,
+                parentAssetId: expected.parentAssetId
+              }
+            }
+          );
+        }
+      } catch (error) {
+        if (error.code !== 11000) throw error;
+        this.recordDiff(context, 'conflict', { assetId: asset.assetId, assetName: expected.fullAssetName });
+      }
+    });
+  }
+
+  /**
+   * Re-resolve transfer senders from the outputs their inputs spend
+   * Backfills rows recorded from vin.address, which getblock often leaves out
+   */
+  async reindexSenders(context) {
+    const { job } = context;
+    const outpoints = (senders) => (senders || []).map(sender => `${sender.txid}:${sender.vout}`).join(',');
+
+    await this.forEachTransferTx(context, async (txid, transfers) => {
+      const stored = await Transaction.findOne({ txid }).select('inputs').lean();
+      const vins = stored?.inputs?.length > 0
+        ? stored.inputs
+        : (await blockchainService.getRawTransaction(txid, true).catch(() => null))?.vin;
+      if (!vins) {
+        this.recordDiff(context, 'unreachable', { txid });
+        return;
+      }
+
+      const prevouts = await prevoutResolver.resolveInputs(vins);
+
+      for (const transfer of transfers) {
+        context.summary.checked++;
+
+        const { from, senders } = prevoutResolver.sendersFor(prevouts, {
+          assetId: transfer.assetId,
+          assetName: transfer.assetName
+        });
+        if (!from) {
+          this.recordDiff(context, 'unresolved', { height: transfer.blockHeight, txid, assetName: transfer.assetName, to: transfer.to });
+          continue;
+        }
+
+        const fields = [];
+        if ((transfer.from ?? null) !== from) fields.push({ field: 'from', stored: transfer.from ?? null, expected: from });
+        if (outpoints(transfer.senders) !== outpoints(senders)) {
+          fields.push({ field: 'senders', stored: (transfer.senders || []).length, expected: senders.length });
+        }
+        if (fields.length === 0) continue;
+
+        this.recordDiff(context, 'changed', { height: transfer.blockHeight, txid, assetName: transfer.assetName, to: transfer.to, fields });
+        if (job.dryRun) continue;
+
+        await AssetTransfer.updateOne({ _id: transfer._id }, { $set: { from, senders } });
+        await Transaction.updateOne(
+          { txid, 'assetData.assetName': transfer.assetName, 'assetData.to': transfer.to },
+          { $set: { 'assetData.from': from } }
+        );
+        await Asset.updateOne(
+          { name: transfer.assetName, 'lastTransfer.txid': txid, 'lastTransfer.to': transfer.to },
+          { $set: { 'lastTransfer.from': from } }
+        );
+      }
+    });
+  }
+}
+
+export default new Reindexer();
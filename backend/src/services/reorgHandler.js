@@ -0,0 +1,319 @@
+import Block from '../models/Block.js';
+import Asset from '../models/Asset.js';
+import AssetTransfer from '../models/AssetTransfer.js';
+import Transaction from '../models/Transaction.js';
+import FutureOutput from '../models/FutureOutput.js';
+import SyncState from '../models/SyncState.js';
+import AuditLog from '../models/AuditLog.js';
+import ChainReorg from '../models/ChainReorg.js';
+import blockchainService from './blockchain.js';
+import addressProcessor from './addressProcessor.js';
+import assetProcessor from './assetProcessor.js';
+import transactionIndexer from './transactionIndexer.js';
+import assetLedger from './assetLedger.js';
+import assetUnits from './assetUnits.js';
+import subAssetLinker from './subAssetLinker.js';
+import smartnodeRegistry from './smartnodeRegistry.js';
+import supplyTracker from './supplyTracker.js';
+import eventBus from './eventBus.js';
+import { logger } from '../utils/logger.js';
+
+class ReorgHandler {
+  constructor() {
+    // Refuse to roll back further than this many blocks without operator intervention
+    this.maxDepth = parseInt(process.env.SYNC_REORG_MAX_DEPTH || '100');
+  }
+
+  /**
+   * Check whether the block we stored at a height is still on the node's best chain
+   * Returns true when the stored hash matches (or nothing is stored at that height)
+   */
+  async isOnBestChain(height) {
+    const storedBlock = await Block.findOne({ height }).select('hash');
+    if (!storedBlock) {
+      return true;
+    }
+
+    const nodeHash = await blockchainService.getBlockHash(height);
+    return storedBlock.hash === nodeHash;
+  }
+
+  /**
+   * Walk back from a divergent height until the stored block hash matches the node
+   * Returns the height of the last common block (-1 if nothing stored matches)
+   */
+  async findCommonAncestor(divergentHeight) {
+    let height = divergentHeight;
+
+    while (height >= 0) {
+      if (divergentHeight - height > this.maxDepth) {
+        throw new Error(`Chain reorganization deeper than ${this.maxDepth} blocks at height ${divergentHeight}, manual resync required`);
+      }
+
+      const storedBlock = await Block.findOne({ height }).select('hash');
+      if (storedBlock) {
+        const nodeHash = await blockchainService.getBlockHash(height);
+        if (storedBlock.hash === nodeHash) {
+          logger.info(`[REORG] Common ancestor found at height ${height} (${nodeHash})`);
+          return height;
+        }
+        logger.warn(`[REORG] Block ${height} diverges: stored ${storedBlock.hash}, node ${nodeHash}`);
+      }
+
+      height--;
+    }
+
+    return -1;
+  }
+
+  /**
+   * Detect the fork point from a divergent height and undo everything above it
+   */
+  async handleReorg(divergentHeight) {
+    logger.warn(`[REORG] Chain reorganization detected at height ${divergentHeight}`);
+
+    const commonAncestor = await this.findCommonAncestor(divergentHeight);
+    return await this.rollbackTo(commonAncestor, divergentHeight);
+  }
+
+  /**
+   * Remove all blocks above the common ancestor and every record derived from them
+   */
+  async rollbackTo(commonAncestor, detectedAtHeight = null) {
+    const startTime = Date.now();
+    const { assetsRemoved, ...removed } = await this.removeAbove(commonAncestor);
+
+    const summary = {
+      detectedAt: new Date(),
+      detectedAtHeight: detectedAtHeight ?? commonAncestor + 1,
+      commonAncestor,
+      depth: removed.orphanedBlocks.length,
+      ...removed,
+      assetsRemoved: assetsRemoved.length,
+      durationMs: Date.now() - startTime
+    };
+    await this.recordRollback(summary, assetsRemoved);
+    await eventBus.publish('reorg', {
+      detectedAtHeight: summary.detectedAtHeight,
+      commonAncestor,
+      depth: summary.depth,
+      orphanedBlocks: summary.orphanedBlocks
+    }, { assets: assetsRemoved });
+
+    logger.warn(`[REORG] Rollback complete: resuming from height ${commonAncestor} (${JSON.stringify({
+      blocksRemoved: summary.blocksRemoved,
+      transactionsRemoved: summary.transactionsRemoved,
+      assetsRemoved: summary.assetsRemoved,
+      transfersRemoved: summary.transfersRemoved
+    })})`);
+
+    return summary;
+  }
+
+  /**
+   * Delete blocks above a height and undo every record derived from them
+   * Shared by reorg rollbacks and block reindexing; returns what was removed
+   */
+  async removeAbove(commonAncestor) {
+    const heightFilter = { $gt: commonAncestor };
+
+    const orphanedBlocks = await Block.find({ height: heightFilter })
+      .sort({ height: 1 })
+      .select('height hash')
+      .lean();
+
+    logger.warn(`[REORG] Rolling back ${orphanedBlocks.length} block(s) above height ${commonAncestor}`);
+
+    // Un-spend outputs first so spent futures are back to 'unlocked' before re-locking
+    const outputsUnspent = await transactionIndexer.rollbackAbove(commonAncestor);
+    const assetUpdates = await assetProcessor.rollbackUpdates(commonAncestor);
+    const assetsRemoved = await this.rollbackAssetCreations(commonAncestor);
+    const assetChanges = await this.rollbackAssetTransfers(commonAncestor);
+    const unitsReverted = await assetUnits.rollbackAbove(commonAncestor);
+    const futures = await this.rollbackFutures(commonAncestor);
+    const addressesReverted = await addressProcessor.rollbackAbove(commonAncestor);
+    const balancesReverted = await assetLedger.rollbackAbove(commonAncestor);
+    const smartnodes = await smartnodeRegistry.rollbackAbove(commonAncestor);
+    const emissionsRemoved = await supplyTracker.rollbackAbove(commonAncestor);
+
+    const { deletedCount: transactionsRemoved } = await Transaction.deleteMany({ blockHeight: heightFilter });
+    const { deletedCount: blocksRemoved } = await Block.deleteMany({ height: heightFilter });
+
+    return {
+      orphanedBlocks: orphanedBlocks.map(b => ({ height: b.height, hash: b.hash })),
+      blocksRemoved,
+      transactionsRemoved,
+      outputsUnspent,
+      assetsRemoved,
+      transfersRemoved: assetChanges.transfersRemoved,
+      assetsReverted: assetChanges.assetsReverted,
+      unitsReverted,
+      updatesRemoved: assetUpdates.updatesRemoved,
+      futuresRemoved: futures.removed,
+      futuresRelocked: futures.relocked,
+      addressesReverted,
+      balancesReverted,
+      smartnodesReverted: smartnodes.smartnodesReverted,
+      commitmentsRemoved: smartnodes.commitmentsRemoved,
+      emissionsRemoved
+    };
+  }
+
+  /**
+   * Delete assets created in orphaned blocks
+   */
+  async rollbackAssetCreations(commonAncestor) {
+    const orphanedAssets = await Asset.find({ createdBlockHeight: { $gt: commonAncestor } })
+      .select('assetId name creator')
+      .lean();
+
+    if (orphanedAssets.length > 0) {
+      await Asset.deleteMany({ _id: { $in: orphanedAssets.map(a => a._id) } });
+      await addressProcessor.rollbackAssetsCreated(orphanedAssets.map(a => a.creator));
+      await subAssetLinker.forget(orphanedAssets.map(a => a.assetId));
+      logger.info(`[REORG] Removed ${orphanedAssets.length} orphaned asset(s): ${orphanedAssets.map(a => a.name).join(', ')}`);
+    }
+
+    return orphanedAssets.map(a => a.assetId);
+  }
+
+  /**
+   * Undo mints and transfers recorded in orphaned blocks and restore
+   * mintCount, circulatingSupply, transferCount, currentOwner and lastTransfer
+   */
+  async rollbackAssetTransfers(commonAncestor) {
+    const orphanedTransfers = await AssetTransfer.find({ blockHeight: { $gt: commonAncestor } }).lean();
+
+    // Group the changes per asset so each surviving asset is updated once
+    const changes = new Map();
+    for (const transfer of orphanedTransfers) {
+      const key = `${transfer.assetId}|${transfer.assetName}`;
+      if (!changes.has(key)) {
+        changes.set(key, {
+          assetId: transfer.assetId,
+          assetName: transfer.assetName,
+          mints: 0,
+          mintedAmount: 0,
+          transfers: 0
+        });
+      }
+
+      const change = changes.get(key);
+      if (transfer.type === 'mint') {
+        change.mints += 1;
+        change.mintedAmount += transfer.amount || 0;
+      } else {
+        change.transfers += 1;
+      }
+    }
+
+    const { deletedCount: transfersRemoved } = await AssetTransfer.deleteMany({
+      blockHeight: { $gt: commonAncestor }
+    });
+
+    let assetsReverted = 0;
+    for (const change of changes.values()) {
+      const asset = await Asset.findOne({
+        $or: [{ assetId: change.assetId }, { name: change.assetName }]
+      });
+
+      // Asset itself was orphaned and already removed
+      if (!asset) continue;
+
+      asset.mintCount = Math.max(0, (asset.mintCount || 0) - change.mints);
+      asset.circulatingSupply = Math.max(0, (asset.circulatingSupply || 0) - change.mintedAmount);
+      asset.transferCount = Math.max(0, (asset.transferCount || 0) - change.transfers);
+
+      // Restore owner from the latest surviving mint or transfer
+      await assetProcessor.restoreLatestTransfer(asset);
+
+      await asset.save();
+      assetsReverted++;
+    }
+
+    return { transfersRemoved, assetsReverted };
+  }
+
+  /**
+   * Remove future locks created in orphaned blocks and re-lock any
+   * future whose confirmation-based unlock height is no longer reached
+   */
+  async rollbackFutures(commonAncestor) {
+    const { deletedCount: removed } = await FutureOutput.deleteMany({
+      createdHeight: { $gt: commonAncestor }
+    });
+
+    const { modifiedCount: relocked } = await FutureOutput.updateMany(
+      {
+        status: 'unlocked',
+        unlockedBy: 'confirmations',
+        unlockHeight: { $gt: commonAncestor }
+      },
+      {
+        $set: { status: 'locked', isUnlocked: false },
+        $unset: { unlockedAt: '', unlockedBy: '' }
+      }
+    );
+
+    return { removed, relocked };
+  }
+
+  /**
+   * Record the rollback in the audit log, the reorg history and the blocks sync state
+   * The audit log entry expires with the rest of the log; ChainReorg keeps it
+   */
+  async recordRollback(summary, assetsRemoved) {
+    const { detectedAt, detectedAtHeight, commonAncestor, depth, orphanedBlocks, durationMs, ...removed } = summary;
+
+    try {
+      await AuditLog.create({
+        requestId: 'reorg_' + Date.now(),
+        method: 'SYNC',
+        endpoint: 'sync-daemon/reorg',
+        ip: 'internal',
+        action: 'chain_reorg',
+        dataSource: 'blockchain',
+        blockchainVerified: true,
+        success: true,
+        details: { ...summary, assetIds: assetsRemoved }
+      });
+    } catch (error) {
+      logger.error('[REORG] Failed to write rollback audit log:', error);
+    }
+
+    try {
+      await ChainReorg.create({
+        detectedAt,
+        detectedAtHeight,
+        commonAncestor,
+        depth,
+        orphanedBlocks,
+        assetIds: assetsRemoved,
+        removed,
+        durationMs
+      });
+    } catch (error) {
+      logger.error('[REORG] Failed to record rollback:', error);
+    }
+
+    await SyncState.findOneAndUpdate(
+      { service: 'blocks' },
+      {
+        $set: {
+          currentBlock: Math.max(summary.commonAncestor, 0),
+          lastReorg: {
+            detectedAt: summary.detectedAt,
+            detectedAtHeight: summary.detectedAtHeight,
+            commonAncestor: summary.commonAncestor,
+            depth: summary.depth,
+            orphanedHashes: summary.orphanedBlocks.map(b => b.hash)
+          }
+        },
+        $inc: { reorgCount: 1 }
+      },
+      { upsert: true, new: true }
+    );
+  }
+}
+
+export default new ReorgHandler();
@@ -0,0 +1,429 @@
+import Smartnode from '../models/Smartnode.js';
+import SmartnodeEvent from '../models/SmartnodeEvent.js';
+import QuorumCommitment from '../models/QuorumCommitment.js';
+import blockchainService from './blockchain.js';
+import prevoutResolver from './prevoutResolver.js';
+import { logger } from '../utils/logger.js';
+
+// Special transaction types (DIP2)
+export const SMARTNODE_TX_TYPES = {
+  1: 'register',
+  2: 'update_service',
+  3: 'update_registrar',
+  4: 'revoke'
+};
+export const QUORUM_COMMITMENT_TX_TYPE = 6;
+
+// ProRegTx collateralHash when the collateral is an output of the ProRegTx itself
+const NULL_HASH = '0'.repeat(64);
+
+const outpointKey = (txid, n) => `${txid}:${n}`;
+
+/**
+ * Smartnode registry built from ProTx special transactions
+ *
+ * Every ProRegTx, ProUpServTx, ProUpRegTx, ProUpRevTx and collateral spend is
+ * stored as a SmartnodeEvent. The Smartnode document is the events replayed in
+ * order, so replays (reindex) are idempotent and a reorg only has to drop the
+ * orphaned events and replay what remains.
+ *
+ * Only what transactions reveal is tracked: PoSe penalties and bans are not.
+ */
+class SmartnodeRegistry {
+  isSmartnodeTransaction(tx) {
+    return SMARTNODE_TX_TYPES[tx.type] !== undefined || tx.type === QUORUM_COMMITMENT_TX_TYPE;
+  }
+
+  /**
+   * Index a ProTx or quorum commitment (types 1-4, 6)
+   * @param {number} txIndex - Position in the block, orders events of one block
+   */
+  async handleSpecialTransaction(tx, blockHeight, blockTime, txIndex = 0) {
+    try {
+      if (tx.type === QUORUM_COMMITMENT_TX_TYPE) {
+        return await this.recordCommitment(tx, blockHeight, blockTime);
+      }
+
+      const event = await this.decodeEvent(tx, blockHeight, blockTime, txIndex);
+      if (!event) return null;
+
+      if (event.type === 'register') {
+        await this.replaceCollateralUsers(event, tx, blockHeight, blockTime, txIndex);
+      } else {
+        await this.ensureRegistered(event.proTxHash);
+      }
+
+      await this.recordEvent(event);
+      const smartnode = await this.rebuild(event.proTxHash);
+      logger.info(`[SMARTNODE] ${event.type} ${event.proTxHash} (${tx.txid}) at block ${blockHeight}`);
+      return smartnode;
+    } catch (error) {
+      logger.error(`[SMARTNODE] Error handling ${tx.txid}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Read the state change a ProTx makes, without writing anything
+   * Returns null if the payload is missing
+   */
+  async decodeEvent(tx, blockHeight, blockTime, txIndex = 0) {
+    const type = SMARTNODE_TX_TYPES[tx.type];
+    const base = { txid: tx.txid, type, blockHeight, txIndex, timestamp: blockTime };
+
+    switch (type) {
+      case 'register': {
+        const payload = tx.proRegTx;
+        if (!payload) break;
+
+        const collateral = await this.resolveCollateral(tx, payload);
+        return {
+          ...base,
+          proTxHash: tx.txid,
+          changes: {
+            status: 'active',
+            collateralHash: collateral.hash,
+            collateralIndex: collateral.index,
+            collateralOutpoint: outpointKey(collateral.hash, collateral.index),
+            collateralAddress: collateral.address,
+            collateralAmount: collateral.amount,
+            ownerAddress: payload.ownerAddress || null,
+            votingAddress: payload.votingAddress || null,
+            payoutAddress: payload.payoutAddress || null,
+            operatorPayoutAddress: null,
+            pubKeyOperator: payload.pubKeyOperator || null,
+            operatorReward: payload.operatorReward ?? 0,
+            service: payload.service || null,
+            registeredHeight: blockHeight,
+            registeredAt: blockTime,
+            revocationReason: null,
+            revokedHeight: null,
+            removedHeight: null,
+            removedTxid: null
+          }
+        };
+      }
+
+      case 'update_service': {
+        const payload = tx.proUpServTx;
+        if (!payload) break;
+        return {
+          ...base,
+          proTxHash: payload.proTxHash,
+          changes: {
+            status: 'active',
+            service: payload.service || null,
+            operatorPayoutAddress: payload.operatorPayoutAddress || null
+          }
+        };
+      }
+
+      case 'update_registrar': {
+        const payload = tx.proUpRegTx;
+        if (!payload) break;
+        return {
+          ...base,
+          proTxHash: payload.proTxHash,
+          changes: {
+            pubKeyOperator: payload.pubKeyOperator || null,
+            votingAddress: payload.votingAddress || null,
+            payoutAddress: payload.payoutAddress || null
+          }
+        };
+      }
+
+      case 'revoke': {
+        const payload = tx.proUpRevTx;
+        if (!payload) break;
+        // Revoking resets the operator: a new key (ProUpRegTx) and service (ProUpServTx) are needed
+        return {
+          ...base,
+          proTxHash: payload.proTxHash,
+          changes: {
+            status: 'revoked',
+            revocationReason: payload.reason ?? 0,
+            revokedHeight: blockHeight,
+            pubKeyOperator: null,
+            service: null,
+            operatorPayoutAddress: null
+          }
+        };
+      }
+    }
+
+    logger.warn(`[SMARTNODE] No payload in type ${tx.type} transaction ${tx.txid}`);
+    return null;
+  }
+
+  /**
+   * Collateral of a ProRegTx: one of its own outputs, or an existing output it references
+   */
+  async resolveCollateral(tx, payload) {
+    const index = payload.collateralIndex;
+
+    if (!payload.collateralHash || payload.collateralHash === NULL_HASH) {
+      const vout = tx.vout?.[index];
+      return {
+        hash: tx.txid,
+        index,
+        address: vout?.scriptPubKey?.addresses?.[0] || vout?.scriptPubKey?.address || null,
+        amount: vout?.value ?? null
+      };
+    }
+
+    const [prevout] = await prevoutResolver.resolveInputs([{ txid: payload.collateralHash, vout: index }]);
+    return {
+      hash: payload.collateralHash,
+      index,
+      address: prevout?.address || null,
+      amount: prevout?.amount ?? null
+    };
+  }
+
+  /**
+   * A ProRegTx reusing a registered collateral replaces the older registration
+   */
+  async replaceCollateralUsers(event, tx, blockHeight, blockTime, txIndex) {
+    const previous = await Smartnode.find({
+      collateralOutpoint: event.changes.collateralOutpoint,
+      proTxHash: { $ne: event.proTxHash },
+      status: { $ne: 'removed' }
+    }).select('proTxHash').lean();
+
+    for (const { proTxHash } of previous) {
+      await this.recordEvent({
+        proTxHash,
+        txid: tx.txid,
+        type: 'replaced',
+        blockHeight,
+        txIndex,
+        timestamp: blockTime,
+        changes: { status: 'removed', removedHeight: blockHeight, removedTxid: tx.txid }
+      });
+      await this.rebuild(proTxHash);
+    }
+  }
+
+  /**
+   * Index the ProRegTx of a smartnode registered before the first synced block
+   */
+  async ensureRegistered(proTxHash) {
+    if (await SmartnodeEvent.exists({ proTxHash, type: 'register' })) return true;
+
+    try {
+      const tx = await blockchainService.getRawTransaction(proTxHash, true);
+      if (tx?.type !== 1 || tx.height === undefined) {
+        logger.warn(`[SMARTNODE] Could not find the registration of ${proTxHash}`);
+        return false;
+      }
+
+      const blockTime = new Date((tx.blocktime || tx.time) * 1000);
+      const event = await this.decodeEvent(tx, tx.height, blockTime);
+      if (!event) return false;
+
+      await this.recordEvent(event);
+      return true;
+    } catch (error) {
+      logger.warn(`[SMARTNODE] Could not fetch the registration of ${proTxHash}: ${error.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * Smartnodes whose collateral a block spends (without writing anything)
+   */
+  async findCollateralSpends(txs) {
+    const spends = new Map();
+    (txs || []).forEach((tx, txIndex) => {
+      for (const vin of tx.vin || []) {
+        if (vin.txid && vin.vout !== undefined) {
+          spends.set(outpointKey(vin.txid, vin.vout), { txid: tx.txid, txIndex });
+        }
+      }
+    });
+    if (spends.size === 0) return [];
+
+    const smartnodes = await Smartnode.find({
+      collateralOutpoint: { $in: [...spends.keys()] },
+      status: { $ne: 'removed' }
+    }).select('proTxHash collateralOutpoint').lean();
+
+    return smartnodes.map(({ proTxHash, collateralOutpoint }) => ({
+      proTxHash,
+      ...spends.get(collateralOutpoint)
+    }));
+  }
+
+  /**
+   * Remove smartnodes whose collateral is spent in this block
+   * Runs after the block's ProTxs, so a collateral registered and spent in one block is caught
+   */
+  async processCollateralSpends(txs, blockHeight, blockTime) {
+    const spends = await this.findCollateralSpends(txs);
+
+    for (const { proTxHash, txid, txIndex } of spends) {
+      await this.recordEvent({
+        proTxHash,
+        txid,
+        type: 'collateral_spent',
+        blockHeight,
+        txIndex,
+        timestamp: blockTime,
+        changes: { status: 'removed', removedHeight: blockHeight, removedTxid: txid }
+      });
+      await this.rebuild(proTxHash);
+      logger.info(`[SMARTNODE] Collateral of ${proTxHash} spent in ${txid}`);
+    }
+
+    return spends.length;
+  }
+
+  async recordEvent(event) {
+    const { proTxHash, txid, ...fields } = event;
+    await SmartnodeEvent.updateOne({ proTxHash, txid }, { $set: fields }, { upsert: true });
+  }
+
+  /**
+   * Replay a smartnode's events into its Smartnode document
+   * Deletes the document when no registration is left (e.g. after a reorg)
+   */
+  async rebuild(proTxHash) {
+    const events = await SmartnodeEvent.find({ proTxHash })
+      .sort({ blockHeight: 1, txIndex: 1, _id: 1 })
+      .lean();
+
+    if (events.length === 0 || events[0].type !== 'register') {
+      await Smartnode.deleteOne({ proTxHash });
+      return null;
+    }
+
+    const state = { proTxHash };
+    for (const event of events) {
+      // A new operator key also clears the service the old operator announced
+      if (event.type === 'update_registrar' && event.changes.pubKeyOperator !== state.pubKeyOperator) {
+        state.service = null;
+        state.operatorPayoutAddress = null;
+      }
+      Object.assign(state, event.changes);
+      state.lastUpdatedHeight = event.blockHeight;
+      state.lastUpdatedAt = event.timestamp;
+    }
+
+    return await Smartnode.findOneAndUpdate({ proTxHash }, { $set: state }, { upsert: true, new: true });
+  }
+
+  /**
+   * Store a final quorum commitment; null commitments (no signers) are skipped
+   */
+  async recordCommitment(tx, blockHeight, blockTime) {
+    const commitment = this.decodeCommitment(tx, blockHeight, blockTime);
+    if (!commitment) return null;
+
+    await QuorumCommitment.updateOne({ txid: tx.txid }, { $set: commitment }, { upsert: true });
+    logger.debug(`[SMARTNODE] Quorum commitment ${commitment.quorumHash} (LLMQ type ${commitment.llmqType}) at block ${blockHeight}`);
+    return commitment;
+  }
+
+  decodeCommitment(tx, blockHeight, blockTime) {
+    const commitment = tx.qcTx?.commitment;
+    if (!commitment || !commitment.signersCount) return null;
+
+    return {
+      txid: tx.txid,
+      blockHeight,
+      timestamp: blockTime,
+      quorumHeight: tx.qcTx.height ?? null,
+      llmqType: commitment.llmqType,
+      quorumHash: commitment.quorumHash,
+      quorumIndex: commitment.quorumIndex ?? null,
+      signersCount: commitment.signersCount,
+      validMembersCount: commitment.validMembersCount ?? null,
+      quorumPublicKey: commitment.quorumPublicKey || null
+    };
+  }
+
+  /**
+   * Drop events and commitments from orphaned blocks and replay the smartnodes they touched
+   */
+  async rollbackAbove(commonAncestor) {
+    const heightFilter = { blockHeight: { $gt: commonAncestor } };
+    const affected = await SmartnodeEvent.distinct('proTxHash', heightFilter);
+
+    await SmartnodeEvent.deleteMany(heightFilter);
+    const { deletedCount: commitmentsRemoved } = await QuorumCommitment.deleteMany(heightFilter);
+
+    for (const proTxHash of affected) {
+      await this.rebuild(proTxHash);
+    }
+
+    if (affected.length > 0) {
+      logger.info(`[REORG] Reverted ${affected.length} smartnode(s)`);
+    }
+    return { smartnodesReverted: affected.length, commitmentsRemoved };
+  }
+
+  /**
+   * Smartnodes by status, optionally only those an address is part of
+   * (collateral, owner, voting, payout or operator payout)
+   */
+  async list({ status, address, limit = 20, offset = 0 } = {}) {
+    const filter = {};
+    if (status) filter.status = status;
+    if (address) {
+      filter.$or = ['collateralAddress', 'ownerAddress', 'votingAddress', 'payoutAddress', 'operatorPayoutAddress']
+        .map(field => ({ [field]: address }));
+    }
+
+    const [smartnodes, total] = await Promise.all([
+      Smartnode.find(filter).sort({ registeredHeight: -1, proTxHash: 1 }).skip(offset).limit(limit).lean(),
+      Smartnode.countDocuments(filter)
+    ]);
+
+    return { smartnodes, total };
+  }
+
+  /**
+   * One smartnode with its events, oldest first
+   */
+  async get(proTxHash) {
+    const smartnode = await Smartnode.findOne({ proTxHash }).lean();
+    if (!smartnode) return null;
+
+    const history = await SmartnodeEvent.find({ proTxHash })
+      .sort({ blockHeight: 1, txIndex: 1, _id: 1 })
+      .lean();
+
+    return { smartnode, history };
+  }
+
+  async getStats() {
+    const [byStatus, commitments, latest] = await Promise.all([
+      Smartnode.aggregate([{ $group: { _id: '$status', count: { $sum: 1 } } }]),
+      QuorumCommitment.countDocuments(),
+      QuorumCommitment.findOne().sort({ blockHeight: -1 }).select('blockHeight').lean()
+    ]);
+
+    const counts = Object.fromEntries(byStatus.map(({ _id, count }) => [_id, count]));
+    return {
+      total: byStatus.reduce((sum, { count }) => sum + count, 0),
+      active: counts.active || 0,
+      revoked: counts.revoked || 0,
+      removed: counts.removed || 0,
+      quorumCommitments: commitments,
+      lastCommitmentHeight: latest?.blockHeight ?? null
+    };
+  }
+
+  async listCommitments({ llmqType, limit = 20, offset = 0 } = {}) {
+    const filter = llmqType !== undefined ? { llmqType } : {};
+
+    const [commitments, total] = await Promise.all([
+      QuorumCommitment.find(filter).sort({ blockHeight: -1 }).skip(offset).limit(limit).lean(),
+      QuorumCommitment.countDocuments(filter)
+    ]);
+
+    return { commitments, total };
+  }
+}
+
+export default new SmartnodeRegistry();
@@ -0,0 +1,202 @@
+import Asset from '../models/Asset.js';
+import Address from '../models/Address.js';
+import AssetBalance from '../models/AssetBalance.js';
+import AssetLedgerEntry from '../models/AssetLedgerEntry.js';
+import AssetMetadataHistory from '../models/AssetMetadataHistory.js';
+import AssetTransfer from '../models/AssetTransfer.js';
+import AssetUnit from '../models/AssetUnit.js';
+import FutureOutput from '../models/FutureOutput.js';
+import PendingAssetLink from '../models/PendingAssetLink.js';
+import Transaction from '../models/Transaction.js';
+import blockchainService from './blockchain.js';
+import { logger } from '../utils/logger.js';
+
+// Collections that copy an asset's name onto their own documents
+const NAMED_MODELS = [AssetTransfer, AssetBalance, AssetLedgerEntry, AssetMetadataHistory, AssetUnit, FutureOutput];
+
+// Pending links retried per pass, and the longest wait between attempts
+const BATCH_SIZE = 50;
+const MAX_RETRY_DELAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Links sub-assets to parents that were not indexed when they were created
+ *
+ * Such sub-assets are saved as UNKNOWN|child and queued in PendingAssetLink.
+ * They are re-linked when the parent is created, or by a periodic pass that
+ * asks the node (getassetdetailsbyid) for the parent's name.
+ */
+class SubAssetLinker {
+  /**
+   * Queue a sub-asset whose parent could not be found
+   */
+  async enqueue(asset, rootId, subAssetName = asset.subAssetName) {
+    await PendingAssetLink.updateOne(
+      { assetId: asset.assetId },
+      {
+        $setOnInsert: {
+          rootId,
+          subAssetName,
+          createdBlockHeight: asset.createdBlockHeight,
+          nextAttemptAt: new Date()
+        }
+      },
+      { upsert: true }
+    );
+    logger.warn(`[SUBASSET] Queued ${asset.name} (${asset.assetId}) until parent ${rootId} is known`);
+  }
+
+  /**
+   * Re-link the sub-assets waiting for a parent that was just created
+   */
+  async linkChildren(parent) {
+    const pending = await PendingAssetLink.find({ rootId: parent.assetId }).lean();
+    let linked = 0;
+    for (const entry of pending) {
+      if (await this.resolve(entry, { name: parent.name, assetId: parent.assetId })) linked++;
+    }
+    return linked;
+  }
+
+  /**
+   * Retry due pending links: the parent may be indexed by now, or known to the node
+   */
+  async processPending() {
+    const due = await PendingAssetLink.find({ nextAttemptAt: { $lte: new Date() } })
+      .sort({ nextAttemptAt: 1 })
+      .limit(BATCH_SIZE)
+      .lean();
+
+    let linked = 0;
+    for (const entry of due) {
+      let parent = await Asset.findOne({ assetId: entry.rootId }).select('assetId name').lean();
+
+      if (!parent) {
+        const details = await blockchainService.getAssetDetailsById(entry.rootId);
+        const name = details?.name || details?.Asset_name;
+        if (name) parent = { assetId: entry.rootId, name };
+      }
+
+      if (parent) {
+        if (await this.resolve(entry, parent)) linked++;
+      } else {
+        await this.deferEntry(entry, 'Parent not found in the database or on the node');
+      }
+    }
+
+    if (linked > 0) {
+      logger.info(`[SUBASSET] Linked ${linked} sub-asset(s) to their parents`);
+    }
+    return linked;
+  }
+
+  /**
+   * Link one pending entry to its parent; failed entries are retried later
+   */
+  async resolve(entry, parent) {
+    const asset = await Asset.findOne({ assetId: entry.assetId });
+    if (!asset) {
+      await PendingAssetLink.deleteOne({ _id: entry._id });
+      return false;
+    }
+
+    try {
+      await this.relink(asset, {
+        parentAssetName: parent.name.toUpperCase(),
+        parentAssetId: parent.assetId,
+        subAssetName: entry.subAssetName
+      });
+      return true;
+    } catch (error) {
+      await this.deferEntry(entry, error.message);
+      return false;
+    }
+  }
+
+  async deferEntry(entry, message) {
+    const attempts = (entry.attempts || 0) + 1;
+    const delay = Math.min(60 * 1000 * 2 ** attempts, MAX_RETRY_DELAY);
+    await PendingAssetLink.updateOne(
+      { _id: entry._id },
+      { $set: { attempts, lastError: message, nextAttemptAt: new Date(Date.now() + delay) } }
+    );
+  }
+
+  /**
+   * Set a sub-asset's parent and rename it to PARENT|child, along with every
+   * document that refers to it by name
+   */
+  async relink(asset, { parentAssetName, parentAssetId, subAssetName }) {
+    const oldName = asset.name;
+    const name = `${parentAssetName}|${subAssetName}`;
+
+    // Asset names are not unique in the database, so a clash has to be checked here
+    if (await Asset.exists({ name, _id: { $ne: asset._id } })) {
+      throw new Error(`Another asset is already named ${name}`);
+    }
+
+    await Asset.updateOne(
+      { _id: asset._id },
+      { $set: { name, isSubAsset: true, parentAssetName, parentAssetId, subAssetName } }
+    );
+
+    if (name !== oldName) {
+      await this.renameReferences(asset.assetId, oldName, name);
+    }
+    await PendingAssetLink.deleteOne({ assetId: asset.assetId });
+
+    logger.info(`[SUBASSET] Linked ${asset.assetId}: ${oldName} -> ${name}`);
+    return name;
+  }
+
+  /**
+   * Rewrite the asset name copied onto transfers, transactions, balances and ledgers
+   *
+   * Orphans under different missing parents can share a name (UNKNOWN|child),
+   * so rows are matched by asset ID, and transactions by the asset's own txids.
+   * Transfers recorded while the asset could not be found by name carry the
+   * name in place of the asset ID; they are only claimed when no other asset
+   * has that name.
+   */
+  async renameReferences(assetId, oldName, name) {
+    const nameShared = await Asset.exists({ name: oldName, assetId: { $ne: assetId } });
+    if (!nameShared) {
+      await AssetTransfer.updateMany({ assetId: oldName, assetName: oldName }, { $set: { assetId } });
+    }
+
+    for (const Model of NAMED_MODELS) {
+      await Model.updateMany({ assetId, assetName: oldName }, { $set: { assetName: name } });
+    }
+
+    const txids = new Set([assetId]);
+    for (const Model of [AssetTransfer, AssetLedgerEntry, AssetMetadataHistory, FutureOutput]) {
+      for (const txid of await Model.distinct('txid', { assetId })) txids.add(txid);
+    }
+
+    await Transaction.updateMany(
+      { txid: { $in: [...txids] }, 'assetData.assetName': oldName },
+      { $set: { 'assetData.assetName': name, 'assetData.assetId': assetId } }
+    );
+    await Transaction.updateMany(
+      { txid: { $in: [...txids] }, 'outputs.asset.assetName': oldName },
+      { $set: { 'outputs.$[output].asset.assetName': name } },
+      { arrayFilters: [{ 'output.asset.assetName': oldName }] }
+    );
+
+    await Address.updateMany(
+      { 'assetBalances.assetId': assetId },
+      { $set: { 'assetBalances.$[balance].assetName': name } },
+      { arrayFilters: [{ 'balance.assetId': assetId }] }
+    );
+  }
+
+  /**
+   * Drop pending links of assets removed by a chain reorganization
+   */
+  async forget(assetIds) {
+    if (assetIds.length === 0) return 0;
+    const { deletedCount } = await PendingAssetLink.deleteMany({ assetId: { $in: assetIds } });
+    return deletedCount;
+  }
+}
+
+export default new SubAssetLinker();
@@ -0,0 +1,371 @@
+import BlockEmission from '../models/BlockEmission.js';
+import FutureOutput from '../models/FutureOutput.js';
+import Smartnode from '../models/Smartnode.js';
+import prevoutResolver from './prevoutResolver.js';
+import { getCache, setCache } from './cache.js';
+import { logger } from '../utils/logger.js';
+
+const SATOSHIS_PER_RTM = 1e8;
+
+// Totals are summed over every block, so they are cached briefly
+const TOTALS_CACHE_KEY = 'supply:totals';
+const TOTALS_CACHE_TTL = 60;
+
+// $dateToString formats that name each series bucket
+const INTERVAL_FORMATS = {
+  day: '%Y-%m-%d',
+  week: '%G-W%V',
+  month: '%Y-%m'
+};
+
+const toSat = (amount) => Math.round((amount || 0) * SATOSHIS_PER_RTM);
+const toRTM = (sat) => Math.round(sat) / SATOSHIS_PER_RTM;
+
+// Sum satoshi fields as 64-bit integers so large totals stay exact
+const sumLong = (field) => ({ $sum: { $toLong: `$${field}` } });
+
+/**
+ * RTM emission ledger
+ *
+ * Each synced block records what its coinbase minted and who it paid: the
+ * smartnode (payout addresses from the smartnode registry), the dev fund
+ * (DEV_FUND_ADDRESSES) and the miner (everything else). Circulating supply is
+ * the total minted minus RTM locked in futures.
+ */
+class SupplyTracker {
+  constructor() {
+    this.devFundAddresses = new Set(
+      (process.env.DEV_FUND_ADDRESSES || '').split(',').map(address => address.trim()).filter(Boolean)
+    );
+  }
+
+  /**
+   * Record a block's emission; replaying a block overwrites its entry
+   */
+  async recordBlock(block, txs, blockTime) {
+    const emission = await this.decodeBlock(block, txs, blockTime);
+    if (!emission) return null;
+
+    await BlockEmission.updateOne({ height: emission.height }, { $set: emission }, { upsert: true });
+    return emission;
+  }
+
+  /**
+   * Split a block's coinbase into minted RTM, fees and payouts, without writing anything
+   */
+  async decodeBlock(block, txs, blockTime) {
+    const coinbase = txs.find(tx => tx.vin?.[0]?.coinbase);
+    if (!coinbase) {
+      logger.warn(`[SUPPLY] No coinbase in block ${block.height}`);
+      return null;
+    }
+
+    const { feesSat, unresolvedInputs } = await this.collectFees(txs.filter(tx => tx !== coinbase));
+
+    const payouts = await this.classifyPayouts(
+      (coinbase.vout || []).map(vout => ({ address: vout.scriptPubKey?.addresses?.[0] || null, sat: toSat(vout.value) })),
+      block.height
+    );
+
+    let minerSat = 0;
+    let smartnodeSat = 0;
+    let devFundSat = 0;
+    for (const { sat, recipient } of payouts) {
+      if (recipient === 'devFund') devFundSat += sat;
+      else if (recipient === 'smartnode') smartnodeSat += sat;
+      else minerSat += sat;
+    }
+
+    const coinbaseSat = minerSat + smartnodeSat + devFundSat;
+    if (unresolvedInputs > 0) {
+      logger.warn(`[SUPPLY] ${unresolvedInputs} input(s) of block ${block.height} could not be resolved; fees are estimated`);
+    }
+
+    return {
+      height: block.height,
+      timestamp: blockTime,
+      mintedSat: Math.max(0, coinbaseSat - feesSat),
+      feesSat,
+      minerSat,
+      smartnodeSat,
+      devFundSat,
+      unresolvedInputs
+    };
+  }
+
+  /**
+   * Fees of a block's transactions: the value their inputs spend minus their outputs
+   */
+  async collectFees(txs) {
+    const vins = txs.flatMap(tx => tx.vin || []);
+    const prevouts = await prevoutResolver.resolveInputs(vins);
+
+    let inputSat = 0;
+    let unresolvedInputs = 0;
+    vins.forEach((vin, index) => {
+      if (vin.coinbase) return;
+      if (prevouts[index]) inputSat += toSat(prevouts[index].amount);
+      else unresolvedInputs++;
+    });
+
+    const outputSat = txs.reduce((sum, tx) =>
+      sum + (tx.vout || []).reduce((txSum, vout) => txSum + toSat(vout.value), 0), 0);
+
+    return { feesSat: Math.max(0, inputSat - outputSat), unresolvedInputs };
+  }
+
+  /**
+   * Label coinbase payouts ({ address, sat }) as miner, smartnode or devFund
+   * Zero-value outputs are dropped
+   */
+  async classifyPayouts(outputs, height) {
+    const payouts = outputs.filter(payout => payout.sat > 0);
+    const smartnodeAddresses = await this.findSmartnodePayees(payouts, height);
+
+    return payouts.map(payout => {
+      let recipient = 'miner';
+      if (this.devFundAddresses.has(payout.address)) recipient = 'devFund';
+      else if (smartnodeAddresses.has(payout.address)) recipient = 'smartnode';
+      return { ...payout, recipient };
+    });
+  }
+
+  /**
+   * Coinbase addresses that belong to a smartnode registered by this height
+   */
+  async findSmartnodePayees(payouts, height) {
+    const addresses = payouts.map(payout => payout.address).filter(Boolean);
+    if (addresses.length === 0) return new Set();
+
+    const smartnodes = await Smartnode.find({
+      registeredHeight: { $lte: height },
+      $or: [
+        { payoutAddress: { $in: addresses } },
+        { operatorPayoutAddress: { $in: addresses } }
+      ]
+    }).select('payoutAddress operatorPayoutAddress').lean();
+
+    return new Set(smartnodes.flatMap(node => [node.payoutAddress, node.operatorPayoutAddress]).filter(Boolean));
+  }
+
+  /**
+   * One block's coinbase split by recipient, in RTM
+   * `minted` and `fees` come from the block's emission record (null until recorded)
+   *
+   * @param {number} height - Block height
+   * @param {Object} coinbaseTx - Stored coinbase Transaction
+   */
+  async describeCoinbase(height, coinbaseTx) {
+    const [emission, payouts] = await Promise.all([
+      BlockEmission.findOne({ height }).lean(),
+      this.classifyPayouts(
+        (coinbaseTx.outputs || []).map(output => ({ address: output.address || null, sat: toSat(output.amount) })),
+        height
+      )
+    ]);
+
+    const totals = { miner: 0, smartnode: 0, devFund: 0 };
+    for (const { sat, recipient } of payouts) {
+      totals[recipient] += sat;
+    }
+
+    return {
+      txid: coinbaseTx.txid,
+      total: toRTM(payouts.reduce((sum, payout) => sum + payout.sat, 0)),
+      minted: emission ? toRTM(emission.mintedSat) : null,
+      fees: emission ? toRTM(emission.feesSat) : null,
+      estimated: emission ? emission.unresolvedInputs > 0 : null,
+      payouts: {
+        miner: toRTM(totals.miner),
+        smartnode: toRTM(totals.smartnode),
+        devFund: toRTM(totals.devFund)
+      },
+      outputs: payouts.map(({ address, sat, recipient }) => ({ address, amount: toRTM(sat), recipient }))
+    };
+  }
+
+  /**
+   * Remove entries of orphaned blocks
+   */
+  async rollbackAbove(commonAncestor) {
+    const { deletedCount } = await BlockEmission.deleteMany({ height: { $gt: commonAncestor } });
+    return deletedCount;
+  }
+
+  /**
+   * Current totals in RTM
+   * `complete` is false when blocks from genesis have not all been recorded
+   */
+  async getTotals() {
+    const cached = await getCache(TOTALS_CACHE_KEY);
+    if (cached) return cached;
+
+    const [[sums], lockedInFutures] = await Promise.all([
+      BlockEmission.aggregate([
+        {
+          $group: {
+            _id: null,
+            blocks: { $sum: 1 },
+            firstHeight: { $min: '$height' },
+            height: { $max: '$height' },
+            timestamp: { $max: '$timestamp' },
+            minted: sumLong('mintedSat'),
+            fees: sumLong('feesSat'),
+            miner: sumLong('minerSat'),
+            smartnode: sumLong('smartnodeSat'),
+            devFund: sumLong('devFundSat'),
+            unresolvedInputs: { $sum: '$unresolvedInputs' }
+          }
+        }
+      ]),
+      this.getLockedInFutures()
+    ]);
+
+    const totalMinted = toRTM(sums?.minted || 0);
+    const totals = {
+      height: sums?.height ?? null,
+      timestamp: sums?.timestamp ?? null,
+      totalMinted,
+      lockedInFutures,
+      circulating: toRTM(toSat(totalMinted) - toSat(lockedInFutures)),
+      fees: toRTM(sums?.fees || 0),
+      payouts: {
+        miner: toRTM(sums?.miner || 0),
+        smartnode: toRTM(sums?.smartnode || 0),
+        devFund: toRTM(sums?.devFund || 0)
+      },
+      complete: !!sums && sums.firstHeight <= 1 && sums.blocks === sums.height - sums.firstHeight + 1,
+      estimated: (sums?.unresolvedInputs || 0) > 0
+    };
+
+    await setCache(TOTALS_CACHE_KEY, totals, TOTALS_CACHE_TTL);
+    return totals;
+  }
+
+  async getLockedInFutures() {
+    const [result] = await FutureOutput.aggregate([
+      { $match: { type: 'rtm', status: 'locked' } },
+      // amountSat is missing on outputs indexed before it was stored
+      {
+        $group: {
+          _id: null,
+          amount: { $sum: { $ifNull: ['$amountSat', { $toLong: { $round: [{ $multiply: ['$amount', SATOSHIS_PER_RTM] }, 0] } }] } }
+        }
+      }
+    ]);
+    return toRTM(result?.amount || 0);
+  }
+
+  /**
+   * Emission per day, week or month with running totals at the end of each period
+   */
+  async getSeries({ interval = 'month', from, to } = {}) {
+    const match = {};
+    if (from || to) {
+      match.timestamp = {};
+      if (from) match.timestamp.$gte = from;
+      if (to) match.timestamp.$lte = to;
+    }
+
+    const [buckets, [before]] = await Promise.all([
+      BlockEmission.aggregate([
+        { $match: match },
+        {
+          $group: {
+            _id: { $dateToString: { format: INTERVAL_FORMATS[interval], date: '$timestamp' } },
+            startHeight: { $min: '$height' },
+            endHeight: { $max: '$height' },
+            endTime: { $max: '$timestamp' },
+            minted: sumLong('mintedSat'),
+            fees: sumLong('feesSat'),
+            miner: sumLong('minerSat'),
+            smartnode: sumLong('smartnodeSat'),
+            devFund: sumLong('devFundSat')
+          }
+        },
+        { $sort: { endHeight: 1 } }
+      ]),
+      // Minted before the first period, so running totals start from the right base
+      from
+        ? BlockEmission.aggregate([
+          { $match: { timestamp: { $lt: from } } },
+          { $group: { _id: null, minted: sumLong('mintedSat') } }
+        ])
+        : Promise.resolve([])
+    ]);
+
+    const locked = await this.lockedAtBuckets(buckets);
+
+    let totalMintedSat = before?.minted || 0;
+    return buckets.map((bucket, index) => {
+      totalMintedSat += bucket.minted;
+      return {
+        period: bucket._id,
+        startHeight: bucket.startHeight,
+        endHeight: bucket.endHeight,
+        endTime: bucket.endTime,
+        minted: toRTM(bucket.minted),
+        fees: toRTM(bucket.fees),
+        payouts: {
+          miner: toRTM(bucket.miner),
+          smartnode: toRTM(bucket.smartnode),
+          devFund: toRTM(bucket.devFund)
+        },
+        totalMinted: toRTM(totalMintedSat),
+        lockedInFutures: toRTM(locked[index]),
+        circulating: toRTM(totalMintedSat - locked[index])
+      };
+    });
+  }
+
+  /**
+   * RTM locked in futures at the end of each bucket
+   * A future is locked from its creation height until its unlock height or
+   * unlock time, whichever comes first
+   */
+  async lockedAtBuckets(buckets) {
+    const locked = new Array(buckets.length).fill(0);
+    if (buckets.length === 0) return locked;
+
+    const lastHeight = buckets[buckets.length - 1].endHeight;
+    const futures = await FutureOutput.find({ type: 'rtm', createdHeight: { $lte: lastHeight } })
+      .select('amountSat amount createdHeight unlockHeight unlockTime')
+      .lean();
+
+    // First bucket whose end satisfies the predicate (buckets are in height and time order)
+    const firstBucket = (predicate) => {
+      let low = 0;
+      let high = buckets.length;
+      while (low < high) {
+        const mid = (low + high) >> 1;
+        if (predicate(buckets[mid])) high = mid;
+        else low = mid + 1;
+      }
+      return low;
+    };
+
+    // Add each future's amount over the buckets it is locked in, then sweep
+    const deltas = new Array(buckets.length + 1).fill(0);
+    for (const future of futures) {
+      const sat = future.amountSat ?? toSat(future.amount);
+      const start = firstBucket(bucket => bucket.endHeight >= future.createdHeight);
+      const end = Math.min(
+        firstBucket(bucket => bucket.endHeight >= future.unlockHeight),
+        firstBucket(bucket => bucket.endTime >= future.unlockTime)
+      );
+      if (start < end) {
+        deltas[start] += sat;
+        deltas[end] -= sat;
+      }
+    }
+
+    let running = 0;
+    for (let index = 0; index < buckets.length; index++) {
+      running += deltas[index];
+      locked[index] = running;
+    }
+    return locked;
+  }
+}
+
+export default new SupplyTracker();
@@ -3,7 +3,21 @@
 import mongoose from 'mongoose';
 import blockchainService from './blockchain.js';
 import assetProcessor from './assetProcessor.js';
+import addressProcessor from './addressProcessor.js';
+import transactionIndexer from './transactionIndexer.js';
+import prevoutResolver from './prevoutResolver.js';
+import assetLedger from './assetLedger.js';
 import futureChecker from './futureChecker.js';
+import reorgHandler from './reorgHandler.js';
+import eventBus from './eventBus.js';
+import mempoolWatcher from './mempoolWatcher.js';
+import ipfsRetryScheduler from './ipfsRetryScheduler.js';
+import zmqSubscriber from './zmqSubscriber.js';
+import BlockPrefetcher from './blockPrefetcher.js';
+import reindexer from './reindexer.js';
+import smartnodeRegistry from './smartnodeRegistry.js';
+import subAssetLinker from './subAssetLinker.js';
+import supplyTracker from './supplyTracker.js';
 import Block from '../models/Block.js';
 import Transaction from '../models/Transaction.js';
 import SyncState from '../models/SyncState.js';
@@ -36,8 +50,16 @@ class SyncDaemon {
     this.retryAttempts = parseInt(process.env.SYNC_RETRY_ATTEMPTS || '3');
     this.retryDelay = parseInt(process.env.SYNC_RETRY_DELAY || '30000');
     this.checkpointInterval = parseInt(process.env.SYNC_CHECKPOINT_INTERVAL || '100');
+    // Blocks fetched from raptoreumd in parallel, and how far ahead of processing they may run
+    this.concurrentBlocks = parseInt(process.env.SYNC_CONCURRENT_BLOCKS || '5');
+    this.prefetchDepth = parseInt(process.env.SYNC_PREFETCH_DEPTH || String(this.concurrentBlocks * 4));
     // Fix: Explicitly check for 'true' to enable sync (don't default to enabled)
     this.syncEnabled = process.env.SYNC_ENABLED === 'true';
+
+    // ZMQ block notifications end the wait between polls while synced
+    this.notificationListeners = [];
+    this.blockNotified = false;
+    this.wakeWaiter = null;
     
     // Performance tracking
     this.startTime = null;
@@ -95,6 +117,12 @@ class SyncDaemon {
       logger.info(`Connected to blockchain: ${blockchainHealth.chain} at block ${blockchainHealth.blocks}`);
       console.log(`[SYNC INIT] Blockchain connected: ${blockchainHealth.chain} at block ${blockchainHealth.blocks}`);
 
+      // Relay live events to API servers (falls back to in-process only)
+      await eventBus.connect();
+
+      // A reindex job cannot resume where a previous daemon process stopped
+      await reindexer.recoverInterrupted();
+
       // Initialize sync state
       console.log('[SYNC INIT] Initializing sync state...');
       await this.initializeSyncState();
@@ -161,6 +189,15 @@ class SyncDaemon {
     this.startTime = Date.now();
     logger.info('Starting sync daemon...');
 
+    // Index unconfirmed asset transactions alongside the block sync
+    mempoolWatcher.start();
+
+    // Retry asset metadata IPFS could not serve at indexing time
+    ipfsRetryScheduler.start();
+
+    // Wake up on new blocks announced over ZMQ, polling stays the fallback
+    await this.listenForNotifications();
+
     try {
       while (this.isRunning) {
         if (this.isPaused) {
@@ -170,6 +207,12 @@ class SyncDaemon {
           continue;
         }
 
+        // Reindex jobs run between batches so they never race block sync
+        await reindexer.runPending();
+
+        // Retry sub-assets still waiting for their parent
+        await subAssetLinker.processPending();
+
         console.log('[SYNC] Calling syncLoop...');
         await this.syncLoop();
         
@@ -226,6 +269,9 @@ class SyncDaemon {
   async syncLoop() {
     try {
       console.log('[SYNC LOOP] Starting sync loop iteration...');
+
+      // Blocks announced from here on are seen by the getblockchaininfo below
+      this.blockNotified = false;
       
       // Get current sync state
       console.log('[SYNC LOOP] Fetching sync state from database...');
@@ -242,6 +288,13 @@ class SyncDaemon {
       // Update target
       await this.updateSyncState({ targetBlock });
       
+      // Make sure our tip is still on the node's best chain before building on it
+      const tipHeight = Math.min(currentBlock, targetBlock);
+      if (!(await reorgHandler.isOnBestChain(tipHeight))) {
+        await reorgHandler.handleReorg(tipHeight);
+        return;
+      }
+      
       // Check if synced
       if (currentBlock >= targetBlock) {
         if (syncState?.status !== 'synced') {
@@ -253,8 +306,8 @@ class SyncDaemon {
           console.log(`[SYNC LOOP] Already synced at block ${currentBlock}, waiting for new blocks...`);
         }
         
-        // Check for new blocks every 30 seconds
-        await this.sleep(30000);
+        // Check for new blocks every 30 seconds, or as soon as ZMQ announces one
+        await this.waitForBlock(30000);
         return;
       }
       
@@ -269,8 +322,12 @@ class SyncDaemon {
         await this.updateSyncState({ status: 'syncing' });
       }
       
-      // Sync batch
-      await this.syncBlocks(currentBlock + 1, endBlock);
+      // Sync batch (stops early if a reorg rolled the chain back)
+      const completed = await this.syncBlocks(currentBlock + 1, endBlock);
+      if (!completed) {
+        logger.warn('[SYNC LOOP] Batch interrupted by chain reorganization, resuming from common ancestor');
+        return;
+      }
       
       // Update progress
       await this.updateSyncState({
@@ -293,81 +350,157 @@ class SyncDaemon {
 
   /**
    * Sync a range of blocks
+   * Blocks are prefetched in parallel but processed strictly in height order
+   * Returns false if a chain reorganization interrupted the range
    */
   async syncBlocks(startHeight, endHeight) {
-    for (let height = startHeight; height <= endHeight; height++) {
-      const blockStartTime = Date.now();
-      
-      try {
-        await this.syncBlock(height);
-        
-        const blockTime = Date.now() - blockStartTime;
-        this.blockProcessingTimes.push(blockTime);
-        
-        // Keep only last 100 times for average calculation
-        if (this.blockProcessingTimes.length > 100) {
-          this.blockProcessingTimes.shift();
-        }
-        
-        // Log progress every 10 blocks
-        if (height % 10 === 0) {
-          const avgTime = this.blockProcessingTimes.reduce((a, b) => a + b, 0) / this.blockProcessingTimes.length;
-          logger.info(`Processed block ${height} in ${blockTime}ms (avg: ${avgTime.toFixed(0)}ms)`);
-        }
-        
-        // Checkpoint every N blocks
-        if (height % this.checkpointInterval === 0) {
-          await this.updateSyncState({
-            currentBlock: height,
-            averageBlockTime: this.blockProcessingTimes.reduce((a, b) => a + b, 0) / this.blockProcessingTimes.length
-          });
-        }
-        
-      } catch (error) {
-        logger.error(`Error syncing block ${height}:`, error);
-        
-        // Retry logic
-        for (let attempt = 1; attempt <= this.retryAttempts; attempt++) {
-          logger.info(`Retry attempt ${attempt}/${this.retryAttempts} for block ${height}`);
-          await this.sleep(5000 * attempt);
-          
-          try {
-            await this.syncBlock(height);
-            logger.info(`Successfully synced block ${height} on retry ${attempt}`);
-            break;
-          } catch (retryError) {
-            if (attempt === this.retryAttempts) {
-              logger.error(`Failed to sync block ${height} after ${this.retryAttempts} attempts`);
-              throw retryError;
+    const prefetcher = new BlockPrefetcher(startHeight, endHeight, {
+      fetchBlock: (height) => this.fetchBlock(height),
+      concurrency: this.concurrentBlocks,
+      depth: this.prefetchDepth
+    });
+    const batchStartTime = Date.now();
+    const fetchTimes = [];
+
+    try {
+      for (let height = startHeight; height <= endHeight; height++) {
+        const blockStartTime = Date.now();
+
+        try {
+          const { block, fetchTime } = await prefetcher.next();
+          fetchTimes.push(fetchTime);
+
+          if (!(await this.syncBlock(height, block))) {
+            return false;
+          }
+
+          const blockTime = Date.now() - blockStartTime;
+          this.blockProcessingTimes.push(blockTime);
+
+          // Keep only last 100 times for average calculation
+          if (this.blockProcessingTimes.length > 100) {
+            this.blockProcessingTimes.shift();
+          }
+
+          // Log progress every 10 blocks
+          if (height % 10 === 0) {
+            const avgTime = this.blockProcessingTimes.reduce((a, b) => a + b, 0) / this.blockProcessingTimes.length;
+            logger.info(`Processed block ${height} in ${blockTime}ms (avg: ${avgTime.toFixed(0)}ms, ${prefetcher.queueDepth} prefetched)`);
+          }
+
+          // Checkpoint every N blocks
+          if (height % this.checkpointInterval === 0) {
+            await this.updateSyncState({
+              currentBlock: height,
+              averageBlockTime: this.blockProcessingTimes.reduce((a, b) => a + b, 0) / this.blockProcessingTimes.length,
+              pipeline: this.describePipeline(prefetcher, height - startHeight + 1, batchStartTime, fetchTimes)
+            });
+          }
+
+        } catch (error) {
+          logger.error(`Error syncing block ${height}:`, error);
+
+          // Retry logic (fetches the block again directly)
+          for (let attempt = 1; attempt <= this.retryAttempts; attempt++) {
+            logger.info(`Retry attempt ${attempt}/${this.retryAttempts} for block ${height}`);
+            await this.sleep(5000 * attempt);
+
+            try {
+              if (!(await this.syncBlock(height))) {
+                return false;
+              }
+              logger.info(`Successfully synced block ${height} on retry ${attempt}`);
+              break;
+            } catch (retryError) {
+              if (attempt === this.retryAttempts) {
+                logger.error(`Failed to sync block ${height} after ${this.retryAttempts} attempts`);
+                throw retryError;
+              }
             }
           }
         }
       }
+
+      await this.updateSyncState({
+        pipeline: this.describePipeline(prefetcher, endHeight - startHeight + 1, batchStartTime, fetchTimes)
+      });
+      return true;
+    } finally {
+      prefetcher.stop();
+    }
+  }
+
+  /**
+   * Pipeline throughput for SyncState
+   */
+  describePipeline(prefetcher, blocksSynced, batchStartTime, fetchTimes) {
+    const elapsedSeconds = (Date.now() - batchStartTime) / 1000;
+    const average = (times) => times.length ? times.reduce((a, b) => a + b, 0) / times.length : 0;
+
+    return {
+      concurrency: prefetcher.concurrency,
+      prefetchDepth: prefetcher.depth,
+      queueDepth: prefetcher.queueDepth,
+      blocksPerSecond: elapsedSeconds > 0 ? Number((blocksSynced / elapsedSeconds).toFixed(2)) : 0,
+      averageFetchTime: Math.round(average(fetchTimes.slice(-100))),
+      averageProcessTime: Math.round(average(this.blockProcessingTimes))
+    };
+  }
+
+  /**
+   * Fetch a block with its transactions (verbosity 2) by height
+   */
+  async fetchBlock(height) {
+    const blockHash = await blockchainService.getBlockHash(height);
+    const block = await blockchainService.getBlock(blockHash, 2);
+
+    if (!block) {
+      throw new Error(`Failed to fetch block ${height}`);
     }
+    return block;
   }
 
   /**
-   * Sync a single block
+   * Sync a single block, fetching it unless the prefetcher already did
+   * Returns false if the block revealed a chain reorganization (already rolled back)
    */
-  async syncBlock(height) {
+  async syncBlock(height, block = null) {
     try {
-      // Check if block already exists
-      const existingBlock = await Block.findOne({ height });
+      if (!block) {
+        block = await this.fetchBlock(height);
+      }
+
+      // Check if block already exists and is still on the best chain
+      const existingBlock = await Block.findOne({ height }).select('hash processed').lean();
       if (existingBlock) {
-        logger.debug(`Block ${height} already synced, skipping`);
-        return;
+        if (existingBlock.hash !== block.hash) {
+          await reorgHandler.handleReorg(height);
+          return false;
+        }
+        if (existingBlock.processed !== false) {
+          logger.debug(`Block ${height} already synced, skipping`);
+          return true;
+        }
+
+        // A step failed last time. Rows already written are kept (upserts by txid);
+        // counters and totals they feed are rebuilt from those rows
+        logger.warn(`Block ${height} was not completely processed, processing it again`);
+        await this.processBlock(block);
+        return true;
       }
 
-      // Fetch block from blockchain
-      const blockHash = await blockchainService.getBlockHash(height);
-      const block = await blockchainService.getBlock(blockHash, 2); // Verbosity 2 includes transactions
-      
-      if (!block) {
-        throw new Error(`Failed to fetch block ${height}`);
+      // The new block must build on the parent we stored
+      if (height > 0 && block.previousblockhash) {
+        const parentBlock = await Block.findOne({ height: height - 1 }).select('hash');
+        if (parentBlock && parentBlock.hash !== block.previousblockhash) {
+          await reorgHandler.handleReorg(height - 1);
+          return false;
+        }
       }
 
       // Process block
       await this.processBlock(block);
+      return true;
       
     } catch (error) {
       logger.error(`Error syncing block ${height}:`, error);
@@ -377,57 +510,147 @@ class SyncDaemon {
 
   /**
    * Process a block and its transactions
+   * The block is stored first, unprocessed, and marked processed after the
+   * last step. Any step failing fails the block, so it is processed again.
    */
   async processBlock(block) {
+    const blockTime = new Date(block.time * 1000);
+
+    // Replace the record of an earlier attempt
+    await Block.deleteOne({ height: block.height, processed: false });
+    
+    // Save block record
+    const blockDoc = new Block({
+      height: block.height,
+      hash: block.hash,
+      previousHash: block.previousblockhash || '',
+      merkleRoot: block.merkleroot,
+      timestamp: blockTime,
+      difficulty: block.difficulty,
+      nonce: block.nonce,
+      size: block.size,
+      transactionCount: block.tx?.length || 0,
+      transactions: (block.tx || []).map(tx => typeof tx === 'string' ? tx : tx.txid),
+      miner: block.tx?.[0]?.vout?.[0]?.scriptPubKey?.addresses?.[0] || '',
+      reward: block.tx?.[0]?.vout?.[0]?.value || 0,
+      confirmations: block.confirmations || 0,
+      processed: false
+    });
+    
     try {
-      const blockTime = new Date(block.time * 1000);
-      
-      // Save block record
-      const blockDoc = new Block({
-        height: block.height,
-        hash: block.hash,
-        previousHash: block.previousblockhash || '',
-        merkleRoot: block.merkleroot,
-        timestamp: blockTime,
-        difficulty: block.difficulty,
-        nonce: block.nonce,
-        size: block.size,
-        transactionCount: block.tx?.length || 0,
-        transactions: (block.tx || []).map(tx => typeof tx === 'string' ? tx : tx.txid),
-        miner: block.tx?.[0]?.vout?.[0]?.scriptPubKey?.addresses?.[0] || '',
-        reward: block.tx?.[0]?.vout?.[0]?.value || 0,
-        confirmations: block.confirmations || 0
-      });
-      
       await blockDoc.save();
-      
-      // Process transactions
-      if (block.tx && Array.isArray(block.tx)) {
-        for (const tx of block.tx) {
-          if (typeof tx === 'object') {
-            await this.processTransaction(tx, block.height, blockTime, block.hash);
-          }
-        }
-      }
-      
-      logger.debug(`Processed block ${block.height} with ${block.tx?.length || 0} transactions`);
-      
     } catch (error) {
-      // If duplicate block, ignore
+      // Stored meanwhile by another sync run
       if (error.code === 11000) {
         logger.debug(`Block ${block.height} already exists, skipping`);
-      } else {
-        throw error;
+        return;
       }
+      throw error;
+    }
+    
+    const txs = Array.isArray(block.tx) ? block.tx.filter(tx => typeof tx === 'object') : [];
+
+    // Let spends of this block's own outputs resolve before they are stored
+    prevoutResolver.prime(txs);
+
+    // Update balances and activity for every address the block touches
+    await addressProcessor.processTransactions(txs, block.height, blockTime);
+
+    // Process transactions
+    const events = [];
+    for (const [txIndex, tx] of txs.entries()) {
+      events.push(...await this.processTransaction(tx, block.height, blockTime, block.hash, txIndex));
+    }
+
+    // Smartnodes whose collateral this block spends are removed from the registry
+    await smartnodeRegistry.processCollateralSpends(txs, block.height, blockTime);
+
+    // Record what the coinbase minted and who it paid (needs the smartnode registry up to date)
+    await supplyTracker.recordBlock(block, txs, blockTime);
+
+    // Store transactions no handler recorded and mark the outputs they spend
+    await transactionIndexer.recordTransactions(txs, block.height, blockTime, block.hash);
+    await transactionIndexer.markSpentOutputs(txs, block.height, blockTime);
+
+    // Credit and debit per-address asset balances (needs this block's outputs stored)
+    for (const tx of txs) {
+      await assetLedger.processTransaction(tx, block.height, blockTime);
+    }
+
+    // Pending entries for these transactions are now confirmed
+    await mempoolWatcher.removeConfirmed(blockDoc.transactions);
+
+    await Block.updateOne({ _id: blockDoc._id }, { $set: { processed: true } });
+    logger.debug(`Processed block ${block.height} with ${block.tx?.length || 0} transactions`);
+
+    await this.publishBlockEvents(block, blockTime, events);
+  }
+
+  /**
+   * Publish the committed block and the asset events its transactions produced
+   */
+  async publishBlockEvents(block, blockTime, events) {
+    await eventBus.publish('block', {
+      height: block.height,
+      hash: block.hash,
+      timestamp: blockTime,
+      transactionCount: block.tx?.length || 0,
+      assetEventCount: events.length
+    });
+
+    for (const { type, data, assets, addresses } of events) {
+      await eventBus.publish(type, { ...data, blockHeight: block.height, timestamp: blockTime }, { assets, addresses });
+    }
+  }
+
+  /**
+   * Describe an asset handler's result as live events
+   */
+  describeAssetEvents(txType, tx, result) {
+    if (!result) return [];
+
+    switch (txType) {
+      case 8:
+        return [{
+          type: 'asset_created',
+          data: { txid: tx.txid, assetId: result.assetId, assetName: result.name, type: result.type, creator: result.creator },
+          assets: [result.assetId, result.name],
+          addresses: [result.creator]
+        }];
+
+      case 10:
+        return [{
+          type: 'asset_minted',
+          data: { txid: tx.txid, ...result },
+          assets: [result.assetId, result.assetName],
+          addresses: [result.recipient]
+        }];
+
+      case 9:
+        return [{
+          type: 'asset_updated',
+          data: { txid: tx.txid, ...result },
+          assets: [result.assetId, result.assetName]
+        }];
+
+      default:
+        return result.map(transfer => ({
+          type: 'asset_transferred',
+          data: { txid: tx.txid, ...transfer },
+          assets: [transfer.assetId, transfer.assetName],
+          addresses: [transfer.from, transfer.to]
+        }));
     }
   }
 
   /**
    * Process a transaction and route to appropriate handler
+   * Returns the live events it produced; a handler error fails the block
    */
-  async processTransaction(tx, blockHeight, blockTime, blockHash) {
+  async processTransaction(tx, blockHeight, blockTime, blockHash, txIndex = 0) {
     try {
       const txType = tx.type || 0;
+      let result = null;
       
       // LOG: Every transaction
       logger.info(`[TX] Processing tx ${tx.txid} (type: ${txType}) at block ${blockHeight}`);
@@ -435,20 +658,28 @@ class SyncDaemon {
       // Route based on transaction type
       switch (txType) {
         case 8: // NewAssetTx - Asset creation
-          await assetProcessor.handleAssetCreation(tx, blockHeight, blockTime, blockHash);
+          result = await assetProcessor.handleAssetCreation(tx, blockHeight, blockTime, blockHash);
           break;
           
         case 10: // MintAssetTx - Asset mint
-          await assetProcessor.handleAssetMint(tx, blockHeight, blockTime, blockHash);
+          result = await assetProcessor.handleAssetMint(tx, blockHeight, blockTime, blockHash);
           break;
           
         case 9: // UpdateAssetTx - Asset update
-          await assetProcessor.handleAssetUpdate(tx, blockHeight, blockTime, blockHash);
+          result = await assetProcessor.handleAssetUpdate(tx, blockHeight, blockTime, blockHash);
           break;
           
         case 7: // FutureTx - Future lock
           await futureChecker.handleFutureTransaction(tx, blockHeight, blockTime);
           break;
+
+        case 1: // ProRegTx - Smartnode registration
+        case 2: // ProUpServTx - Smartnode service update
+        case 3: // ProUpRegTx - Smartnode registrar update
+        case 4: // ProUpRevTx - Smartnode revocation
+        case 6: // QcTx - Quorum commitment
+          await smartnodeRegistry.handleSpecialTransaction(tx, blockHeight, blockTime, txIndex);
+          break;
           
         case 0: // Standard transaction - Check for asset transfers
         default:
@@ -481,7 +712,7 @@ class SyncDaemon {
           if (hasAssetTransfer) {
             logger.info(`[TX] ✓ Calling assetProcessor.handleAssetTransfer for ${tx.txid}`);
             try {
-              const result = await assetProcessor.handleAssetTransfer(tx, blockHeight, blockTime, blockHash);
+              result = await assetProcessor.handleAssetTransfer(tx, blockHeight, blockTime, blockHash);
               logger.info(`[TX] ✓ handleAssetTransfer result:`, JSON.stringify(result));
             } catch (transferError) {
               logger.error(`[TX] ✗ Error in handleAssetTransfer for ${tx.txid}:`, transferError);
@@ -493,9 +724,11 @@ class SyncDaemon {
           break;
       }
       
+      return this.describeAssetEvents(txType, tx, result);
     } catch (error) {
+      // Fails the block, which stays unprocessed and is processed again
       logger.error(`[TX] ✗ Error processing transaction ${tx.txid}:`, error);
-      // Don't throw - continue processing other transactions
+      throw error;
     }
   }
 
@@ -541,10 +774,62 @@ class SyncDaemon {
   async stop() {
     logger.info('Stopping sync daemon...');
     this.isRunning = false;
+    mempoolWatcher.stop();
+    ipfsRetryScheduler.stop();
+    await this.stopListening();
     await this.updateSyncState({ status: 'paused' });
     logger.info('Sync daemon stopped');
   }
 
+  /**
+   * Subscribe to raptoreumd's ZMQ notifications (no-op unless configured)
+   */
+  async listenForNotifications() {
+    if (this.notificationListeners.length > 0) return;
+
+    this.notificationListeners = [
+      zmqSubscriber.on('block', (hash) => this.wake(hash)),
+      zmqSubscriber.on('transaction', () => mempoolWatcher.pollSoon())
+    ];
+    await zmqSubscriber.start();
+  }
+
+  async stopListening() {
+    for (const unsubscribe of this.notificationListeners) {
+      unsubscribe();
+    }
+    this.notificationListeners = [];
+    await zmqSubscriber.stop();
+    this.wakeWaiter?.();
+  }
+
+  /**
+   * End the current waitForBlock, or the next one if the loop is busy
+   */
+  wake(hash) {
+    this.blockNotified = true;
+    if (this.wakeWaiter) {
+      logger.debug(`[SYNC] New block ${hash} announced, syncing`);
+      this.wakeWaiter();
+    }
+  }
+
+  /**
+   * Wait until a block is announced or the poll interval passes
+   */
+  waitForBlock(ms) {
+    if (this.blockNotified) return Promise.resolve();
+
+    return new Promise(resolve => {
+      const timer = setTimeout(() => this.wakeWaiter?.(), ms);
+      this.wakeWaiter = () => {
+        clearTimeout(timer);
+        this.wakeWaiter = null;
+        resolve();
+      };
+    });
+  }
+
   /**
    * Sleep helper
    */
@@ -594,6 +879,7 @@ if (isMainModule) {
       console.log(`- RAPTOREUMD_PORT: ${process.env.RAPTOREUMD_PORT || '10225 (default)'}`);
       console.log(`- RAPTOREUMD_USER: ${process.env.RAPTOREUMD_USER ? '✓ Set' : '✗ Missing'}`);
       console.log(`- RAPTOREUMD_PASSWORD: ${process.env.RAPTOREUMD_PASSWORD ? '✓ Set' : '✗ Missing'}`);
+      console.log(`- RAPTOREUMD_ZMQ_HASHBLOCK: ${process.env.RAPTOREUMD_ZMQ_HASHBLOCK || '(not set, polling every 30s)'}`);
       console.log('==========================================\n');
       
       await daemon.initialize();
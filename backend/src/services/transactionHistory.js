@@ -0,0 +1,210 @@
+import Transaction from '../models/Transaction.js';
+import AssetTransfer from '../models/AssetTransfer.js';
+import Asset from '../models/Asset.js';
+import Block from '../models/Block.js';
+import MempoolEntry from '../models/MempoolEntry.js';
+import blockchainService from './blockchain.js';
+import prevoutResolver from './prevoutResolver.js';
+import transactionIndexer from './transactionIndexer.js';
+import { transformBlockTransaction, transformMempoolEntry } from '../utils/transforms.js';
+import { logger } from '../utils/logger.js';
+
+// Special transaction payloads raptoreumd adds to verbose transactions
+const PAYLOAD_KEYS = ['newAssetTx', 'updateAssetTx', 'mintAssetTx', 'futureTx', 'proRegTx', 'proUpServTx', 'proUpRegTx', 'proUpRevTx', 'qcTx', 'cbTx'];
+
+// Some raptoreumd versions capitalize the asset payload keys
+const PAYLOAD_ALIASES = { UpdateAssetTx: 'updateAssetTx', MintAssetTx: 'mintAssetTx' };
+
+const SUMMARY_FIELDS = 'txid blockHeight blockHash timestamp type size fee inputs outputs assetData';
+
+/**
+ * Read side of the transaction index: filtered lists with asset operations,
+ * and the full view of one transaction
+ */
+class TransactionHistory {
+  /**
+   * Transaction list filter, or null when the asset filter matches no asset
+   * The asset filter accepts the asset ID or name
+   */
+  async buildFilter({ type, asset, address, fromHeight, toHeight } = {}) {
+    const conditions = [];
+
+    if (type) conditions.push({ type });
+
+    if (fromHeight !== undefined || toHeight !== undefined) {
+      conditions.push({
+        blockHeight: {
+          ...(fromHeight !== undefined && { $gte: fromHeight }),
+          ...(toHeight !== undefined && { $lte: toHeight })
+        }
+      });
+    }
+
+    if (address) {
+      conditions.push({ $or: [{ 'inputs.address': address }, { 'outputs.address': address }] });
+    }
+
+    if (asset) {
+      const assetDoc = await Asset.findOne({ $or: [{ assetId: asset }, { name: asset }, { name: asset.toUpperCase() }] })
+        .select('assetId name')
+        .lean();
+      if (!assetDoc) return null;
+
+      // Output asset IDs of unique assets carry a serial suffix, so outputs match on the name
+      conditions.push({
+        $or: [
+          { 'assetData.assetId': assetDoc.assetId },
+          { 'outputs.asset.assetName': assetDoc.name }
+        ]
+      });
+    }
+
+    if (conditions.length === 0) return {};
+    return conditions.length === 1 ? conditions[0] : { $and: conditions };
+  }
+
+  /**
+   * Filtered transactions, newest first
+   */
+  async list({ limit = 20, offset = 0, ...filters } = {}) {
+    const filter = await this.buildFilter(filters);
+    if (!filter) return { transactions: [], total: 0 };
+
+    const [transactions, total] = await Promise.all([
+      Transaction.find(filter)
+        .sort({ blockHeight: -1, _id: -1 })
+        .skip(offset)
+        .limit(limit)
+        .select(SUMMARY_FIELDS)
+        .lean(),
+      Object.keys(filter).length === 0
+        ? Transaction.estimatedDocumentCount()
+        : Transaction.countDocuments(filter)
+    ]);
+
+    const summaries = await this.summarize(transactions);
+    return {
+      transactions: summaries.map((summary, i) => ({
+        ...summary,
+        blockHeight: transactions[i].blockHeight,
+        blockHash: transactions[i].blockHash,
+        timestamp: transactions[i].timestamp
+      })),
+      total
+    };
+  }
+
+  /**
+   * transformBlockTransaction summaries with each transaction's asset operations
+   */
+  async summarize(transactions) {
+    const txids = transactions.map(tx => tx.txid);
+    const transfers = txids.length > 0
+      ? await AssetTransfer.find({ txid: { $in: txids } }).sort({ _id: 1 }).lean()
+      : [];
+
+    const transfersByTxid = new Map();
+    for (const transfer of transfers) {
+      transfersByTxid.set(transfer.txid, [...(transfersByTxid.get(transfer.txid) || []), transfer]);
+    }
+
+    return transactions.map(tx => transformBlockTransaction(tx, transfersByTxid.get(tx.txid)));
+  }
+
+  /**
+   * One transaction with decoded inputs and outputs, asset operations and the
+   * special transaction payloads from the node
+   * Falls back to the node for transactions not indexed yet (unconfirmed ones included)
+   *
+   * @returns {Object|null} Detail, with `indexed` false when only the node knows it
+   */
+  async getDetail(txid) {
+    const [stored, tip] = await Promise.all([
+      Transaction.findOne({ txid }).lean(),
+      Block.findOne().sort({ height: -1 }).select('height').lean()
+    ]);
+
+    // Payloads are not stored, so the node is asked even for indexed transactions
+    let nodeTx = null;
+    try {
+      nodeTx = await blockchainService.getRawTransaction(txid, true);
+    } catch (error) {
+      logger.debug(`Transaction ${txid} not available from the node: ${error.message}`);
+    }
+    if (!stored && !nodeTx) return null;
+
+    const tx = stored || {
+      txid,
+      blockHeight: nodeTx.height ?? null,
+      blockHash: nodeTx.blockhash || null,
+      timestamp: nodeTx.blocktime ? new Date(nodeTx.blocktime * 1000) : null,
+      size: nodeTx.size || 0,
+      fee: nodeTx.fee || 0,
+      inputs: transactionIndexer.mapInputs(nodeTx),
+      outputs: transactionIndexer.mapOutputs(nodeTx)
+    };
+    // Only transactions of synced blocks are stored
+    const confirmed = !!stored || !!nodeTx.blockhash;
+
+    const prevouts = await prevoutResolver.resolveInputs(tx.inputs);
+    const inputs = (tx.inputs || []).map((input, index) => ({
+      index,
+      txid: input.txid || null,
+      vout: input.vout ?? null,
+      coinbase: !input.txid,
+      address: input.address || prevouts[index]?.address || null,
+      amount: input.amount || prevouts[index]?.amount || (input.txid ? null : 0),
+      asset: prevouts[index]?.asset || null
+    }));
+
+    const outputs = (tx.outputs || []).map(output => ({
+      n: output.n,
+      address: output.address || null,
+      amount: output.amount || 0,
+      asset: output.asset?.assetId || output.asset?.assetName ? output.asset : null,
+      spent: !!output.spent,
+      spentTxid: output.spentTxid || null,
+      spentHeight: output.spentHeight ?? null
+    }));
+
+    // Amounts resolved from prevouts make the fee exact where the stored inputs lacked them
+    const [summary] = await this.summarize([{ ...tx, inputs: inputs.map(input => ({ ...input, amount: input.amount || 0 })) }]);
+
+    let operations = summary.operations;
+    if (!confirmed) {
+      const entry = await MempoolEntry.findOne({ txid }).lean();
+      if (entry) operations = transformMempoolEntry(entry).operations;
+    }
+
+    const payloads = {};
+    for (const [key, value] of Object.entries(nodeTx || {})) {
+      const name = PAYLOAD_ALIASES[key] || key;
+      if (PAYLOAD_KEYS.includes(name)) payloads[name] = value;
+    }
+
+    return {
+      ...summary,
+      operations,
+      assets: [...new Set(operations.map(op => op.assetName).filter(Boolean))],
+      indexed: !!stored,
+      status: confirmed ? 'confirmed' : 'pending',
+      blockHeight: tx.blockHeight ?? null,
+      blockHash: tx.blockHash || null,
+      timestamp: tx.timestamp || null,
+      confirmations: !confirmed ? 0 : stored && tip ? tip.height - tx.blockHeight + 1 : nodeTx?.confirmations ?? 0,
+      txType: nodeTx?.type ?? null,
+      version: nodeTx?.version ?? null,
+      locktime: nodeTx?.locktime ?? null,
+      totalInput: inputs.every(input => input.amount !== null)
+        ? Math.round(inputs.reduce((sum, input) => sum + input.amount, 0) * 1e8) / 1e8
+        : null,
+      inputs,
+      outputs,
+      assetData: tx.assetData?.operation ? tx.assetData : null,
+      futureData: tx.futureData?.maturity !== undefined || tx.futureData?.lockTime !== undefined ? tx.futureData : null,
+      payloads
+    };
+  }
+}
+
+export default new TransactionHistory();
@@ -0,0 +1,173 @@
+import Transaction from '../models/Transaction.js';
+import FutureOutput from '../models/FutureOutput.js';
+import { logger } from '../utils/logger.js';
+
+class TransactionIndexer {
+  /**
+   * Map verbose vin entries to Transaction.inputs
+   */
+  mapInputs(tx) {
+    return (tx.vin || []).map(vin => ({
+      txid: vin.txid,
+      vout: vin.vout,
+      address: vin.address,
+      amount: vin.value || 0,
+      scriptSig: vin.scriptSig?.hex
+    }));
+  }
+
+  /**
+   * Map verbose vout entries to Transaction.outputs, keeping any asset they carry
+   */
+  mapOutputs(tx) {
+    return (tx.vout || []).map(vout => {
+      const asset = vout.scriptPubKey?.asset;
+
+      return {
+        n: vout.n,
+        address: vout.scriptPubKey?.addresses?.[0],
+        amount: vout.value || 0,
+        scriptPubKey: vout.scriptPubKey?.hex,
+        ...(asset && {
+          asset: {
+            assetId: asset.asset_id || null,
+            assetName: asset.name || null,
+            amount: asset.amount || 0
+          }
+        }),
+        spent: false
+      };
+    });
+  }
+
+  /**
+   * Store a block's transactions that no asset/future handler recorded
+   * One bulk upsert per block; existing documents are left untouched
+   */
+  async recordTransactions(txs, blockHeight, blockTime, blockHash) {
+    if (txs.length === 0) return 0;
+
+    const operations = txs.map(tx => ({
+      updateOne: {
+        filter: { txid: tx.txid },
+        update: {
+          $setOnInsert: {
+            txid: tx.txid,
+            blockHeight,
+            blockHash: blockHash || '',
+            timestamp: blockTime,
+            confirmations: tx.confirmations || 0,
+            size: tx.size || 0,
+            fee: tx.fee || 0,
+            inputs: this.mapInputs(tx),
+            outputs: this.mapOutputs(tx),
+            type: 'standard'
+          }
+        },
+        upsert: true
+      }
+    }));
+
+    try {
+      const result = await Transaction.bulkWrite(operations, { ordered: false });
+      return result.upsertedCount;
+    } catch (error) {
+      // Duplicates from a concurrent insert are fine, anything else is not
+      const failures = error.writeErrors?.filter(writeError => writeError.code !== 11000) ?? [error];
+      if (failures.length > 0) {
+        logger.error(`Error recording transactions for block ${blockHeight}:`, error);
+        throw error;
+      }
+      return error.result?.upsertedCount ?? 0;
+    }
+  }
+
+  /**
+   * Mark the outputs consumed by a block's transaction inputs as spent
+   */
+  async markSpentOutputs(txs, blockHeight, blockTime) {
+    const outputUpdates = [];
+    const futureUpdates = [];
+
+    for (const tx of txs) {
+      for (const [index, vin] of (tx.vin || []).entries()) {
+        if (vin.coinbase || !vin.txid || vin.vout === undefined) continue;
+
+        outputUpdates.push({
+          updateOne: {
+            filter: { txid: vin.txid, 'outputs.n': vin.vout },
+            update: {
+              $set: {
+                'outputs.$.spent': true,
+                'outputs.$.spentTxid': tx.txid,
+                'outputs.$.spentVin': index,
+                'outputs.$.spentHeight': blockHeight,
+                'outputs.$.spentAt': blockTime
+              }
+            }
+          }
+        });
+
+        // Spending a future output settles it
+        futureUpdates.push({
+          updateOne: {
+            filter: { txid: vin.txid, vout: vin.vout },
+            update: {
+              $set: {
+                status: 'spent',
+                spentTxid: tx.txid,
+                spentHeight: blockHeight,
+                spentAt: blockTime
+              }
+            }
+          }
+        });
+      }
+    }
+
+    if (outputUpdates.length === 0) return 0;
+
+    const [{ modifiedCount: marked }] = await Promise.all([
+      Transaction.bulkWrite(outputUpdates, { ordered: false }),
+      FutureOutput.bulkWrite(futureUpdates, { ordered: false })
+    ]);
+
+    if (marked > 0) {
+      logger.debug(`Marked ${marked} output(s) spent in block ${blockHeight}`);
+    }
+
+    return marked;
+  }
+
+  /**
+   * Un-spend outputs consumed by transactions above a height (chain reorganization)
+   */
+  async rollbackAbove(commonAncestor) {
+    const { modifiedCount: outputsUnspent } = await Transaction.updateMany(
+      { 'outputs.spentHeight': { $gt: commonAncestor } },
+      {
+        $set: { 'outputs.$[output].spent': false },
+        $unset: {
+          'outputs.$[output].spentTxid': '',
+          'outputs.$[output].spentVin': '',
+          'outputs.$[output].spentHeight': '',
+          'outputs.$[output].spentAt': ''
+        }
+      },
+      { arrayFilters: [{ 'output.spentHeight': { $gt: commonAncestor } }] }
+    );
+
+    // A spent future must have been unlocked first
+    await FutureOutput.updateMany(
+      { status: 'spent', spentHeight: { $gt: commonAncestor } },
+      {
+        $set: { status: 'unlocked' },
+        $unset: { spentTxid: '', spentHeight: '', spentAt: '' }
+      }
+    );
+
+    return outputsUnspent;
+  }
+}
+
+export default new TransactionIndexer();
@@ -0,0 +1,134 @@
+import { EventEmitter } from 'events';
+import { logger } from '../utils/logger.js';
+
+const TOPICS = ['hashblock', 'rawtx'];
+
+/**
+ * Block and transaction notifications from raptoreumd's ZMQ publisher
+ * (-zmqpubhashblock and -zmqpubrawtx).
+ *
+ * Notifications only wake the sync daemon and the mempool watcher early; both
+ * keep polling on their own interval, so a dropped socket or a missed message
+ * delays indexing but never loses anything. Disabled unless an endpoint is set.
+ */
+class ZmqSubscriber {
+  constructor() {
+    this.endpoints = {
+      hashblock: process.env.RAPTOREUMD_ZMQ_HASHBLOCK || '',
+      rawtx: process.env.RAPTOREUMD_ZMQ_RAWTX || ''
+    };
+    this.enabled = TOPICS.some(topic => this.endpoints[topic]);
+    this.emitter = new EventEmitter();
+    this.sockets = [];
+
+    // Endpoints with a live connection, and the last sequence number per topic
+    this.connected = new Set();
+    this.sequences = new Map();
+    this.lastNotificationAt = null;
+  }
+
+  /**
+   * Connect to the configured endpoints
+   * Returns false when ZMQ is disabled or the zeromq package is unavailable
+   */
+  async start() {
+    if (!this.enabled) return false;
+    if (this.sockets.length > 0) return true;
+
+    let zmq;
+    try {
+      zmq = await import('zeromq');
+    } catch (error) {
+      logger.warn(`[ZMQ] zeromq package unavailable, polling only: ${error.message}`);
+      return false;
+    }
+
+    // raptoreumd may publish several topics on one endpoint, which needs only one socket
+    const topicsByEndpoint = new Map();
+    for (const topic of TOPICS) {
+      const endpoint = this.endpoints[topic];
+      if (!endpoint) continue;
+      topicsByEndpoint.set(endpoint, [...(topicsByEndpoint.get(endpoint) || []), topic]);
+    }
+
+    for (const [endpoint, topics] of topicsByEndpoint) {
+      const socket = new zmq.Subscriber({ reconnectInterval: 1000, reconnectMaxInterval: 30000 });
+
+      socket.events.on('connect', () => {
+        this.connected.add(endpoint);
+        logger.info(`[ZMQ] Connected to ${endpoint} (${topics.join(', ')})`);
+      });
+      socket.events.on('disconnect', () => {
+        this.connected.delete(endpoint);
+        logger.warn(`[ZMQ] Disconnected from ${endpoint}, polling until it reconnects`);
+      });
+
+      socket.connect(endpoint);
+      socket.subscribe(...topics);
+      this.sockets.push(socket);
+      this.receive(socket, endpoint);
+    }
+
+    return true;
+  }
+
+  async receive(socket, endpoint) {
+    try {
+      for await (const [topic, body, sequence] of socket) {
+        this.handleMessage(topic.toString(), body, sequence);
+      }
+    } catch (error) {
+      if (!socket.closed) {
+        logger.error(`[ZMQ] Receiving from ${endpoint} failed, polling only: ${error.message}`);
+        this.connected.delete(endpoint);
+      }
+    }
+  }
+
+  /**
+   * Handle one [topic, body, sequence] notification
+   */
+  handleMessage(topic, body, sequence) {
+    const seq = sequence?.length >= 4 ? sequence.readUInt32LE(0) : null;
+    const last = this.sequences.get(topic);
+    if (seq !== null && last !== undefined && seq !== ((last + 1) >>> 0)) {
+      // Polling catches up on whatever the missed notifications announced
+      logger.warn(`[ZMQ] Missed ${topic} notifications (sequence ${last} -> ${seq})`);
+    }
+    if (seq !== null) this.sequences.set(topic, seq);
+    this.lastNotificationAt = new Date();
+
+    if (topic === 'hashblock') {
+      this.emitter.emit('block', body.toString('hex'));
+    } else if (topic === 'rawtx') {
+      this.emitter.emit('transaction', body);
+    }
+  }
+
+  /**
+   * Listen for 'block' (block hash) or 'transaction' (raw tx bytes) notifications
+   * @returns {Function} Unsubscribe function
+   */
+  on(event, listener) {
+    this.emitter.on(event, listener);
+    return () => this.emitter.off(event, listener);
+  }
+
+  get isConnected() {
+    return this.connected.size > 0;
+  }
+
+  async stop() {
+    if (this.sockets.length === 0) return;
+
+    for (const socket of this.sockets) {
+      socket.close();
+    }
+    this.sockets = [];
+    this.connected.clear();
+    this.sequences.clear();
+    logger.info('[ZMQ] Subscriber stopped');
+  }
+}
+
+export default new ZmqSubscriber();
@@ -0,0 +1,225 @@
+/**
+ * Normalization of asset metadata to the Raptoreum metadata schema.
+ *
+ * Creators publish metadata in many shapes: attributes as a map instead of a
+ * list, `image` as a bare CID or a link to some gateway, camelCase field names.
+ * Metadata is rewritten to the canonical shape documented in METADATA_SCHEMA.md
+ * when it is indexed, and every rewrite or rejected value is recorded as a
+ * warning in a quality report stored with the asset.
+ */
+
+import { parseCid } from './cid.js';
+
+export const METADATA_SCHEMA_VERSION = 1;
+
+// Fields holding a URI, in their canonical names
+const URI_FIELDS = ['image', 'animation_url', 'external_url'];
+
+// Non-canonical field names creators use, by canonical name
+const FIELD_ALIASES = {
+  image: ['image_url', 'imageUrl', 'imageURI', 'image_uri'],
+  animation_url: ['animationUrl', 'animation'],
+  external_url: ['externalUrl', 'external_link', 'externalLink'],
+  attributes: ['traits']
+};
+
+// Names creators use for an attribute's trait_type
+const TRAIT_TYPE_ALIASES = ['traitType', 'trait', 'type', 'name', 'key'];
+
+// Schemes kept as they are; IPFS content is rewritten to ipfs://
+const KEPT_SCHEMES = ['https:', 'http:', 'ipns:', 'ar:', 'data:'];
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+const isScalar = (value) => ['string', 'number', 'boolean'].includes(typeof value);
+
+/**
+ * ipfs://<cid>[/path] for a CID and the path below it, or null when the first
+ * segment is no CID
+ */
+function ipfsUri(cidAndPath) {
+  const [cid, ...rest] = cidAndPath.split('/');
+  if (!parseCid(cid)) return null;
+  const path = rest.filter(Boolean).join('/');
+  return `ipfs://${cid}${path ? `/${path}` : ''}`;
+}
+
+/**
+ * Canonical form of a URI: IPFS content as ipfs://<cid>[/path] whichever way
+ * it was written (bare CID, /ipfs/ path, path or subdomain gateway URL), other
+ * URIs unchanged
+ *
+ * @param {string} value
+ * @returns {string|null} null when the value is no usable URI
+ */
+export function canonicalUri(value) {
+  const text = value.trim();
+
+  if (/^ipfs:\/\//i.test(text)) {
+    return ipfsUri(text.slice(7).replace(/^ipfs\//i, '').split(/[?#]/)[0]);
+  }
+  if (text.startsWith('/ipfs/')) {
+    return ipfsUri(text.slice(6).split(/[?#]/)[0]);
+  }
+
+  let url;
+  try {
+    url = new URL(text);
+  } catch {
+    // No scheme: a bare CID, possibly with a path
+    return ipfsUri(text.split(/[?#]/)[0]);
+  }
+
+  if (url.protocol === 'http:' || url.protocol === 'https:') {
+    const pathGateway = url.pathname.match(/^\/ipfs\/(.+)$/);
+    if (pathGateway) return ipfsUri(pathGateway[1]) || text;
+
+    const subdomainGateway = url.hostname.match(/^([a-z0-9]+)\.ipfs\./i);
+    if (subdomainGateway) return ipfsUri(`${subdomainGateway[1]}${url.pathname}`) || text;
+  }
+
+  return KEPT_SCHEMES.includes(url.protocol) ? text : null;
+}
+
+/**
+ * Normalize metadata fetched for an asset
+ *
+ * Fields outside the schema are kept as they are. Values that cannot be
+ * brought into the schema are dropped.
+ *
+ * @param {Object} raw - Metadata object as published
+ * @param {string} assetName - On-chain name, used when the metadata has none
+ * @returns {{metadata: Object, quality: {schemaVersion, status, warnings}}}
+ *   status is 'valid' when nothing had to change, 'normalized' when every
+ *   warning was fixed, 'invalid' when a value was dropped, and 'empty' when
+ *   the reference hash holds no metadata fields
+ */
+export function normalizeMetadata(raw, assetName) {
+  const warnings = [];
+  const warn = (field, code, message, fixed) => warnings.push({ field, code, message, fixed });
+  const metadata = { ...raw };
+
+  if (Object.keys(raw).length === 0) {
+    return {
+      metadata: { name: assetName },
+      quality: { schemaVersion: METADATA_SCHEMA_VERSION, status: 'empty', warnings }
+    };
+  }
+
+  for (const [field, aliases] of Object.entries(FIELD_ALIASES)) {
+    const alias = aliases.find(name => metadata[name] !== undefined);
+    if (metadata[field] === undefined && alias) {
+      metadata[field] = metadata[alias];
+      delete metadata[alias];
+      warn(field, 'renamed_field', `${alias} renamed to ${field}`, true);
+    }
+  }
+
+  for (const field of ['name', 'description']) {
+    const value = metadata[field];
+    if (value === undefined || value === null || typeof value === 'string') continue;
+    if (isScalar(value)) {
+      metadata[field] = String(value);
+      warn(field, 'coerced_value', `${field} converted from ${typeof value} to string`, true);
+    } else {
+      delete metadata[field];
+      warn(field, 'invalid_type', `${field} must be a string`, false);
+    }
+  }
+
+  if (!metadata.name?.trim()) {
+    metadata.name = assetName;
+    warn('name', 'missing_name', 'No name, the on-chain asset name is used', true);
+  }
+
+  for (const field of URI_FIELDS) {
+    const value = metadata[field];
+    if (value === undefined || value === null || value === '') continue;
+    const uri = typeof value === 'string' ? canonicalUri(value) : null;
+    if (!uri) {
+      delete metadata[field];
+      warn(field, 'invalid_uri', `${field} is not a URI or IPFS CID`, false);
+    } else if (uri !== value) {
+      metadata[field] = uri;
+      warn(field, 'uri_rewritten', `${field} rewritten from ${value} to ${uri}`, true);
+    }
+  }
+
+  if (metadata.attributes !== undefined && metadata.attributes !== null) {
+    metadata.attributes = normalizeAttributes(metadata.attributes, warn);
+  }
+
+  if (metadata.properties !== undefined && metadata.properties !== null && !isPlainObject(metadata.properties)) {
+    delete metadata.properties;
+    warn('properties', 'invalid_type', 'properties must be an object', false);
+  }
+
+  let status = 'valid';
+  if (warnings.length > 0) {
+    status = warnings.every(warning => warning.fixed) ? 'normalized' : 'invalid';
+  }
+
+  return {
+    metadata,
+    quality: { schemaVersion: METADATA_SCHEMA_VERSION, status, warnings }
+  };
+}
+
+/**
+ * Attributes as a list of {trait_type, value[, display_type]}
+ * A map of trait types to values becomes a list; entries without a scalar
+ * value are dropped.
+ */
+function normalizeAttributes(attributes, warn) {
+  let entries = attributes;
+
+  if (isPlainObject(attributes)) {
+    entries = Object.entries(attributes).map(([trait_type, value]) =>
+      isPlainObject(value) ? { trait_type, ...value } : { trait_type, value });
+    warn('attributes', 'attributes_object', 'attributes converted from an object to a list', true);
+  } else if (!Array.isArray(attributes)) {
+    warn('attributes', 'invalid_type', 'attributes must be a list', false);
+    return [];
+  }
+
+  const normalized = [];
+  entries.forEach((entry, index) => {
+    const field = `attributes[${index}]`;
+
+    if (!isPlainObject(entry)) {
+      warn(field, 'invalid_attribute', 'Attribute is not an object', false);
+      return;
+    }
+
+    const attribute = { ...entry };
+    if (attribute.trait_type === undefined) {
+      const alias = TRAIT_TYPE_ALIASES.find(name => isScalar(attribute[name]));
+      if (alias) {
+        attribute.trait_type = attribute[alias];
+        delete attribute[alias];
+        warn(field, 'renamed_field', `${alias} renamed to trait_type`, true);
+      }
+    }
+    if (attribute.trait_type !== undefined && typeof attribute.trait_type !== 'string') {
+      if (!isScalar(attribute.trait_type)) {
+        warn(field, 'invalid_attribute', 'trait_type must be a string', false);
+        return;
+      }
+      warn(field, 'coerced_value', `trait_type converted from ${typeof attribute.trait_type} to string`, true);
+      attribute.trait_type = String(attribute.trait_type);
+    }
+
+    if (!isScalar(attribute.value)) {
+      warn(field, 'invalid_attribute', 'Attribute has no string, number or boolean value', false);
+      return;
+    }
+
+    if (attribute.display_type !== undefined && typeof attribute.display_type !== 'string') {
+      delete attribute.display_type;
+      warn(field, 'invalid_type', 'display_type must be a string', false);
+    }
+
+    normalized.push(attribute);
+  });
+
+  return normalized;
+}
@@ -0,0 +1,420 @@
+/**
+ * CID parsing and content verification for IPFS data.
+ *
+ * Content is verified by rebuilding the block(s) `ipfs add` produces for it
+ * with the default importer settings and comparing the root hash with the
+ * CID's multihash: 256 KiB chunks, balanced DAG of up to 174 links per node,
+ * dag-pb leaves for CIDv0 and raw leaves for CIDv1.
+ *
+ * Content added with other settings (larger chunks, trickle DAGs) cannot be
+ * rebuilt. Its DAG is walked instead: each node's block is fetched raw and
+ * checked against its hash, and the content is split along the links.
+ */
+
+import crypto from 'crypto';
+
+const BASE58_ALPHABET = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+const BASE32_ALPHABET = 'abcdefghijklmnopqrstuvwxyz234567';
+
+export const CODECS = { raw: 0x55, dagPb: 0x70 };
+
+// Multihash function code -> Node hash; identity keeps the bytes as they are
+const HASHES = {
+  0x00: (bytes) => Buffer.from(bytes),
+  0x12: (bytes) => crypto.createHash('sha256').update(bytes).digest(),
+  0x13: (bytes) => crypto.createHash('sha512').update(bytes).digest()
+};
+
+const CHUNK_SIZE = 262144;
+const MAX_LINKS = 174;
+
+// UnixFS node types
+const UNIXFS_RAW = 0;
+const UNIXFS_FILE = 2;
+
+// ============================================
+// Encodings
+// ============================================
+
+function decodeBase58(text) {
+  let value = 0n;
+  for (const char of text) {
+    const digit = BASE58_ALPHABET.indexOf(char);
+    if (digit < 0) throw new Error(`Invalid base58 character "${char}"`);
+    value = value * 58n + BigInt(digit);
+  }
+
+  const bytes = [];
+  while (value > 0n) {
+    bytes.unshift(Number(value & 0xffn));
+    value >>= 8n;
+  }
+  const leadingZeros = text.match(/^1*/)[0].length;
+  return Buffer.from([...new Array(leadingZeros).fill(0), ...bytes]);
+}
+
+function encodeBase58(bytes) {
+  let value = BigInt('0x' + (Buffer.from(bytes).toString('hex') || '0'));
+  let text = '';
+  while (value > 0n) {
+    text = BASE58_ALPHABET[Number(value % 58n)] + text;
+    value /= 58n;
+  }
+  const leadingZeros = bytes.findIndex(byte => byte !== 0);
+  return '1'.repeat(leadingZeros < 0 ? bytes.length : leadingZeros) + text;
+}
+
+function decodeBase32(text) {
+  const bytes = [];
+  let buffer = 0;
+  let bits = 0;
+  for (const char of text.toLowerCase()) {
+    const digit = BASE32_ALPHABET.indexOf(char);
+    if (digit < 0) throw new Error(`Invalid base32 character "${char}"`);
+    buffer = (buffer << 5) | digit;
+    bits += 5;
+    if (bits >= 8) {
+      bits -= 8;
+      bytes.push((buffer >> bits) & 0xff);
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+function encodeBase32(bytes) {
+  let text = '';
+  let buffer = 0;
+  let bits = 0;
+  for (const byte of bytes) {
+    buffer = (buffer << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      bits -= 5;
+      text += BASE32_ALPHABET[(buffer >> bits) & 31];
+    }
+  }
+  if (bits > 0) text += BASE32_ALPHABET[(buffer << (5 - bits)) & 31];
+  return text;
+}
+
+function encodeVarint(value) {
+  const bytes = [];
+  while (value >= 0x80) {
+    bytes.push((value % 0x80) | 0x80);
+    value = Math.floor(value / 0x80);
+  }
+  bytes.push(value);
+  return Buffer.from(bytes);
+}
+
+function decodeVarint(bytes, offset) {
+  let value = 0;
+  let shift = 0;
+  for (let i = offset; i < bytes.length; i++) {
+    value += (bytes[i] & 0x7f) * 2 ** shift;
+    shift += 7;
+    if ((bytes[i] & 0x80) === 0) return [value, i + 1];
+  }
+  throw new Error('Truncated varint');
+}
+
+// ============================================
+// CIDs
+// ============================================
+
+/**
+ * Parse a CIDv0 (Qm...) or multibase CIDv1 string (base32, base58btc or base16)
+ * @returns {{version, codec, hashCode, digest, multihash, bytes}|null} null when the string is no CID
+ */
+export function parseCid(text) {
+  try {
+    if (typeof text !== 'string') return null;
+    text = text.trim().replace(/^ipfs:\/\//, '').replace(/^\/?ipfs\//, '').split(/[/?#]/)[0];
+
+    if (text.length === 46 && text.startsWith('Qm')) {
+      const multihash = decodeBase58(text);
+      return decodeBinaryCid(multihash);
+    }
+
+    const prefix = text[0];
+    const body = text.slice(1);
+    let bytes;
+    if (prefix === 'b' || prefix === 'B') bytes = decodeBase32(body);
+    else if (prefix === 'z') bytes = decodeBase58(body);
+    else if (prefix === 'f' || prefix === 'F') bytes = Buffer.from(body, 'hex');
+    else return null;
+
+    const cid = decodeBinaryCid(bytes);
+    return cid?.version === 1 ? cid : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Decode a binary CID, as found in dag-pb links
+ * A bare sha2-256 multihash is a CIDv0
+ */
+export function decodeBinaryCid(bytes) {
+  let version = 0;
+  let codec = CODECS.dagPb;
+  let offset = 0;
+
+  if (!(bytes.length === 34 && bytes[0] === 0x12 && bytes[1] === 0x20)) {
+    [version, offset] = decodeVarint(bytes, 0);
+    if (version !== 1) return null;
+    [codec, offset] = decodeVarint(bytes, offset);
+  }
+
+  const multihash = bytes.subarray(offset);
+  const [hashCode, digestOffset] = decodeVarint(multihash, 0);
+  const [length, start] = decodeVarint(multihash, digestOffset);
+  const digest = multihash.subarray(start, start + length);
+  if (digest.length !== length || start + length !== multihash.length) return null;
+
+  return { version, codec, hashCode, digest, multihash, bytes };
+}
+
+/**
+ * Canonical string form: base58btc for CIDv0, base32 for CIDv1
+ */
+export function formatCid(cid) {
+  return cid.version === 0 ? encodeBase58(cid.multihash) : 'b' + encodeBase32(cid.bytes);
+}
+
+function createCid(version, codec, hashCode, block) {
+  const digest = HASHES[hashCode](block);
+  const multihash = Buffer.concat([encodeVarint(hashCode), encodeVarint(digest.length), digest]);
+  const bytes = version === 0 ? multihash : Buffer.concat([encodeVarint(1), encodeVarint(codec), multihash]);
+  return { version, codec, hashCode, digest, multihash, bytes };
+}
+
+// ============================================
+// dag-pb / UnixFS encoding
+// ============================================
+
+function bytesField(field, value) {
+  return Buffer.concat([encodeVarint((field << 3) | 2), encodeVarint(value.length), value]);
+}
+
+function varintField(field, value) {
+  return Buffer.concat([encodeVarint(field << 3), encodeVarint(value)]);
+}
+
+function encodeUnixFs({ type, data, fileSize, blockSizes = [] }) {
+  return Buffer.concat([
+    varintField(1, type),
+    ...(data?.length > 0 ? [bytesField(2, data)] : []),
+    varintField(3, fileSize),
+    ...blockSizes.map(size => varintField(4, size))
+  ]);
+}
+
+// Links are encoded before the data, as dag-pb requires
+function encodePbNode({ links = [], data }) {
+  return Buffer.concat([
+    ...links.map(link => bytesField(2, Buffer.concat([
+      bytesField(1, link.cid.bytes),
+      bytesField(2, Buffer.alloc(0)),
+      varintField(3, link.size)
+    ]))),
+    bytesField(1, data)
+  ]);
+}
+
+// Fields of a protobuf message as [field number, value]; bytes fields as Buffers
+function decodeFields(bytes) {
+  const fields = [];
+  let offset = 0;
+  while (offset < bytes.length) {
+    let key;
+    [key, offset] = decodeVarint(bytes, offset);
+    const field = Math.floor(key / 8);
+    const wireType = key % 8;
+
+    if (wireType === 0) {
+      let value;
+      [value, offset] = decodeVarint(bytes, offset);
+      fields.push([field, value]);
+    } else if (wireType === 2) {
+      let length;
+      [length, offset] = decodeVarint(bytes, offset);
+      if (offset + length > bytes.length) throw new Error('Truncated protobuf field');
+      fields.push([field, bytes.subarray(offset, offset + length)]);
+      offset += length;
+    } else {
+      throw new Error(`Unsupported protobuf wire type ${wireType}`);
+    }
+  }
+  return fields;
+}
+
+function decodePbNode(block) {
+  const node = { links: [], data: Buffer.alloc(0) };
+  for (const [field, value] of decodeFields(block)) {
+    if (field === 1) node.data = value;
+    if (field === 2) {
+      const hash = decodeFields(value).find(([linkField]) => linkField === 1);
+      const cid = hash && decodeBinaryCid(hash[1]);
+      if (!cid) throw new Error('dag-pb link without a valid CID');
+      node.links.push(cid);
+    }
+  }
+  return node;
+}
+
+function decodeUnixFs(bytes) {
+  const unixfs = { type: null, data: Buffer.alloc(0), blockSizes: [] };
+  for (const [field, value] of decodeFields(bytes)) {
+    if (field === 1) unixfs.type = value;
+    if (field === 2) unixfs.data = value;
+    if (field === 4) {
+      // Block sizes may also be written packed
+      if (Buffer.isBuffer(value)) {
+        for (let offset = 0; offset < value.length;) {
+          let size;
+          [size, offset] = decodeVarint(value, offset);
+          unixfs.blockSizes.push(size);
+        }
+      } else {
+        unixfs.blockSizes.push(value);
+      }
+    }
+  }
+  return unixfs;
+}
+
+/**
+ * Root CID `ipfs add` would produce for the content with one importer layout
+ * @returns {Object|null} null when the layout cannot produce a root of this kind
+ */
+function buildFileRoot(content, { version, hashCode, rawLeaves, leafType }) {
+  const chunks = [];
+  for (let offset = 0; offset < content.length || chunks.length === 0; offset += CHUNK_SIZE) {
+    chunks.push(content.subarray(offset, offset + CHUNK_SIZE));
+  }
+
+  let level = chunks.map(chunk => {
+    const block = rawLeaves
+      ? chunk
+      : encodePbNode({ data: encodeUnixFs({ type: leafType, data: chunk, fileSize: chunk.length }) });
+    return {
+      cid: createCid(version, rawLeaves ? CODECS.raw : CODECS.dagPb, hashCode, block),
+      size: block.length,
+      fileSize: chunk.length
+    };
+  });
+
+  // A single chunk is its own root; with raw leaves that root is not dag-pb
+  if (level.length === 1) return rawLeaves ? null : level[0].cid;
+
+  while (level.length > 1) {
+    const parents = [];
+    for (let i = 0; i < level.length; i += MAX_LINKS) {
+      const children = level.slice(i, i + MAX_LINKS);
+      const fileSize = children.reduce((sum, child) => sum + child.fileSize, 0);
+      const block = encodePbNode({
+        links: children,
+        data: encodeUnixFs({ type: UNIXFS_FILE, fileSize, blockSizes: children.map(child => child.fileSize) })
+      });
+      parents.push({
+        cid: createCid(version, CODECS.dagPb, hashCode, block),
+        size: block.length + children.reduce((sum, child) => sum + child.size, 0),
+        fileSize
+      });
+    }
+    level = parents;
+  }
+  return level[0].cid;
+}
+
+// ============================================
+// Verification
+// ============================================
+
+/**
+ * Check content against the CID it was requested by
+ *
+ * Content that the default importer layouts rebuild is verified without any
+ * blocks. Other dag-pb content is checked by walking its DAG with `getBlock`,
+ * which returns a block's raw bytes by CID (or null when it cannot).
+ *
+ * @param {string} cidText - Requested CID
+ * @param {Buffer} content - Bytes returned for it
+ * @param {Object} options
+ * @param {function(string): Promise<Buffer|null>} options.getBlock - Raw block source
+ * @returns {Promise<'verified'|'mismatch'|'unsupported'>} mismatch only when a
+ *   hash proves the content wrong; unsupported when the string is no CID, its
+ *   codec or hash function cannot be recomputed, or its layout is unknown and
+ *   the blocks needed to check it are not available
+ */
+export async function verifyContent(cidText, content, { getBlock = null } = {}) {
+  const cid = parseCid(cidText);
+  if (!cid || !HASHES[cid.hashCode]) return 'unsupported';
+
+  if (cid.codec === CODECS.dagPb) {
+    // Older importers wrote leaves as UnixFS raw nodes
+    const layouts = [
+      { rawLeaves: false, leafType: UNIXFS_FILE },
+      { rawLeaves: false, leafType: UNIXFS_RAW },
+      ...(cid.version === 1 ? [{ rawLeaves: true }] : [])
+    ];
+    const { version, hashCode } = cid;
+    if (layouts.some(layout => buildFileRoot(content, { version, hashCode, ...layout })?.digest.equals(cid.digest))) {
+      return 'verified';
+    }
+  }
+
+  return verifyNode(cid, content, getBlock);
+}
+
+/**
+ * Check content against one node of a DAG, fetching dag-pb blocks as needed
+ */
+async function verifyNode(cid, content, getBlock) {
+  if (!HASHES[cid.hashCode]) return 'unsupported';
+
+  const hashOf = (block, codec = cid.codec) => createCid(cid.version, codec, cid.hashCode, block).digest;
+
+  if (cid.codec === CODECS.raw) {
+    return hashOf(content).equals(cid.digest) ? 'verified' : 'mismatch';
+  }
+  if (cid.codec !== CODECS.dagPb) return 'unsupported';
+
+  // A leaf holding the whole content needs no block
+  for (const type of [UNIXFS_FILE, UNIXFS_RAW]) {
+    const leaf = encodePbNode({ data: encodeUnixFs({ type, data: content, fileSize: content.length }) });
+    if (hashOf(leaf).equals(cid.digest)) return 'verified';
+  }
+
+  // A wrong block says nothing about the content
+  const block = getBlock ? await getBlock(formatCid(cid)) : null;
+  if (!block || !hashOf(block).equals(cid.digest)) return 'unsupported';
+
+  let node;
+  let unixfs;
+  try {
+    node = decodePbNode(block);
+    unixfs = decodeUnixFs(node.data);
+  } catch {
+    return 'unsupported';
+  }
+  if (![UNIXFS_FILE, UNIXFS_RAW].includes(unixfs.type) || node.links.length !== unixfs.blockSizes.length) {
+    return 'unsupported';
+  }
+
+  // The node's own data comes first, then each child's part of the content
+  const expectedSize = unixfs.blockSizes.reduce((sum, size) => sum + size, unixfs.data.length);
+  if (expectedSize !== content.length || !content.subarray(0, unixfs.data.length).equals(unixfs.data)) {
+    return 'mismatch';
+  }
+
+  let offset = unixfs.data.length;
+  for (let i = 0; i < node.links.length; i++) {
+    const part = content.subarray(offset, offset + unixfs.blockSizes[i]);
+    const result = await verifyNode(node.links[i], part, getBlock);
+    if (result !== 'verified') return result;
+    offset += unixfs.blockSizes[i];
+  }
+  return 'verified';
+}
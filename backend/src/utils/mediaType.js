@@ -0,0 +1,107 @@
+/**
+ * Content type detection from magic bytes.
+ *
+ * IPFS content has no file name, and gateways guess its type, so media is
+ * typed by its leading bytes instead: a WebP saved as .png is still image/webp.
+ */
+
+// [MIME type, offset, signature bytes]
+const SIGNATURES = [
+  ['image/png', 0, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]],
+  ['image/jpeg', 0, [0xff, 0xd8, 0xff]],
+  ['image/gif', 0, [0x47, 0x49, 0x46, 0x38]],
+  ['image/bmp', 0, [0x42, 0x4d]],
+  ['image/x-icon', 0, [0x00, 0x00, 0x01, 0x00]],
+  ['image/tiff', 0, [0x49, 0x49, 0x2a, 0x00]],
+  ['image/tiff', 0, [0x4d, 0x4d, 0x00, 0x2a]],
+  ['application/pdf', 0, [0x25, 0x50, 0x44, 0x46, 0x2d]],
+  ['audio/ogg', 0, [0x4f, 0x67, 0x67, 0x53]],
+  ['audio/flac', 0, [0x66, 0x4c, 0x61, 0x43]],
+  ['audio/mpeg', 0, [0x49, 0x44, 0x33]],
+  ['model/gltf-binary', 0, [0x67, 0x6c, 0x54, 0x46]],
+  ['application/zip', 0, [0x50, 0x4b, 0x03, 0x04]],
+  ['application/gzip', 0, [0x1f, 0x8b]]
+];
+
+// RIFF containers, by the form type at offset 8
+const RIFF_TYPES = { WEBP: 'image/webp', 'WAVE': 'audio/wav', 'AVI ': 'video/x-msvideo' };
+
+// ISO base media files (MP4, MOV, AVIF, HEIC), by the major brand at offset 8
+const FTYP_BRANDS = {
+  avif: 'image/avif',
+  avis: 'image/avif',
+  heic: 'image/heic',
+  heix: 'image/heic',
+  mif1: 'image/heif',
+  'qt  ': 'video/quicktime',
+  'M4A ': 'audio/mp4'
+};
+
+const matches = (bytes, offset, signature) =>
+  bytes.length >= offset + signature.length && signature.every((byte, i) => bytes[offset + i] === byte);
+
+const ascii = (bytes, start, end) => bytes.subarray(start, end).toString('latin1');
+
+/**
+ * Text types for content without a binary signature: JSON, SVG, XML or plain text
+ */
+function sniffText(bytes) {
+  const sample = bytes.subarray(0, 4096);
+  // Control characters other than tab, newline and carriage return mean binary
+  if (sample.some(byte => byte < 0x09 || (byte > 0x0d && byte < 0x20))) return null;
+
+  const text = sample.toString('utf8').replace(/^\uFEFF/, '').trimStart();
+  if (/^(<\?xml[^>]*>\s*)?(<!--[\s\S]*?-->\s*)*(<!DOCTYPE svg[^>]*>\s*)?<svg[\s>]/i.test(text)) return 'image/svg+xml';
+  if (text.startsWith('<?xml')) return 'application/xml';
+  if (text.startsWith('{') || text.startsWith('[')) {
+    try {
+      JSON.parse(bytes.toString('utf8'));
+      return 'application/json';
+    } catch {
+      // Not JSON after all, so plain text
+    }
+  }
+  return 'text/plain';
+}
+
+/**
+ * Detect the MIME type of content from its leading bytes
+ * @param {Buffer} bytes
+ * @returns {string} application/octet-stream when nothing matches
+ */
+export function sniffContentType(bytes) {
+  for (const [mimeType, offset, signature] of SIGNATURES) {
+    if (matches(bytes, offset, signature)) return mimeType;
+  }
+
+  if (ascii(bytes, 0, 4) === 'RIFF' && RIFF_TYPES[ascii(bytes, 8, 12)]) {
+    return RIFF_TYPES[ascii(bytes, 8, 12)];
+  }
+
+  if (ascii(bytes, 4, 8) === 'ftyp') {
+    return FTYP_BRANDS[ascii(bytes, 8, 12)] || 'video/mp4';
+  }
+
+  // Matroska: WebM declares its doctype in the EBML header
+  if (matches(bytes, 0, [0x1a, 0x45, 0xdf, 0xa3])) {
+    return ascii(bytes, 0, 64).includes('webm') ? 'video/webm' : 'video/x-matroska';
+  }
+
+  // MPEG audio frame sync without an ID3 tag
+  if (bytes.length >= 2 && bytes[0] === 0xff && (bytes[1] & 0xe0) === 0xe0) return 'audio/mpeg';
+
+  return sniffText(bytes) || 'application/octet-stream';
+}
+
+/**
+ * Broad kind of a MIME type, which decides what previews it gets
+ * @returns {'image'|'video'|'audio'|'document'|'data'|'other'}
+ */
+export function mediaKind(mimeType) {
+  if (mimeType.startsWith('image/')) return 'image';
+  if (mimeType.startsWith('video/')) return 'video';
+  if (mimeType.startsWith('audio/')) return 'audio';
+  if (mimeType === 'application/pdf' || mimeType === 'text/plain') return 'document';
+  if (mimeType === 'application/json' || mimeType === 'application/xml') return 'data';
+  return 'other';
+}
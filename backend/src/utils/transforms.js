@@ -13,10 +13,12 @@
  */
 export function transformAsset(asset) {
   const obj = asset.toObject ? asset.toObject() : { ...asset };
+  const { quality, ...metadata } = obj.metadata || {};
 
-  // Ensure metadata.attributes is an array
-  if (obj.metadata?.attributes && !Array.isArray(obj.metadata.attributes)) {
-    obj.metadata.attributes = Object.values(obj.metadata.attributes);
+  // Ensure metadata.attributes is an array (RPC responses and assets indexed
+  // before metadata was normalized at ingest)
+  if (metadata.attributes && !Array.isArray(metadata.attributes)) {
+    metadata.attributes = Object.values(metadata.attributes);
   }
 
   // Handle both database fields and blockchain RPC fields for amount/units
@@ -36,14 +38,17 @@ export function transformAsset(asset) {
     reissuable: obj.updatable ?? obj.reissuable ?? false,
     hasIpfs: !!obj.ipfsHash,
     ipfsHash: obj.ipfsHash || undefined,
+    ipfsVerified: obj.ipfsVerified ?? false,
     txid: obj.createdTxid ?? obj.txid,
     height: obj.createdBlockHeight ?? obj.height,
     blockTime: obj.createdAt ? new Date(obj.createdAt).getTime() / 1000 : obj.blockTime,
     owner: obj.creator ?? obj.owner,
-    metadata: obj.metadata || undefined,
+    metadata: obj.metadata ? metadata : undefined,
+    metadataQuality: quality || undefined,
     transferCount: obj.transferCount ?? 0,
     views: obj.views ?? 0,
     maxMintCount: obj.maxMintCount ?? 0,
+    isUnique: obj.isUnique ?? false,
     isSubAsset: obj.isSubAsset ?? false,
     parentAssetName: obj.parentAssetName || undefined,
     parentAssetId: obj.parentAssetId || undefined,
@@ -70,10 +75,300 @@ export function transformAssetTransfer(transfer) {
     txid: obj.txid,
     vout: obj.vout ?? undefined,
     from: obj.from,
+    senders: obj.senders?.length > 0 ? obj.senders : undefined,
     to: obj.to,
     amount: obj.amount,
+    serialStart: obj.serialStart ?? undefined,
+    serialEnd: obj.serialEnd ?? undefined,
     height: obj.blockHeight ?? obj.height,
     blockTime: obj.timestamp ? new Date(obj.timestamp).getTime() / 1000 : null,
     timestamp: obj.timestamp || null,
   };
 }
+
+/**
+ * Transform an AssetUnit document (one serial of a unique asset) to the
+ * frontend-expected format.
+ * 
+ * @param {Object} unit - AssetUnit document
+ * @returns {Object} Transformed unit object
+ */
+export function transformAssetUnit(unit) {
+  const obj = unit.toObject ? unit.toObject() : unit;
+
+  return {
+    assetId: obj.assetId,
+    assetName: obj.assetName,
+    serial: obj.serial,
+    owner: obj.owner || null,
+    mintTxid: obj.mintTxid || null,
+    mintedHeight: obj.mintedHeight ?? null,
+    mintedAt: obj.mintedAt || null,
+    lastTxid: obj.lastTxid || null,
+    lastHeight: obj.lastHeight ?? null,
+    lastMovedAt: obj.lastMovedAt || null,
+  };
+}
+
+/**
+ * Transform a database address document to the frontend-expected format.
+ * Maps field names from the DB schema to the frontend Address type.
+ * 
+ * @param {Object} address - Address document
+ * @returns {Object} Transformed address object
+ */
+export function transformAddress(address) {
+  const obj = address.toObject ? address.toObject() : { ...address };
+
+  return {
+    _id: obj._id,
+    address: obj.address,
+    balance: obj.balance ?? 0,
+    totalReceived: obj.totalReceived ?? 0,
+    totalSent: obj.totalSent ?? 0,
+    txCount: obj.transactionCount ?? 0,
+    assetBalances: obj.assetBalances || [],
+    assetsCreated: obj.assetsCreated ?? 0,
+    assetsOwned: obj.assetsOwned ?? 0,
+    isCreator: obj.isCreator ?? false,
+    profile: obj.profile || undefined,
+    firstSeenBlock: obj.firstSeenBlock ?? undefined,
+    lastSeenBlock: obj.lastSeenBlock ?? undefined,
+    firstSeen: obj.firstSeenAt ? new Date(obj.firstSeenAt).getTime() / 1000 : undefined,
+    lastSeen: obj.lastSeenAt ? new Date(obj.lastSeenAt).getTime() / 1000 : undefined,
+    createdAt: obj.createdAt,
+    updatedAt: obj.updatedAt,
+  };
+}
+
+/**
+ * Build one entry of an asset's metadata history from the update that
+ * produced it and the asset state that update left behind.
+ * 
+ * @param {Object} update - { version, txid, blockHeight, timestamp, changes }
+ * @param {Object} state - Asset document or AssetMetadataHistory.previous snapshot
+ * @param {boolean} current - Whether this is the asset's current version
+ * @returns {Object} Transformed version object
+ */
+export function transformAssetVersion(update, state, current = false) {
+  const { rawMetadata, quality, ...metadata } = state.metadata || {};
+
+  return {
+    version: update.version,
+    txid: update.txid,
+    blockHeight: update.blockHeight,
+    timestamp: update.timestamp || null,
+    changes: update.changes || [],
+    current,
+    ownerAddress: state.ownerAddress ?? state.creator ?? undefined,
+    referenceHash: state.referenceHash || undefined,
+    updatable: state.updatable ?? false,
+    maxMintCount: state.maxMintCount ?? 0,
+    distribution: state.distribution || undefined,
+    metadata: Object.keys(metadata).length > 0 ? metadata : undefined,
+    ipfsVerified: state.ipfsVerified ?? false,
+  };
+}
+
+/**
+ * Transform a mempool entry document to the frontend-expected format.
+ * 
+ * @param {Object} entry - MempoolEntry document
+ * @returns {Object} Transformed pending transaction object
+ */
+export function transformMempoolEntry(entry) {
+  const obj = entry.toObject ? entry.toObject() : { ...entry };
+
+  return {
+    txid: obj.txid,
+    txType: obj.txType ?? 0,
+    firstSeen: obj.firstSeen,
+    size: obj.size ?? 0,
+    fee: obj.fee ?? 0,
+    operations: (obj.operations || []).map(op => ({
+      operation: op.operation,
+      assetId: op.assetId,
+      assetName: op.assetName,
+      amount: op.amount ?? 0,
+      from: op.from || undefined,
+      to: op.to || undefined,
+    })),
+  };
+}
+
+/**
+ * Transform a Transaction document to a row of a block's transaction list.
+ * A missing fee is derived from input and output amounts when every input
+ * amount is known; coinbase transactions pay none.
+ * 
+ * @param {Object} tx - Transaction document
+ * @param {Object[]} transfers - AssetTransfer documents of the transaction
+ * @returns {Object} Transaction summary with its asset operations
+ */
+export function transformBlockTransaction(tx, transfers = []) {
+  const obj = tx.toObject ? tx.toObject() : tx;
+  const inputs = obj.inputs || [];
+  const outputs = obj.outputs || [];
+  const isCoinbase = inputs.length > 0 && !inputs[0].txid;
+  const sum = (entries) => entries.reduce((total, entry) => total + (entry.amount || 0), 0);
+  const totalOutput = Math.round(sum(outputs) * 1e8) / 1e8;
+
+  let fee = obj.fee || null;
+  if (isCoinbase) {
+    fee = 0;
+  } else if (!fee && inputs.length > 0 && inputs.every(input => input.amount > 0)) {
+    fee = Math.round((sum(inputs) - sum(outputs)) * 1e8) / 1e8;
+  }
+
+  // Mints and transfers are recorded per output; creations and updates only on the transaction
+  const operations = transfers.map(transfer => ({
+    operation: transfer.type,
+    assetId: transfer.assetId,
+    assetName: transfer.assetName,
+    amount: transfer.amount,
+    from: transfer.from || undefined,
+    to: transfer.to || undefined,
+    serialStart: transfer.serialStart ?? undefined,
+    serialEnd: transfer.serialEnd ?? undefined,
+  }));
+  if (['create', 'update'].includes(obj.assetData?.operation)) {
+    operations.unshift({
+      operation: obj.assetData.operation,
+      assetId: obj.assetData.assetId,
+      assetName: obj.assetData.assetName,
+      amount: obj.assetData.amount ?? 0,
+      from: obj.assetData.from || undefined,
+      to: obj.assetData.to || undefined,
+    });
+  }
+
+  return {
+    txid: obj.txid,
+    type: obj.type || 'standard',
+    isCoinbase,
+    size: obj.size ?? 0,
+    fee,
+    inputCount: inputs.length,
+    outputCount: outputs.length,
+    totalOutput,
+    assets: [...new Set(operations.map(op => op.assetName).filter(Boolean))],
+    operations,
+  };
+}
+
+/**
+ * Transform a Smartnode document to the frontend-expected format.
+ * 
+ * @param {Object} smartnode - Smartnode document
+ * @returns {Object} Transformed smartnode object
+ */
+export function transformSmartnode(smartnode) {
+  const obj = smartnode.toObject ? smartnode.toObject() : smartnode;
+
+  return {
+    proTxHash: obj.proTxHash,
+    status: obj.status,
+    collateralHash: obj.collateralHash,
+    collateralIndex: obj.collateralIndex,
+    collateralAddress: obj.collateralAddress || null,
+    collateralAmount: obj.collateralAmount ?? null,
+    ownerAddress: obj.ownerAddress || null,
+    votingAddress: obj.votingAddress || null,
+    payoutAddress: obj.payoutAddress || null,
+    operatorPayoutAddress: obj.operatorPayoutAddress || null,
+    pubKeyOperator: obj.pubKeyOperator || null,
+    operatorReward: obj.operatorReward ?? 0,
+    service: obj.service || null,
+    registeredHeight: obj.registeredHeight,
+    registeredAt: obj.registeredAt || null,
+    lastUpdatedHeight: obj.lastUpdatedHeight ?? null,
+    lastUpdatedAt: obj.lastUpdatedAt || null,
+    revocationReason: obj.revocationReason ?? null,
+    revokedHeight: obj.revokedHeight ?? null,
+    removedHeight: obj.removedHeight ?? null,
+    removedTxid: obj.removedTxid || null,
+  };
+}
+
+/**
+ * Transform a SmartnodeEvent document (one state change) to the frontend-expected format.
+ * 
+ * @param {Object} event - SmartnodeEvent document
+ * @returns {Object} Transformed event object
+ */
+export function transformSmartnodeEvent(event) {
+  const obj = event.toObject ? event.toObject() : event;
+
+  return {
+    txid: obj.txid,
+    type: obj.type,
+    height: obj.blockHeight,
+    timestamp: obj.timestamp,
+    changes: obj.changes || {},
+  };
+}
+
+/**
+ * Transform a QuorumCommitment document to the frontend-expected format.
+ * 
+ * @param {Object} commitment - QuorumCommitment document
+ * @returns {Object} Transformed commitment object
+ */
+export function transformQuorumCommitment(commitment) {
+  const obj = commitment.toObject ? commitment.toObject() : commitment;
+
+  return {
+    txid: obj.txid,
+    height: obj.blockHeight,
+    timestamp: obj.timestamp,
+    quorumHeight: obj.quorumHeight ?? null,
+    llmqType: obj.llmqType,
+    quorumHash: obj.quorumHash,
+    quorumIndex: obj.quorumIndex ?? null,
+    signersCount: obj.signersCount ?? 0,
+    validMembersCount: obj.validMembersCount ?? 0,
+    quorumPublicKey: obj.quorumPublicKey || null,
+  };
+}
+
+/**
+ * Transform the reindex SyncState document to an admin job report.
+ * 
+ * @param {Object} state - SyncState document for service 'reindex'
+ * @returns {Object|null} Job with progress, summary and first differences
+ */
+export function transformReindexJob(state) {
+  if (!state?.reindex?.jobId) return null;
+
+  const obj = state.toObject ? state.toObject() : state;
+  const job = obj.reindex;
+  const isBlockRange = !['metadata', 'subassets', 'senders'].includes(job.target);
+  const span = isBlockRange ? (job.toHeight - job.fromHeight + 1) : job.total;
+  const done = isBlockRange ? (obj.currentBlock - job.fromHeight + 1) : obj.itemsProcessed;
+
+  return {
+    jobId: job.jobId,
+    target: job.target,
+    source: job.source,
+    fromHeight: job.fromHeight ?? undefined,
+    toHeight: job.toHeight ?? undefined,
+    dryRun: job.dryRun,
+    status: job.status,
+    cancelRequested: job.cancelRequested || undefined,
+    requestedBy: job.requestedBy,
+    requestedAt: job.requestedAt,
+    startedAt: job.startedAt || undefined,
+    finishedAt: job.finishedAt || undefined,
+    progress: {
+      currentBlock: obj.currentBlock ?? 0,
+      blocksProcessed: obj.blocksProcessed ?? 0,
+      itemsProcessed: obj.itemsProcessed ?? 0,
+      total: job.total ?? undefined,
+      percent: job.status === 'completed' ? 100
+        : job.status === 'running' && span > 0 ? Math.min(100, Math.max(0, Math.round((done / span) * 100))) : 0,
+    },
+    summary: job.summary || {},
+    diffs: job.diffs || [],
+    error: job.status === 'failed' ? obj.lastError : undefined,
+  };
+}
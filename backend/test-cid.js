@@ -0,0 +1,112 @@
+#!/usr/bin/env node
+
+/**
+ * CID Verification Test
+ * Checks CID parsing and content verification against CIDs produced by
+ * `ipfs add` with its default settings, and against DAGs with other layouts
+ * (test-support/fixtures/cid-layouts.json) checked block by block
+ *
+ * Needs no IPFS node and no MongoDB.
+ */
+
+import fs from 'fs';
+import { parseCid, formatCid, verifyContent, CODECS } from './src/utils/cid.js';
+import { header, check, finish } from './test-support/harness.js';
+
+header('CID Verification Test');
+
+// `ipfs add` of "hello world\n" (CIDv0) and "hello world" (CIDv1, raw leaves)
+const HELLO_V0 = 'QmT78zSuBmuS4z925WZfrqQ1qHaJ56DQaTfyMUF7F8ff5o';
+const HELLO_V1_RAW = 'bafkreifzjut3te2nhyekklss27nh3k72ysco7y32koao5eei66wof36n5e';
+const EMPTY_V0 = 'QmbFMke1KXqnYyBBWxB74N4c5SBnJMVAiMNRcGu6x1AwQH';
+
+console.log('\n[1] Parsing CIDs...');
+
+const v0 = parseCid(HELLO_V0);
+check('CIDv0 parses as dag-pb sha2-256', v0?.version === 0 && v0.codec === CODECS.dagPb && v0.hashCode === 0x12);
+check('CIDv0 formats back to the same string', v0 && formatCid(v0) === HELLO_V0);
+
+const v1 = parseCid(HELLO_V1_RAW);
+check('CIDv1 parses as raw sha2-256', v1?.version === 1 && v1.codec === CODECS.raw && v1.hashCode === 0x12);
+check('CIDv1 formats back to the same string', v1 && formatCid(v1) === HELLO_V1_RAW);
+
+check('ipfs:// URIs and gateway paths are parsed', parseCid(`ipfs://${HELLO_V0}`)?.version === 0 &&
+  parseCid(`/ipfs/${HELLO_V1_RAW}/metadata.json`)?.version === 1);
+check('Strings that are no CID give null', parseCid('not-a-cid') === null && parseCid('') === null && parseCid(null) === null);
+
+// Root block of HELLO_V0: a dag-pb leaf holding the whole file
+const HELLO_V0_BLOCK = Buffer.from('0a120802120c68656c6c6f20776f726c640a180c', 'hex');
+
+const fixture = JSON.parse(fs.readFileSync(new URL('./test-support/fixtures/cid-layouts.json', import.meta.url)));
+const fixtureContent = (size) => {
+  const content = Buffer.alloc(size);
+  for (let i = 0; i < size; i++) content[i] = (i * 7 + (i >> 11)) & 0xff;
+  return content;
+};
+
+// Block source serving the given blocks, counting requests
+const blockSource = (blocks) => {
+  const source = {
+    requests: 0,
+    getBlock: async (cid) => {
+      source.requests++;
+      return blocks[cid] ? Buffer.from(blocks[cid], 'base64') : null;
+    }
+  };
+  return source;
+};
+
+async function runTests() {
+  console.log('\n[2] Verifying content...');
+
+  const hello = blockSource({ [HELLO_V0]: HELLO_V0_BLOCK.toString('base64') });
+
+  check('Matching CIDv0 content is verified', await verifyContent(HELLO_V0, Buffer.from('hello world\n')) === 'verified');
+  check('Matching CIDv1 raw content is verified', await verifyContent(HELLO_V1_RAW, Buffer.from('hello world')) === 'verified');
+  check('Empty file is verified', await verifyContent(EMPTY_V0, Buffer.alloc(0)) === 'verified');
+  check('Altered CIDv0 content is a mismatch',
+    await verifyContent(HELLO_V0, Buffer.from('hello world'), hello) === 'mismatch');
+  check('Altered CIDv1 content is a mismatch', await verifyContent(HELLO_V1_RAW, Buffer.from('hello world\n')) === 'mismatch');
+  check('Altered dag-pb content without its block is unsupported',
+    await verifyContent(HELLO_V0, Buffer.from('hello world')) === 'unsupported');
+  check('Content for a string that is no CID is unsupported', await verifyContent('not-a-cid', Buffer.from('x')) === 'unsupported');
+
+  const started = Date.now();
+  const large = await verifyContent(HELLO_V0, Buffer.alloc(8 * 1024 * 1024), hello);
+  check('Multi-chunk content of another file is a mismatch', large === 'mismatch', large);
+  check('8 MiB are verified within 5 seconds', Date.now() - started < 5000, `${Date.now() - started}ms`);
+
+  console.log('\n[3] Verifying other DAG layouts...');
+
+  for (const [name, dag] of Object.entries(fixture.dags)) {
+    const content = fixtureContent(dag.size);
+    const source = blockSource(dag.blocks);
+
+    let result = await verifyContent(dag.root, content);
+    check(`${dag.options}: unsupported without blocks`, result === 'unsupported', result);
+
+    result = await verifyContent(dag.root, content, source);
+    check(`${dag.options}: verified by its blocks`, result === 'verified', result);
+    check(`${name} fetches only the blocks it cannot rebuild`,
+      source.requests > 0 && source.requests <= Object.keys(dag.blocks).length, `${source.requests} requests`);
+
+    // The last leaf is small, so listed in the fixture or raw
+    const altered = Buffer.from(content);
+    altered[altered.length - 50] ^= 1;
+    result = await verifyContent(dag.root, altered, source);
+    check(`${name} with one altered byte is a mismatch`, result === 'mismatch', result);
+
+    result = await verifyContent(dag.root, content.subarray(1), source);
+    check(`${name} missing a byte is a mismatch`, result === 'mismatch', result);
+
+    result = await verifyContent(dag.root, content, blockSource({ [dag.root]: HELLO_V0_BLOCK.toString('base64') }));
+    check(`${name} with a wrong root block is unsupported`, result === 'unsupported', result);
+  }
+
+  finish();
+}
+
+runTests().catch(error => {
+  console.error('Fatal error:', error);
+  process.exit(1);
+});
@@ -0,0 +1,132 @@
+#!/usr/bin/env node
+
+/**
+ * IPFS Client Test
+ * Checks endpoint ranking, CID verification, circuit breaking and recovery of
+ * the IPFS client against local gateway stand-ins
+ *
+ * Needs no IPFS node and no MongoDB.
+ */
+
+import http from 'http';
+import { header, check, finish } from './test-support/harness.js';
+
+const GOOD_PORT = 18182;
+const BAD_PORT = 18181;
+const API_PORT = 18183; // Nothing listens here
+
+process.env.IPFS_GATEWAYS = `http://127.0.0.1:${BAD_PORT},http://127.0.0.1:${GOOD_PORT}`;
+process.env.IPFS_API_URLS = `http://127.0.0.1:${API_PORT}`;
+process.env.IPFS_TIMEOUT = '1000';
+process.env.IPFS_CIRCUIT_THRESHOLD = '3';
+process.env.IPFS_CIRCUIT_COOLDOWN = '300';
+
+const { default: ipfsService } = await import('./src/services/ipfsService.js');
+
+header('IPFS Client Test');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// `ipfs add` of "hello world\n" and of an empty file
+const CID = 'QmT78zSuBmuS4z925WZfrqQ1qHaJ56DQaTfyMUF7F8ff5o';
+const CONTENT = 'hello world\n';
+const EMPTY_CID = 'QmbFMke1KXqnYyBBWxB74N4c5SBnJMVAiMNRcGu6x1AwQH';
+
+// Their root blocks, for verifying what the tampering gateway returns
+const BLOCKS = {
+  [CID]: Buffer.from('0a120802120c68656c6c6f20776f726c640a180c', 'hex'),
+  [EMPTY_CID]: Buffer.from('0a0408021800', 'hex')
+};
+
+const listen = (handler, port) => new Promise(resolve => {
+  const server = http.createServer(handler);
+  server.listen(port, '127.0.0.1', () => resolve(server));
+});
+
+async function runTests() {
+  // The good gateway has the content and its blocks; the bad one answers other
+  // bytes for everything, or 503 when down
+  let badMode = 'tampered';
+  const good = await listen((req, res) => {
+    const block = BLOCKS[req.url.match(/^\/ipfs\/(\w+)\?format=raw$/)?.[1]];
+    if (block) {
+      res.setHeader('content-type', 'application/vnd.ipld.raw');
+      res.end(block);
+    } else if (req.url === `/ipfs/${CID}`) {
+      res.setHeader('content-type', 'text/plain');
+      res.end(CONTENT);
+    } else if (req.url === '/ipfs/bafkqaaa') {
+      res.end();
+    } else {
+      res.statusCode = 404;
+      res.end();
+    }
+  }, GOOD_PORT);
+  const bad = await listen((req, res) => {
+    if (badMode === 'down') {
+      res.statusCode = 503;
+      return res.end();
+    }
+    res.end(badMode === 'tampered' ? 'hello world?' : CONTENT);
+  }, BAD_PORT);
+
+  const endpoint = (port) => ipfsService.getStatus().endpoints.find(item => item.url.endsWith(`:${port}`));
+
+  try {
+    console.log('\n[1] Routing and verification...');
+
+    const first = await ipfsService.fetchContent(CID);
+    check('Tampered content is rejected and the next gateway tried',
+      first?.verification === 'verified' && first.endpoint.endsWith(`:${GOOD_PORT}`) && first.content.toString() === CONTENT,
+      JSON.stringify(first && { ...first, content: undefined }));
+    check('Gateway content type is passed on', first?.contentType === 'text/plain');
+    check('Tampered content is counted without harming its gateway\'s health',
+      endpoint(BAD_PORT).mismatches === 1 && endpoint(BAD_PORT).failures === 0 && endpoint(BAD_PORT).errorRate === 0,
+      JSON.stringify(endpoint(BAD_PORT)));
+
+    const ranked = ipfsService.rank(['gateway']).map(item => item.url);
+    check('Healthiest gateway is ranked first', ranked[0].endsWith(`:${GOOD_PORT}`), ranked.join(', '));
+    check('Unused API endpoint ranks after measured endpoints',
+      ipfsService.rank(['gateway', 'api']).pop().url.endsWith(`:${API_PORT}`));
+
+    const missing = await ipfsService.fetchContent(EMPTY_CID);
+    check('Content only available tampered is reported as a mismatch',
+      missing?.verification === 'mismatch' && missing.content === null);
+
+    const small = await ipfsService.fetchContent(CID, { maxSize: 4 });
+    check('Content over maxSize is not read', small?.content === null && small.verification === 'unsupported');
+
+    console.log('\n[2] Circuit breaking...');
+
+    badMode = 'down';
+    for (let i = 0; i < 3; i++) {
+      await ipfsService.request(ipfsService.endpoints[0], `/ipfs/${CID}`).catch(() => {});
+    }
+    check('Circuit opens after consecutive failures', endpoint(BAD_PORT).circuit === 'open' && endpoint(BAD_PORT).retryAt !== null);
+    check('Open endpoint gets no requests', !ipfsService.rank(['gateway']).some(item => item.url.endsWith(`:${BAD_PORT}`)));
+    check('Overall status is degraded', ipfsService.getStatus().status === 'degraded');
+
+    badMode = 'ok';
+    await sleep(350);
+    check('Circuit is half-open after the cooldown', endpoint(BAD_PORT).circuit === 'half-open');
+    ipfsService.rank(['gateway']);
+    await sleep(200);
+    check('Successful probe closes the circuit', endpoint(BAD_PORT).circuit === 'closed', endpoint(BAD_PORT).circuit);
+
+    ipfsService.endpoints.forEach(item => { item.openedAt = Date.now(); });
+    const unavailable = await ipfsService.fetchContent(CID).then(() => null, error => error);
+    check('No endpoint available is told apart from content not found',
+      unavailable?.unavailable === true && unavailable.statusCode === 503, unavailable?.message);
+    ipfsService.endpoints.forEach(item => { item.openedAt = null; });
+  } finally {
+    good.close();
+    bad.close();
+  }
+
+  finish();
+}
+
+runTests().catch(error => {
+  console.error('Fatal error:', error);
+  process.exit(1);
+});
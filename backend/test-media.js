@@ -0,0 +1,155 @@
+#!/usr/bin/env node
+
+/**
+ * Media Proxy Test
+ * Checks content type sniffing and the /media endpoint (originals, previews,
+ * errors and cache headers) against a local IPFS gateway stand-in. Which CIDs
+ * indexed assets refer to is stubbed, and ffmpeg is a stand-in that hangs.
+ *
+ * Needs no IPFS node and no MongoDB.
+ */
+
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import { header, check, finish } from './test-support/harness.js';
+
+const GATEWAY_PORT = 18281;
+const API_PORT = 18290;
+
+process.env.IPFS_GATEWAYS = `http://127.0.0.1:${GATEWAY_PORT}`;
+process.env.IPFS_API_URLS = 'http://127.0.0.1:18289'; // Nothing listens here
+process.env.MEDIA_CACHE_PATH = await fs.mkdtemp(path.join(os.tmpdir(), 'media-cache-'));
+process.env.MEDIA_MAX_SIZE = '100000';
+process.env.MEDIA_FFMPEG_TIMEOUT = '300';
+process.env.FFMPEG_PATH = path.join(process.env.MEDIA_CACHE_PATH, 'hanging-ffmpeg');
+await fs.writeFile(process.env.FFMPEG_PATH, '#!/bin/sh\nexec sleep 30\n', { mode: 0o755 });
+
+const { default: express } = await import('express');
+const { default: sharp } = await import('sharp');
+const { formatCid } = await import('./src/utils/cid.js');
+const { sniffContentType } = await import('./src/utils/mediaType.js');
+const { default: mediaRoutes } = await import('./src/routes/media.js');
+const { default: mediaService } = await import('./src/services/mediaService.js');
+
+header('Media Proxy Test');
+
+// CIDv1 of content added with raw leaves
+const rawCid = (content) => formatCid({
+  version: 1,
+  bytes: Buffer.concat([Buffer.from([0x01, 0x55, 0x12, 0x20]), crypto.createHash('sha256').update(content).digest()])
+});
+
+async function runTests() {
+  console.log('\n[1] Sniffing content types...');
+
+  const webp = await sharp({ create: { width: 900, height: 600, channels: 3, background: '#c00' } }).webp().toBuffer();
+  const png = await sharp({ create: { width: 10, height: 10, channels: 4, background: '#00c' } }).png().toBuffer();
+  const jpeg = await sharp({ create: { width: 10, height: 10, channels: 3, background: '#0c0' } }).jpeg().toBuffer();
+  const mp4 = Buffer.concat([Buffer.from([0, 0, 0, 0x18]), Buffer.from('ftypisom'), Buffer.alloc(12)]);
+
+  const vectors = [
+    ['image/webp', webp],
+    ['image/png', png],
+    ['image/jpeg', jpeg],
+    ['image/gif', Buffer.from('GIF89a\x01\x00\x01\x00', 'latin1')],
+    ['image/svg+xml', Buffer.from('<?xml version="1.0"?>\n<svg xmlns="http://www.w3.org/2000/svg"></svg>')],
+    ['application/pdf', Buffer.from('%PDF-1.7\n')],
+    ['video/mp4', mp4],
+    ['video/webm', Buffer.concat([Buffer.from([0x1a, 0x45, 0xdf, 0xa3, 0x9f, 0x42, 0x82, 0x84]), Buffer.from('webm')])],
+    ['application/json', Buffer.from('{"name": "Asset"}')],
+    ['text/plain', Buffer.from('{ not json')],
+    ['application/octet-stream', Buffer.from([0x00, 0x01, 0x02, 0x03, 0xfe])]
+  ];
+  for (const [expected, content] of vectors) {
+    const detected = sniffContentType(content);
+    check(`${expected} is detected`, detected === expected, detected);
+  }
+
+  console.log('\n[2] Serving media...');
+
+  const pdf = Buffer.from('%PDF-1.4\n%...\n');
+  const large = Buffer.alloc(200000, 1);
+  const unreferenced = Buffer.from('not an asset');
+  const content = new Map([webp, pdf, large, mp4, unreferenced].map(item => [rawCid(item), item]));
+
+  // Every CID the gateway has is an asset's, except one
+  const referenced = new Set([...content.keys(), rawCid(Buffer.from('missing'))]);
+  referenced.delete(rawCid(unreferenced));
+  mediaService.isReferenced = async (cid) => referenced.has(cid);
+
+  // The gateway claims everything is a PNG, as gateways guessing from a file name do
+  const gateway = http.createServer((req, res) => {
+    const item = content.get(req.url.split('/')[2]);
+    if (!item) {
+      res.statusCode = 404;
+      return res.end();
+    }
+    res.setHeader('content-type', 'image/png');
+    res.end(item);
+  });
+  await new Promise(resolve => gateway.listen(GATEWAY_PORT, '127.0.0.1', resolve));
+
+  const app = express();
+  app.use('/media', mediaRoutes);
+  const server = await new Promise(resolve => {
+    const listening = app.listen(API_PORT, '127.0.0.1', () => resolve(listening));
+  });
+  const url = (cid, query = '') => `http://127.0.0.1:${API_PORT}/media/${cid}${query}`;
+
+  try {
+    let response = await fetch(url(rawCid(webp)));
+    const original = Buffer.from(await response.arrayBuffer());
+    check('Original is served with its sniffed type',
+      response.status === 200 && response.headers.get('content-type') === 'image/webp' && original.equals(webp),
+      `${response.status} ${response.headers.get('content-type')}`);
+    check('Original is cacheable for a year', response.headers.get('cache-control') === 'public, max-age=31536000, immutable');
+
+    response = await fetch(url(`ipfs://${rawCid(webp)}`.replace('://', '%3A%2F%2F'), '?w=200'));
+    const thumbnail = Buffer.from(await response.arrayBuffer());
+    const { width, height, format } = await sharp(thumbnail).metadata();
+    check('Thumbnail is a WebP rounded up to a preview width',
+      response.status === 200 && format === 'webp' && width === 256 && height === 171,
+      `${response.status} ${format} ${width}x${height}`);
+
+    const files = await fs.readdir(path.join(process.env.MEDIA_CACHE_PATH, rawCid(webp)));
+    check('Original and thumbnail are cached on disk', files.includes('original') && files.includes('preview-256.webp'), files.join(', '));
+
+    response = await fetch(url(rawCid(webp)), { headers: { Range: 'bytes=0-9' } });
+    check('Range requests are answered', response.status === 206 && response.headers.get('content-range') === `bytes 0-9/${webp.length}`);
+
+    response = await fetch(url(rawCid(pdf)));
+    check('PDF is served as a PDF', response.headers.get('content-type') === 'application/pdf');
+
+    response = await fetch(url(rawCid(pdf), '?w=128'));
+    check('PDF has no preview', response.status === 415);
+
+    response = await fetch(url(rawCid(mp4), '?w=128'));
+    check('Video poster extraction is given up on after the deadline', response.status === 415, String(response.status));
+
+    response = await fetch(url(rawCid(large)));
+    check('Content over the size limit is refused', response.status === 413);
+
+    response = await fetch(url(rawCid(Buffer.from('missing'))));
+    check('Unknown CID is not found', response.status === 404);
+
+    response = await fetch(url(rawCid(unreferenced)));
+    check('CID no asset refers to is not served', response.status === 404 && !(await fs.readdir(process.env.MEDIA_CACHE_PATH)).includes(rawCid(unreferenced)));
+
+    response = await fetch(url('not-a-cid'));
+    check('Invalid CID is rejected', response.status === 400);
+  } finally {
+    server.close();
+    gateway.close();
+    await fs.rm(process.env.MEDIA_CACHE_PATH, { recursive: true, force: true });
+  }
+
+  finish();
+}
+
+runTests().catch(error => {
+  console.error('Fatal error:', error);
+  process.exit(1);
+});
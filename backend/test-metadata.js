@@ -0,0 +1,98 @@
+#!/usr/bin/env node
+
+/**
+ * Metadata Normalization Test
+ * Checks that published asset metadata is normalized to the metadata schema
+ * and that the quality report records what changed
+ *
+ * Needs no IPFS node and no MongoDB.
+ */
+
+import { canonicalUri, normalizeMetadata } from './src/utils/assetMetadata.js';
+import { header, check, finish } from './test-support/harness.js';
+
+header('Metadata Normalization Test');
+
+const V0 = 'QmT78zSuBmuS4z925WZfrqQ1qHaJ56DQaTfyMUF7F8ff5o';
+const V1 = 'bafybeigdyrzt5sfp7udm7hu76uh7y26nf3efuylqabf3oclgtqy55fbzdi';
+
+const codes = (quality) => quality.warnings.map(warning => `${warning.field}:${warning.code}`).join(',');
+
+console.log('\n[1] Canonical URIs...');
+
+const uris = [
+  [V0, `ipfs://${V0}`],
+  [`${V1}/image.png`, `ipfs://${V1}/image.png`],
+  [`ipfs://${V0}`, `ipfs://${V0}`],
+  [`ipfs://ipfs/${V0}`, `ipfs://${V0}`],
+  [`/ipfs/${V0}`, `ipfs://${V0}`],
+  [`https://ipfs.io/ipfs/${V0}?filename=a.png`, `ipfs://${V0}`],
+  [`https://assets.raptoreum.com/ipfs/${V1}/art/1.png`, `ipfs://${V1}/art/1.png`],
+  [`https://${V1}.ipfs.dweb.link/1.png`, `ipfs://${V1}/1.png`],
+  ['https://example.com/ipfs/not-a-cid', 'https://example.com/ipfs/not-a-cid'],
+  ['https://example.com/nft/1', 'https://example.com/nft/1'],
+  ['ar://abc', 'ar://abc'],
+  ['not a uri', null],
+  ['javascript:alert(1)', null],
+  ['ipfs://not-a-cid', null]
+];
+for (const [input, expected] of uris) {
+  const uri = canonicalUri(input);
+  check(`${input} -> ${expected}`, uri === expected, uri);
+}
+
+console.log('\n[2] Normalizing metadata...');
+
+let result = normalizeMetadata({
+  name: 'Art',
+  description: 'A piece',
+  image: `ipfs://${V0}`,
+  attributes: [{ trait_type: 'Color', value: 'Blue' }]
+}, 'ART');
+check('Metadata matching the schema is valid', result.quality.status === 'valid' && result.quality.warnings.length === 0, codes(result.quality));
+check('Schema version is reported', result.quality.schemaVersion === 1);
+
+result = normalizeMetadata({
+  imageUrl: `https://ipfs.io/ipfs/${V0}`,
+  external_link: 'https://example.com',
+  attributes: { Color: 'Blue', Level: { value: 5, display_type: 'number' } }
+}, 'ART');
+check('Aliased fields are renamed', result.metadata.image === `ipfs://${V0}` && result.metadata.external_url === 'https://example.com' && !('imageUrl' in result.metadata));
+check('Attribute map becomes a list',
+  JSON.stringify(result.metadata.attributes) === JSON.stringify([
+    { trait_type: 'Color', value: 'Blue' },
+    { trait_type: 'Level', value: 5, display_type: 'number' }
+  ]), JSON.stringify(result.metadata.attributes));
+check('Missing name falls back to the asset name', result.metadata.name === 'ART');
+check('Fixed metadata is normalized',
+  result.quality.status === 'normalized' &&
+  codes(result.quality) === 'image:renamed_field,external_url:renamed_field,name:missing_name,image:uri_rewritten,attributes:attributes_object',
+  codes(result.quality));
+
+result = normalizeMetadata({
+  name: 7,
+  description: { text: 'x' },
+  image: 'not a uri',
+  animation_url: V1,
+  attributes: [{ name: 'Color', value: 'Blue' }, 'Rare', { trait_type: 'Size', value: { w: 1 } }, { value: true }],
+  properties: 'none',
+  edition: '1/1'
+}, 'ART');
+check('Scalar name is converted to a string', result.metadata.name === '7');
+check('Unusable values are dropped',
+  !('description' in result.metadata) && !('image' in result.metadata) && !('properties' in result.metadata));
+check('Attribute keys are renamed and bad attributes dropped',
+  JSON.stringify(result.metadata.attributes) === JSON.stringify([{ value: 'Blue', trait_type: 'Color' }, { value: true }]),
+  JSON.stringify(result.metadata.attributes));
+check('Fields outside the schema are kept', result.metadata.edition === '1/1');
+check('Dropped values make the metadata invalid',
+  result.quality.status === 'invalid' &&
+  codes(result.quality) === 'name:coerced_value,description:invalid_type,image:invalid_uri,animation_url:uri_rewritten,' +
+    'attributes[0]:renamed_field,attributes[1]:invalid_attribute,attributes[2]:invalid_attribute,properties:invalid_type',
+  codes(result.quality));
+check('Unfixed warnings are marked', result.quality.warnings.filter(warning => !warning.fixed).length === 5);
+
+result = normalizeMetadata({}, 'ART');
+check('Reference hash without metadata fields is empty', result.quality.status === 'empty' && result.metadata.name === 'ART');
+
+finish();
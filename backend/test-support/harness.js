@@ -0,0 +1,63 @@
+/**
+ * Test Harness
+ *
+ * Banner, pass/fail counting and summary shared by the test scripts. A script
+ * prints its banner with header(), records results with check() or fail(),
+ * and ends with finish(), which exits non-zero if anything failed.
+ */
+
+let testsPassed = 0;
+let testsFailed = 0;
+
+const RULE = '='.repeat(60);
+
+/**
+ * Print the test's banner
+ */
+export function header(title) {
+  console.log(RULE);
+  console.log(title);
+  console.log(RULE);
+}
+
+/**
+ * Record a check; detail is shown when it fails
+ */
+export function check(description, passed, detail = '') {
+  if (passed) {
+    console.log(`✓ ${description}`);
+    testsPassed++;
+  } else {
+    console.log(`✗ ${description}${detail ? ` (${detail})` : ''}`);
+    testsFailed++;
+  }
+}
+
+/**
+ * Record a failure that is no single check, such as a test part that threw or
+ * could not run
+ */
+export function fail(message, error) {
+  if (error === undefined) {
+    console.error(`\n✗ ${message}`);
+  } else {
+    console.error(`\n✗ ${message}:`, error);
+  }
+  testsFailed++;
+}
+
+/**
+ * Print the summary and exit, with status 1 if anything failed
+ */
+export function finish() {
+  console.log('\n' + RULE);
+  console.log('Test Summary');
+  console.log(RULE);
+  console.log(`✓ ${testsPassed} tests passed`);
+  if (testsFailed > 0) {
+    console.log(`✗ ${testsFailed} tests failed`);
+  }
+  console.log(RULE);
+
+  process.exit(testsFailed > 0 ? 1 : 0);
+}
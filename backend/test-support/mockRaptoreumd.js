@@ -0,0 +1,862 @@
+/**
+ * Mock Raptoreum Node
+ *
+ * A JSON-RPC stand-in for raptoreumd, for tests that run without a live node.
+ * It keeps a small in-memory chain that tests (or fixture files) script: mine
+ * blocks, send RTM, create/mint/transfer/update assets, lock futures and
+ * reorganize the chain. Transactions are built in raptoreumd's verbose format,
+ * so the sync daemon indexes them exactly like real blocks.
+ *
+ * Simplifications: no signatures or scripts, no coinbase maturity, future locks
+ * are not enforced on spends, and transactions in orphaned blocks are dropped
+ * instead of returning to the mempool.
+ *
+ * Fixture addresses written as "@label" are derived from the label, so the
+ * same label always maps to the same address (see address()).
+ *
+ * Emits 'block' for each mined block and 'transaction' for each transaction
+ * entering the mempool (see MockZmqPublisher.follow()).
+ */
+
+import { EventEmitter } from 'events';
+import http from 'http';
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+export const FIXTURES_DIR = path.join(__dirname, 'fixtures');
+
+const COIN = 1e8;
+const BASE58 = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+
+// Special transaction types (see SYNC_DAEMON.md)
+const TX_TYPES = {
+  standard: 0,
+  future: 7,
+  newAsset: 8,
+  updateAsset: 9,
+  mintAsset: 10
+};
+
+// raptoreumd's JSON-RPC error codes
+const RPC_METHOD_NOT_FOUND = -32601;
+const RPC_INVALID_PARAMETER = -8;
+const RPC_INVALID_ADDRESS_OR_KEY = -5;
+const RPC_WALLET_INSUFFICIENT_FUNDS = -6;
+
+const rpcError = (code, message) => Object.assign(new Error(message), { rpcCode: code });
+
+const sha256d = (data) => {
+  const once = crypto.createHash('sha256').update(data).digest();
+  return crypto.createHash('sha256').update(once).digest('hex');
+};
+
+const toSat = (amount) => Math.round(amount * COIN);
+const toRTM = (sat) => sat / COIN;
+
+export class MockRaptoreumd extends EventEmitter {
+  /**
+   * @param {Object} options
+   * @param {string} options.host - Interface to listen on (default 127.0.0.1)
+   * @param {number} options.port - Port to listen on (default 0: any free port)
+   * @param {string} options.user - RPC user; requests are not authenticated when unset
+   * @param {string} options.password - RPC password
+   * @param {string} options.startTime - Genesis block time (ISO date)
+   * @param {number} options.blockInterval - Seconds between blocks
+   * @param {number} options.reward - Block subsidy in RTM, before fees
+   * @param {number} options.fee - Fee in RTM paid by each scripted transaction
+   * @param {string} options.miner - Default coinbase address (or "@label")
+   */
+  constructor(options = {}) {
+    super();
+    this.host = options.host || '127.0.0.1';
+    this.port = options.port || 0;
+    this.user = options.user || null;
+    this.password = options.password || '';
+    this.startTime = Math.floor(new Date(options.startTime || '2024-01-01T00:00:00Z').getTime() / 1000);
+    this.blockInterval = options.blockInterval || 120;
+    this.reward = options.reward ?? 5000;
+    this.fee = options.fee ?? 0.0001;
+    this.miner = this.resolveAddress(options.miner || '@miner');
+
+    this.server = null;
+    this.chain = [];
+    this.blocksByHash = new Map();
+    this.mempool = [];
+    this.nonce = 0;
+    this.walletAddresses = 0;
+
+    this.mineBlock();
+  }
+
+  // ============================================
+  // Server
+  // ============================================
+
+  async start() {
+    this.server = http.createServer((req, res) => this.handleHttp(req, res));
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.port, this.host, resolve);
+    });
+    this.port = this.server.address().port;
+    return { host: this.host, port: this.port };
+  }
+
+  async stop() {
+    if (!this.server) return;
+    await new Promise(resolve => this.server.close(resolve));
+    this.server = null;
+  }
+
+  /**
+   * RAPTOREUMD_* variables pointing BlockchainService and AssetTokenizer at this node
+   * Set them before those services are imported (they read them once)
+   */
+  env() {
+    return {
+      RAPTOREUMD_HOST: this.host,
+      RAPTOREUMD_PORT: String(this.port),
+      RAPTOREUMD_USER: this.user || 'mock',
+      RAPTOREUMD_PASSWORD: this.password || 'mock'
+    };
+  }
+
+  async handleHttp(req, res) {
+    if (this.user) {
+      const expected = 'Basic ' + Buffer.from(`${this.user}:${this.password}`).toString('base64');
+      if (req.headers.authorization !== expected) {
+        res.writeHead(401).end();
+        return;
+      }
+    }
+
+    let body = '';
+    for await (const chunk of req) body += chunk;
+
+    let request;
+    try {
+      request = JSON.parse(body);
+    } catch (error) {
+      res.writeHead(500, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ result: null, error: { code: -32700, message: 'Parse error' }, id: null }));
+      return;
+    }
+
+    const reply = Array.isArray(request)
+      ? request.map(call => this.handleCall(call))
+      : this.handleCall(request);
+
+    // Like raptoreumd, a failed single call is an HTTP error with the JSON-RPC error in the body
+    const status = !Array.isArray(reply) && reply.error
+      ? (reply.error.code === RPC_METHOD_NOT_FOUND ? 404 : 500)
+      : 200;
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(reply));
+  }
+
+  handleCall({ method, params = [], id = null }) {
+    try {
+      return { result: this.call(method, params), error: null, id };
+    } catch (error) {
+      return { result: null, error: { code: error.rpcCode ?? -1, message: error.message }, id };
+    }
+  }
+
+  /**
+   * Run an RPC method in-process (what the HTTP server does for each request)
+   */
+  call(method, params = []) {
+    switch (method) {
+      case 'getblockchaininfo': return this.getBlockchainInfo();
+      case 'getblockcount': return this.tip.height;
+      case 'getbestblockhash': return this.tip.hash;
+      case 'getblockhash': return this.getBlockHash(...params);
+      case 'getblock': return this.getBlock(...params);
+      case 'getrawtransaction': return this.getRawTransaction(...params);
+      case 'getrawmempool': return this.getRawMempool(...params);
+      case 'getassetdetailsbyname': return this.describeAsset(this.findAssetByName(params[0]));
+      case 'getassetdetailsbyid': return this.describeAsset(this.findAssetById(params[0]));
+      case 'listassets': return this.listAssets(...params);
+      case 'getaddressdeltas': return this.getAddressDeltas(...params);
+      case 'getnewaddress': return this.address(`wallet:${params[0] || ''}:${++this.walletAddresses}`);
+      case 'getreceivedbyaddress': return this.getReceivedByAddress(...params);
+      case 'getnetworkinfo': return { version: 1050000, subversion: '/MockRaptoreumd/', protocolversion: 70220, connections: 0, networkactive: true };
+      case 'getmininginfo': return { blocks: this.tip.height, difficulty: 1, networkhashps: 0, pooledtx: this.mempool.length, chain: 'regtest' };
+      case 'generate': return this.mine(params[0] ?? 1).map(block => block.hash);
+      case 'generatetoaddress': return this.mine(params[0] ?? 1, { miner: params[1] }).map(block => block.hash);
+      case 'invalidateblock': return this.invalidateBlock(params[0]);
+      default:
+        throw rpcError(RPC_METHOD_NOT_FOUND, 'Method not found');
+    }
+  }
+
+  // ============================================
+  // RPC methods
+  // ============================================
+
+  get tip() {
+    return this.chain[this.chain.length - 1];
+  }
+
+  getBlockchainInfo() {
+    return {
+      chain: 'regtest',
+      blocks: this.tip.height,
+      headers: this.tip.height,
+      bestblockhash: this.tip.hash,
+      difficulty: 1,
+      mediantime: this.tip.time,
+      verificationprogress: 1,
+      initialblockdownload: false,
+      chainwork: this.tip.height.toString(16).padStart(64, '0'),
+      pruned: false
+    };
+  }
+
+  getBlockHash(height) {
+    const block = this.chain[height];
+    if (!Number.isInteger(height) || !block) {
+      throw rpcError(RPC_INVALID_PARAMETER, 'Block height out of range');
+    }
+    return block.hash;
+  }
+
+  getBlock(hash, verbosity = 1) {
+    const block = this.blocksByHash.get(hash);
+    if (!block) {
+      throw rpcError(RPC_INVALID_ADDRESS_OR_KEY, 'Block not found');
+    }
+
+    const onChain = this.chain[block.height] === block;
+    const next = onChain ? this.chain[block.height + 1] : null;
+    const view = {
+      hash: block.hash,
+      // Orphaned blocks report -1, like raptoreumd
+      confirmations: onChain ? this.tip.height - block.height + 1 : -1,
+      size: block.size,
+      height: block.height,
+      version: 536870912,
+      merkleroot: block.merkleroot,
+      tx: verbosity >= 2
+        ? block.tx.map(tx => this.describeTransaction(tx, null))
+        : block.tx.map(tx => tx.txid),
+      time: block.time,
+      mediantime: block.time,
+      nonce: block.nonce,
+      bits: '207fffff',
+      difficulty: 1,
+      chainwork: block.height.toString(16).padStart(64, '0'),
+      nTx: block.tx.length,
+      previousblockhash: block.previousblockhash,
+      ...(next ? { nextblockhash: next.hash } : {}),
+      chainlock: false
+    };
+    if (!view.previousblockhash) delete view.previousblockhash;
+
+    return verbosity === 0 ? Buffer.from(JSON.stringify(view)).toString('hex') : view;
+  }
+
+  getRawTransaction(txid, verbose = false) {
+    const entry = this.findTransaction(txid);
+    if (!entry) {
+      throw rpcError(RPC_INVALID_ADDRESS_OR_KEY, 'No such mempool or blockchain transaction. Use gettransaction for wallet transactions.');
+    }
+
+    const described = this.describeTransaction(entry.tx, entry.block);
+    return verbose ? described : Buffer.from(JSON.stringify(described)).toString('hex');
+  }
+
+  getRawMempool(verbose = false) {
+    if (!verbose) return this.mempool.map(tx => tx.txid);
+
+    return Object.fromEntries(this.mempool.map(tx => [tx.txid, {
+      size: tx.size,
+      fee: toRTM(tx.feeSat),
+      time: this.tip.time,
+      height: this.tip.height,
+      depends: []
+    }]));
+  }
+
+  listAssets(verbose = false, count = Infinity, start = 0) {
+    const assets = [...this.state.assets.values()].slice(start, start + count);
+    if (!verbose) return assets.map(asset => asset.name);
+    return Object.fromEntries(assets.map(asset => [asset.name, this.describeAsset(asset)]));
+  }
+
+  /**
+   * Balance changes of addresses, RTM by default or one asset (by name)
+   */
+  getAddressDeltas({ addresses = [], asset = null, start = 0, end = Infinity } = {}) {
+    const wanted = new Set(addresses);
+    const deltas = [];
+    const matches = (output) => wanted.has(output.address) &&
+      (asset ? output.asset?.name === asset : !output.asset);
+    const units = (output) => toSat(asset ? output.asset.amount : output.value);
+
+    for (const block of this.chain) {
+      if (block.height < start || block.height > end) continue;
+
+      block.tx.forEach((tx, blockindex) => {
+        tx.vin.forEach((vin, index) => {
+          const spent = vin.coinbase ? null : this.findOutput(vin.txid, vin.vout);
+          if (spent && matches(spent)) {
+            deltas.push({ satoshis: -units(spent), txid: tx.txid, index, blockindex, height: block.height, address: spent.address, ...(asset ? { asset } : {}) });
+          }
+        });
+        tx.vout.forEach((output, index) => {
+          if (matches(output)) {
+            deltas.push({ satoshis: units(output), txid: tx.txid, index, blockindex, height: block.height, address: output.address, ...(asset ? { asset } : {}) });
+          }
+        });
+      });
+    }
+    return deltas;
+  }
+
+  getReceivedByAddress(address, minconf = 1) {
+    let received = 0;
+    const count = (tx) => {
+      for (const output of tx.vout) {
+        if (output.address === address && !output.asset) received += toSat(output.value);
+      }
+    };
+
+    for (const block of this.chain) {
+      if (this.tip.height - block.height + 1 >= minconf) block.tx.forEach(count);
+    }
+    if (minconf === 0) this.mempool.forEach(count);
+
+    return toRTM(received);
+  }
+
+  invalidateBlock(hash) {
+    const block = this.blocksByHash.get(hash);
+    if (!block) throw rpcError(RPC_INVALID_ADDRESS_OR_KEY, 'Block not found');
+    if (this.chain[block.height] !== block) return null;
+    if (block.height === 0) throw rpcError(RPC_INVALID_PARAMETER, 'Cannot invalidate the genesis block');
+
+    this.reorg(this.tip.height - block.height + 1);
+    return null;
+  }
+
+  // ============================================
+  // Scripting
+  // ============================================
+
+  /**
+   * Deterministic address for a label (the same label always gives the same address)
+   */
+  address(label) {
+    const digest = crypto.createHash('sha256').update(`mock-address:${label}`).digest();
+    let address = 'R';
+    for (let i = 0; i < 33; i++) address += BASE58[digest[i % digest.length] % BASE58.length];
+    return address;
+  }
+
+  resolveAddress(value) {
+    if (!value) return value;
+    return value.startsWith('@') ? this.address(value.slice(1)) : value;
+  }
+
+  /**
+   * Mine blocks holding the mempool (the first block takes all of it)
+   * payees: extra coinbase outputs [{ address, amount }], carved out of the miner's share
+   */
+  mine(count = 1, { miner, payees = [], time } = {}) {
+    const blocks = [];
+    for (let i = 0; i < count; i++) {
+      blocks.push(this.mineBlock({ miner, payees, time: i === 0 ? time : undefined }));
+    }
+    return blocks;
+  }
+
+  mineBlock({ miner, payees = [], time } = {}) {
+    const height = this.chain.length;
+    const previous = this.chain[height - 1];
+    const txs = this.mempool;
+    this.mempool = [];
+
+    const feeSat = txs.reduce((sum, tx) => sum + tx.feeSat, 0);
+    const payeeOutputs = payees.map(payee => ({ address: this.resolveAddress(payee.address), value: payee.amount }));
+    const minerValue = toRTM(toSat(this.reward) + feeSat - payeeOutputs.reduce((sum, output) => sum + toSat(output.value), 0));
+
+    const coinbase = this.buildTransaction({
+      vin: [{ coinbase: Buffer.from(`mock:${height}:${this.nonce}`).toString('hex'), sequence: 4294967295 }],
+      vout: [{ address: this.resolveAddress(miner) || this.miner, value: minerValue }, ...payeeOutputs]
+    });
+
+    const tx = [coinbase, ...txs];
+    const blockTime = time ? Math.floor(new Date(time).getTime() / 1000) : this.startTime + height * this.blockInterval;
+    const merkleroot = sha256d(tx.map(t => t.txid).join(''));
+    const nonce = ++this.nonce;
+    const block = {
+      height,
+      hash: sha256d(`${previous?.hash || ''}:${height}:${merkleroot}:${blockTime}:${nonce}`),
+      previousblockhash: previous?.hash || null,
+      merkleroot,
+      time: Math.max(blockTime, previous ? previous.time + 1 : blockTime),
+      nonce,
+      tx,
+      size: 80 + tx.reduce((sum, t) => sum + t.size, 0)
+    };
+
+    this.chain.push(block);
+    this.blocksByHash.set(block.hash, block);
+    this.rebuildState();
+    this.emit('block', block);
+    return block;
+  }
+
+  /**
+   * Drop the top `depth` blocks; blocks mined afterwards form the new branch
+   * The orphaned blocks stay queryable by hash (with confirmations -1)
+   */
+  reorg(depth = 1) {
+    if (depth < 1 || depth >= this.chain.length) {
+      throw rpcError(RPC_INVALID_PARAMETER, `Cannot reorganize ${depth} block(s) at height ${this.tip.height}`);
+    }
+    this.chain.length -= depth;
+    this.mempool = [];
+    this.rebuildState();
+    return this.tip;
+  }
+
+  send({ from, to, amount }) {
+    const sender = this.resolveAddress(from);
+    const { inputs, changeSat } = this.selectCoins(sender, toSat(amount) + toSat(this.fee));
+
+    return this.submit({
+      vin: inputs,
+      vout: [
+        { address: this.resolveAddress(to), value: amount },
+        ...this.changeOutputs(sender, changeSat)
+      ]
+    });
+  }
+
+  /**
+   * Create a root asset, or a sub-asset when `parent` names an existing asset
+   */
+  createAsset({ name, owner, parent = null, isUnique = false, maxMintCount = 1, updatable = true, referenceHash = '', decimalPoint = 0, distribution = {} }) {
+    const ownerAddress = this.resolveAddress(owner);
+    const parentAsset = parent ? this.findAssetByName(parent) : null;
+    const { inputs, changeSat } = this.selectCoins(ownerAddress, toSat(this.fee));
+
+    return this.submit({
+      type: TX_TYPES.newAsset,
+      vin: inputs,
+      vout: this.changeOutputs(ownerAddress, changeSat),
+      payload: {
+        newAssetTx: {
+          version: 1,
+          name,
+          isUnique,
+          maxMintCount,
+          updatable,
+          decimalPoint,
+          referenceHash,
+          fee: this.fee,
+          type: distribution.type ?? 0,
+          targetAddress: this.resolveAddress(distribution.targetAddress) || ownerAddress,
+          issueFrequency: distribution.issueFrequency ?? 0,
+          amount: distribution.amount ?? 0,
+          ownerAddress,
+          collateralAddress: ownerAddress,
+          isRoot: !parentAsset,
+          ...(parentAsset ? { rootId: parentAsset.assetId } : {})
+        }
+      }
+    });
+  }
+
+  /**
+   * Mint units of an asset to `to` (default: the asset's owner, who pays the fee)
+   * Unique assets get serials in the output's asset_id, like "<id>[0...4]",
+   * unless `serials` is false, as with nodes that leave the suffix out
+   */
+  mintAsset({ asset: assetName, amount, to, serials: showSerials = true }) {
+    const asset = this.findAssetByName(assetName);
+    const { inputs, changeSat } = this.selectCoins(asset.owner, toSat(this.fee));
+    const serials = asset.isUnique ? { serialStart: asset.nextSerial, serialEnd: asset.nextSerial + amount - 1 } : {};
+
+    return this.submit({
+      type: TX_TYPES.mintAsset,
+      vin: inputs,
+      vout: [
+        ...this.changeOutputs(asset.owner, changeSat),
+        {
+          address: this.resolveAddress(to) || asset.owner,
+          value: 0,
+          asset: { assetId: asset.assetId, name: asset.name, amount, ...serials },
+          ...(!showSerials && { serialsHidden: true })
+        }
+      ],
+      payload: {
+        mintAssetTx: { version: 1, assetId: asset.assetId, fee: this.fee }
+      }
+    });
+  }
+
+  transferAsset({ from, to, asset: assetName, amount }) {
+    const sender = this.resolveAddress(from);
+    const recipient = this.resolveAddress(to);
+    const asset = this.findAssetByName(assetName);
+    const { inputs: assetInputs, sent, change } = this.selectAssetUnits(sender, asset, amount);
+    const { inputs, changeSat } = this.selectCoins(sender, toSat(this.fee));
+
+    return this.submit({
+      vin: [...assetInputs, ...inputs],
+      vout: [
+        ...sent.map(units => ({ address: recipient, value: 0, asset: units })),
+        ...change.map(units => ({ address: sender, value: 0, asset: units })),
+        ...this.changeOutputs(sender, changeSat)
+      ]
+    });
+  }
+
+  /**
+   * Change an asset's owner, reference hash, updatable flag or mint limit
+   */
+  updateAsset({ asset: assetName, owner, referenceHash, updatable, maxMintCount }) {
+    const asset = this.findAssetByName(assetName);
+    const { inputs, changeSat } = this.selectCoins(asset.owner, toSat(this.fee));
+
+    return this.submit({
+      type: TX_TYPES.updateAsset,
+      vin: inputs,
+      vout: this.changeOutputs(asset.owner, changeSat),
+      payload: {
+        updateAssetTx: {
+          version: 1,
+          assetId: asset.assetId,
+          ownerAddress: this.resolveAddress(owner) ?? asset.owner,
+          referenceHash: referenceHash ?? asset.referenceHash,
+          updatable: updatable ?? asset.updatable,
+          maxMintCount: maxMintCount ?? asset.maxMintCount,
+          fee: this.fee
+        }
+      }
+    });
+  }
+
+  /**
+   * Lock RTM to `to` until `maturity` blocks or `lockTime` seconds have passed
+   */
+  future({ from, to, amount, maturity = 0, lockTime = 0 }) {
+    const sender = this.resolveAddress(from);
+    const { inputs, changeSat } = this.selectCoins(sender, toSat(amount) + toSat(this.fee));
+
+    return this.submit({
+      type: TX_TYPES.future,
+      vin: inputs,
+      vout: [
+        { address: this.resolveAddress(to), value: amount },
+        ...this.changeOutputs(sender, changeSat)
+      ],
+      payload: {
+        futureTx: { version: 1, maturity, lockTime, lockOutputIndex: 0, fee: this.fee, updatableByDestination: false }
+      }
+    });
+  }
+
+  /**
+   * Run fixture steps in order; each step is { <action>: <options> }
+   * Actions: mine (count or { count, miner, payees, time }), send, createAsset,
+   * mintAsset, transferAsset, updateAsset, future, reorg (depth)
+   */
+  run(steps = []) {
+    for (const step of steps) {
+      const [action, options] = Object.entries(step)[0] || [];
+      switch (action) {
+        case 'mine': {
+          const { count = 1, ...mineOptions } = typeof options === 'number' ? { count: options } : (options || {});
+          this.mine(count, mineOptions);
+          break;
+        }
+        case 'reorg':
+          this.reorg(options);
+          break;
+        case 'send':
+        case 'createAsset':
+        case 'mintAsset':
+        case 'transferAsset':
+        case 'updateAsset':
+        case 'future':
+          this[action](options);
+          break;
+        default:
+          throw new Error(`Unknown fixture step: ${action}`);
+      }
+    }
+    return this.tip;
+  }
+
+  // ============================================
+  // Chain state
+  // ============================================
+
+  /**
+   * Unspent outputs and assets, replayed from the active chain plus the mempool
+   */
+  rebuildState() {
+    this.state = { utxos: new Map(), assets: new Map(), txs: new Map() };
+    for (const block of this.chain) {
+      for (const tx of block.tx) this.applyTransaction(tx, block);
+    }
+    for (const tx of this.mempool) this.applyTransaction(tx, null);
+  }
+
+  applyTransaction(tx, block) {
+    const { utxos, assets, txs } = this.state;
+    txs.set(tx.txid, { tx, block });
+
+    for (const vin of tx.vin) {
+      if (!vin.coinbase) utxos.delete(`${vin.txid}:${vin.vout}`);
+    }
+    tx.vout.forEach((output, n) => {
+      if (output.value > 0 || output.asset) utxos.set(`${tx.txid}:${n}`, { txid: tx.txid, vout: n, ...output });
+    });
+
+    if (tx.newAssetTx) {
+      const data = tx.newAssetTx;
+      const parent = data.isRoot ? null : assets.get(data.rootId);
+      assets.set(tx.txid, {
+        assetId: tx.txid,
+        name: parent ? `${parent.name}|${data.name}` : data.name,
+        owner: data.ownerAddress,
+        isUnique: data.isUnique,
+        maxMintCount: data.maxMintCount,
+        updatable: data.updatable,
+        decimalPoint: data.decimalPoint,
+        referenceHash: data.referenceHash,
+        distribution: { type: data.type, targetAddress: data.targetAddress, issueFrequency: data.issueFrequency, amount: data.amount },
+        mintCount: 0,
+        supply: 0,
+        nextSerial: 0
+      });
+    }
+    if (tx.mintAssetTx) {
+      const asset = assets.get(tx.mintAssetTx.assetId);
+      const minted = tx.vout.find(output => output.asset)?.asset.amount || 0;
+      asset.mintCount++;
+      asset.supply += minted;
+      asset.nextSerial += minted;
+    }
+    if (tx.updateAssetTx) {
+      const { assetId, ownerAddress, referenceHash, updatable, maxMintCount } = tx.updateAssetTx;
+      Object.assign(assets.get(assetId), { owner: ownerAddress, referenceHash, updatable, maxMintCount });
+    }
+  }
+
+  /**
+   * Build a transaction, apply it to the chain state and queue it for the next block
+   */
+  submit(spec) {
+    const tx = this.buildTransaction(spec);
+    this.mempool.push(tx);
+    this.applyTransaction(tx, null);
+    this.emit('transaction', tx);
+    return tx;
+  }
+
+  buildTransaction({ type = TX_TYPES.standard, vin, vout, payload = {} }) {
+    const inputSat = vin.reduce((sum, input) => sum + (input.coinbase ? 0 : toSat(this.findOutput(input.txid, input.vout).value)), 0);
+    const outputSat = vout.reduce((sum, output) => sum + toSat(output.value), 0);
+
+    const body = {
+      type,
+      vin: vin.map(({ txid, vout: index, coinbase, sequence }) =>
+        coinbase ? { coinbase, sequence } : { txid, vout: index, scriptSig: { asm: '', hex: '' }, sequence: 4294967295 }),
+      vout,
+      ...payload
+    };
+    const serialized = JSON.stringify(body);
+    const txid = sha256d(`${serialized}:${++this.nonce}`);
+
+    return {
+      txid,
+      ...body,
+      feeSat: vin.some(input => input.coinbase) ? 0 : inputSat - outputSat,
+      size: serialized.length
+    };
+  }
+
+  changeOutputs(address, changeSat) {
+    return changeSat > 0 ? [{ address, value: toRTM(changeSat) }] : [];
+  }
+
+  /**
+   * RTM outputs of an address covering `sat`, oldest first
+   */
+  selectCoins(address, sat) {
+    const inputs = [];
+    let selected = 0;
+    for (const utxo of this.state.utxos.values()) {
+      if (selected >= sat) break;
+      if (utxo.address !== address || utxo.asset) continue;
+      inputs.push({ txid: utxo.txid, vout: utxo.vout });
+      selected += toSat(utxo.value);
+    }
+    if (selected < sat) {
+      throw rpcError(RPC_WALLET_INSUFFICIENT_FUNDS, `Insufficient funds: ${address} has ${toRTM(selected)} RTM, needs ${toRTM(sat)}`);
+    }
+    return { inputs, changeSat: selected - sat };
+  }
+
+  /**
+   * Asset outputs of an address covering `amount` units, split into what is sent and the change
+   * Unique assets move their lowest serials first
+   */
+  selectAssetUnits(address, asset, amount) {
+    const inputs = [];
+    const sent = [];
+    const change = [];
+    let remaining = amount;
+
+    for (const utxo of this.state.utxos.values()) {
+      if (remaining <= 0) break;
+      if (utxo.address !== address || utxo.asset?.assetId !== asset.assetId) continue;
+
+      inputs.push({ txid: utxo.txid, vout: utxo.vout });
+      const units = utxo.asset;
+      const take = Math.min(units.amount, remaining);
+      remaining -= take;
+
+      if (!asset.isUnique) {
+        sent.push({ ...units, amount: take });
+        if (units.amount > take) change.push({ ...units, amount: units.amount - take });
+        continue;
+      }
+
+      sent.push({ ...units, amount: take, serialEnd: units.serialStart + take - 1 });
+      if (units.amount > take) {
+        change.push({ ...units, amount: units.amount - take, serialStart: units.serialStart + take });
+      }
+    }
+
+    if (remaining > 0) {
+      throw rpcError(RPC_WALLET_INSUFFICIENT_FUNDS, `Insufficient ${asset.name}: ${address} is short ${remaining} unit(s)`);
+    }
+    return { inputs, sent, change };
+  }
+
+  findTransaction(txid) {
+    return this.state.txs.get(txid) || null;
+  }
+
+  findOutput(txid, vout) {
+    return this.findTransaction(txid)?.tx.vout[vout] || null;
+  }
+
+  findAssetByName(name) {
+    const asset = [...this.state.assets.values()].find(candidate => candidate.name === name);
+    if (!asset) throw rpcError(RPC_INVALID_PARAMETER, `asset not found: ${name}`);
+    return asset;
+  }
+
+  findAssetById(assetId) {
+    const asset = this.state.assets.get(assetId);
+    if (!asset) throw rpcError(RPC_INVALID_PARAMETER, `asset not found: ${assetId}`);
+    return asset;
+  }
+
+  // ============================================
+  // raptoreumd output formats
+  // ============================================
+
+  describeAsset(asset) {
+    return {
+      Asset_id: asset.assetId,
+      Asset_name: asset.name,
+      Circulating_supply: asset.supply,
+      MintCount: asset.mintCount,
+      maxMintCount: asset.maxMintCount,
+      owner: asset.owner,
+      Isunique: asset.isUnique,
+      Updatable: asset.updatable,
+      Decimalpoint: asset.decimalPoint,
+      ReferenceHash: asset.referenceHash,
+      Distribution: {
+        type: asset.distribution.type === 0 ? 'manual' : String(asset.distribution.type),
+        ...(asset.distribution.targetAddress ? { targetAddress: asset.distribution.targetAddress } : {}),
+        issueFrequency: asset.distribution.issueFrequency,
+        amount: asset.distribution.amount
+      }
+    };
+  }
+
+  /**
+   * Verbose transaction as getrawtransaction / getblock (verbosity 2) return it
+   */
+  describeTransaction(tx, block) {
+    const { feeSat, size, vout, ...body } = tx;
+    const described = {
+      txid: tx.txid,
+      hash: tx.txid,
+      version: tx.type ? 3 : 2,
+      type: tx.type,
+      size,
+      locktime: 0,
+      ...body,
+      vout: vout.map((output, n) => this.describeOutput(output, n))
+    };
+
+    if (block) {
+      const onChain = this.chain[block.height] === block;
+      Object.assign(described, {
+        blockhash: block.hash,
+        height: block.height,
+        confirmations: onChain ? this.tip.height - block.height + 1 : 0,
+        time: block.time,
+        blocktime: block.time
+      });
+    }
+    return described;
+  }
+
+  describeOutput(output, n) {
+    const hash160 = sha256d(output.address).slice(0, 40);
+    const scriptPubKey = {
+      asm: `OP_DUP OP_HASH160 ${hash160} OP_EQUALVERIFY OP_CHECKSIG`,
+      hex: `76a914${hash160}88ac`,
+      reqSigs: 1,
+      type: 'pubkeyhash',
+      addresses: [output.address]
+    };
+
+    if (output.asset) {
+      const { assetId, name, amount, serialStart, serialEnd } = output.asset;
+      const serials = serialStart === undefined || output.serialsHidden ? ''
+        : serialStart === serialEnd ? `[${serialStart}]` : `[${serialStart}...${serialEnd}]`;
+      scriptPubKey.type = 'transferasset';
+      scriptPubKey.asset = { name, amount, asset_id: `${assetId}${serials}` };
+    }
+
+    return { value: output.value, valueSat: toSat(output.value), n, scriptPubKey };
+  }
+}
+
+/**
+ * Read a fixture by name (from test-support/fixtures) or path
+ */
+export async function loadFixture(nameOrPath) {
+  const file = nameOrPath.endsWith('.json') ? path.resolve(nameOrPath) : path.join(FIXTURES_DIR, `${nameOrPath}.json`);
+  return JSON.parse(await fs.readFile(file, 'utf8'));
+}
+
+/**
+ * Create a node with a fixture's options and run its first phase
+ */
+export async function fromFixture(nameOrPath, options = {}) {
+  const fixture = await loadFixture(nameOrPath);
+  const node = new MockRaptoreumd({ ...fixture.options, ...options });
+  const [firstPhase] = Object.values(fixture.phases || {});
+  node.run(firstPhase);
+  return { node, fixture };
+}
+
+export default MockRaptoreumd;
@@ -0,0 +1,99 @@
+/**
+ * Mock ZMQ Publisher
+ *
+ * A stand-in for raptoreumd's -zmqpubhashblock / -zmqpubrawtx publisher.
+ * Messages use raptoreumd's framing: [topic, body, sequence], where sequence is
+ * a per-topic counter encoded as a 4-byte little-endian integer.
+ *
+ * follow(node) publishes a MockRaptoreumd's blocks and transactions as they are
+ * mined and submitted, like raptoreumd does for its own chain.
+ */
+
+const TOPICS = ['hashblock', 'rawtx'];
+
+export class MockZmqPublisher {
+  /**
+   * @param {Object} options
+   * @param {string} options.endpoint - Endpoint to bind (default tcp://127.0.0.1:*, any free port)
+   */
+  constructor(options = {}) {
+    this.endpoint = options.endpoint || 'tcp://127.0.0.1:*';
+    this.socket = null;
+    this.sequences = Object.fromEntries(TOPICS.map(topic => [topic, 0]));
+
+    // zeromq allows one send in progress at a time
+    this.sending = Promise.resolve();
+  }
+
+  /**
+   * Bind the publisher; after a stop() it binds to the same endpoint again
+   */
+  async start() {
+    const { Publisher } = await import('zeromq');
+    this.socket = new Publisher({ linger: 0 });
+    await this.socket.bind(this.endpoint);
+    this.endpoint = this.socket.lastEndpoint;
+    return this.endpoint;
+  }
+
+  async stop() {
+    if (!this.socket) return;
+    await this.sending.catch(() => {});
+    this.socket.close();
+    this.socket = null;
+  }
+
+  /**
+   * RAPTOREUMD_ZMQ_* variables pointing the ZMQ subscriber at this publisher
+   */
+  env() {
+    return {
+      RAPTOREUMD_ZMQ_HASHBLOCK: this.endpoint,
+      RAPTOREUMD_ZMQ_RAWTX: this.endpoint
+    };
+  }
+
+  publish(topic, body) {
+    const sequence = Buffer.alloc(4);
+    sequence.writeUInt32LE(this.sequences[topic]);
+    this.sequences[topic] = (this.sequences[topic] + 1) >>> 0;
+
+    const socket = this.socket;
+    this.sending = this.sending.catch(() => {}).then(() => socket?.send([topic, body, sequence]));
+    return this.sending;
+  }
+
+  publishBlock(hash) {
+    return this.publish('hashblock', Buffer.from(hash, 'hex'));
+  }
+
+  publishTransaction(rawHex) {
+    return this.publish('rawtx', Buffer.from(rawHex, 'hex'));
+  }
+
+  /**
+   * Skip sequence numbers, as if notifications were lost in transit
+   */
+  skip(topic, count = 1) {
+    this.sequences[topic] = (this.sequences[topic] + count) >>> 0;
+  }
+
+  /**
+   * Publish a mock node's new blocks and mempool transactions
+   * @returns {Function} Stops following the node
+   */
+  follow(node) {
+    // Like raptoreumd, notifications sent while stopped are lost
+    const onBlock = (block) => this.publishBlock(block.hash).catch(() => {});
+    const onTransaction = (tx) => this.publishTransaction(node.getRawTransaction(tx.txid)).catch(() => {});
+
+    node.on('block', onBlock);
+    node.on('transaction', onTransaction);
+    return () => {
+      node.off('block', onBlock);
+      node.off('transaction', onTransaction);
+    };
+  }
+}
+
+export default MockZmqPublisher;
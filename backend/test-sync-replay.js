@@ -0,0 +1,288 @@
+#!/usr/bin/env node
+
+/**
+ * Sync Replay Test
+ * Replays a fixture chain from the mock Raptoreum node through the RPC services
+ * and the sync daemon, including a chain reorganization
+ *
+ * Needs no raptoreumd. The sync part needs MongoDB and uses its own database
+ * (MONGODB_TEST_URI, which is dropped); when MongoDB is not available it is
+ * skipped, or fails the test if CI is set.
+ */
+
+import mongoose from 'mongoose';
+import { fromFixture } from './test-support/mockRaptoreumd.js';
+import { header, check, fail, finish } from './test-support/harness.js';
+
+const FIXTURE = process.env.SYNC_REPLAY_FIXTURE || 'asset-lifecycle';
+const MONGODB_TEST_URI = process.env.MONGODB_TEST_URI || 'mongodb://127.0.0.1:27017/rtm-asset-explorer-replay-test';
+
+header('Sync Replay Test');
+
+async function runTests() {
+  const { node, fixture } = await fromFixture(FIXTURE);
+  const [initialPhase, ...laterPhases] = Object.keys(fixture.phases);
+  await node.start();
+
+  // Services read their RPC settings when imported
+  Object.assign(process.env, node.env(), {
+    SYNC_ENABLED: 'true',
+    SYNC_START_HEIGHT: '0',
+    SYNC_RETRY_ATTEMPTS: '0'
+  });
+
+  try {
+    // Test 1: RPC methods the services call
+    console.log(`\n[1] Testing RPC against fixture "${FIXTURE}"...`);
+
+    const blockchainService = (await import('./src/services/blockchain.js')).default;
+    const assetTokenizer = (await import('./src/services/assetTokenizer.js')).default;
+    const expected = fixture.expect?.[initialPhase] || {};
+
+    const info = await blockchainService.getBlockchainInfo();
+    check(`getblockchaininfo reports height ${expected.height}`, info.blocks === expected.height, `got ${info.blocks}`);
+
+    const tipHash = await blockchainService.getBlockHash(info.blocks);
+    const tip = await blockchainService.getBlock(tipHash, 2);
+    check('getblock returns verbose transactions', typeof tip.tx[0] === 'object' && !!tip.tx[0].vin[0].coinbase);
+
+    const assets = await blockchainService.listAssets();
+    check(`listassets returns ${expected.assets} assets`, assets.length === expected.assets, `got ${assets.length}`);
+
+    const [firstAsset] = assets;
+    const byName = await blockchainService.getAssetDetailsByName(firstAsset);
+    const byId = byName && await blockchainService.getAssetDetailsById(byName.Asset_id);
+    check('getassetdetailsbyname and getassetdetailsbyid agree', byId?.Asset_name === firstAsset);
+
+    const creation = await blockchainService.getRawTransaction(byName.Asset_id, true);
+    check('getrawtransaction returns the asset creation', creation.type === 8 && creation.newAssetTx?.name === firstAsset);
+
+    check('getassetdetailsbyname returns null for unknown assets', await blockchainService.getAssetDetailsByName('NO_SUCH_ASSET') === null);
+
+    const tokenDetails = await assetTokenizer.getAssetDetails(firstAsset);
+    check('AssetTokenizer reads asset details', tokenDetails?.Asset_id === byName.Asset_id);
+
+    const deltas = await blockchainService.getAddressDeltas([byName.owner]);
+    check('getaddressdeltas returns RTM deltas', deltas.length > 0 && deltas.every(delta => !delta.asset));
+
+    // Test 2: Sync the fixture chain, then each later phase (reorgs included)
+    console.log('\n[2] Testing sync replay...');
+
+    try {
+      await mongoose.connect(MONGODB_TEST_URI, { serverSelectionTimeoutMS: 3000 });
+    } catch (error) {
+      // CI has to run the replay; locally it is only skipped
+      if (process.env.CI) {
+        fail(`MongoDB not available at ${MONGODB_TEST_URI}, sync replay cannot run in CI`, error.message);
+      } else {
+        console.log('⚠ MongoDB not available, skipping sync replay (set CI to fail instead)');
+      }
+    }
+
+    if (mongoose.connection.readyState === 1) {
+      await mongoose.connection.dropDatabase();
+
+      const { SyncDaemon } = await import('./src/services/sync-daemon.js');
+      const daemon = new SyncDaemon();
+      await daemon.initializeSyncState();
+
+      for (const phase of [initialPhase, ...laterPhases]) {
+        if (phase !== initialPhase) {
+          node.run(fixture.phases[phase]);
+          console.log(`  Played phase "${phase}": tip ${node.tip.height}`);
+        }
+
+        await syncToTip(daemon, node);
+        await checkIndexed(phase, node, fixture.expect?.[phase] || {});
+      }
+
+      await checkTransactionViews(node);
+      await checkReindex(daemon, node);
+
+      await mongoose.connection.dropDatabase();
+      await mongoose.disconnect();
+      console.log('\n✓ Dropped test database and disconnected from MongoDB');
+    }
+
+    // Test 3: Export payment RPCs (after the sync, as this mines a block)
+    console.log('\n[3] Testing payment address RPCs...');
+
+    const rtmPayment = (await import('./src/services/rtm-payment.js')).default;
+    const paymentAddress = await rtmPayment.generatePaymentAddress();
+    node.send({ from: fixture.options?.miner || '@miner', to: paymentAddress, amount: 2 });
+    check('Unconfirmed payments are not counted', await rtmPayment.getReceivedAmount(paymentAddress) === 0);
+    node.mine(1);
+    check('getreceivedbyaddress counts confirmed payments', await rtmPayment.getReceivedAmount(paymentAddress) === 2);
+  } catch (error) {
+    fail('Test suite failed', error);
+  } finally {
+    await node.stop();
+  }
+
+  finish();
+}
+
+/**
+ * Run sync loop iterations until the stored tip is the node's tip
+ */
+async function syncToTip(daemon, node) {
+  const Block = (await import('./src/models/Block.js')).default;
+
+  for (let iteration = 0; iteration < 10; iteration++) {
+    const stored = await Block.findOne().sort({ height: -1 }).select('height hash').lean();
+    if (stored?.hash === node.tip.hash) return;
+    await daemon.syncLoop();
+  }
+  throw new Error(`Sync did not reach tip ${node.tip.height}`);
+}
+
+async function checkIndexed(phase, node, expected) {
+  const Block = (await import('./src/models/Block.js')).default;
+  const Asset = (await import('./src/models/Asset.js')).default;
+  const AssetTransfer = (await import('./src/models/AssetTransfer.js')).default;
+  const FutureOutput = (await import('./src/models/FutureOutput.js')).default;
+
+  console.log(`\n  Phase "${phase}":`);
+
+  const blocks = await Block.find().sort({ height: 1 }).select('height hash').lean();
+  const mismatched = blocks.filter(block => node.chain[block.height]?.hash !== block.hash);
+  check(`Stored blocks 1-${node.tip.height} match the node's chain`,
+    blocks.length === node.tip.height && mismatched.length === 0,
+    `${blocks.length} stored, ${mismatched.length} mismatched`);
+
+  if (expected.assets !== undefined) {
+    const assets = await Asset.countDocuments();
+    check(`${expected.assets} assets indexed`, assets === expected.assets, `got ${assets}`);
+  }
+
+  for (const [type, count] of Object.entries(expected.transfers || {})) {
+    const transfers = await AssetTransfer.countDocuments({ type });
+    check(`${count} ${type} transfer(s) indexed`, transfers === count, `got ${transfers}`);
+  }
+
+  if (expected.futures !== undefined) {
+    const futures = await FutureOutput.countDocuments();
+    check(`${expected.futures} future(s) indexed`, futures === expected.futures, `got ${futures}`);
+  }
+
+  // Serials numbered by the indexer follow the mints' order in the chain
+  for (const [name, ranges] of Object.entries(expected.mintSerials || {})) {
+    const mints = await AssetTransfer.find({ assetName: name, type: 'mint' }).sort({ serialStart: 1 }).select('serialStart serialEnd').lean();
+    const serials = mints.map(mint => [mint.serialStart, mint.serialEnd]);
+    check(`${name} mints have serials ${JSON.stringify(ranges)}`, JSON.stringify(serials) === JSON.stringify(ranges), JSON.stringify(serials));
+  }
+
+  for (const [name, maxMintCount] of Object.entries(expected.maxMintCount || {})) {
+    const asset = await Asset.findOne({ name }).select('maxMintCount').lean();
+    check(`${name} has maxMintCount ${maxMintCount}`, asset?.maxMintCount === maxMintCount, `got ${asset?.maxMintCount}`);
+  }
+
+  const subAssets = await Asset.find({ isSubAsset: true }).select('name parentAssetId').lean();
+  check('Sub-assets are linked to their parent', subAssets.every(asset => asset.parentAssetId && !asset.name.startsWith('UNKNOWN|')));
+}
+
+async function checkTransactionViews(node) {
+  const transactionHistory = (await import('./src/services/transactionHistory.js')).default;
+
+  console.log('\n  Transaction views:');
+
+  const mints = await transactionHistory.list({ type: 'asset_mint' });
+  check('Transaction list filters by type', mints.total > 0 && mints.transactions.every(tx => tx.type === 'asset_mint'));
+
+  const [asset] = node.listAssets();
+  const byAsset = await transactionHistory.list({ asset });
+  check(`Transaction list filters by asset ${asset}`,
+    byAsset.total > 0 && byAsset.transactions.every(tx => tx.assets.includes(asset)));
+
+  const tip = await transactionHistory.list({ fromHeight: node.tip.height, toHeight: node.tip.height });
+  check('Transaction list filters by height range', tip.transactions.every(tx => tx.blockHeight === node.tip.height));
+
+  // Asset IDs are the creating transaction's txid
+  const detail = await transactionHistory.getDetail(node.findAssetByName(asset).assetId);
+  check('Transaction detail includes the newAssetTx payload', detail?.payloads?.newAssetTx?.name === asset);
+  check('Transaction detail resolves input addresses and confirmations',
+    detail?.inputs.every(input => input.address) && detail.confirmations > 0);
+}
+
+/**
+ * Dry runs report what the blocks and transfers targets would change; applying
+ * them brings the index back in line with the chain
+ */
+async function checkReindex(daemon, node) {
+  const Block = (await import('./src/models/Block.js')).default;
+  const Asset = (await import('./src/models/Asset.js')).default;
+  const AssetTransfer = (await import('./src/models/AssetTransfer.js')).default;
+  const AssetBalance = (await import('./src/models/AssetBalance.js')).default;
+  const reindexer = (await import('./src/services/reindexer.js')).default;
+
+  console.log('\n  Reindex jobs:');
+
+  const runJob = async (request) => {
+    await reindexer.requestJob({ requestedBy: 'test-sync-replay', ...request });
+    await reindexer.runPending();
+    return (await reindexer.getJob()).reindex;
+  };
+  const clean = ({ summary }) => summary.missing === 0 && summary.extra === 0 && summary.changed === 0;
+
+  // Transfers: a lost mint row
+  const transfers = await AssetTransfer.countDocuments();
+  const mint = await AssetTransfer.findOne({ type: 'mint' }).lean();
+  await AssetTransfer.deleteOne({ _id: mint._id });
+  const { assetId } = await Asset.findOne({ name: mint.assetName }).select('assetId').lean();
+  const holding = await AssetBalance.findOne({ address: mint.to, assetId }).lean();
+  await AssetBalance.updateOne({ _id: holding._id }, { $set: { balance: -1 } });
+
+  let job = await runJob({ target: 'transfers', fromHeight: mint.blockHeight, toHeight: mint.blockHeight });
+  check('Transfers dry run reports the missing mint',
+    job.status === 'completed' && job.summary.missing === 1 && job.diffs[0]?.txid === mint.txid,
+    JSON.stringify(job.summary));
+  check('Transfers dry run changes nothing', await AssetTransfer.countDocuments() === transfers - 1);
+
+  job = await runJob({ target: 'transfers', fromHeight: mint.blockHeight, toHeight: mint.blockHeight, dryRun: false });
+  const restored = await AssetTransfer.findOne({ txid: mint.txid, type: 'mint', to: mint.to }).lean();
+  check('Applied transfers job restores the mint',
+    job.status === 'completed' && await AssetTransfer.countDocuments() === transfers &&
+    restored?.amount === mint.amount && restored?.serialStart === mint.serialStart,
+    JSON.stringify(job.summary));
+  const rebuilt = await AssetBalance.findOne({ _id: holding._id }).lean();
+  check('Applied transfers job rebuilds the asset balances', rebuilt?.balance === holding.balance,
+    `got ${rebuilt?.balance}, expected ${holding.balance}`);
+
+  job = await runJob({ target: 'transfers', fromHeight: 1 });
+  check('Transfers match the chain after applying', job.status === 'completed' && clean(job), JSON.stringify(job.summary));
+
+  // Blocks: a block whose processing did not finish
+  const height = node.tip.height - 1;
+  await Block.updateOne({ height }, { $set: { processed: false } });
+
+  job = await runJob({ target: 'blocks', fromHeight: height });
+  check('Blocks dry run reports the unprocessed block',
+    job.status === 'completed' && job.summary.changed === 1 && job.diffs[0]?.field === 'processed',
+    JSON.stringify(job.summary));
+  check('Blocks dry run keeps the blocks', await Block.countDocuments() === node.tip.height);
+
+  const refused = await reindexer.requestJob({ target: 'blocks', fromHeight: height, toHeight: height, dryRun: false })
+    .catch(error => error);
+  check('Applied blocks job with toHeight is refused', refused?.statusCode === 400, refused?.message);
+
+  job = await runJob({ target: 'blocks', fromHeight: height, dryRun: false });
+  check('Applied blocks job removes the blocks from its start height',
+    job.status === 'completed' && await Block.countDocuments() === height - 1,
+    JSON.stringify(job.summary));
+
+  await syncToTip(daemon, node);
+  const unprocessed = await Block.countDocuments({ processed: false });
+  const blocks = await Block.find().select('height hash').lean();
+  check('Sync indexes the removed blocks again',
+    blocks.length === node.tip.height && unprocessed === 0 &&
+    blocks.every(block => node.chain[block.height]?.hash === block.hash),
+    `${blocks.length} stored, ${unprocessed} unprocessed`);
+
+  job = await runJob({ target: 'blocks', fromHeight: 1 });
+  check('Blocks match the chain after re-syncing', job.status === 'completed' && clean(job), JSON.stringify(job.summary));
+}
+
+runTests().catch(error => {
+  console.error('Fatal error:', error);
+  process.exit(1);
+});
@@ -0,0 +1,141 @@
+#!/usr/bin/env node
+
+/**
+ * ZMQ Notification Test
+ * Checks the ZMQ subscriber and the sync daemon's wake-up against a local
+ * publisher stand-in that follows the mock Raptoreum node, including the
+ * fallback to polling while the publisher is down
+ *
+ * Needs no raptoreumd and no MongoDB.
+ */
+
+import { MockRaptoreumd } from './test-support/mockRaptoreumd.js';
+import { MockZmqPublisher } from './test-support/mockZmqPublisher.js';
+import { header, check, fail, finish } from './test-support/harness.js';
+
+header('ZMQ Notification Test');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Poll a condition until it holds or the timeout passes
+ */
+async function waitFor(condition, timeout = 5000) {
+  const deadline = Date.now() + timeout;
+  while (Date.now() < deadline) {
+    if (condition()) return true;
+    await sleep(50);
+  }
+  return condition();
+}
+
+/**
+ * Resolve with the next notification of a type, or null after the timeout
+ */
+function nextNotification(subscriber, event, timeout = 3000) {
+  return new Promise(resolve => {
+    const timer = setTimeout(() => {
+      unsubscribe();
+      resolve(null);
+    }, timeout);
+    const unsubscribe = subscriber.on(event, (payload) => {
+      clearTimeout(timer);
+      unsubscribe();
+      resolve(payload);
+    });
+  });
+}
+
+async function runTests() {
+  const node = new MockRaptoreumd();
+  const publisher = new MockZmqPublisher();
+  await publisher.start();
+  const unfollow = publisher.follow(node);
+
+  // The subscriber reads its endpoints when imported
+  Object.assign(process.env, publisher.env());
+
+  const zmqSubscriber = (await import('./src/services/zmqSubscriber.js')).default;
+  const { SyncDaemon } = await import('./src/services/sync-daemon.js');
+  const daemon = new SyncDaemon();
+
+  try {
+    // Test 1: Notifications from the publisher
+    console.log(`\n[1] Testing notifications from ${publisher.endpoint}...`);
+
+    await daemon.listenForNotifications();
+    check('Subscriber connects to the publisher', await waitFor(() => zmqSubscriber.isConnected));
+
+    // Subscriptions reach the publisher shortly after the connection
+    await sleep(300);
+
+    let notified = nextNotification(zmqSubscriber, 'block');
+    const [block] = node.mine(1);
+    check('hashblock is delivered as the block hash', await notified === block.hash);
+
+    notified = nextNotification(zmqSubscriber, 'transaction');
+    const tx = node.send({ from: '@miner', to: '@alice', amount: 10 });
+    const rawTx = await notified;
+    check('rawtx is delivered as the raw transaction', rawTx?.toString('hex') === node.getRawTransaction(tx.txid));
+
+    publisher.skip('hashblock', 2);
+    notified = nextNotification(zmqSubscriber, 'block');
+    const [afterGap] = node.mine(1);
+    check('Notifications after a sequence gap are still delivered', await notified === afterGap.hash);
+
+    // Test 2: Sync loop wake-up
+    console.log('\n[2] Testing sync loop wake-up...');
+
+    daemon.blockNotified = false;
+    let started = Date.now();
+    const waiting = daemon.waitForBlock(30000);
+    node.mine(1);
+    await waiting;
+    check('A block notification ends the 30s wait', Date.now() - started < 5000, `${Date.now() - started}ms`);
+
+    daemon.blockNotified = false;
+    notified = nextNotification(zmqSubscriber, 'block');
+    node.mine(1);
+    await notified;
+    started = Date.now();
+    await daemon.waitForBlock(30000);
+    check('A block announced while the loop is busy skips the next wait', Date.now() - started < 100);
+
+    daemon.blockNotified = false;
+    started = Date.now();
+    await daemon.waitForBlock(300);
+    check('Without notifications the wait ends at the poll interval', Date.now() - started >= 250);
+
+    // Test 3: Fallback to polling while the publisher is down
+    console.log('\n[3] Testing publisher restart...');
+
+    await publisher.stop();
+    check('Subscriber notices the publisher went away', await waitFor(() => !zmqSubscriber.isConnected));
+
+    daemon.blockNotified = false;
+    started = Date.now();
+    await daemon.waitForBlock(300);
+    check('The sync loop keeps polling while disconnected', Date.now() - started >= 250);
+
+    await publisher.start();
+    check('Subscriber reconnects to the restarted publisher', await waitFor(() => zmqSubscriber.isConnected, 10000));
+    await sleep(300);
+
+    notified = nextNotification(zmqSubscriber, 'block');
+    const [afterRestart] = node.mine(1);
+    check('Notifications resume after reconnecting', await notified === afterRestart.hash);
+  } catch (error) {
+    fail('Test suite failed', error);
+  } finally {
+    unfollow();
+    await daemon.stopListening();
+    await publisher.stop();
+  }
+
+  finish();
+}
+
+runTests().catch(error => {
+  console.error('Fatal error:', error);
+  process.exit(1);
+});
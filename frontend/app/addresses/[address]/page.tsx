@@ -3,6 +3,8 @@
 import { useState, use } from 'react'
 import { useAddress, useAddressAssets } from '@/hooks/useApi'
 import { AddressStats } from '@/components/addresses/AddressStats'
+import { PendingTransactions } from '@/components/shared/PendingTransactions'
+import { AddressSmartnodes } from '@/components/smartnodes/AddressSmartnodes'
 import { AssetGrid } from '@/components/assets/AssetGrid'
 import { AssetFilters } from '@/components/assets/AssetFilters'
 import { SearchBar } from '@/components/shared/SearchBar'
@@ -13,8 +15,14 @@ import { Button } from '@/components/ui/button'
 import { ArrowLeft, Filter, LayoutGrid, List } from 'lucide-react'
 import Link from 'next/link'
 import { cn } from '@/lib/utils'
+import { formatDate, formatTimeAgo } from '@/lib/formatters'
 import { useFiltersStore } from '@/store/filtersStore'
 
+// Address balances are returned in RTM, not satoshis
+function formatRTMAmount(amount: number | undefined): string {
+  return `${(amount ?? 0).toLocaleString(undefined, { maximumFractionDigits: 8 })} RTM`
+}
+
 export default function AddressDetailPage({
   params,
 }: {
@@ -108,6 +116,26 @@ export default function AddressDetailPage({
           <code className="flex-1 break-all text-sm">{address}</code>
           <CopyButton text={address} />
         </div>
+        <div className="mt-4 grid gap-4 text-sm sm:grid-cols-3">
+          <div>
+            <p className="text-muted-foreground">RTM Balance</p>
+            <p className="text-lg font-semibold">{formatRTMAmount(addressInfo.balance)}</p>
+          </div>
+          <div>
+            <p className="text-muted-foreground">Total Received</p>
+            <p className="text-lg font-semibold">{formatRTMAmount(addressInfo.totalReceived)}</p>
+          </div>
+          <div>
+            <p className="text-muted-foreground">Total Sent</p>
+            <p className="text-lg font-semibold">{formatRTMAmount(addressInfo.totalSent)}</p>
+          </div>
+        </div>
+        {addressInfo.firstSeen && (
+          <p className="mt-2 text-xs text-muted-foreground">
+            First seen {formatDate(addressInfo.firstSeen)} (block {addressInfo.firstSeenBlock})
+            {addressInfo.lastSeen && <> · Last active {formatTimeAgo(addressInfo.lastSeen)}</>}
+          </p>
+        )}
       </div>
 
       {/* Statistics Cards */}
@@ -117,8 +145,15 @@ export default function AddressDetailPage({
         subAssets={stats.subAssets}
         nfts={stats.nfts}
         fts={stats.fts}
+        assetBalances={addressInfo.assetBalances}
       />
 
+      {/* Unconfirmed Activity */}
+      <PendingTransactions address={address} className="mb-8" />
+
+      {/* Smartnodes */}
+      <AddressSmartnodes address={address} className="mb-8" />
+
       {/* Section Header */}
       <div className="mb-6">
         <h2 className="mb-2 text-2xl font-bold">Assets</h2>
@@ -17,8 +17,13 @@ const endpoints = [
   },
   {
     method: 'GET',
-    path: '/blocks/:height',
-    description: 'Get a specific block by its height',
+    path: '/blocks/:id',
+    description: 'Get a block by height or hash, with next/previous hashes and its coinbase breakdown',
+  },
+  {
+    method: 'GET',
+    path: '/blocks/:id/transactions',
+    description: 'List the transactions of a block in block order with fees and asset operations (query params: limit, offset)',
   },
   {
     method: 'GET',
@@ -40,16 +45,26 @@ const endpoints = [
     path: '/assets/:assetId/subassets',
     description: 'Get sub-assets of a specific asset',
   },
+  {
+    method: 'GET',
+    path: '/transactions',
+    description: 'List transactions newest first (query params: type, asset, address, fromHeight, toHeight, limit, offset)',
+  },
   {
     method: 'GET',
     path: '/transactions/:txid',
-    description: 'Get details of a specific transaction by its ID',
+    description: 'Get a transaction with decoded inputs and outputs, asset operations, special transaction payloads and confirmations',
   },
   {
     method: 'GET',
     path: '/addresses/:address',
     description: 'Get information about a specific address',
   },
+  {
+    method: 'GET',
+    path: '/addresses/:address/transactions',
+    description: 'List the transactions of an address with its RTM received, sent and balance change (same filters as /transactions)',
+  },
   {
     method: 'GET',
     path: '/stats',
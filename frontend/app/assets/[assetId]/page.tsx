@@ -1,7 +1,9 @@
 'use client'
 
 import { use } from 'react'
+import { useQueryClient } from '@tanstack/react-query'
 import { useAsset } from '@/hooks/useApi'
+import { useLiveEvents } from '@/hooks/useLiveEvents'
 import { AssetDetail } from '@/components/assets/AssetDetail'
 import { LoadingSpinner } from '@/components/shared/LoadingSpinner'
 import { ErrorMessage } from '@/components/shared/ErrorMessage'
@@ -11,11 +13,29 @@ import Link from 'next/link'
 
 export default function AssetDetailPage({
   params,
+  searchParams,
 }: {
   params: Promise<{ assetId: string }>
+  searchParams: Promise<{ serial?: string }>
 }) {
   const { assetId } = use(params)
+  const { serial } = use(searchParams)
+  // ?serial=n shows one token instance of a unique asset
+  const parsedSerial = serial !== undefined && /^\d+$/.test(serial) ? Number(serial) : undefined
   const { data, isLoading, error } = useAsset(assetId)
+  const queryClient = useQueryClient()
+
+  // Refresh the asset, its transfers, holders and history when it changes on chain
+  const resolvedAssetId = data?.data?.assetId
+  const { connected } = useLiveEvents(
+    { assets: [assetId, resolvedAssetId].filter((id): id is string => !!id) },
+    () => {
+      queryClient.invalidateQueries({ queryKey: ['asset', assetId] })
+      if (resolvedAssetId && resolvedAssetId !== assetId) {
+        queryClient.invalidateQueries({ queryKey: ['asset', resolvedAssetId] })
+      }
+    }
+  )
 
   if (isLoading) {
     return (
@@ -49,17 +69,23 @@ export default function AssetDetailPage({
   return (
     <div className="container py-8">
       {/* Back Button */}
-      <div className="mb-6">
+      <div className="mb-6 flex items-center justify-between">
         <Button asChild variant="ghost">
           <Link href="/assets">
             <ArrowLeft className="mr-2 h-4 w-4" />
             Back to Assets
           </Link>
         </Button>
+        {connected && (
+          <span className="flex items-center gap-2 text-xs text-muted-foreground">
+            <span className="h-2 w-2 rounded-full bg-green-500" />
+            Live
+          </span>
+        )}
       </div>
 
       {/* Asset Detail */}
-      <AssetDetail asset={asset} />
+      <AssetDetail asset={asset} serial={parsedSerial} />
     </div>
   )
 }
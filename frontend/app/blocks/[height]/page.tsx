@@ -0,0 +1,257 @@
+'use client'
+
+import { use, useState } from 'react'
+import Link from 'next/link'
+import { ArrowLeft, ChevronLeft, ChevronRight } from 'lucide-react'
+import { useBlock, useBlockTransactions } from '@/hooks/useApi'
+import { BlockTransactionRow, formatAmount } from '@/components/blockchain/BlockTransactionRow'
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card'
+import { Badge } from '@/components/ui/badge'
+import { Button } from '@/components/ui/button'
+import { LoadingSpinner } from '@/components/shared/LoadingSpinner'
+import { ErrorMessage } from '@/components/shared/ErrorMessage'
+import { CopyButton } from '@/components/shared/CopyButton'
+import { Pagination } from '@/components/shared/Pagination'
+import { TimeAgo } from '@/components/shared/TimeAgo'
+import { formatBytes, formatDate, formatDifficulty, formatNumber, formatPercentage } from '@/lib/formatters'
+import { formatAddress, formatHash } from '@/lib/utils'
+import { DEFAULT_PAGE_SIZE } from '@/lib/constants'
+import type { CoinbaseBreakdown, CoinbaseRecipient } from '@/lib/types'
+
+const RECIPIENT_LABELS: Record<CoinbaseRecipient, string> = {
+  miner: 'Miner',
+  smartnode: 'Smartnode',
+  devFund: 'Dev Fund',
+}
+
+function BackToBlocks() {
+  return (
+    <Button asChild variant="ghost">
+      <Link href="/blocks">
+        <ArrowLeft className="mr-2 h-4 w-4" />
+        Back to Blocks
+      </Link>
+    </Button>
+  )
+}
+
+function CoinbaseCard({ coinbase }: { coinbase: CoinbaseBreakdown }) {
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="text-base">Coinbase</CardTitle>
+      </CardHeader>
+      <CardContent className="space-y-4 text-sm">
+        <div className="grid grid-cols-3 gap-2">
+          <div>
+            <p className="text-muted-foreground">Total</p>
+            <p className="font-mono">{formatAmount(coinbase.total)}</p>
+          </div>
+          <div>
+            <p className="text-muted-foreground">Reward</p>
+            <p className="font-mono">{coinbase.minted !== null ? formatAmount(coinbase.minted) : '—'}</p>
+          </div>
+          <div>
+            <p className="text-muted-foreground">Fees{coinbase.estimated ? ' (est.)' : ''}</p>
+            <p className="font-mono">{coinbase.fees !== null ? formatAmount(coinbase.fees) : '—'}</p>
+          </div>
+        </div>
+
+        <div className="space-y-2">
+          {(Object.keys(RECIPIENT_LABELS) as CoinbaseRecipient[]).map((recipient) => {
+            const amount = coinbase.payouts[recipient]
+            const share = coinbase.total > 0 ? (amount / coinbase.total) * 100 : 0
+            return (
+              <div key={recipient} className="space-y-1">
+                <div className="flex justify-between">
+                  <span className="text-muted-foreground">{RECIPIENT_LABELS[recipient]}</span>
+                  <span className="font-mono">
+                    {formatAmount(amount)} RTM ({formatPercentage(share, 1)})
+                  </span>
+                </div>
+                <div className="h-2 rounded-full bg-muted">
+                  <div className="h-2 rounded-full bg-accent" style={{ width: `${share}%` }} />
+                </div>
+              </div>
+            )
+          })}
+        </div>
+
+        <div className="space-y-2 border-t pt-3">
+          {coinbase.outputs.map((output, index) => (
+            <div key={`${output.address}-${index}`} className="flex items-center justify-between gap-2">
+              <div className="flex items-center gap-2">
+                <Badge variant="outline">{RECIPIENT_LABELS[output.recipient]}</Badge>
+                {output.address ? (
+                  <Link href={`/addresses/${output.address}`} className="font-mono hover:text-accent">
+                    {formatAddress(output.address)}
+                  </Link>
+                ) : (
+                  <span className="text-muted-foreground">No address</span>
+                )}
+              </div>
+              <span className="font-mono">{formatAmount(output.amount)}</span>
+            </div>
+          ))}
+        </div>
+      </CardContent>
+    </Card>
+  )
+}
+
+export default function BlockDetailPage({
+  params,
+}: {
+  params: Promise<{ height: string }>
+}) {
+  // A block height, or a block hash (as linked from the previous/next hashes)
+  const { height: id } = use(params)
+  const [page, setPage] = useState(1)
+  const limit = DEFAULT_PAGE_SIZE
+  const offset = (page - 1) * limit
+
+  const { data, isLoading, error } = useBlock(id)
+  const { data: txData, isLoading: txLoading } = useBlockTransactions(id, { limit, offset })
+
+  if (isLoading) {
+    return (
+      <div className="container py-12">
+        <LoadingSpinner text="Loading block..." />
+      </div>
+    )
+  }
+
+  // Blocks the sync daemon has not indexed yet come back as raw node data
+  if (error || !data?.data || data.meta?.dataSource === 'blockchain') {
+    return (
+      <div className="container py-12">
+        <div className="mb-4">
+          <BackToBlocks />
+        </div>
+        <ErrorMessage
+          title="Block Not Found"
+          message="No block with this height or hash has been indexed yet."
+        />
+      </div>
+    )
+  }
+
+  const block = data.data
+  const transactions = txData?.data ?? []
+  const totalPages = Math.ceil((txData?.pagination?.total ?? 0) / limit)
+
+  return (
+    <div className="container py-8">
+      <div className="mb-6 flex items-center justify-between">
+        <BackToBlocks />
+        <div className="flex gap-2">
+          <Button asChild={block.height > 0} variant="outline" size="sm" disabled={block.height === 0}>
+            {block.height > 0 ? (
+              <Link href={`/blocks/${block.height - 1}`}>
+                <ChevronLeft className="mr-1 h-4 w-4" />
+                Previous
+              </Link>
+            ) : (
+              <span>
+                <ChevronLeft className="mr-1 h-4 w-4" />
+                Previous
+              </span>
+            )}
+          </Button>
+          <Button asChild={!!block.nextHash} variant="outline" size="sm" disabled={!block.nextHash}>
+            {block.nextHash ? (
+              <Link href={`/blocks/${block.height + 1}`}>
+                Next
+                <ChevronRight className="ml-1 h-4 w-4" />
+              </Link>
+            ) : (
+              <span>
+                Next
+                <ChevronRight className="ml-1 h-4 w-4" />
+              </span>
+            )}
+          </Button>
+        </div>
+      </div>
+
+      <div className="mb-8">
+        <h1 className="mb-2 text-3xl font-bold">Block #{formatNumber(block.height)}</h1>
+        <div className="flex items-center gap-2 rounded-lg bg-muted p-4">
+          <code className="flex-1 break-all text-sm">{block.hash}</code>
+          <CopyButton text={block.hash} />
+        </div>
+      </div>
+
+      <div className="grid gap-6 lg:grid-cols-12">
+        <div className="space-y-6 lg:col-span-8">
+          <Card>
+            <CardHeader>
+              <CardTitle className="text-base">
+                Transactions ({formatNumber(block.transactionCount)})
+              </CardTitle>
+            </CardHeader>
+            <CardContent className="space-y-3">
+              {txLoading && <LoadingSpinner text="Loading transactions..." />}
+              {transactions.map((tx) => (
+                <BlockTransactionRow key={tx.txid} tx={tx} />
+              ))}
+              {totalPages > 1 && (
+                <Pagination currentPage={page} totalPages={totalPages} onPageChange={setPage} className="pt-4" />
+              )}
+            </CardContent>
+          </Card>
+        </div>
+
+        <div className="space-y-6 lg:col-span-4">
+          <Card>
+            <CardContent className="space-y-4 p-6 text-sm">
+              <div>
+                <p className="text-muted-foreground">Time</p>
+                <p>{formatDate(block.timestamp)}</p>
+                <TimeAgo timestamp={block.timestamp} className="text-muted-foreground" />
+              </div>
+              <div>
+                <p className="text-muted-foreground">Confirmations</p>
+                <p>{formatNumber(block.confirmations)}</p>
+              </div>
+              <div>
+                <p className="text-muted-foreground">Size</p>
+                <p>{formatBytes(block.size)}</p>
+              </div>
+              <div>
+                <p className="text-muted-foreground">Difficulty</p>
+                <p>{formatDifficulty(block.difficulty)}</p>
+              </div>
+              <div>
+                <p className="text-muted-foreground">Nonce</p>
+                <p className="font-mono">{block.nonce}</p>
+              </div>
+              <div>
+                <p className="text-muted-foreground">Merkle Root</p>
+                <p className="font-mono break-all">{formatHash(block.merkleRoot)}</p>
+              </div>
+              {block.height > 0 && (
+                <div>
+                  <p className="text-muted-foreground">Previous Block</p>
+                  <Link href={`/blocks/${block.previousHash}`} className="font-mono break-all hover:text-accent">
+                    {formatHash(block.previousHash)}
+                  </Link>
+                </div>
+              )}
+              {block.nextHash && (
+                <div>
+                  <p className="text-muted-foreground">Next Block</p>
+                  <Link href={`/blocks/${block.nextHash}`} className="font-mono break-all hover:text-accent">
+                    {formatHash(block.nextHash)}
+                  </Link>
+                </div>
+              )}
+            </CardContent>
+          </Card>
+
+          {block.coinbase && <CoinbaseCard coinbase={block.coinbase} />}
+        </div>
+      </div>
+    </div>
+  )
+}
@@ -1,6 +1,7 @@
 'use client'
 
 import { useState } from 'react'
+import Link from 'next/link'
 import { useBlocks } from '@/hooks/useApi'
 import { Card, CardContent } from '@/components/ui/card'
 import { LoadingSpinner } from '@/components/shared/LoadingSpinner'
@@ -52,9 +53,9 @@ export default function BlocksPage() {
                           <Layers className="h-5 w-5 text-accent" />
                         </div>
                         <div>
-                          <p className="font-semibold">
+                          <Link href={`/blocks/${block.height}`} className="font-semibold hover:text-accent">
                             Block #{formatNumber(block.height)}
-                          </p>
+                          </Link>
                           <p className="text-sm text-muted-foreground font-mono truncate max-w-xs">
                             {block.hash}
                           </p>
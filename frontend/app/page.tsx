@@ -5,6 +5,7 @@ import { ArrowRight, FileImage, Layers, Hash } from 'lucide-react'
 import { Button } from '@/components/ui/button'
 import { Card, CardContent } from '@/components/ui/card'
 import { BlockchainInfo } from '@/components/blockchain/BlockchainInfo'
+import { LiveActivity } from '@/components/blockchain/LiveActivity'
 import { SearchBar } from '@/components/shared/SearchBar'
 import { useGlobalStats } from '@/hooks/useApi'
 import { formatNumber } from '@/lib/formatters'
@@ -104,9 +105,10 @@ export default function HomePage() {
         </Card>
       </section>
 
-      {/* Blockchain Info */}
-      <section className="mb-12">
+      {/* Blockchain Info & Live Activity */}
+      <section className="mb-12 grid gap-6 lg:grid-cols-2">
         <BlockchainInfo />
+        <LiveActivity />
       </section>
 
       {/* Call to Action */}
@@ -0,0 +1,195 @@
+'use client'
+
+import { use } from 'react'
+import Link from 'next/link'
+import { ArrowLeft, ExternalLink } from 'lucide-react'
+import { useSmartnode } from '@/hooks/useApi'
+import { SmartnodeStatusBadge } from '@/components/smartnodes/SmartnodeRow'
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card'
+import { Button } from '@/components/ui/button'
+import { LoadingSpinner } from '@/components/shared/LoadingSpinner'
+import { ErrorMessage } from '@/components/shared/ErrorMessage'
+import { CopyButton } from '@/components/shared/CopyButton'
+import { TimeAgo } from '@/components/shared/TimeAgo'
+import { formatDate, formatNumber } from '@/lib/formatters'
+import { formatHash } from '@/lib/utils'
+import type { SmartnodeEvent } from '@/lib/types'
+
+const EVENT_LABELS: Record<SmartnodeEvent['type'], string> = {
+  register: 'Registered',
+  update_service: 'Service updated',
+  update_registrar: 'Registrar updated',
+  revoke: 'Operator revoked',
+  collateral_spent: 'Collateral spent',
+  replaced: 'Replaced by a new registration',
+}
+
+function AddressField({ label, address }: { label: string; address: string | null }) {
+  return (
+    <div>
+      <p className="mb-1 text-xs text-muted-foreground">{label}</p>
+      {address ? (
+        <div className="flex items-center gap-2">
+          <Link href={`/addresses/${address}`} className="font-mono text-sm break-all hover:text-accent">
+            {address}
+          </Link>
+          <CopyButton text={address} size="sm" />
+        </div>
+      ) : (
+        <span className="text-sm text-muted-foreground">None</span>
+      )}
+    </div>
+  )
+}
+
+export default function SmartnodeDetailPage({
+  params,
+}: {
+  params: Promise<{ proTxHash: string }>
+}) {
+  const { proTxHash } = use(params)
+  const { data, isLoading, error } = useSmartnode(proTxHash)
+
+  if (isLoading) {
+    return (
+      <div className="container py-12">
+        <LoadingSpinner text="Loading smartnode..." />
+      </div>
+    )
+  }
+
+  if (error || !data?.data) {
+    return (
+      <div className="container py-12">
+        <div className="mb-4">
+          <Button asChild variant="ghost">
+            <Link href="/smartnodes">
+              <ArrowLeft className="mr-2 h-4 w-4" />
+              Back to Smartnodes
+            </Link>
+          </Button>
+        </div>
+        <ErrorMessage
+          title="Smartnode Not Found"
+          message="No smartnode is registered with this ProTx hash, or it has not been indexed yet."
+        />
+      </div>
+    )
+  }
+
+  const smartnode = data.data
+
+  return (
+    <div className="container py-8">
+      <div className="mb-6">
+        <Button asChild variant="ghost">
+          <Link href="/smartnodes">
+            <ArrowLeft className="mr-2 h-4 w-4" />
+            Back to Smartnodes
+          </Link>
+        </Button>
+      </div>
+
+      <div className="mb-8">
+        <div className="mb-2 flex items-center gap-3">
+          <h1 className="text-3xl font-bold">Smartnode</h1>
+          <SmartnodeStatusBadge status={smartnode.status} />
+        </div>
+        <div className="flex items-center gap-2 rounded-lg bg-muted p-4">
+          <code className="flex-1 break-all text-sm">{smartnode.proTxHash}</code>
+          <CopyButton text={smartnode.proTxHash} />
+        </div>
+      </div>
+
+      <div className="grid gap-6 lg:grid-cols-12">
+        <div className="space-y-6 lg:col-span-8">
+          <Card>
+            <CardHeader>
+              <CardTitle className="text-base">Addresses</CardTitle>
+            </CardHeader>
+            <CardContent className="space-y-4">
+              <AddressField label="Collateral" address={smartnode.collateralAddress} />
+              <AddressField label="Owner" address={smartnode.ownerAddress} />
+              <AddressField label="Voting" address={smartnode.votingAddress} />
+              <AddressField label="Payout" address={smartnode.payoutAddress} />
+              <AddressField label="Operator Payout" address={smartnode.operatorPayoutAddress} />
+            </CardContent>
+          </Card>
+
+          <Card>
+            <CardHeader>
+              <CardTitle className="text-base">History</CardTitle>
+            </CardHeader>
+            <CardContent className="space-y-3">
+              {smartnode.history.map((event) => (
+                <div key={`${event.type}-${event.txid}`} className="space-y-1 rounded-lg border p-3">
+                  <div className="text-sm font-medium">{EVENT_LABELS[event.type]}</div>
+                  {event.changes.service && (
+                    <div className="text-sm text-muted-foreground">Service {event.changes.service}</div>
+                  )}
+                  <div className="flex flex-wrap items-center gap-2 text-xs text-muted-foreground">
+                    <Link href={`/transactions/${event.txid}`} className="flex items-center gap-1 font-mono hover:text-accent">
+                      <span>{formatHash(event.txid, 6, 6)}</span>
+                      <ExternalLink className="h-3 w-3" />
+                    </Link>
+                    <span>•</span>
+                    <TimeAgo timestamp={event.timestamp} />
+                    <span>•</span>
+                    <span>Block {formatNumber(event.height)}</span>
+                  </div>
+                </div>
+              ))}
+            </CardContent>
+          </Card>
+        </div>
+
+        <div className="space-y-6 lg:col-span-4">
+          <Card>
+            <CardContent className="space-y-4 p-6 text-sm">
+              <div>
+                <p className="text-muted-foreground">Service</p>
+                <p className="font-mono">{smartnode.service || 'None'}</p>
+              </div>
+              <div>
+                <p className="text-muted-foreground">Collateral</p>
+                <p className="font-mono break-all">
+                  {formatHash(smartnode.collateralHash)}:{smartnode.collateralIndex}
+                </p>
+                {smartnode.collateralAmount != null && (
+                  <p>{formatNumber(smartnode.collateralAmount)} RTM</p>
+                )}
+              </div>
+              <div>
+                <p className="text-muted-foreground">Operator Reward</p>
+                <p>{smartnode.operatorReward}%</p>
+              </div>
+              {smartnode.pubKeyOperator && (
+                <div>
+                  <p className="text-muted-foreground">Operator Key</p>
+                  <p className="font-mono break-all">{formatHash(smartnode.pubKeyOperator)}</p>
+                </div>
+              )}
+              <div>
+                <p className="text-muted-foreground">Registered</p>
+                <p>{formatDate(smartnode.registeredAt)}</p>
+                <p className="text-muted-foreground">Block {formatNumber(smartnode.registeredHeight)}</p>
+              </div>
+              {smartnode.revokedHeight != null && (
+                <div>
+                  <p className="text-muted-foreground">Revoked</p>
+                  <p>Block {formatNumber(smartnode.revokedHeight)} (reason {smartnode.revocationReason ?? 0})</p>
+                </div>
+              )}
+              {smartnode.removedHeight != null && (
+                <div>
+                  <p className="text-muted-foreground">Removed</p>
+                  <p>Block {formatNumber(smartnode.removedHeight)}</p>
+                </div>
+              )}
+            </CardContent>
+          </Card>
+        </div>
+      </div>
+    </div>
+  )
+}
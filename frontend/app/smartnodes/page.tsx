@@ -0,0 +1,117 @@
+'use client'
+
+import { useState } from 'react'
+import { useSmartnodes, useSmartnodeStats } from '@/hooks/useApi'
+import { SmartnodeRow } from '@/components/smartnodes/SmartnodeRow'
+import { Card, CardContent } from '@/components/ui/card'
+import { Button } from '@/components/ui/button'
+import { LoadingSpinner } from '@/components/shared/LoadingSpinner'
+import { ErrorMessage } from '@/components/shared/ErrorMessage'
+import { Pagination } from '@/components/shared/Pagination'
+import { formatNumber } from '@/lib/formatters'
+import { DEFAULT_PAGE_SIZE } from '@/lib/constants'
+import type { SmartnodeStatus } from '@/lib/types'
+
+const STATUS_FILTERS: { label: string; value?: SmartnodeStatus }[] = [
+  { label: 'All' },
+  { label: 'Active', value: 'active' },
+  { label: 'Revoked', value: 'revoked' },
+  { label: 'Removed', value: 'removed' },
+]
+
+export default function SmartnodesPage() {
+  const [page, setPage] = useState(1)
+  const [status, setStatus] = useState<SmartnodeStatus | undefined>('active')
+  const limit = DEFAULT_PAGE_SIZE
+  const offset = (page - 1) * limit
+
+  const { data: statsData } = useSmartnodeStats()
+  const { data, isLoading, error } = useSmartnodes({ status, limit, offset })
+
+  const stats = statsData?.data
+  const smartnodes = data?.data ?? []
+  const totalPages = data?.pagination?.pages ?? 0
+
+  const selectStatus = (value?: SmartnodeStatus) => {
+    setStatus(value)
+    setPage(1)
+  }
+
+  return (
+    <div className="container py-8">
+      <div className="mb-8">
+        <h1 className="mb-2 text-3xl font-bold">Smartnodes</h1>
+        <p className="text-muted-foreground">
+          Smartnodes registered on the Raptoreum blockchain, indexed from their ProTx transactions
+        </p>
+      </div>
+
+      {stats && (
+        <div className="mb-8 grid gap-4 sm:grid-cols-4">
+          {[
+            { label: 'Active', value: stats.active },
+            { label: 'Revoked', value: stats.revoked },
+            { label: 'Removed', value: stats.removed },
+            { label: 'Quorum Commitments', value: stats.quorumCommitments },
+          ].map(({ label, value }) => (
+            <Card key={label}>
+              <CardContent className="p-4">
+                <p className="text-sm text-muted-foreground">{label}</p>
+                <p className="text-2xl font-bold">{formatNumber(value)}</p>
+              </CardContent>
+            </Card>
+          ))}
+        </div>
+      )}
+
+      <div className="mb-6 flex flex-wrap gap-2">
+        {STATUS_FILTERS.map(({ label, value }) => (
+          <Button
+            key={label}
+            variant={status === value ? 'default' : 'outline'}
+            size="sm"
+            onClick={() => selectStatus(value)}
+          >
+            {label}
+          </Button>
+        ))}
+      </div>
+
+      {isLoading && (
+        <LoadingSpinner text="Loading smartnodes..." />
+      )}
+
+      {error && (
+        <ErrorMessage message="Failed to load smartnodes" />
+      )}
+
+      {!isLoading && !error && (
+        <>
+          {smartnodes.length > 0 ? (
+            <div className="space-y-4">
+              {smartnodes.map((smartnode) => (
+                <SmartnodeRow key={smartnode.proTxHash} smartnode={smartnode} />
+              ))}
+            </div>
+          ) : (
+            <Card>
+              <CardContent className="p-6 text-center text-muted-foreground">
+                No smartnodes found
+              </CardContent>
+            </Card>
+          )}
+
+          {totalPages > 1 && (
+            <div className="mt-8">
+              <Pagination
+                currentPage={page}
+                totalPages={totalPages}
+                onPageChange={setPage}
+              />
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  )
+}
@@ -1,11 +1,11 @@
 'use client'
 
-import { useGlobalStats, useBlockchainInfo } from '@/hooks/useApi'
+import { useGlobalStats, useBlockchainInfo, useSupply } from '@/hooks/useApi'
 import { Card, CardContent } from '@/components/ui/card'
 import { Tooltip, TooltipContent, TooltipProvider, TooltipTrigger } from '@/components/ui/tooltip'
 import { LoadingSpinner } from '@/components/shared/LoadingSpinner'
 import { ErrorMessage } from '@/components/shared/ErrorMessage'
-import { formatNumber, formatHashRate, formatDifficulty } from '@/lib/formatters'
+import { formatNumber, formatHashRate, formatDifficulty, formatPercentage } from '@/lib/formatters'
 import {
   BarChart3,
   FileImage,
@@ -16,15 +16,19 @@ import {
   Activity,
   Database,
   ImageIcon,
+  Coins,
+  Lock,
 } from 'lucide-react'
 
 export default function StatsPage() {
   const { data: statsData, isLoading: statsLoading, error: statsError } = useGlobalStats()
   const { data: blockchainData, isLoading: blockchainLoading, error: blockchainError } = useBlockchainInfo()
+  const { data: supplyData } = useSupply()
 
   const isLoading = statsLoading || blockchainLoading
   const stats = statsData?.data
   const blockchain = blockchainData?.data
+  const supply = supplyData?.data
 
   return (
     <TooltipProvider>
@@ -285,6 +289,109 @@ export default function StatsPage() {
               </div>
             </>
           )}
+
+          {/* RTM Supply */}
+          {supply && (
+            <>
+              <h2 className="text-xl font-semibold flex items-center gap-2">
+                <Coins className="h-5 w-5 text-accent" />
+                RTM Supply
+              </h2>
+              <div className="grid gap-4 sm:grid-cols-3">
+                <Card>
+                  <CardContent className="p-6">
+                    <div className="flex items-center gap-4">
+                      <div className="rounded-lg bg-accent/10 p-3">
+                        <Coins className="h-6 w-6 text-accent" />
+                      </div>
+                      <div>
+                        <Tooltip>
+                          <TooltipTrigger asChild>
+                            <p className="text-sm text-muted-foreground flex items-center gap-1 cursor-default w-fit">
+                              Total Minted
+                              <Info className="h-3 w-3 opacity-50" />
+                            </p>
+                          </TooltipTrigger>
+                          <TooltipContent side="top" className="max-w-[220px] text-center">
+                            All RTM created by block rewards so far, excluding transaction fees.
+                          </TooltipContent>
+                        </Tooltip>
+                        <p className="text-2xl font-bold">{formatNumber(Math.round(supply.totalMinted))} RTM</p>
+                      </div>
+                    </div>
+                  </CardContent>
+                </Card>
+                <Card>
+                  <CardContent className="p-6">
+                    <div className="flex items-center gap-4">
+                      <div className="rounded-lg bg-accent/10 p-3">
+                        <Activity className="h-6 w-6 text-accent" />
+                      </div>
+                      <div>
+                        <Tooltip>
+                          <TooltipTrigger asChild>
+                            <p className="text-sm text-muted-foreground flex items-center gap-1 cursor-default w-fit">
+                              Circulating Supply
+                              <Info className="h-3 w-3 opacity-50" />
+                            </p>
+                          </TooltipTrigger>
+                          <TooltipContent side="top" className="max-w-[220px] text-center">
+                            Total minted RTM minus RTM still locked in futures.
+                          </TooltipContent>
+                        </Tooltip>
+                        <p className="text-2xl font-bold">{formatNumber(Math.round(supply.circulating))} RTM</p>
+                      </div>
+                    </div>
+                  </CardContent>
+                </Card>
+                <Card>
+                  <CardContent className="p-6">
+                    <div className="flex items-center gap-4">
+                      <div className="rounded-lg bg-accent/10 p-3">
+                        <Lock className="h-6 w-6 text-accent" />
+                      </div>
+                      <div>
+                        <p className="text-sm text-muted-foreground">Locked in Futures</p>
+                        <p className="text-2xl font-bold">{formatNumber(Math.round(supply.lockedInFutures))} RTM</p>
+                      </div>
+                    </div>
+                  </CardContent>
+                </Card>
+              </div>
+
+              <Card>
+                <CardContent className="space-y-3 p-6">
+                  <p className="text-sm font-medium">Block Reward Payouts</p>
+                  {([
+                    ['Miners', supply.payouts.miner],
+                    ['Smartnodes', supply.payouts.smartnode],
+                    ['Dev Fund', supply.payouts.devFund],
+                  ] as const).map(([label, amount]) => {
+                    const paid = supply.payouts.miner + supply.payouts.smartnode + supply.payouts.devFund
+                    const share = paid > 0 ? (amount / paid) * 100 : 0
+                    return (
+                      <div key={label} className="space-y-1">
+                        <div className="flex justify-between text-sm">
+                          <span className="text-muted-foreground">{label}</span>
+                          <span className="font-mono">
+                            {formatNumber(Math.round(amount))} RTM ({formatPercentage(share, 1)})
+                          </span>
+                        </div>
+                        <div className="h-2 rounded-full bg-muted">
+                          <div className="h-2 rounded-full bg-accent" style={{ width: `${share}%` }} />
+                        </div>
+                      </div>
+                    )
+                  })}
+                  {!supply.complete && (
+                    <p className="text-xs text-muted-foreground">
+                      Not every block has been recorded yet; totals cover synced blocks only.
+                    </p>
+                  )}
+                </CardContent>
+              </Card>
+            </>
+          )}
         </div>
       )}
     </div>
@@ -0,0 +1,321 @@
+'use client'
+
+import { use } from 'react'
+import Link from 'next/link'
+import { ArrowLeft, ArrowRight } from 'lucide-react'
+import { useTransaction } from '@/hooks/useApi'
+import { OperationLine, TYPE_LABELS, formatAmount } from '@/components/blockchain/BlockTransactionRow'
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card'
+import { Badge } from '@/components/ui/badge'
+import { Button } from '@/components/ui/button'
+import { LoadingSpinner } from '@/components/shared/LoadingSpinner'
+import { ErrorMessage } from '@/components/shared/ErrorMessage'
+import { CopyButton } from '@/components/shared/CopyButton'
+import { TimeAgo } from '@/components/shared/TimeAgo'
+import { formatBytes, formatDate, formatNumber } from '@/lib/formatters'
+import { formatAddress, formatHash } from '@/lib/utils'
+import type { TransactionOutputAsset, TransactionPayloads } from '@/lib/types'
+
+const PAYLOAD_LABELS: Record<keyof TransactionPayloads, string> = {
+  newAssetTx: 'Asset Creation',
+  updateAssetTx: 'Asset Update',
+  mintAssetTx: 'Asset Mint',
+  futureTx: 'Future',
+  proRegTx: 'Smartnode Registration',
+  proUpServTx: 'Smartnode Service Update',
+  proUpRegTx: 'Smartnode Registrar Update',
+  proUpRevTx: 'Smartnode Revocation',
+  qcTx: 'Quorum Commitment',
+  cbTx: 'Coinbase Payload',
+}
+
+function BackLink({ blockHeight }: { blockHeight?: number | null }) {
+  return (
+    <Button asChild variant="ghost">
+      <Link href={blockHeight != null ? `/blocks/${blockHeight}` : '/blocks'}>
+        <ArrowLeft className="mr-2 h-4 w-4" />
+        {blockHeight != null ? `Back to Block #${formatNumber(blockHeight)}` : 'Back to Blocks'}
+      </Link>
+    </Button>
+  )
+}
+
+function AddressLink({ address }: { address: string | null }) {
+  if (!address) return <span className="text-muted-foreground">No address</span>
+  return (
+    <Link href={`/addresses/${address}`} className="font-mono hover:text-accent">
+      {formatAddress(address)}
+    </Link>
+  )
+}
+
+function AssetAmount({ asset }: { asset: TransactionOutputAsset }) {
+  return (
+    <Badge variant="secondary">
+      {formatAmount(asset.amount)} {asset.assetName || formatHash(asset.assetId, 6, 6)}
+    </Badge>
+  )
+}
+
+// Payload fields as raptoreumd returns them; nested values are shown as JSON
+function PayloadFields({ payload }: { payload: Record<string, unknown> }) {
+  return (
+    <dl className="grid gap-x-4 gap-y-1 text-sm sm:grid-cols-[max-content_1fr]">
+      {Object.entries(payload).map(([key, value]) => (
+        <div key={key} className="contents">
+          <dt className="text-muted-foreground">{key}</dt>
+          <dd className="font-mono break-all">
+            {value !== null && typeof value === 'object' ? JSON.stringify(value) : String(value)}
+          </dd>
+        </div>
+      ))}
+    </dl>
+  )
+}
+
+export default function TransactionDetailPage({
+  params,
+}: {
+  params: Promise<{ txid: string }>
+}) {
+  const { txid } = use(params)
+  const { data, isLoading, error } = useTransaction(txid)
+
+  if (isLoading) {
+    return (
+      <div className="container py-12">
+        <LoadingSpinner text="Loading transaction..." />
+      </div>
+    )
+  }
+
+  if (error || !data?.data) {
+    return (
+      <div className="container py-12">
+        <div className="mb-4">
+          <BackLink />
+        </div>
+        <ErrorMessage
+          title="Transaction Not Found"
+          message="Neither the index nor the node knows a transaction with this ID."
+        />
+      </div>
+    )
+  }
+
+  const tx = data.data
+  const payloads = (Object.keys(PAYLOAD_LABELS) as (keyof TransactionPayloads)[])
+    .filter((key) => tx.payloads[key])
+
+  return (
+    <div className="container py-8">
+      <div className="mb-6">
+        <BackLink blockHeight={tx.blockHeight} />
+      </div>
+
+      <div className="mb-8">
+        <div className="mb-2 flex flex-wrap items-center gap-3">
+          <h1 className="text-3xl font-bold">Transaction</h1>
+          <Badge variant={tx.status === 'confirmed' ? 'success' : 'warning'}>
+            {tx.status === 'confirmed' ? 'Confirmed' : 'Pending'}
+          </Badge>
+          <Badge variant={tx.isCoinbase ? 'info' : 'outline'}>
+            {tx.isCoinbase ? 'Coinbase' : TYPE_LABELS[tx.type]}
+          </Badge>
+        </div>
+        <div className="flex items-center gap-2 rounded-lg bg-muted p-4">
+          <code className="flex-1 break-all text-sm">{tx.txid}</code>
+          <CopyButton text={tx.txid} />
+        </div>
+      </div>
+
+      <div className="grid gap-6 lg:grid-cols-12">
+        <div className="space-y-6 lg:col-span-8">
+          {tx.operations.length > 0 && (
+            <Card>
+              <CardHeader>
+                <CardTitle className="text-base">Asset Operations</CardTitle>
+              </CardHeader>
+              <CardContent className="space-y-2">
+                {tx.operations.map((op, index) => (
+                  <OperationLine key={index} op={op} />
+                ))}
+              </CardContent>
+            </Card>
+          )}
+
+          <div className="grid gap-6 md:grid-cols-2">
+            <Card>
+              <CardHeader>
+                <CardTitle className="text-base">Inputs ({tx.inputs.length})</CardTitle>
+              </CardHeader>
+              <CardContent className="space-y-3 text-sm">
+                {tx.inputs.map((input) => (
+                  <div key={input.index} className="space-y-1 rounded-lg border p-3">
+                    {input.coinbase ? (
+                      <div className="flex items-center justify-between">
+                        <Badge variant="info">Newly minted</Badge>
+                        <span className="font-mono">{formatAmount(input.amount ?? 0)} RTM</span>
+                      </div>
+                    ) : (
+                      <>
+                        <div className="flex items-center justify-between gap-2">
+                          <AddressLink address={input.address} />
+                          <span className="font-mono">
+                            {input.amount !== null ? `${formatAmount(input.amount)} RTM` : 'Unknown'}
+                          </span>
+                        </div>
+                        <div className="flex flex-wrap items-center gap-2 text-xs text-muted-foreground">
+                          <Link href={`/transactions/${input.txid}`} className="font-mono hover:text-accent">
+                            {formatHash(input.txid ?? '', 6, 6)}:{input.vout}
+                          </Link>
+                          {input.asset && <AssetAmount asset={input.asset} />}
+                        </div>
+                      </>
+                    )}
+                  </div>
+                ))}
+              </CardContent>
+            </Card>
+
+            <Card>
+              <CardHeader>
+                <CardTitle className="text-base">Outputs ({tx.outputs.length})</CardTitle>
+              </CardHeader>
+              <CardContent className="space-y-3 text-sm">
+                {tx.outputs.map((output) => (
+                  <div key={output.n} className="space-y-1 rounded-lg border p-3">
+                    <div className="flex items-center justify-between gap-2">
+                      <div className="flex items-center gap-2">
+                        <span className="text-xs text-muted-foreground">#{output.n}</span>
+                        <AddressLink address={output.address} />
+                      </div>
+                      <span className="font-mono">{formatAmount(output.amount)} RTM</span>
+                    </div>
+                    <div className="flex flex-wrap items-center gap-2 text-xs text-muted-foreground">
+                      {output.asset && <AssetAmount asset={output.asset} />}
+                      {output.spent ? (
+                        output.spentTxid ? (
+                          <Link href={`/transactions/${output.spentTxid}`} className="flex items-center gap-1 hover:text-accent">
+                            Spent
+                            <ArrowRight className="h-3 w-3" />
+                            <span className="font-mono">{formatHash(output.spentTxid, 6, 6)}</span>
+                          </Link>
+                        ) : (
+                          <span>Spent</span>
+                        )
+                      ) : (
+                        <span>Unspent</span>
+                      )}
+                    </div>
+                  </div>
+                ))}
+              </CardContent>
+            </Card>
+          </div>
+
+          {payloads.map((key) => (
+            <Card key={key}>
+              <CardHeader>
+                <CardTitle className="text-base">
+                  {PAYLOAD_LABELS[key]} <span className="font-mono text-sm text-muted-foreground">{key}</span>
+                </CardTitle>
+              </CardHeader>
+              <CardContent>
+                <PayloadFields payload={tx.payloads[key]!} />
+              </CardContent>
+            </Card>
+          ))}
+        </div>
+
+        <div className="space-y-6 lg:col-span-4">
+          <Card>
+            <CardContent className="space-y-4 p-6 text-sm">
+              <div>
+                <p className="text-muted-foreground">Block</p>
+                {tx.blockHeight != null ? (
+                  <Link href={`/blocks/${tx.blockHeight}`} className="hover:text-accent">
+                    #{formatNumber(tx.blockHeight)}
+                  </Link>
+                ) : (
+                  <p>Not in a block yet</p>
+                )}
+              </div>
+              {tx.timestamp && (
+                <div>
+                  <p className="text-muted-foreground">Time</p>
+                  <p>{formatDate(tx.timestamp)}</p>
+                  <TimeAgo timestamp={tx.timestamp} className="text-muted-foreground" />
+                </div>
+              )}
+              <div>
+                <p className="text-muted-foreground">Confirmations</p>
+                <p>{formatNumber(tx.confirmations)}</p>
+              </div>
+              <div>
+                <p className="text-muted-foreground">Total Input</p>
+                <p className="font-mono">{tx.totalInput !== null ? `${formatAmount(tx.totalInput)} RTM` : 'Unknown'}</p>
+              </div>
+              <div>
+                <p className="text-muted-foreground">Total Output</p>
+                <p className="font-mono">{formatAmount(tx.totalOutput)} RTM</p>
+              </div>
+              {!tx.isCoinbase && (
+                <div>
+                  <p className="text-muted-foreground">Fee</p>
+                  <p className="font-mono">{tx.fee !== null ? `${formatAmount(tx.fee)} RTM` : 'Unknown'}</p>
+                </div>
+              )}
+              <div>
+                <p className="text-muted-foreground">Size</p>
+                <p>{formatBytes(tx.size)}</p>
+              </div>
+              {tx.version !== null && (
+                <div>
+                  <p className="text-muted-foreground">Version / Type</p>
+                  <p className="font-mono">
+                    {tx.version} / {tx.txType ?? 0}
+                  </p>
+                </div>
+              )}
+              {!!tx.locktime && (
+                <div>
+                  <p className="text-muted-foreground">Locktime</p>
+                  <p className="font-mono">{tx.locktime}</p>
+                </div>
+              )}
+            </CardContent>
+          </Card>
+
+          {tx.futureData && (
+            <Card>
+              <CardHeader>
+                <CardTitle className="text-base">Future Lock</CardTitle>
+              </CardHeader>
+              <CardContent className="space-y-4 text-sm">
+                {tx.futureData.lockedAmount !== undefined && (
+                  <div>
+                    <p className="text-muted-foreground">Locked Amount</p>
+                    <p className="font-mono">{formatAmount(tx.futureData.lockedAmount)} RTM</p>
+                  </div>
+                )}
+                {tx.futureData.unlockHeight !== undefined && (
+                  <div>
+                    <p className="text-muted-foreground">Unlocks at Block</p>
+                    <p>#{formatNumber(tx.futureData.unlockHeight)}</p>
+                  </div>
+                )}
+                {tx.futureData.unlockTime && (
+                  <div>
+                    <p className="text-muted-foreground">Unlocks at</p>
+                    <p>{formatDate(tx.futureData.unlockTime)}</p>
+                  </div>
+                )}
+              </CardContent>
+            </Card>
+          )}
+        </div>
+      </div>
+    </div>
+  )
+}
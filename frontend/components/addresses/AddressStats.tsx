@@ -2,6 +2,9 @@
 
 import { Card } from '@/components/ui/card'
 import { Package, Grid, Coins, Image as ImageIcon } from 'lucide-react'
+import type { AssetBalance } from '@/lib/types'
+
+const MAX_LISTED_BALANCES = 3
 
 interface AddressStatsProps {
   totalTransactions: number
@@ -9,6 +12,7 @@ interface AddressStatsProps {
   subAssets: number
   nfts: number
   fts: number
+  assetBalances?: AssetBalance[]
 }
 
 export function AddressStats({
@@ -17,19 +21,23 @@ export function AddressStats({
   subAssets,
   nfts,
   fts,
+  assetBalances = [],
 }: AddressStatsProps) {
   const totalAssets = masterAssets + subAssets
+  const topBalances = [...assetBalances]
+    .sort((a, b) => b.balance - a.balance)
+    .slice(0, MAX_LISTED_BALANCES)
 
   return (
     <div className="mb-8 grid gap-4 sm:grid-cols-2 lg:grid-cols-4">
-      {/* Total Asset Transactions */}
+      {/* Total Transactions */}
       <Card className="p-6">
         <div className="flex items-center gap-4">
           <div className="flex h-12 w-12 items-center justify-center rounded-lg bg-primary/10">
             <Package className="h-6 w-6 text-primary" />
           </div>
           <div>
-            <p className="text-sm text-muted-foreground">Asset Transactions</p>
+            <p className="text-sm text-muted-foreground">Transactions</p>
             <p className="text-2xl font-bold">{totalTransactions.toLocaleString()}</p>
           </div>
         </div>
@@ -72,9 +80,24 @@ export function AddressStats({
           <div className="flex h-12 w-12 items-center justify-center rounded-lg bg-green-500/10">
             <Coins className="h-6 w-6 text-green-500" />
           </div>
-          <div>
+          <div className="min-w-0 flex-1">
             <p className="text-sm text-muted-foreground">Fungible Tokens</p>
             <p className="text-2xl font-bold">{fts.toLocaleString()}</p>
+            {topBalances.length > 0 && (
+              <ul className="mt-1 space-y-0.5 text-xs text-muted-foreground">
+                {topBalances.map((holding) => (
+                  <li key={holding.assetId} className="flex justify-between gap-2">
+                    <span className="truncate">{holding.assetName || holding.assetId}</span>
+                    <span className="font-medium text-foreground">
+                      {holding.balance.toLocaleString()}
+                    </span>
+                  </li>
+                ))}
+                {assetBalances.length > topBalances.length && (
+                  <li>+{assetBalances.length - topBalances.length} more</li>
+                )}
+              </ul>
+            )}
           </div>
         </div>
       </Card>
@@ -29,7 +29,7 @@ export function AssetAttributes({ attributes, className }: AssetAttributesProps)
               </div>
               <div className="flex items-center justify-between gap-2">
                 <div className="font-semibold truncate">
-                  {attr.value}
+                  {String(attr.value)}
                 </div>
                 {attr.display_type && (
                   <Badge variant="secondary" className="text-xs">
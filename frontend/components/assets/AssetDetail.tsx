@@ -8,9 +8,13 @@ import { Button } from '@/components/ui/button'
 import { Separator } from '@/components/ui/separator'
 import { IPFSImage } from '@/components/shared/IPFSImage'
 import { CopyButton } from '@/components/shared/CopyButton'
+import { PendingTransactions } from '@/components/shared/PendingTransactions'
 import { AssetAttributes } from './AssetAttributes'
+import { MetadataQuality } from './MetadataQuality'
 import { AssetHistory } from './AssetHistory'
 import { SubAssetGrid } from './SubAssetGrid'
+import { AssetTree } from './AssetTree'
+import { AssetUnitDetail } from './AssetUnitDetail'
 import { formatDate, formatNumber } from '@/lib/formatters'
 import { formatHash } from '@/lib/utils'
 import { cn } from '@/lib/utils'
@@ -19,10 +23,14 @@ import type { Asset } from '@/lib/types'
 
 interface AssetDetailProps {
   asset: Asset
+  // Show one token instance of a unique asset minted more than once
+  serial?: number
   className?: string
 }
 
-export function AssetDetail({ asset, className }: AssetDetailProps) {
+export function AssetDetail({ asset, serial, className }: AssetDetailProps) {
+  const hasUnits = asset.isUnique && asset.maxMintCount > 1
+
   // Detect file type from IPFS hash if available
   const fileType = asset.hasIpfs && asset.ipfsHash 
     ? detectFileType(asset.ipfsHash)
@@ -58,7 +66,12 @@ export function AssetDetail({ asset, className }: AssetDetailProps) {
         {/* Name and Description */}
         <div>
           <div className="mb-2 flex items-start justify-between gap-4">
-            <h1 className="text-3xl font-bold">{asset.name}</h1>
+            <h1 className="text-3xl font-bold">
+              {asset.name}
+              {serial !== undefined && (
+                <span className="text-muted-foreground"> #{formatNumber(serial)}</span>
+              )}
+            </h1>
             <div className="flex gap-2">
               <Badge variant={asset.type === 'nft' ? 'default' : 'secondary'}>
                 {asset.type === 'nft' ? 'NFT' : 'Fungible'}
@@ -74,14 +87,28 @@ export function AssetDetail({ asset, className }: AssetDetailProps) {
           {asset.metadata?.description && (
             <p className="text-muted-foreground">{asset.metadata.description}</p>
           )}
+          {serial !== undefined && (
+            <Link href={`/assets/${asset.assetId}`} className="mt-2 inline-block text-sm hover:text-accent">
+              View the whole collection
+            </Link>
+          )}
         </div>
 
+        {/* Token Instance */}
+        {serial !== undefined && <AssetUnitDetail assetId={asset.assetId} serial={serial} />}
+
         {/* Attributes */}
         {asset.metadata?.attributes && Array.isArray(asset.metadata.attributes) && asset.metadata.attributes.length > 0 && (
           <AssetAttributes attributes={asset.metadata.attributes} />
         )}
 
-        {/* Transfer History */}
+        {/* Metadata Quality */}
+        <MetadataQuality quality={asset.metadataQuality} />
+
+        {/* Unconfirmed Activity */}
+        <PendingTransactions assetId={asset.assetId} />
+
+        {/* Transfer & Metadata History */}
         <AssetHistory assetId={asset.assetId} />
 
         {/* Parent Asset */}
@@ -103,7 +130,10 @@ export function AssetDetail({ asset, className }: AssetDetailProps) {
         )}
 
         {/* Sub-Assets */}
-        <SubAssetGrid parentAssetId={asset.assetId} />
+        <SubAssetGrid parentAssetId={asset.assetId} showUnits={hasUnits} selectedSerial={serial} />
+
+        {/* Sub-Asset Hierarchy */}
+        <AssetTree assetId={asset.assetId} />
       </div>
 
       {/* Sidebar - Right Column */}
@@ -201,7 +231,19 @@ export function AssetDetail({ asset, className }: AssetDetailProps) {
             {/* IPFS Hash */}
             {asset.ipfsHash && (
               <div>
-                <div className="mb-1 text-xs text-muted-foreground">IPFS Hash</div>
+                <div className="mb-1 flex items-center gap-2 text-xs text-muted-foreground">
+                  IPFS Hash
+                  <Badge
+                    variant={asset.ipfsVerified ? 'success' : 'outline'}
+                    title={
+                      asset.ipfsVerified
+                        ? 'Fetched content matches this hash'
+                        : 'Content has not been checked against this hash'
+                    }
+                  >
+                    {asset.ipfsVerified ? 'Verified' : 'Unverified'}
+                  </Badge>
+                </div>
                 <div className="flex items-center justify-between gap-2">
                   <span className="font-mono text-sm break-all">{formatHash(asset.ipfsHash)}</span>
                   <CopyButton text={asset.ipfsHash} size="sm" />
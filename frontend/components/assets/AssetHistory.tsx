@@ -2,14 +2,16 @@
 
 import Link from 'next/link'
 import { ArrowRight, ExternalLink } from 'lucide-react'
+import { Badge } from '@/components/ui/badge'
 import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card'
 import { CopyButton } from '@/components/shared/CopyButton'
 import { TimeAgo } from '@/components/shared/TimeAgo'
 import { LoadingSpinner } from '@/components/shared/LoadingSpinner'
 import { EmptyState } from '@/components/shared/EmptyState'
 import { Pagination } from '@/components/shared/Pagination'
-import { useAssetTransfers } from '@/hooks/useApi'
-import { formatAddress, formatHash } from '@/lib/utils'
+import { useAssetHistory, useAssetTransfers } from '@/hooks/useApi'
+import { cn, formatAddress, formatCID, formatHash } from '@/lib/utils'
+import type { AssetVersionChange } from '@/lib/types'
 import { useState } from 'react'
 
 interface AssetHistoryProps {
@@ -17,7 +19,27 @@ interface AssetHistoryProps {
   className?: string
 }
 
+const CHANGE_LABELS: Record<string, string> = {
+  ownerAddress: 'Owner',
+  referenceHash: 'Metadata (IPFS)',
+  updatable: 'Updatable',
+  maxMintCount: 'Max mint count',
+  'distribution.type': 'Distribution type',
+  'distribution.targetAddress': 'Distribution target',
+  'distribution.issueFrequency': 'Issue frequency',
+  'distribution.amount': 'Mint amount',
+}
+
 export function AssetHistory({ assetId, className }: AssetHistoryProps) {
+  return (
+    <div className={cn('space-y-6', className)}>
+      <TransferHistory assetId={assetId} />
+      <MetadataHistory assetId={assetId} />
+    </div>
+  )
+}
+
+function TransferHistory({ assetId, className }: AssetHistoryProps) {
   const [page, setPage] = useState(1)
   const { data, isLoading, error } = useAssetTransfers(assetId, { page, limit: 10 })
 
@@ -112,6 +134,12 @@ export function AssetHistory({ assetId, className }: AssetHistoryProps) {
               <div className="flex items-center gap-2">
                 <div className="text-sm font-semibold">
                   {transfer.amount} {transfer.assetName}
+                  {transfer.serialStart !== undefined && (
+                    <span className="ml-1 font-normal text-muted-foreground">
+                      #{transfer.serialStart}
+                      {transfer.serialEnd !== undefined && transfer.serialEnd !== transfer.serialStart && `–${transfer.serialEnd}`}
+                    </span>
+                  )}
                 </div>
                 <CopyButton text={transfer.txid} size="sm" />
               </div>
@@ -131,3 +159,118 @@ export function AssetHistory({ assetId, className }: AssetHistoryProps) {
     </Card>
   )
 }
+
+function MetadataHistory({ assetId, className }: AssetHistoryProps) {
+  const [page, setPage] = useState(1)
+  const { data, isLoading, error } = useAssetHistory(assetId, { limit: 10, offset: (page - 1) * 10 })
+
+  if (isLoading) {
+    return (
+      <Card className={className}>
+        <CardContent className="p-6">
+          <LoadingSpinner text="Loading metadata history..." />
+        </CardContent>
+      </Card>
+    )
+  }
+
+  if (error || !data?.data) {
+    return (
+      <Card className={className}>
+        <CardContent className="p-6">
+          <EmptyState title="Failed to load metadata history" />
+        </CardContent>
+      </Card>
+    )
+  }
+
+  const { versions, updateCount } = data.data
+  const pagination = data.pagination
+
+  return (
+    <Card className={className}>
+      <CardHeader>
+        <CardTitle className="text-base">Metadata History</CardTitle>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        {updateCount === 0 ? (
+          <EmptyState
+            title="No updates yet"
+            description="This asset's metadata has not changed since it was created"
+          />
+        ) : (
+          <div className="space-y-3">
+            {versions.map((version) => (
+              <div key={version.txid} className="space-y-2 rounded-lg border p-3">
+                <div className="flex flex-wrap items-center gap-2 text-sm">
+                  <span className="font-semibold">
+                    {version.version === 0 ? 'Created' : `Version ${version.version}`}
+                  </span>
+                  {version.current && <Badge variant="secondary">Current</Badge>}
+                  {version.metadata?.name && (
+                    <span className="text-muted-foreground">{version.metadata.name}</span>
+                  )}
+                </div>
+
+                {/* Changed fields */}
+                {version.changes.length > 0 && (
+                  <ul className="space-y-1 text-xs">
+                    {version.changes.map((change) => (
+                      <li key={change.field} className="flex flex-wrap items-center gap-2">
+                        <span className="text-muted-foreground">
+                          {CHANGE_LABELS[change.field] || change.field}:
+                        </span>
+                        <span className="font-mono">{formatChangeValue(change, change.from)}</span>
+                        <ArrowRight className="h-3 w-3 text-muted-foreground" />
+                        <span className="font-mono text-foreground">
+                          {formatChangeValue(change, change.to)}
+                        </span>
+                      </li>
+                    ))}
+                  </ul>
+                )}
+
+                {/* Transaction & Time */}
+                <div className="flex flex-wrap items-center gap-2 text-xs text-muted-foreground">
+                  <Link
+                    href={`/transactions/${version.txid}`}
+                    className="flex items-center gap-1 font-mono hover:text-accent"
+                  >
+                    <span>{formatHash(version.txid, 6, 6)}</span>
+                    <ExternalLink className="h-3 w-3" />
+                  </Link>
+                  {version.timestamp && (
+                    <>
+                      <span>•</span>
+                      <TimeAgo timestamp={version.timestamp} />
+                    </>
+                  )}
+                  <span>•</span>
+                  <span>Block {version.blockHeight}</span>
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+
+        {/* Pagination */}
+        {pagination && pagination.pages > 1 && (
+          <Pagination
+            currentPage={pagination.page}
+            totalPages={pagination.pages}
+            onPageChange={setPage}
+          />
+        )}
+      </CardContent>
+    </Card>
+  )
+}
+
+function formatChangeValue(change: AssetVersionChange, value: AssetVersionChange['from']): string {
+  if (value === null || value === '') return 'none'
+  if (typeof value === 'boolean') return value ? 'yes' : 'no'
+  if (typeof value === 'number') return value.toLocaleString()
+  if (change.field === 'referenceHash') return formatCID(value)
+  if (change.field.endsWith('Address')) return formatAddress(value)
+  return value
+}
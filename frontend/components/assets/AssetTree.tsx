@@ -0,0 +1,182 @@
+'use client'
+
+import { useState } from 'react'
+import Link from 'next/link'
+import { ChevronDown, ChevronRight, Network, Users, ArrowRightLeft } from 'lucide-react'
+import { useAssetTree } from '@/hooks/useApi'
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card'
+import { Badge } from '@/components/ui/badge'
+import { Skeleton } from '@/components/ui/skeleton'
+import { LoadingSpinner } from '@/components/shared/LoadingSpinner'
+import { formatNumber } from '@/lib/formatters'
+import { cn } from '@/lib/utils'
+import type { AssetTreeNode } from '@/lib/types'
+
+// Levels loaded up front; deeper branches are fetched when expanded
+const INITIAL_DEPTH = 2
+const BRANCH_DEPTH = 1
+
+interface AssetTreeProps {
+  assetId: string
+  className?: string
+}
+
+// Collapsible view of every sub-asset below an asset, across namespace levels
+export function AssetTree({ assetId, className }: AssetTreeProps) {
+  const { data, isLoading, error } = useAssetTree(assetId, { depth: INITIAL_DEPTH })
+
+  if (isLoading) {
+    return (
+      <Card className={className}>
+        <CardHeader>
+          <CardTitle className="text-base">Asset Tree</CardTitle>
+        </CardHeader>
+        <CardContent className="space-y-2">
+          {Array.from({ length: 3 }).map((_, i) => (
+            <Skeleton key={i} className="h-8 w-full" />
+          ))}
+        </CardContent>
+      </Card>
+    )
+  }
+
+  // Nothing to show for assets without sub-assets
+  if (error || !data?.data || data.data.childCount === 0) {
+    return null
+  }
+
+  const root = data.data
+
+  return (
+    <Card className={className}>
+      <CardHeader>
+        <CardTitle className="flex items-center gap-2 text-base">
+          <Network className="h-4 w-4 text-muted-foreground" />
+          Asset Tree
+        </CardTitle>
+      </CardHeader>
+      <CardContent>
+        <TreeChildren node={root} />
+      </CardContent>
+    </Card>
+  )
+}
+
+function TreeChildren({ node }: { node: AssetTreeNode }) {
+  const children = node.children ?? []
+
+  return (
+    <ul className="space-y-1">
+      {children.map((child) => (
+        <TreeNode key={child.assetId} node={child} />
+      ))}
+      <MoreChildren node={node} loaded={children.length} />
+    </ul>
+  )
+}
+
+// Children past those loaded, fetched a page at a time
+function MoreChildren({ node, loaded }: { node: AssetTreeNode; loaded: number }) {
+  const [open, setOpen] = useState(false)
+  const hidden = node.childCount - loaded
+
+  if (hidden <= 0) {
+    return null
+  }
+
+  if (open) {
+    return <ChildPage assetId={node.assetId} offset={loaded} />
+  }
+
+  return (
+    <li className="pl-6 text-xs text-muted-foreground">
+      <button type="button" onClick={() => setOpen(true)} className="hover:text-accent">
+        {formatNumber(hidden)} more under {node.name}
+      </button>
+    </li>
+  )
+}
+
+function ChildPage({ assetId, offset }: { assetId: string; offset: number }) {
+  const { data, isLoading, error } = useAssetTree(assetId, { depth: BRANCH_DEPTH, offset })
+
+  if (isLoading) {
+    return (
+      <li>
+        <LoadingSpinner size="sm" className="py-2" />
+      </li>
+    )
+  }
+
+  if (error || !data?.data) {
+    return <li className="py-1 pl-6 text-xs text-muted-foreground">Could not load sub-assets</li>
+  }
+
+  const page = data.data.children ?? []
+
+  return (
+    <>
+      {page.map((child) => (
+        <TreeNode key={child.assetId} node={child} />
+      ))}
+      {page.length > 0 && <MoreChildren node={data.data} loaded={offset + page.length} />}
+    </>
+  )
+}
+
+function TreeNode({ node }: { node: AssetTreeNode }) {
+  const [expanded, setExpanded] = useState(false)
+  const hasChildren = node.childCount > 0
+
+  return (
+    <li>
+      <div className="flex items-center gap-2 rounded-md px-1 py-1.5 hover:bg-muted/50">
+        <button
+          type="button"
+          onClick={() => setExpanded(!expanded)}
+          disabled={!hasChildren}
+          aria-expanded={hasChildren ? expanded : undefined}
+          aria-label={expanded ? `Collapse ${node.name}` : `Expand ${node.name}`}
+          className={cn('flex h-5 w-5 shrink-0 items-center justify-center text-muted-foreground', !hasChildren && 'invisible')}
+        >
+          {expanded ? <ChevronDown className="h-4 w-4" /> : <ChevronRight className="h-4 w-4" />}
+        </button>
+        <Link href={`/assets/${node.assetId}`} className="min-w-0 flex-1 truncate text-sm font-medium hover:text-accent">
+          {node.subAssetName || node.name}
+        </Link>
+        {node.type === 'nft' && <Badge variant="secondary">NFT</Badge>}
+        <span className="flex items-center gap-1 text-xs text-muted-foreground" title="Holders">
+          <Users className="h-3 w-3" />
+          {formatNumber(node.holders)}
+        </span>
+        <span className="flex items-center gap-1 text-xs text-muted-foreground" title="Transfers">
+          <ArrowRightLeft className="h-3 w-3" />
+          {formatNumber(node.transfers)}
+        </span>
+        {hasChildren && (
+          <span className="text-xs text-muted-foreground">({formatNumber(node.childCount)})</span>
+        )}
+      </div>
+      {expanded && hasChildren && (
+        <div className="ml-3 border-l pl-3">
+          {node.children ? <TreeChildren node={node} /> : <LazyBranch assetId={node.assetId} />}
+        </div>
+      )}
+    </li>
+  )
+}
+
+// A branch below the loaded depth, fetched the first time it is expanded
+function LazyBranch({ assetId }: { assetId: string }) {
+  const { data, isLoading, error } = useAssetTree(assetId, { depth: BRANCH_DEPTH })
+
+  if (isLoading) {
+    return <LoadingSpinner size="sm" className="py-2" />
+  }
+
+  if (error || !data?.data) {
+    return <p className="py-1 pl-6 text-xs text-muted-foreground">Could not load sub-assets</p>
+  }
+
+  return <TreeChildren node={data.data} />
+}
@@ -0,0 +1,122 @@
+'use client'
+
+import Link from 'next/link'
+import { ArrowRight, ExternalLink, Hash } from 'lucide-react'
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card'
+import { CopyButton } from '@/components/shared/CopyButton'
+import { TimeAgo } from '@/components/shared/TimeAgo'
+import { LoadingSpinner } from '@/components/shared/LoadingSpinner'
+import { EmptyState } from '@/components/shared/EmptyState'
+import { useAssetUnit } from '@/hooks/useApi'
+import { formatDate, formatNumber } from '@/lib/formatters'
+import { formatAddress, formatHash } from '@/lib/utils'
+
+interface AssetUnitDetailProps {
+  assetId: string
+  serial: number
+  className?: string
+}
+
+// One token instance (serial) of a unique asset: current owner and every move
+export function AssetUnitDetail({ assetId, serial, className }: AssetUnitDetailProps) {
+  const { data, isLoading, error } = useAssetUnit(assetId, serial)
+
+  if (isLoading) {
+    return (
+      <Card className={className}>
+        <CardContent className="p-6">
+          <LoadingSpinner text={`Loading token #${serial}...`} />
+        </CardContent>
+      </Card>
+    )
+  }
+
+  if (error || !data?.data) {
+    return (
+      <Card className={className}>
+        <CardContent className="p-6">
+          <EmptyState
+            title={`Token #${serial} not found`}
+            description="This serial has not been minted or has not been indexed yet"
+          />
+        </CardContent>
+      </Card>
+    )
+  }
+
+  const unit = data.data
+
+  return (
+    <Card className={className}>
+      <CardHeader>
+        <CardTitle className="flex items-center gap-2 text-base">
+          <Hash className="h-4 w-4 text-muted-foreground" />
+          Token #{formatNumber(unit.serial)}
+        </CardTitle>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        {/* Owner */}
+        <div>
+          <div className="mb-1 text-xs text-muted-foreground">Owner</div>
+          {unit.owner ? (
+            <div className="flex items-center justify-between gap-2">
+              <Link href={`/addresses/${unit.owner}`} className="font-mono text-sm hover:text-accent break-all">
+                {unit.owner}
+              </Link>
+              <CopyButton text={unit.owner} size="sm" />
+            </div>
+          ) : (
+            <span className="text-sm text-muted-foreground">Unknown</span>
+          )}
+        </div>
+
+        {/* Minted */}
+        {unit.mintTxid && (
+          <div>
+            <div className="mb-1 text-xs text-muted-foreground">Minted</div>
+            <div className="flex flex-wrap items-center gap-2 text-sm">
+              <span>{formatDate(unit.mintedAt)}</span>
+              {unit.mintedHeight != null && (
+                <Link href={`/blocks/${unit.mintedHeight}`} className="text-muted-foreground hover:text-accent">
+                  Block {formatNumber(unit.mintedHeight)}
+                </Link>
+              )}
+            </div>
+          </div>
+        )}
+
+        {/* History */}
+        <div className="space-y-3">
+          <div className="text-xs text-muted-foreground">History</div>
+          {unit.history.map((transfer) => (
+            <div key={transfer._id} className="space-y-1 rounded-lg border p-3">
+              <div className="flex items-center gap-2 text-sm">
+                {transfer.from ? (
+                  <Link href={`/addresses/${transfer.from}`} className="font-mono text-muted-foreground hover:text-accent">
+                    {formatAddress(transfer.from)}
+                  </Link>
+                ) : (
+                  <span className="font-mono text-muted-foreground">Mint</span>
+                )}
+                <ArrowRight className="h-3 w-3 text-muted-foreground" />
+                <Link href={`/addresses/${transfer.to}`} className="font-mono hover:text-accent">
+                  {formatAddress(transfer.to)}
+                </Link>
+              </div>
+              <div className="flex flex-wrap items-center gap-2 text-xs text-muted-foreground">
+                <Link href={`/transactions/${transfer.txid}`} className="flex items-center gap-1 font-mono hover:text-accent">
+                  <span>{formatHash(transfer.txid, 6, 6)}</span>
+                  <ExternalLink className="h-3 w-3" />
+                </Link>
+                <span>•</span>
+                <TimeAgo timestamp={transfer.timestamp} />
+                <span>•</span>
+                <span>Block {transfer.height}</span>
+              </div>
+            </div>
+          ))}
+        </div>
+      </CardContent>
+    </Card>
+  )
+}
@@ -0,0 +1,77 @@
+import { FileCheck } from 'lucide-react'
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card'
+import { Badge } from '@/components/ui/badge'
+import type { MetadataQuality as MetadataQualityType } from '@/lib/types'
+
+interface MetadataQualityProps {
+  quality?: MetadataQualityType
+  className?: string
+}
+
+const STATUS = {
+  valid: {
+    label: 'Valid',
+    variant: 'success',
+    description: 'The metadata follows the Raptoreum metadata schema as published.',
+  },
+  normalized: {
+    label: 'Normalized',
+    variant: 'info',
+    description: 'The metadata was brought into the schema shape when it was indexed. Nothing was lost.',
+  },
+  invalid: {
+    label: 'Invalid',
+    variant: 'warning',
+    description: 'Some metadata values did not fit the schema and are not shown.',
+  },
+  empty: {
+    label: 'No metadata',
+    variant: 'outline',
+    description: 'The IPFS reference holds no metadata fields.',
+  },
+} as const
+
+// How the asset's published metadata compares to the metadata schema
+export function MetadataQuality({ quality, className }: MetadataQualityProps) {
+  if (!quality || !STATUS[quality.status]) {
+    return null
+  }
+
+  const status = STATUS[quality.status]
+
+  return (
+    <Card className={className}>
+      <CardHeader>
+        <CardTitle className="flex items-center justify-between gap-2 text-base">
+          <span className="flex items-center gap-2">
+            <FileCheck className="h-4 w-4 text-muted-foreground" />
+            Metadata Quality
+          </span>
+          <Badge variant={status.variant}>{status.label}</Badge>
+        </CardTitle>
+      </CardHeader>
+      <CardContent className="space-y-3">
+        <p className="text-sm text-muted-foreground">{status.description}</p>
+
+        {quality.warnings.length > 0 && (
+          <ul className="space-y-2">
+            {quality.warnings.map((warning, index) => (
+              <li
+                key={index}
+                className="flex items-start justify-between gap-3 rounded-lg border bg-muted/50 p-3 text-sm"
+              >
+                <div className="min-w-0">
+                  <div className="font-mono text-xs text-muted-foreground">{warning.field}</div>
+                  <div className="break-all">{warning.message}</div>
+                </div>
+                <Badge variant={warning.fixed ? 'secondary' : 'destructive'} className="shrink-0 text-xs">
+                  {warning.fixed ? 'Fixed' : 'Dropped'}
+                </Badge>
+              </li>
+            ))}
+          </ul>
+        )}
+      </CardContent>
+    </Card>
+  )
+}
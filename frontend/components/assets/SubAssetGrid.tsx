@@ -1,21 +1,40 @@
 'use client'
 
 import { useState } from 'react'
-import { useAssetSubAssets } from '@/hooks/useApi'
+import Link from 'next/link'
+import { useAssetSubAssets, useAssetUnits } from '@/hooks/useApi'
 import { AssetCard } from './AssetCard'
 import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card'
 import { Button } from '@/components/ui/button'
 import { Skeleton } from '@/components/ui/skeleton'
+import { Pagination } from '@/components/shared/Pagination'
+import { formatNumber } from '@/lib/formatters'
+import { cn, formatAddress } from '@/lib/utils'
 import { ChevronDown, ChevronUp } from 'lucide-react'
 
 const COLLAPSED_LIMIT = 5
+const UNITS_PER_PAGE = 24
 
 interface SubAssetGridProps {
   parentAssetId: string
+  // Also list the token instances (serials) of a unique asset minted more than once
+  showUnits?: boolean
+  selectedSerial?: number
   className?: string
 }
 
-export function SubAssetGrid({ parentAssetId, className }: SubAssetGridProps) {
+export function SubAssetGrid({ parentAssetId, showUnits, selectedSerial, className }: SubAssetGridProps) {
+  return (
+    <>
+      <SubAssets parentAssetId={parentAssetId} className={className} />
+      {showUnits && (
+        <TokenInstances assetId={parentAssetId} selectedSerial={selectedSerial} className={className} />
+      )}
+    </>
+  )
+}
+
+function SubAssets({ parentAssetId, className }: SubAssetGridProps) {
   const { data, isLoading, error } = useAssetSubAssets(parentAssetId)
   const [expanded, setExpanded] = useState(false)
 
@@ -88,3 +107,76 @@ export function SubAssetGrid({ parentAssetId, className }: SubAssetGridProps) {
     </Card>
   )
 }
+
+interface TokenInstancesProps {
+  assetId: string
+  selectedSerial?: number
+  className?: string
+}
+
+function TokenInstances({ assetId, selectedSerial, className }: TokenInstancesProps) {
+  const [page, setPage] = useState(1)
+  const { data, isLoading, error } = useAssetUnits(assetId, {
+    limit: UNITS_PER_PAGE,
+    offset: (page - 1) * UNITS_PER_PAGE,
+  })
+
+  if (isLoading) {
+    return (
+      <Card className={className}>
+        <CardHeader>
+          <CardTitle className="text-base">Tokens</CardTitle>
+        </CardHeader>
+        <CardContent>
+          <div className="grid grid-cols-2 gap-3 sm:grid-cols-4">
+            {Array.from({ length: 4 }).map((_, i) => (
+              <Skeleton key={i} className="h-14 w-full" />
+            ))}
+          </div>
+        </CardContent>
+      </Card>
+    )
+  }
+
+  if (error || !data?.data || data.data.length === 0) {
+    return null // Nothing minted or indexed per serial yet
+  }
+
+  const { pagination } = data
+
+  return (
+    <Card className={className}>
+      <CardHeader>
+        <CardTitle className="text-base">
+          Tokens ({formatNumber(pagination.total)})
+        </CardTitle>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        <div className="grid grid-cols-2 gap-3 sm:grid-cols-4">
+          {data.data.map((unit) => (
+            <Link
+              key={unit.serial}
+              href={`/assets/${assetId}?serial=${unit.serial}`}
+              className={cn(
+                'rounded-lg border p-3 text-sm transition-colors hover:border-accent',
+                unit.serial === selectedSerial && 'border-accent bg-accent/10'
+              )}
+            >
+              <div className="font-semibold">#{formatNumber(unit.serial)}</div>
+              <div className="font-mono text-xs text-muted-foreground">
+                {unit.owner ? formatAddress(unit.owner) : 'Unknown'}
+              </div>
+            </Link>
+          ))}
+        </div>
+        {pagination.pages > 1 && (
+          <Pagination
+            currentPage={pagination.page}
+            totalPages={pagination.pages}
+            onPageChange={setPage}
+          />
+        )}
+      </CardContent>
+    </Card>
+  )
+}
@@ -0,0 +1,93 @@
+import Link from 'next/link'
+import { ArrowRight } from 'lucide-react'
+import { Badge } from '@/components/ui/badge'
+import { formatAddress, formatHash } from '@/lib/utils'
+import type { BlockAssetOperation, BlockTransaction, TransactionSummary } from '@/lib/types'
+
+export const TYPE_LABELS: Record<TransactionSummary['type'], string> = {
+  standard: 'Standard',
+  asset_create: 'Asset Create',
+  asset_transfer: 'Asset Transfer',
+  asset_mint: 'Asset Mint',
+  asset_update: 'Asset Update',
+  future: 'Future',
+}
+
+const OPERATION_LABELS: Record<BlockAssetOperation['operation'], string> = {
+  create: 'Create',
+  mint: 'Mint',
+  transfer: 'Transfer',
+  update: 'Update',
+}
+
+// RTM amounts keep up to 8 decimals, unlike formatNumber
+export function formatAmount(amount: number): string {
+  return new Intl.NumberFormat('en-US', { maximumFractionDigits: 8 }).format(amount)
+}
+
+export function OperationLine({ op }: { op: BlockAssetOperation }) {
+  const serials = op.serialStart !== undefined
+    ? op.serialEnd !== undefined && op.serialEnd !== op.serialStart
+      ? ` [${op.serialStart}...${op.serialEnd}]`
+      : ` [${op.serialStart}]`
+    : ''
+
+  return (
+    <div className="flex flex-wrap items-center gap-2 text-sm">
+      <Badge variant="secondary">{OPERATION_LABELS[op.operation]}</Badge>
+      <span className="font-medium">
+        {op.operation !== 'update' && `${formatAmount(op.amount)} `}
+        {op.assetName || formatHash(op.assetId, 6, 6)}
+        {serials}
+      </span>
+      {op.from && (
+        <>
+          <Link href={`/addresses/${op.from}`} className="font-mono text-muted-foreground hover:text-accent">
+            {formatAddress(op.from)}
+          </Link>
+          <ArrowRight className="h-3 w-3 text-muted-foreground" />
+        </>
+      )}
+      {op.to && (
+        <Link href={`/addresses/${op.to}`} className="font-mono hover:text-accent">
+          {formatAddress(op.to)}
+        </Link>
+      )}
+    </div>
+  )
+}
+
+// One transaction of a block: position, type, fee, output total and asset operations
+export function BlockTransactionRow({ tx }: { tx: BlockTransaction }) {
+  return (
+    <div className="space-y-2 rounded-lg border p-3">
+      <div className="flex flex-col gap-2 sm:flex-row sm:items-center sm:justify-between">
+        <div className="flex items-center gap-2">
+          <span className="w-8 text-xs text-muted-foreground">#{tx.index}</span>
+          <Link href={`/transactions/${tx.txid}`} className="font-mono text-sm hover:text-accent">
+            {formatHash(tx.txid)}
+          </Link>
+          <Badge variant={tx.isCoinbase ? 'info' : 'outline'}>
+            {tx.isCoinbase ? 'Coinbase' : TYPE_LABELS[tx.type]}
+          </Badge>
+        </div>
+        <div className="flex items-center gap-4 text-sm text-muted-foreground">
+          <span>{formatAmount(tx.totalOutput)} RTM</span>
+          {!tx.isCoinbase && (
+            <span>Fee {tx.fee !== null ? `${formatAmount(tx.fee)} RTM` : 'unknown'}</span>
+          )}
+          <span>
+            {tx.inputCount} in / {tx.outputCount} out
+          </span>
+        </div>
+      </div>
+      {tx.operations.length > 0 && (
+        <div className="space-y-1 pl-10">
+          {tx.operations.map((op, index) => (
+            <OperationLine key={`${tx.txid}-${index}`} op={op} />
+          ))}
+        </div>
+      )}
+    </div>
+  )
+}
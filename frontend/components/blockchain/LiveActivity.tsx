@@ -0,0 +1,119 @@
+'use client'
+
+import Link from 'next/link'
+import { useQueryClient } from '@tanstack/react-query'
+import { Radio } from 'lucide-react'
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card'
+import { EmptyState } from '@/components/shared/EmptyState'
+import { TimeAgo } from '@/components/shared/TimeAgo'
+import { useLiveEvents } from '@/hooks/useLiveEvents'
+import { cn, formatAddress } from '@/lib/utils'
+import { formatNumber } from '@/lib/formatters'
+import type { LiveEvent } from '@/lib/types'
+
+interface LiveActivityProps {
+  className?: string
+}
+
+/**
+ * Latest blocks and asset activity as the sync daemon indexes them.
+ * Also refreshes the home page stats and blockchain info on each new block.
+ */
+export function LiveActivity({ className }: LiveActivityProps) {
+  const queryClient = useQueryClient()
+
+  const { connected, events } = useLiveEvents({}, (event) => {
+    if (event.type === 'block' || event.type === 'reorg') {
+      queryClient.invalidateQueries({ queryKey: ['blockchain', 'info'] })
+      queryClient.invalidateQueries({ queryKey: ['stats', 'global'] })
+    }
+    if (event.type === 'asset_created' || event.type === 'reorg') {
+      queryClient.invalidateQueries({ queryKey: ['assets'] })
+    }
+  })
+
+  return (
+    <Card className={className}>
+      <CardHeader>
+        <CardTitle className="flex items-center gap-2">
+          <Radio className="h-5 w-5 text-accent" />
+          Live Activity
+          <span
+            className={cn(
+              'ml-auto h-2 w-2 rounded-full',
+              connected ? 'bg-green-500' : 'bg-muted-foreground'
+            )}
+            title={connected ? 'Connected' : 'Reconnecting'}
+          />
+        </CardTitle>
+      </CardHeader>
+      <CardContent>
+        {events.length === 0 ? (
+          <EmptyState
+            title="Waiting for new blocks"
+            description="Blocks and asset activity appear here as they are indexed"
+          />
+        ) : (
+          <ul className="space-y-2">
+            {events.map((event) => (
+              <li
+                key={event.id}
+                className="flex items-center justify-between gap-4 rounded-lg border p-3 text-sm"
+              >
+                <span className="min-w-0 truncate">{describeEvent(event)}</span>
+                <TimeAgo
+                  timestamp={event.timestamp}
+                  className="shrink-0 text-xs text-muted-foreground"
+                />
+              </li>
+            ))}
+          </ul>
+        )}
+      </CardContent>
+    </Card>
+  )
+}
+
+function AssetLink({ event }: { event: LiveEvent }) {
+  const { assetId, assetName } = event.data
+  if (!assetId && !assetName) return <span>an asset</span>
+
+  return (
+    <Link href={`/assets/${assetId || assetName}`} className="font-medium hover:text-accent">
+      {assetName || assetId}
+    </Link>
+  )
+}
+
+function describeEvent(event: LiveEvent) {
+  const { data } = event
+
+  switch (event.type) {
+    case 'block':
+      return <>Block {formatNumber(data.height ?? 0)} indexed</>
+    case 'asset_created':
+      return <><AssetLink event={event} /> created</>
+    case 'asset_minted':
+      return (
+        <>
+          {formatNumber(data.amount ?? 0)} <AssetLink event={event} /> minted to{' '}
+          {data.recipient ? formatAddress(data.recipient) : 'unknown'}
+        </>
+      )
+    case 'asset_transferred':
+      return (
+        <>
+          {formatNumber(data.amount ?? 0)} <AssetLink event={event} /> sent to{' '}
+          {data.to ? formatAddress(data.to) : 'unknown'}
+        </>
+      )
+    case 'asset_updated':
+      return <><AssetLink event={event} /> updated</>
+    case 'future_unlocked':
+      return <>Future output unlocked for {data.recipient ? formatAddress(data.recipient) : 'unknown'}</>
+    case 'reorg':
+      return <>Chain reorganization: {data.depth} block(s) rolled back</>
+    default:
+      return event.type
+  }
+}
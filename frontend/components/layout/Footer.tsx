@@ -44,6 +44,14 @@ export function Footer() {
                   Creators
                 </Link>
               </li>
+              <li>
+                <Link
+                  href="/smartnodes"
+                  className="text-muted-foreground transition-colors hover:text-foreground"
+                >
+                  Smartnodes
+                </Link>
+              </li>
               <li>
                 <Link
                   href="/stats"
@@ -58,6 +58,12 @@ export function Header() {
           >
             Creators
           </Link>
+          <Link
+            href="/smartnodes"
+            className="text-sm font-medium text-muted-foreground transition-colors hover:text-foreground"
+          >
+            Smartnodes
+          </Link>
           <Link
             href="/stats"
             className="text-sm font-medium text-muted-foreground transition-colors hover:text-foreground"
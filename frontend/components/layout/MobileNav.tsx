@@ -79,6 +79,13 @@ export function MobileNav({ open, onClose }: MobileNavProps) {
           >
             Creators
           </Link>
+          <Link
+            href="/smartnodes"
+            onClick={onClose}
+            className="text-lg font-medium text-muted-foreground transition-colors hover:text-foreground"
+          >
+            Smartnodes
+          </Link>
           <Link
             href="/stats"
             onClick={onClose}
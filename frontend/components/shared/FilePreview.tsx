@@ -5,9 +5,8 @@ import Image from 'next/image'
 import { Download, ExternalLink } from 'lucide-react'
 import { Button } from '@/components/ui/button'
 import { Skeleton } from '@/components/ui/skeleton'
-import { cn } from '@/lib/utils'
-import { detectFileType, isEncrypted, getPlaceholderImage, formatFileSize, type FileTypeInfo } from '@/lib/fileTypes'
-import { IPFS_GATEWAYS } from '@/lib/constants'
+import { cn, getMediaUrl } from '@/lib/utils'
+import { detectFileType, detectFileTypeFromMime, isEncrypted, getPlaceholderImage, formatFileSize, type FileTypeInfo } from '@/lib/fileTypes'
 
 interface FilePreviewProps {
   cid: string
@@ -34,11 +33,12 @@ export function FilePreview({
   const [encrypted, setEncrypted] = useState(false)
   const [preview, setPreview] = useState<string | null>(null)
   const [fileSize, setFileSize] = useState<number | null>(null)
-  const [gatewayIndex, setGatewayIndex] = useState(0)
 
   // Clean CID (remove ipfs:// prefix if present)
   const cleanCid = cid.replace(/^ipfs:\/\//, '')
-  const fileUrl = `${IPFS_GATEWAYS[gatewayIndex]}/${cleanCid}`
+  const fileUrl = getMediaUrl(cleanCid)
+  // Thumbnail for images and poster frame for videos
+  const previewUrl = getMediaUrl(cleanCid, fill ? 512 : width)
 
   useEffect(() => {
     // Detect file type from CID
@@ -71,16 +71,14 @@ export function FilePreview({
           setFileSize(parseInt(contentLength, 10))
         }
 
-        // If we have a content type, use it to refine file type detection
-        if (contentType && detectedType.type === 'unknown') {
-          const { detectFileTypeFromMime } = await import('@/lib/fileTypes')
-          const refinedType = detectFileTypeFromMime(contentType)
-          setFileType(refinedType)
-        }
+        // The media endpoint detects the type from the file itself, which beats the extension
+        const refinedType = contentType ? detectFileTypeFromMime(contentType) : detectedType
+        const type = refinedType.type === 'unknown' ? detectedType : refinedType
+        setFileType(type)
 
         // For text-based files, fetch content to show preview
         // Use Range request to fetch only first 1KB for preview and encryption check
-        if (detectedType.canPreview && ['text', 'csv', 'json', 'xml'].includes(detectedType.type)) {
+        if (type.canPreview && ['text', 'csv', 'json', 'xml'].includes(type.type)) {
           const fullResponse = await fetch(fileUrl, {
             headers: {
               'Range': 'bytes=0-1023' // Fetch first 1KB
@@ -95,7 +93,7 @@ export function FilePreview({
             // Show first 500 characters as preview
             setPreview(text.slice(0, 500))
           }
-        } else if (detectedType.type === 'pdf') {
+        } else if (type.type === 'pdf') {
           // For PDFs, check if encrypted by reading first 2KB (enough for PDF header and encryption info)
           const fullResponse = await fetch(fileUrl, {
             headers: {
@@ -113,29 +111,18 @@ export function FilePreview({
         setIsLoading(false)
       } catch (err) {
         console.error('Error fetching file preview:', err)
-        
-        // Try next gateway
-        if (gatewayIndex < IPFS_GATEWAYS.length - 1) {
-          setGatewayIndex(gatewayIndex + 1)
-        } else {
-          setError(true)
-          setIsLoading(false)
-        }
+        setError(true)
+        setIsLoading(false)
       }
     }
 
     fetchFilePreview()
     // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [cleanCid, gatewayIndex])
+  }, [cleanCid])
 
   const handleImageError = () => {
-    // Try next gateway
-    if (gatewayIndex < IPFS_GATEWAYS.length - 1) {
-      setGatewayIndex(gatewayIndex + 1)
-    } else {
-      setError(true)
-      setIsLoading(false)
-    }
+    setError(true)
+    setIsLoading(false)
   }
 
   const handleImageLoad = () => {
@@ -166,11 +153,12 @@ export function FilePreview({
           />
         )}
         <Image
-          src={fileUrl}
+          src={previewUrl}
           alt={alt}
           width={fill ? undefined : width}
           height={fill ? undefined : height}
           fill={fill}
+          unoptimized
           onLoad={handleImageLoad}
           onError={handleImageError}
           className={cn(
@@ -205,6 +193,7 @@ export function FilePreview({
         )}
         <video
           src={fileUrl}
+          poster={previewUrl}
           controls
           muted
           preload="metadata"
@@ -2,9 +2,8 @@
 
 import { useState, useEffect } from 'react'
 import Image from 'next/image'
-import { IPFS_GATEWAYS } from '@/lib/constants'
 import { Skeleton } from '@/components/ui/skeleton'
-import { cn } from '@/lib/utils'
+import { cn, getMediaUrl } from '@/lib/utils'
 import { detectFileType, detectFileTypeFromMime, isValidCid } from '@/lib/fileTypes'
 import { FilePreview } from './FilePreview'
 
@@ -31,7 +30,6 @@ export function IPFSImage({
 }: IPFSImageProps) {
   const [isLoading, setIsLoading] = useState(true)
   const [error, setError] = useState(false)
-  const [gatewayIndex, setGatewayIndex] = useState(0)
   const [fileType, setFileType] = useState<ReturnType<typeof detectFileType> | null>(null)
   const [contentTypeChecked, setContentTypeChecked] = useState(false)
 
@@ -61,12 +59,11 @@ export function IPFSImage({
     }
 
     // For unknown types (most IPFS CIDs don't have extensions), do a HEAD request
-    // to check the actual content type before passing to Next.js Image
+    // for the content type the media endpoint detected from the file itself
     const controller = new AbortController()
     const checkContentType = async () => {
       try {
-        const url = `${IPFS_GATEWAYS[gatewayIndex]}/${cleanCid}`
-        const response = await fetch(url, {
+        const response = await fetch(getMediaUrl(cleanCid), {
           method: 'HEAD',
           signal: controller.signal,
         })
@@ -116,21 +113,15 @@ export function IPFSImage({
       controller.abort()
     }
     // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [cleanCid, gatewayIndex, cidIsValid])
+  }, [cleanCid, cidIsValid])
 
-  // Build image URL with current gateway
-  const imageUrl = `${IPFS_GATEWAYS[gatewayIndex]}/${cleanCid}`
+  // Thumbnail sized by the backend; cards fill their grid cell, so a medium preview suffices
+  const imageUrl = getMediaUrl(cleanCid, fill ? 512 : width)
 
   const handleError = () => {
-    // Try next gateway
-    if (gatewayIndex < IPFS_GATEWAYS.length - 1) {
-      setGatewayIndex(gatewayIndex + 1)
-      setError(false)
-    } else {
-      // All gateways failed, show placeholder
-      setError(true)
-      setIsLoading(false)
-    }
+    // The media endpoint already tried every IPFS gateway, show placeholder
+    setError(true)
+    setIsLoading(false)
   }
 
   const handleLoad = () => {
@@ -232,6 +223,7 @@ export function IPFSImage({
         height={fill ? undefined : height}
         fill={fill}
         priority={priority}
+        unoptimized
         onLoad={handleLoad}
         onError={handleError}
         className={cn(
@@ -0,0 +1,102 @@
+'use client'
+
+import Link from 'next/link'
+import { ArrowRight, Clock, ExternalLink } from 'lucide-react'
+import { Badge } from '@/components/ui/badge'
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card'
+import { TimeAgo } from '@/components/shared/TimeAgo'
+import { useMempool } from '@/hooks/useApi'
+import { formatAddress, formatHash } from '@/lib/utils'
+import type { PendingAssetOperation } from '@/lib/types'
+
+interface PendingTransactionsProps {
+  assetId?: string
+  address?: string
+  className?: string
+}
+
+const OPERATION_LABELS: Record<PendingAssetOperation['operation'], string> = {
+  create: 'Create',
+  mint: 'Mint',
+  transfer: 'Transfer',
+  update: 'Update',
+}
+
+/**
+ * Unconfirmed asset transactions for an asset or address.
+ * Renders nothing when there are none.
+ */
+export function PendingTransactions({ assetId, address, className }: PendingTransactionsProps) {
+  const { data } = useMempool({ asset: assetId, address, limit: 20 })
+  const pending = data?.data || []
+
+  if (pending.length === 0) {
+    return null
+  }
+
+  return (
+    <Card className={className}>
+      <CardHeader>
+        <CardTitle className="flex items-center gap-2 text-base">
+          <Clock className="h-4 w-4 text-warning" />
+          Pending ({pending.length})
+        </CardTitle>
+      </CardHeader>
+      <CardContent className="space-y-3">
+        {pending.map((tx) =>
+          tx.operations.map((op, index) => (
+            <div
+              key={`${tx.txid}-${index}`}
+              className="flex flex-col gap-2 rounded-lg border border-dashed p-3 sm:flex-row sm:items-center sm:justify-between"
+            >
+              <div className="flex-1 space-y-2">
+                <div className="flex flex-wrap items-center gap-2 text-sm">
+                  <Badge variant="warning">{OPERATION_LABELS[op.operation]}</Badge>
+                  {op.from && (
+                    <>
+                      <Link
+                        href={`/addresses/${op.from}`}
+                        className="font-mono text-muted-foreground hover:text-accent"
+                      >
+                        {formatAddress(op.from)}
+                      </Link>
+                      <ArrowRight className="h-3 w-3 text-muted-foreground" />
+                    </>
+                  )}
+                  {op.to && (
+                    <Link
+                      href={`/addresses/${op.to}`}
+                      className="font-mono text-foreground hover:text-accent"
+                    >
+                      {formatAddress(op.to)}
+                    </Link>
+                  )}
+                </div>
+                <div className="flex flex-wrap items-center gap-2 text-xs text-muted-foreground">
+                  <Link
+                    href={`/transactions/${tx.txid}`}
+                    className="flex items-center gap-1 font-mono hover:text-accent"
+                  >
+                    <span>{formatHash(tx.txid, 6, 6)}</span>
+                    <ExternalLink className="h-3 w-3" />
+                  </Link>
+                  <span>•</span>
+                  <span>
+                    Seen <TimeAgo timestamp={tx.firstSeen} />
+                  </span>
+                  <span>•</span>
+                  <span>Unconfirmed</span>
+                </div>
+              </div>
+              {op.operation !== 'update' && (
+                <div className="text-sm font-semibold">
+                  {op.amount} {op.assetName || formatHash(op.assetId, 6, 6)}
+                </div>
+              )}
+            </div>
+          ))
+        )}
+      </CardContent>
+    </Card>
+  )
+}
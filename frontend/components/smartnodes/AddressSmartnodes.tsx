@@ -0,0 +1,30 @@
+'use client'
+
+import { useSmartnodes } from '@/hooks/useApi'
+import { SmartnodeRow } from './SmartnodeRow'
+
+interface AddressSmartnodesProps {
+  address: string
+  className?: string
+}
+
+// Smartnodes an address is part of (collateral, owner, voting or payout)
+export function AddressSmartnodes({ address, className }: AddressSmartnodesProps) {
+  const { data, isLoading, error } = useSmartnodes({ address, limit: 100 })
+
+  // Most addresses have no smartnodes, so nothing is shown until there are some
+  if (isLoading || error || !data?.data || data.data.length === 0) {
+    return null
+  }
+
+  return (
+    <div className={className}>
+      <h2 className="mb-4 text-2xl font-bold">Smartnodes</h2>
+      <div className="space-y-4">
+        {data.data.map((smartnode) => (
+          <SmartnodeRow key={smartnode.proTxHash} smartnode={smartnode} />
+        ))}
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,56 @@
+import Link from 'next/link'
+import { Server, Clock } from 'lucide-react'
+import { Card, CardContent } from '@/components/ui/card'
+import { Badge } from '@/components/ui/badge'
+import { formatNumber, formatTimeAgo } from '@/lib/formatters'
+import { formatAddress, formatHash } from '@/lib/utils'
+import type { Smartnode, SmartnodeStatus } from '@/lib/types'
+
+const STATUS_VARIANTS = {
+  active: 'success',
+  revoked: 'warning',
+  removed: 'secondary',
+} as const
+
+export function SmartnodeStatusBadge({ status }: { status: SmartnodeStatus }) {
+  return <Badge variant={STATUS_VARIANTS[status]} className="capitalize">{status}</Badge>
+}
+
+// One smartnode in a list: service, payout address and registration block
+export function SmartnodeRow({ smartnode }: { smartnode: Smartnode }) {
+  return (
+    <Card>
+      <CardContent className="p-4">
+        <div className="flex flex-col gap-2 sm:flex-row sm:items-center sm:justify-between">
+          <div className="flex items-center gap-3">
+            <div className="rounded-lg bg-accent/10 p-2">
+              <Server className="h-5 w-5 text-accent" />
+            </div>
+            <div className="min-w-0">
+              <Link
+                href={`/smartnodes/${smartnode.proTxHash}`}
+                className="font-mono text-sm font-semibold hover:text-accent"
+              >
+                {formatHash(smartnode.proTxHash)}
+              </Link>
+              <p className="text-sm text-muted-foreground">
+                {smartnode.service || 'No service'}
+                {smartnode.payoutAddress && <> · Payout {formatAddress(smartnode.payoutAddress)}</>}
+              </p>
+            </div>
+          </div>
+          <div className="flex items-center gap-4 text-sm text-muted-foreground">
+            <SmartnodeStatusBadge status={smartnode.status} />
+            <span>Block {formatNumber(smartnode.registeredHeight)}</span>
+            {smartnode.registeredAt && (
+              <span className="flex items-center gap-1">
+                <Clock className="h-4 w-4" />
+                {formatTimeAgo(smartnode.registeredAt)}
+              </span>
+            )}
+          </div>
+        </div>
+      </CardContent>
+    </Card>
+  )
+}
@@ -9,18 +9,22 @@ import type {
   Asset,
   AssetTransfer,
   Block,
-  Transaction,
+  TransactionListParams,
   Address,
   SearchResults,
   BlockchainInfo,
   GlobalStats,
   AssetStats,
   CreatorStats,
+  SupplyParams,
   ExportPrice,
   ExportRequest,
   ExportResponse,
   ExportStatus,
   ApiQueryParams,
+  AsOfParams,
+  AssetTreeParams,
+  SmartnodeStatus,
 } from '@/lib/types'
 
 // ============================================
@@ -55,6 +59,16 @@ export function useBlock(heightOrHash: string | number) {
   })
 }
 
+export function useBlockTransactions(heightOrHash: string | number, params?: ApiQueryParams) {
+  return useQuery({
+    queryKey: ['block', heightOrHash, 'transactions', params],
+    queryFn: () => api.getBlockTransactions(heightOrHash, params),
+    staleTime: STALE_TIME,
+    gcTime: CACHE_TIME,
+    enabled: !!heightOrHash,
+  })
+}
+
 // ============================================
 // Asset Hooks
 // ============================================
@@ -105,6 +119,56 @@ export function useAssetTransfers(assetId: string, params?: ApiQueryParams) {
   })
 }
 
+export function useAssetHolders(assetId: string, params?: ApiQueryParams) {
+  return useQuery({
+    queryKey: ['asset', assetId, 'holders', params],
+    queryFn: () => api.getAssetHolders(assetId, params),
+    staleTime: STALE_TIME,
+    gcTime: CACHE_TIME,
+    enabled: !!assetId,
+  })
+}
+
+export function useAssetUnits(assetId: string, params?: ApiQueryParams & { owner?: string }) {
+  return useQuery({
+    queryKey: ['asset', assetId, 'units', params],
+    queryFn: () => api.getAssetUnits(assetId, params),
+    staleTime: STALE_TIME,
+    gcTime: CACHE_TIME,
+    enabled: !!assetId,
+  })
+}
+
+export function useAssetUnit(assetId: string, serial?: number) {
+  return useQuery({
+    queryKey: ['asset', assetId, 'unit', serial],
+    queryFn: () => api.getAssetUnit(assetId, serial as number),
+    staleTime: STALE_TIME,
+    gcTime: CACHE_TIME,
+    enabled: !!assetId && serial !== undefined,
+  })
+}
+
+export function useAssetOwnerAt(assetId: string, params: AsOfParams) {
+  return useQuery({
+    queryKey: ['asset', assetId, 'owner', params],
+    queryFn: () => api.getAssetOwnerAt(assetId, params),
+    staleTime: STALE_TIME,
+    gcTime: CACHE_TIME,
+    enabled: !!assetId,
+  })
+}
+
+export function useAssetHistory(assetId: string, params?: ApiQueryParams) {
+  return useQuery({
+    queryKey: ['asset', assetId, 'history', params],
+    queryFn: () => api.getAssetHistory(assetId, params),
+    staleTime: STALE_TIME,
+    gcTime: CACHE_TIME,
+    enabled: !!assetId,
+  })
+}
+
 export function useAssetSubAssets(assetId: string) {
   return useQuery({
     queryKey: ['asset', assetId, 'subassets'],
@@ -115,6 +179,16 @@ export function useAssetSubAssets(assetId: string) {
   })
 }
 
+export function useAssetTree(assetId: string, params?: AssetTreeParams, enabled = true) {
+  return useQuery({
+    queryKey: ['asset', assetId, 'tree', params],
+    queryFn: () => api.getAssetTree(assetId, params),
+    staleTime: STALE_TIME,
+    gcTime: CACHE_TIME,
+    enabled: !!assetId && enabled,
+  })
+}
+
 // ============================================
 // Transaction Hooks
 // ============================================
@@ -129,7 +203,7 @@ export function useTransaction(txid: string) {
   })
 }
 
-export function useTransactions(params?: ApiQueryParams) {
+export function useTransactions(params?: TransactionListParams) {
   return useQuery({
     queryKey: ['transactions', params],
     queryFn: () => api.getTransactions(params),
@@ -152,7 +226,7 @@ export function useAddress(address: string) {
   })
 }
 
-export function useAddressTransactions(address: string, params?: ApiQueryParams) {
+export function useAddressTransactions(address: string, params?: TransactionListParams) {
   return useQuery({
     queryKey: ['address', address, 'transactions', params],
     queryFn: () => api.getAddressTransactions(address, params),
@@ -172,6 +246,16 @@ export function useAddressAssets(address: string, params?: ApiQueryParams) {
   })
 }
 
+export function useAddressHoldingsAt(address: string, params: AsOfParams) {
+  return useQuery({
+    queryKey: ['address', address, 'holdings', params],
+    queryFn: () => api.getAddressHoldingsAt(address, params),
+    staleTime: STALE_TIME,
+    gcTime: CACHE_TIME,
+    enabled: !!address,
+  })
+}
+
 // ============================================
 // Search Hooks
 // ============================================
@@ -196,6 +280,61 @@ export function useSearchAssets(query: string, params?: ApiQueryParams) {
   })
 }
 
+// ============================================
+// Mempool Hooks
+// ============================================
+
+export function useMempool(params?: ApiQueryParams) {
+  return useQuery({
+    queryKey: ['mempool', params],
+    queryFn: () => api.getMempool(params),
+    staleTime: 5000,
+    gcTime: CACHE_TIME,
+    refetchInterval: 15000, // Pending transactions confirm or drop quickly
+  })
+}
+
+// ============================================
+// Smartnode Hooks
+// ============================================
+
+export function useSmartnodes(params?: ApiQueryParams & { status?: SmartnodeStatus; address?: string }) {
+  return useQuery({
+    queryKey: ['smartnodes', params],
+    queryFn: () => api.getSmartnodes(params),
+    staleTime: STALE_TIME,
+    gcTime: CACHE_TIME,
+  })
+}
+
+export function useSmartnode(proTxHash: string) {
+  return useQuery({
+    queryKey: ['smartnode', proTxHash],
+    queryFn: () => api.getSmartnode(proTxHash),
+    staleTime: STALE_TIME,
+    gcTime: CACHE_TIME,
+    enabled: !!proTxHash,
+  })
+}
+
+export function useSmartnodeStats() {
+  return useQuery({
+    queryKey: ['smartnodes', 'stats'],
+    queryFn: () => api.getSmartnodeStats(),
+    staleTime: STALE_TIME,
+    gcTime: CACHE_TIME,
+  })
+}
+
+export function useQuorumCommitments(params?: ApiQueryParams & { llmqType?: number }) {
+  return useQuery({
+    queryKey: ['smartnodes', 'quorums', params],
+    queryFn: () => api.getQuorumCommitments(params),
+    staleTime: STALE_TIME,
+    gcTime: CACHE_TIME,
+  })
+}
+
 // ============================================
 // Statistics Hooks
 // ============================================
@@ -228,6 +367,15 @@ export function useCreatorStats(address: string) {
   })
 }
 
+export function useSupply(params?: SupplyParams) {
+  return useQuery({
+    queryKey: ['stats', 'supply', params],
+    queryFn: () => api.getSupply(params),
+    staleTime: STALE_TIME,
+    gcTime: CACHE_TIME,
+  })
+}
+
 export function useTopCreators(limit = 10) {
   return useQuery({
     queryKey: ['stats', 'creators', 'top', limit],
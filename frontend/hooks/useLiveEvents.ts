@@ -0,0 +1,68 @@
+// Live block and asset events over Server-Sent Events
+
+'use client'
+
+import { useEffect, useRef, useState } from 'react'
+import { api } from '@/lib/api'
+import type { LiveEvent, LiveEventFilter, LiveEventType } from '@/lib/types'
+
+const EVENT_TYPES: LiveEventType[] = [
+  'block',
+  'asset_created',
+  'asset_minted',
+  'asset_transferred',
+  'asset_updated',
+  'future_unlocked',
+  'reorg',
+]
+
+const MAX_RECENT_EVENTS = 20
+
+/**
+ * Subscribe to the live event stream
+ * Returns the connection state and the most recent events, newest first
+ */
+export function useLiveEvents(
+  filter: LiveEventFilter = {},
+  onEvent?: (event: LiveEvent) => void
+) {
+  const [connected, setConnected] = useState(false)
+  const [events, setEvents] = useState<LiveEvent[]>([])
+
+  // Keep the latest callback without reconnecting on every render
+  const onEventRef = useRef(onEvent)
+  useEffect(() => {
+    onEventRef.current = onEvent
+  }, [onEvent])
+
+  const url = api.getEventStreamUrl(filter)
+
+  useEffect(() => {
+    if (typeof window === 'undefined' || !('EventSource' in window)) return
+
+    const source = new EventSource(url)
+
+    const handleEvent = (message: MessageEvent<string>) => {
+      try {
+        const event = JSON.parse(message.data) as LiveEvent
+        setEvents((previous) => [event, ...previous].slice(0, MAX_RECENT_EVENTS))
+        onEventRef.current?.(event)
+      } catch {
+        // Ignore malformed messages
+      }
+    }
+
+    source.onopen = () => setConnected(true)
+    // EventSource reconnects on its own; reflect the gap until it does
+    source.onerror = () => setConnected(false)
+    EVENT_TYPES.forEach((type) => source.addEventListener(type, handleEvent))
+
+    return () => {
+      EVENT_TYPES.forEach((type) => source.removeEventListener(type, handleEvent))
+      source.close()
+      setConnected(false)
+    }
+  }, [url])
+
+  return { connected, events }
+}
@@ -6,20 +6,43 @@ import type {
   PaginatedResponse,
   Asset,
   AssetTransfer,
+  AssetHolders,
+  AssetOwnershipAt,
+  AssetUnit,
+  AssetUnitDetail,
+  AssetTreeNode,
+  AssetTreeParams,
+  AddressHoldingsAt,
+  AssetVersionHistory,
   Block,
-  Transaction,
+  BlockDetail,
+  BlockTransaction,
+  TransactionDetail,
+  TransactionListItem,
+  TransactionListParams,
+  AddressTransaction,
   Address,
   SearchResults,
   BlockchainInfo,
   GlobalStats,
   AssetStats,
   CreatorStats,
+  RtmSupply,
+  SupplyParams,
   ExportPrice,
   ExportRequest,
   ExportResponse,
   ExportStatus,
   ExportVerification,
   ApiQueryParams,
+  AsOfParams,
+  LiveEventFilter,
+  PendingTransaction,
+  Smartnode,
+  SmartnodeDetail,
+  SmartnodeStats,
+  SmartnodeStatus,
+  QuorumCommitment,
 } from './types'
 
 class RaptoreumAPI {
@@ -91,10 +114,17 @@ class RaptoreumAPI {
     return this.get('/blocks', params)
   }
 
-  async getBlock(heightOrHash: string | number): Promise<ApiResponse<Block>> {
+  async getBlock(heightOrHash: string | number): Promise<ApiResponse<BlockDetail>> {
     return this.get(`/blocks/${heightOrHash}`)
   }
 
+  async getBlockTransactions(
+    heightOrHash: string | number,
+    params?: ApiQueryParams
+  ): Promise<PaginatedResponse<BlockTransaction>> {
+    return this.get(`/blocks/${heightOrHash}/transactions`, params)
+  }
+
   // ============================================
   // Asset Endpoints
   // ============================================
@@ -114,10 +144,46 @@ class RaptoreumAPI {
     return this.get(`/assets/${assetId}/transfers`, params)
   }
 
+  async getAssetHolders(
+    assetId: string,
+    params?: ApiQueryParams
+  ): Promise<ApiResponse<AssetHolders> & Pick<PaginatedResponse<AssetHolders>, 'pagination'>> {
+    return this.get(`/assets/${assetId}/holders`, params)
+  }
+
+  async getAssetUnits(
+    assetId: string,
+    params?: ApiQueryParams & { owner?: string }
+  ): Promise<PaginatedResponse<AssetUnit>> {
+    return this.get(`/assets/${assetId}/units`, params)
+  }
+
+  async getAssetUnit(assetId: string, serial: number): Promise<ApiResponse<AssetUnitDetail>> {
+    return this.get(`/assets/${assetId}/units/${serial}`)
+  }
+
+  async getAssetOwnerAt(
+    assetId: string,
+    params: AsOfParams
+  ): Promise<ApiResponse<AssetOwnershipAt> & Pick<PaginatedResponse<AssetOwnershipAt>, 'pagination'>> {
+    return this.get(`/assets/${assetId}/owner`, params)
+  }
+
+  async getAssetHistory(
+    assetId: string,
+    params?: ApiQueryParams
+  ): Promise<ApiResponse<AssetVersionHistory> & Pick<PaginatedResponse<AssetVersionHistory>, 'pagination'>> {
+    return this.get(`/assets/${assetId}/history`, params)
+  }
+
   async getAssetSubAssets(assetId: string): Promise<ApiResponse<Asset[]>> {
     return this.get(`/assets/${assetId}/subassets`)
   }
 
+  async getAssetTree(assetId: string, params?: AssetTreeParams): Promise<ApiResponse<AssetTreeNode>> {
+    return this.get(`/assets/${assetId}/tree`, params)
+  }
+
   async getAssetsByParent(parentName: string): Promise<ApiResponse<Asset[]>> {
     return this.get(`/assets/parent/${parentName}`)
   }
@@ -126,11 +192,11 @@ class RaptoreumAPI {
   // Transaction Endpoints
   // ============================================
 
-  async getTransaction(txid: string): Promise<ApiResponse<Transaction>> {
+  async getTransaction(txid: string): Promise<ApiResponse<TransactionDetail>> {
     return this.get(`/transactions/${txid}`)
   }
 
-  async getTransactions(params?: ApiQueryParams): Promise<PaginatedResponse<Transaction>> {
+  async getTransactions(params?: TransactionListParams): Promise<PaginatedResponse<TransactionListItem>> {
     return this.get('/transactions', params)
   }
 
@@ -144,8 +210,8 @@ class RaptoreumAPI {
 
   async getAddressTransactions(
     address: string,
-    params?: ApiQueryParams
-  ): Promise<PaginatedResponse<Transaction>> {
+    params?: TransactionListParams
+  ): Promise<PaginatedResponse<AddressTransaction>> {
     return this.get(`/addresses/${address}/transactions`, params)
   }
 
@@ -156,6 +222,13 @@ class RaptoreumAPI {
     return this.get(`/addresses/${address}/assets`, params)
   }
 
+  async getAddressHoldingsAt(
+    address: string,
+    params: AsOfParams
+  ): Promise<ApiResponse<AddressHoldingsAt> & Pick<PaginatedResponse<AddressHoldingsAt>, 'pagination'>> {
+    return this.get(`/addresses/${address}/holdings`, params)
+  }
+
   // ============================================
   // Search Endpoints
   // ============================================
@@ -184,6 +257,10 @@ class RaptoreumAPI {
     return this.get(`/stats/creators/${address}`)
   }
 
+  async getSupply(params?: SupplyParams): Promise<ApiResponse<RtmSupply>> {
+    return this.get('/stats/supply', params)
+  }
+
   async getTopCreators(limit = 10): Promise<ApiResponse<CreatorStats[]>> {
     return this.get('/stats/creators', { limit })
   }
@@ -208,6 +285,55 @@ class RaptoreumAPI {
     return this.get(`/export/verify/${assetName}`)
   }
 
+  // ============================================
+  // Mempool Endpoints
+  // ============================================
+
+  async getMempool(params?: ApiQueryParams): Promise<PaginatedResponse<PendingTransaction>> {
+    return this.get('/mempool', params)
+  }
+
+  // ============================================
+  // Smartnode Endpoints
+  // ============================================
+
+  async getSmartnodes(
+    params?: ApiQueryParams & { status?: SmartnodeStatus; address?: string }
+  ): Promise<PaginatedResponse<Smartnode>> {
+    return this.get('/smartnodes', params)
+  }
+
+  async getSmartnode(proTxHash: string): Promise<ApiResponse<SmartnodeDetail>> {
+    return this.get(`/smartnodes/${proTxHash}`)
+  }
+
+  async getSmartnodeStats(): Promise<ApiResponse<SmartnodeStats>> {
+    return this.get('/smartnodes/stats')
+  }
+
+  async getQuorumCommitments(
+    params?: ApiQueryParams & { llmqType?: number }
+  ): Promise<PaginatedResponse<QuorumCommitment>> {
+    return this.get('/smartnodes/quorums', params)
+  }
+
+  // ============================================
+  // Live Events
+  // ============================================
+
+  /**
+   * URL of the Server-Sent Events stream for use with EventSource
+   */
+  getEventStreamUrl(filter?: LiveEventFilter): string {
+    const url = new URL(`${this.baseUrl}/events`)
+
+    if (filter?.types?.length) url.searchParams.set('types', filter.types.join(','))
+    if (filter?.assets?.length) url.searchParams.set('asset', filter.assets.join(','))
+    if (filter?.addresses?.length) url.searchParams.set('address', filter.addresses.join(','))
+
+    return url.toString()
+  }
+
   // ============================================
   // Health Endpoints
   // ============================================
@@ -88,8 +88,10 @@ export function detectFileType(cidOrFilename: string): FileTypeInfo {
 /**
  * Detect file type from MIME type
  */
-export function detectFileTypeFromMime(mimeType: string): FileTypeInfo {
-  const fileType = MIME_TYPE_MAP[mimeType.toLowerCase()]
+export function detectFileTypeFromMime(contentType: string): FileTypeInfo {
+  // Drop parameters such as "; charset=utf-8"
+  const mimeType = contentType.split(';')[0].trim().toLowerCase()
+  const fileType = MIME_TYPE_MAP[mimeType]
   
   if (fileType) {
     return fileType
@@ -50,10 +50,25 @@ export interface AssetMetadata {
 
 export interface AssetAttribute {
   trait_type: string
-  value: string | number
+  value: string | number | boolean
   display_type?: string
 }
 
+export interface MetadataQualityWarning {
+  field: string
+  code: string
+  message: string
+  // Normalized at ingest rather than dropped
+  fixed: boolean
+}
+
+// What normalizing the published metadata to the metadata schema changed
+export interface MetadataQuality {
+  schemaVersion: number
+  status: 'valid' | 'normalized' | 'invalid' | 'empty'
+  warnings: MetadataQualityWarning[]
+}
+
 export interface Asset {
   _id: string
   assetId: string
@@ -64,14 +79,18 @@ export interface Asset {
   reissuable: boolean
   hasIpfs: boolean
   ipfsHash?: string
+  // Metadata was fetched and its bytes match ipfsHash
+  ipfsVerified: boolean
   txid: string
   height: number
   blockTime: number
   owner: string
   metadata?: AssetMetadata
+  metadataQuality?: MetadataQuality
   transferCount: number
   views: number
   maxMintCount: number
+  isUnique: boolean
   isSubAsset: boolean
   parentAssetName?: string
   parentAssetId?: string
@@ -87,13 +106,285 @@ export interface AssetTransfer {
   txid: string
   vout: number
   from?: string
+  senders?: AssetTransferSender[]
   to: string
   amount: number
+  serialStart?: number
+  serialEnd?: number
   height: number
   blockTime: number
   timestamp: string
 }
 
+// Asset input spent by a transfer
+export interface AssetTransferSender {
+  txid: string
+  vout: number
+  address: string
+  amount: number
+}
+
+// One serial of a unique asset minted more than once
+export interface AssetUnit {
+  assetId: string
+  assetName: string
+  serial: number
+  owner: string | null
+  mintTxid: string | null
+  mintedHeight: number | null
+  mintedAt: string | null
+  lastTxid: string | null
+  lastHeight: number | null
+  lastMovedAt: string | null
+}
+
+export interface AssetUnitDetail extends AssetUnit {
+  history: AssetTransfer[]
+}
+
+// One asset in a sub-asset hierarchy (GET /assets/:assetId/tree)
+// children is null below the requested depth; hasMoreChildren marks branches to load on demand
+export interface AssetTreeNode {
+  assetId: string
+  name: string
+  subAssetName: string | null
+  parentAssetId: string | null
+  type: 'fungible' | 'nft'
+  isUnique: boolean
+  height: number | null
+  createdAt: string | null
+  depth: number
+  holders: number
+  transfers: number
+  childCount: number
+  hasMoreChildren: boolean
+  children: AssetTreeNode[] | null
+}
+
+export interface AssetHolder {
+  rank: number
+  address: string
+  balance: number
+  percentage: number
+  totalReceived: number
+  totalSent: number
+  lastActivityHeight?: number
+  lastActivityAt?: string
+}
+
+export interface AssetHolders {
+  assetId: string
+  assetName: string
+  type: 'fungible' | 'nft'
+  heldSupply: number
+  circulatingSupply: number
+  holders: AssetHolder[]
+}
+
+export interface AsOfBlock {
+  height: number
+  hash: string | null
+  timestamp: string | null
+  requested: { height?: number; timestamp?: string }
+}
+
+export interface AssetOwnershipAt {
+  assetId: string
+  assetName: string
+  type: 'fungible' | 'nft'
+  asOf: AsOfBlock
+  existed: boolean
+  owner: string | null
+  acquired: {
+    txid: string
+    type: 'mint' | 'transfer'
+    from: string | null
+    blockHeight: number
+    timestamp: string
+  } | null
+  heldSupply: number
+  holders: Array<Pick<AssetHolder, 'rank' | 'address' | 'balance' | 'percentage'>>
+}
+
+export interface AddressHolding {
+  assetId: string
+  assetName: string | null
+  type: 'fungible' | 'nft'
+  balance: number
+  lastActivityHeight: number
+  lastActivityAt: string
+}
+
+export interface AddressHoldingsAt {
+  address: string
+  asOf: AsOfBlock
+  holdings: AddressHolding[]
+}
+
+export interface AssetVersionChange {
+  field: string
+  from: string | number | boolean | null
+  to: string | number | boolean | null
+}
+
+export interface AssetVersion {
+  version: number
+  txid: string
+  blockHeight: number
+  timestamp: string | null
+  changes: AssetVersionChange[]
+  current: boolean
+  ownerAddress?: string
+  referenceHash?: string
+  updatable: boolean
+  maxMintCount: number
+  distribution?: {
+    type?: number
+    targetAddress?: string
+    issueFrequency?: number
+    amount?: number
+  }
+  metadata?: AssetMetadata
+  ipfsVerified: boolean
+}
+
+export interface AssetVersionHistory {
+  assetId: string
+  assetName: string
+  updatable: boolean
+  updateCount: number
+  versions: AssetVersion[]
+}
+
+// ============================================
+// Mempool Types
+// ============================================
+
+export interface PendingAssetOperation {
+  operation: 'create' | 'mint' | 'transfer' | 'update'
+  assetId: string
+  assetName?: string
+  amount: number
+  from?: string
+  to?: string
+}
+
+export interface PendingTransaction {
+  txid: string
+  txType: number
+  firstSeen: string
+  size: number
+  fee: number
+  operations: PendingAssetOperation[]
+}
+
+// ============================================
+// Smartnode Types
+// ============================================
+
+export type SmartnodeStatus = 'active' | 'revoked' | 'removed'
+
+export interface Smartnode {
+  proTxHash: string
+  status: SmartnodeStatus
+  collateralHash: string
+  collateralIndex: number
+  collateralAddress: string | null
+  collateralAmount: number | null
+  ownerAddress: string | null
+  votingAddress: string | null
+  payoutAddress: string | null
+  operatorPayoutAddress: string | null
+  pubKeyOperator: string | null
+  operatorReward: number
+  service: string | null
+  registeredHeight: number
+  registeredAt: string | null
+  lastUpdatedHeight: number | null
+  lastUpdatedAt: string | null
+  revocationReason: number | null
+  revokedHeight: number | null
+  removedHeight: number | null
+  removedTxid: string | null
+}
+
+// One ProTx or collateral spend; changes holds the fields it set
+export interface SmartnodeEvent {
+  txid: string
+  type: 'register' | 'update_service' | 'update_registrar' | 'revoke' | 'collateral_spent' | 'replaced'
+  height: number
+  timestamp: string
+  changes: Partial<Smartnode>
+}
+
+export interface SmartnodeDetail extends Smartnode {
+  history: SmartnodeEvent[]
+}
+
+export interface SmartnodeStats {
+  total: number
+  active: number
+  revoked: number
+  removed: number
+  quorumCommitments: number
+  lastCommitmentHeight: number | null
+}
+
+export interface QuorumCommitment {
+  txid: string
+  height: number
+  timestamp: string
+  quorumHeight: number | null
+  llmqType: number
+  quorumHash: string
+  quorumIndex: number | null
+  signersCount: number
+  validMembersCount: number
+  quorumPublicKey: string | null
+}
+
+// ============================================
+// Live Event Types
+// ============================================
+
+export type LiveEventType =
+  | 'block'
+  | 'asset_created'
+  | 'asset_minted'
+  | 'asset_transferred'
+  | 'asset_updated'
+  | 'future_unlocked'
+  | 'reorg'
+
+export interface LiveEvent {
+  id: string
+  type: LiveEventType
+  timestamp: string
+  assets: string[]
+  addresses: string[]
+  data: {
+    txid?: string
+    assetId?: string
+    assetName?: string
+    amount?: number
+    from?: string
+    to?: string
+    recipient?: string
+    creator?: string
+    height?: number
+    blockHeight?: number
+    commonAncestor?: number
+    depth?: number
+    [key: string]: unknown
+  }
+}
+
+export interface LiveEventFilter {
+  types?: LiveEventType[]
+  assets?: string[]
+  addresses?: string[]
+}
+
 // ============================================
 // Blockchain Types
 // ============================================
@@ -119,6 +410,151 @@ export interface Block {
   createdAt: string
 }
 
+// Coinbase outputs are labelled like the supply stats payouts (amounts in RTM)
+export type CoinbaseRecipient = keyof SupplyPayouts
+
+export interface CoinbaseBreakdown {
+  txid: string
+  total: number
+  // null until the block's emission is recorded
+  minted: number | null
+  fees: number | null
+  estimated: boolean | null
+  payouts: SupplyPayouts
+  outputs: {
+    address: string | null
+    amount: number
+    recipient: CoinbaseRecipient
+  }[]
+}
+
+// A synced block as returned by /blocks/:id
+export interface BlockDetail {
+  height: number
+  hash: string
+  previousHash: string
+  nextHash: string | null
+  merkleRoot: string
+  timestamp: string
+  difficulty: number
+  nonce: number
+  size: number
+  transactionCount: number
+  transactions: string[]
+  miner: string
+  reward: number
+  confirmations: number
+  coinbase: CoinbaseBreakdown | null
+}
+
+export interface BlockAssetOperation extends PendingAssetOperation {
+  serialStart?: number
+  serialEnd?: number
+}
+
+// Transaction summary shared by block, address and transaction lists
+export interface TransactionSummary {
+  txid: string
+  type: 'standard' | 'asset_create' | 'asset_transfer' | 'asset_mint' | 'asset_update' | 'future'
+  isCoinbase: boolean
+  size: number
+  // null when an input amount is unknown
+  fee: number | null
+  inputCount: number
+  outputCount: number
+  totalOutput: number
+  assets: string[]
+  operations: BlockAssetOperation[]
+}
+
+export interface BlockTransaction extends TransactionSummary {
+  // Position in the block, the coinbase is 0
+  index: number
+}
+
+// An indexed transaction as listed by /transactions
+export interface TransactionListItem extends TransactionSummary {
+  blockHeight: number
+  blockHash: string
+  timestamp: string
+}
+
+// RTM movement of the address in one transaction
+export interface AddressTransaction extends TransactionListItem {
+  received: number
+  sent: number
+  balanceChange: number
+}
+
+export interface TransactionDetailInput {
+  index: number
+  txid: string | null
+  vout: number | null
+  coinbase: boolean
+  address: string | null
+  // null when the spent output is unknown
+  amount: number | null
+  asset: TransactionOutputAsset | null
+}
+
+export interface TransactionOutputAsset {
+  assetId: string
+  assetName?: string
+  amount: number
+}
+
+export interface TransactionDetailOutput {
+  n: number
+  address: string | null
+  amount: number
+  asset: TransactionOutputAsset | null
+  spent: boolean
+  spentTxid: string | null
+  spentHeight: number | null
+}
+
+// Special transaction payloads as raptoreumd returns them
+export interface TransactionPayloads {
+  newAssetTx?: Record<string, unknown>
+  updateAssetTx?: Record<string, unknown>
+  mintAssetTx?: Record<string, unknown>
+  futureTx?: Record<string, unknown>
+  proRegTx?: Record<string, unknown>
+  proUpServTx?: Record<string, unknown>
+  proUpRegTx?: Record<string, unknown>
+  proUpRevTx?: Record<string, unknown>
+  qcTx?: Record<string, unknown>
+  cbTx?: Record<string, unknown>
+}
+
+// A transaction as returned by /transactions/:txid
+export interface TransactionDetail extends TransactionSummary {
+  // false when only the node knows the transaction
+  indexed: boolean
+  status: 'confirmed' | 'pending'
+  confirmations: number
+  blockHeight: number | null
+  blockHash: string | null
+  timestamp: string | null
+  // raptoreumd special transaction type
+  txType: number | null
+  version: number | null
+  locktime: number | null
+  // null when an input amount is unknown
+  totalInput: number | null
+  inputs: TransactionDetailInput[]
+  outputs: TransactionDetailOutput[]
+  // Lock of a future transaction, once indexed
+  futureData: {
+    maturity?: number
+    lockTime?: number
+    unlockHeight?: number
+    unlockTime?: string
+    lockedAmount?: number
+  } | null
+  payloads: TransactionPayloads
+}
+
 export interface Transaction {
   _id: string
   txid: string
@@ -190,7 +626,12 @@ export interface Address {
   totalSent: number
   txCount: number
   assetBalances: AssetBalance[]
+  assetsCreated?: number
+  assetsOwned?: number
+  isCreator?: boolean
   profile?: AddressProfile
+  firstSeenBlock?: number
+  lastSeenBlock?: number
   firstSeen?: number
   lastSeen?: number
   createdAt: string
@@ -198,8 +639,10 @@ export interface Address {
 }
 
 export interface AssetBalance {
+  assetId: string
   assetName: string
   balance: number
+  lastUpdated?: string
 }
 
 export interface AddressProfile {
@@ -284,6 +727,41 @@ export interface CreatorStat {
   profile?: AddressProfile
 }
 
+// RTM amounts below are in RTM, not satoshis
+export interface SupplyPayouts {
+  miner: number
+  smartnode: number
+  devFund: number
+}
+
+export interface SupplyPoint {
+  period: string
+  startHeight: number
+  endHeight: number
+  endTime: string
+  minted: number
+  fees: number
+  payouts: SupplyPayouts
+  totalMinted: number
+  lockedInFutures: number
+  circulating: number
+}
+
+export interface RtmSupply {
+  height: number | null
+  timestamp: string | null
+  totalMinted: number
+  lockedInFutures: number
+  circulating: number
+  fees: number
+  payouts: SupplyPayouts
+  // false until every block from genesis has been recorded
+  complete: boolean
+  // true when some fees could not be resolved exactly
+  estimated: boolean
+  series: SupplyPoint[]
+}
+
 // ============================================
 // Export Types
 // ============================================
@@ -310,6 +788,8 @@ export interface ExportRequest {
     purpose: string
     requestingParty?: string
   }
+  asOfHeight?: number
+  asOfTimestamp?: string
 }
 
 export interface ExportResponse {
@@ -383,3 +863,21 @@ export interface ApiQueryParams extends PaginationParams {
   order?: 'asc' | 'desc'
   [key: string]: unknown
 }
+
+// Exactly one of height or timestamp
+export type AsOfParams = ApiQueryParams & ({ height: number } | { timestamp: string })
+
+// Levels below the asset, and children loaded per node
+export type AssetTreeParams = ApiQueryParams & { depth?: number; childLimit?: number; offset?: number }
+
+// Transaction list filters; the height range is inclusive
+export type TransactionListParams = ApiQueryParams & {
+  type?: TransactionSummary['type']
+  asset?: string
+  address?: string
+  fromHeight?: number
+  toHeight?: number
+}
+
+// Series bucket size and date range
+export type SupplyParams = ApiQueryParams & { interval?: 'day' | 'week' | 'month'; from?: string; to?: string }
@@ -2,6 +2,7 @@
 
 import { type ClassValue, clsx } from 'clsx'
 import { twMerge } from 'tailwind-merge'
+import { API_BASE_URL } from './constants'
 
 /**
  * Merge Tailwind CSS classes with clsx
@@ -49,6 +50,16 @@ export function formatCID(cid: string, startChars = 8, endChars = 8): string {
   return `${cid.slice(0, startChars)}...${cid.slice(-endChars)}`
 }
 
+/**
+ * Build the backend media URL for an IPFS CID
+ * @param cid - IPFS CID, with or without the ipfs:// prefix
+ * @param width - Preview width in pixels; omit for the original file
+ */
+export function getMediaUrl(cid: string, width?: number): string {
+  const url = `${API_BASE_URL}/media/${cid.replace(/^ipfs:\/\//, '')}`
+  return width ? `${url}?w=${Math.round(width)}` : url
+}
+
 /**
  * Sleep for a specified duration
  * @param ms - Milliseconds to sleep